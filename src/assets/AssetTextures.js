@@ -4,6 +4,8 @@
  * Uses Phaser.Graphics to draw and cache textures dynamically.
  */
 
+import { JUNCTION_BOX, POWER_STRIP, CONVEYOR } from '../config.js';
+
 /**
  * Generate a procedural door texture with industrial style.
  * @param {Phaser.Scene} scene - The Phaser scene
@@ -193,6 +195,85 @@ export function generateDrawbridge(scene, width, height, color = '#8B6914') {
   return key;
 }
 
+/**
+ * Generate a conveyor tread tile: one 16 px link of rubber belt with a
+ * raised cleat, over the steel side frame. Tiles horizontally — the belt is
+ * a TileSprite that scrolls it while running.
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @returns {string} Texture key
+ */
+export function generateConveyorTread(scene) {
+  const key = 'conveyor_tread';
+
+  if (scene.textures.exists(key)) {
+    return key;
+  }
+
+  const w = 16;
+  const h = CONVEYOR.HEIGHT;
+  const g = scene.make.graphics({ x: 0, y: 0, add: false });
+
+  // --- Side frame (steel, bolted) ---
+  g.fillStyle(CONVEYOR.COLOR, 1);
+  g.fillRect(0, 5, w, h - 5);
+  g.fillStyle(0x3a3e44, 1);
+  g.fillRect(0, h - 2, w, 2);
+  g.fillStyle(0x80868e, 1);
+  g.fillCircle(w / 2, h / 2 + 3, 1.2);
+
+  // --- Belt surface (rubber) ---
+  g.fillStyle(0x222222, 1);
+  g.fillRect(0, 0, w, 5);
+  // Raised cleat across the belt, catching the light on its leading edge
+  g.fillStyle(0x3c3c3c, 1);
+  g.fillRect(2, 0, 4, 5);
+  g.fillStyle(0x555555, 1);
+  g.fillRect(5, 0, 1, 5);
+  // Seam between links
+  g.fillStyle(0x111111, 1);
+  g.fillRect(w - 1, 0, 1, 5);
+
+  g.generateTexture(key, w, h);
+  g.destroy();
+
+  return key;
+}
+
+/**
+ * Generate a conveyor end roller: a steel drum with spokes, so it visibly
+ * turns when rotated.
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @returns {string} Texture key
+ */
+export function generateConveyorRoller(scene) {
+  const key = 'conveyor_roller';
+
+  if (scene.textures.exists(key)) {
+    return key;
+  }
+
+  const d = CONVEYOR.HEIGHT - 2;
+  const r = d / 2;
+  const g = scene.make.graphics({ x: 0, y: 0, add: false });
+
+  g.fillStyle(0x3a3e44, 1);
+  g.fillCircle(r, r, r);
+  g.fillStyle(0x9aa0a8, 1);
+  g.fillCircle(r, r, r - 1.5);
+  // Spokes
+  g.lineStyle(1.5, 0x3a3e44, 1);
+  g.lineBetween(r, 2, r, d - 2);
+  g.lineBetween(2, r, d - 2, r);
+  // Hub
+  g.fillStyle(0x222222, 1);
+  g.fillCircle(r, r, 1.5);
+
+  g.generateTexture(key, d, d);
+  g.destroy();
+
+  return key;
+}
+
 /**
  * Generate a procedural wooden crate texture.
  * @param {Phaser.Scene} scene - The Phaser scene
@@ -375,6 +456,121 @@ export function generateOutlet(scene, powered = false) {
   return key;
 }
 
+/**
+ * Generate a junction box texture: a steel box with a socket on the left
+ * (cord in) and a cable gland on the right (cord out), a lightning decal
+ * on top. When powered the decal glows yellow and the LED turns green.
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @param {boolean} powered - Whether a live cord is plugged in
+ * @returns {string} Texture key
+ */
+export function generateJunctionBox(scene, powered = false) {
+  const key = `junction_box_${powered ? 'on' : 'off'}`;
+
+  if (scene.textures.exists(key)) {
+    return key;
+  }
+
+  const w = JUNCTION_BOX.WIDTH;
+  const h = JUNCTION_BOX.HEIGHT;
+  const g = scene.make.graphics({ x: 0, y: 0, add: false });
+
+  // --- Steel box ---
+  g.fillStyle(0x666660, 1);
+  g.fillRoundedRect(1, 1, w - 2, h - 2, 3);
+  g.lineStyle(1, 0x3a3a36, 1);
+  g.strokeRoundedRect(1, 1, w - 2, h - 2, 3);
+  // Lid seam and corner bolts
+  g.lineStyle(1, 0x4c4c48, 1);
+  g.beginPath();
+  g.moveTo(3, 8); g.lineTo(w - 3, 8);
+  g.strokePath();
+  g.fillStyle(0x9a9a92, 1);
+  for (const [bx, by] of [[5, 4], [w - 5, 4], [5, h - 5], [w - 5, h - 5]]) {
+    g.fillCircle(bx, by, 1.3);
+  }
+
+  // --- Lightning decal ---
+  g.fillStyle(powered ? 0xffdd33 : 0x2e2e2a, 1);
+  g.fillTriangle(w / 2 + 2, 10, w / 2 - 4, h / 2 + 2, w / 2 + 1, h / 2 + 2);
+  g.fillTriangle(w / 2 - 1, h / 2, w / 2 + 4, h / 2, w / 2 - 2, h - 9);
+
+  // --- Socket (cord in) on the left ---
+  g.fillStyle(0xede8df, 1);
+  g.fillCircle(8, h / 2 + 4, 5);
+  g.fillStyle(0x111111, 1);
+  g.fillRect(6, h / 2 + 2, 1, 3);
+  g.fillRect(9, h / 2 + 2, 1, 3);
+
+  // --- Cable gland (cord out) on the right ---
+  g.fillStyle(0x2a2a28, 1);
+  g.fillRect(w - 11, h / 2 + 1, 7, 7);
+  g.fillStyle(0x4a4a46, 1);
+  g.fillRect(w - 10, h / 2 + 2, 5, 2);
+
+  // --- Status LED ---
+  g.fillStyle(powered ? 0x00ff88 : 0x552222, 1);
+  g.fillCircle(w - 7, 4.5, 1.6);
+  if (powered) {
+    g.fillStyle(0x00ff44, 0.25);
+    g.fillCircle(w - 7, 4.5, 3.5);
+  }
+
+  g.generateTexture(key, w, h);
+  g.destroy();
+
+  return key;
+}
+
+/**
+ * Generate a power strip texture: a long white bar with a row of
+ * sockets and a rocker switch that lights up red when powered.
+ * @param {Phaser.Scene} scene - The Phaser scene
+ * @param {boolean} powered - Whether a live cord is plugged in
+ * @returns {string} Texture key
+ */
+export function generatePowerStrip(scene, powered = false) {
+  const key = `power_strip_${powered ? 'on' : 'off'}`;
+
+  if (scene.textures.exists(key)) {
+    return key;
+  }
+
+  const w = POWER_STRIP.WIDTH;
+  const h = POWER_STRIP.HEIGHT;
+  const g = scene.make.graphics({ x: 0, y: 0, add: false });
+
+  // --- Body ---
+  g.fillStyle(0xe8e4dc, 1);
+  g.fillRoundedRect(0, 1, w, h - 2, 4);
+  g.lineStyle(1, 0xa8a49c, 1);
+  g.strokeRoundedRect(0, 1, w, h - 2, 4);
+  // Bottom shadow
+  g.fillStyle(0xc8c4bc, 1);
+  g.fillRect(3, h - 5, w - 6, 2);
+
+  // --- Rocker switch ---
+  g.fillStyle(powered ? 0xff3322 : 0x772222, 1);
+  g.fillRect(3, 4, 6, h - 8);
+  if (powered) {
+    g.fillStyle(0xff6644, 0.35);
+    g.fillRect(2, 3, 8, h - 6);
+  }
+
+  // --- Sockets ---
+  g.fillStyle(0x111111, 1);
+  for (let sx = 15; sx + 6 <= w - 2; sx += 11) {
+    g.fillRect(sx, h / 2 - 3, 1, 4);
+    g.fillRect(sx + 4, h / 2 - 3, 1, 4);
+    g.fillCircle(sx + 2.5, h / 2 + 3, 0.9);
+  }
+
+  g.generateTexture(key, w, h);
+  g.destroy();
+
+  return key;
+}
+
 /**
  * Generate a 3-prong electrical plug texture.
  * Used for extension cord ends.
@@ -896,6 +1092,10 @@ export function initializeAssetTextures(scene) {
   generateDrawbridge(scene, 64, 16);
   generateDrawbridge(scene, 128, 16);
   
+  // Generate conveyor parts
+  generateConveyorTread(scene);
+  generateConveyorRoller(scene);
+
   // Generate standard crate size
   generateWoodenCrate(scene, 48);
   generateWoodenCrate(scene, 32);
@@ -903,6 +1103,10 @@ export function initializeAssetTextures(scene) {
   // Generate outlet states
   generateOutlet(scene, false);
   generateOutlet(scene, true);
+  generateJunctionBox(scene, false);
+  generateJunctionBox(scene, true);
+  generatePowerStrip(scene, false);
+  generatePowerStrip(scene, true);
   
   // Generate plug
   generatePlug(scene);
@@ -924,8 +1128,12 @@ export default {
   generateDoor,
   generateElevator,
   generateDrawbridge,
+  generateConveyorTread,
+  generateConveyorRoller,
   generateWoodenCrate,
   generateOutlet,
+  generateJunctionBox,
+  generatePowerStrip,
   generatePlug,
   generateDumpsterPlatform,
   generateChimneyPlatform,
@@ -115,6 +115,100 @@ export class ProceduralMusic {
     this._nodes.push(src);
   }
 
+  /**
+   * Play a lever or wall switch flipping — a ratchet and a clunk for a lever,
+   * a sharp click for a switch; pitched up when it goes on, down when off.
+   * @param {string} [style='lever'] - 'lever' or 'switch'.
+   * @param {boolean} [on=true]
+   */
+  playLeverFlip(style = 'lever', on = true) {
+    this.init();
+    if (!this.ctx) return;
+    const now = this.ctx.currentTime;
+    const pitch = on ? 1 : 0.75;
+
+    if (style === 'switch') {
+      // Click — a very short square blip
+      const osc = this.ctx.createOscillator();
+      const g = this.ctx.createGain();
+      osc.type = 'square';
+      osc.frequency.setValueAtTime(2400 * pitch, now);
+      osc.frequency.exponentialRampToValueAtTime(900 * pitch, now + 0.02);
+      g.gain.setValueAtTime(0.12, now);
+      g.gain.exponentialRampToValueAtTime(0.001, now + 0.03);
+      osc.connect(g); g.connect(this._master);
+      osc.start(now); osc.stop(now + 0.05);
+      this._nodes.push(osc);
+      return;
+    }
+
+    // 1. Ratchet — three quick ticks as the handle swings
+    for (let i = 0; i < 3; i++) {
+      const t = now + i * 0.025;
+      const osc = this.ctx.createOscillator();
+      const g = this.ctx.createGain();
+      osc.type = 'square';
+      osc.frequency.value = (1100 + i * 150) * pitch;
+      g.gain.setValueAtTime(0.06, t);
+      g.gain.exponentialRampToValueAtTime(0.001, t + 0.015);
+      osc.connect(g); g.connect(this._master);
+      osc.start(t); osc.stop(t + 0.02);
+      this._nodes.push(osc);
+    }
+
+    // 2. Clunk as it hits the stop
+    const osc2 = this.ctx.createOscillator();
+    const g2 = this.ctx.createGain();
+    osc2.type = 'triangle';
+    osc2.frequency.setValueAtTime(220 * pitch, now + 0.08);
+    osc2.frequency.exponentialRampToValueAtTime(90 * pitch, now + 0.16);
+    g2.gain.setValueAtTime(0.0001, now);
+    g2.gain.setValueAtTime(0.25, now + 0.08);
+    g2.gain.exponentialRampToValueAtTime(0.001, now + 0.2);
+    osc2.connect(g2); g2.connect(this._master);
+    osc2.start(now); osc2.stop(now + 0.22);
+    this._nodes.push(osc2);
+  }
+
+  /**
+   * Play a breaker trip — a crackling arc, a heavy switch clunk, then the
+   * hum dying away as the power drops out.
+   */
+  playBreakerTrip() {
+    this.init();
+    if (!this.ctx) return;
+    const now = this.ctx.currentTime;
+
+    // 1. Arc crackle — the zap, slightly before the clunk
+    this._electricZap(now);
+
+    // 2. Switch clunk — low square thump
+    const osc1 = this.ctx.createOscillator();
+    const g1 = this.ctx.createGain();
+    osc1.type = 'square';
+    osc1.frequency.setValueAtTime(140, now + 0.05);
+    osc1.frequency.exponentialRampToValueAtTime(50, now + 0.15);
+    g1.gain.setValueAtTime(0.0001, now);
+    g1.gain.setValueAtTime(0.3, now + 0.05);
+    g1.gain.exponentialRampToValueAtTime(0.001, now + 0.2);
+    osc1.connect(g1); g1.connect(this._master);
+    osc1.start(now); osc1.stop(now + 0.25);
+    this._nodes.push(osc1);
+
+    // 3. Mains hum winding down
+    const osc2 = this.ctx.createOscillator();
+    const g2 = this.ctx.createGain();
+    osc2.type = 'sawtooth';
+    osc2.frequency.setValueAtTime(120, now + 0.1);
+    osc2.frequency.exponentialRampToValueAtTime(30, now + 0.7);
+    g2.gain.setValueAtTime(0.0001, now);
+    g2.gain.setValueAtTime(0.12, now + 0.1);
+    g2.gain.exponentialRampToValueAtTime(0.001, now + 0.75);
+    osc2.connect(g2); g2.connect(this._master);
+    osc2.start(now); osc2.stop(now + 0.8);
+    this._nodes.push(osc2);
+  }
+
   /**
    * Play a death sound — descending buzz + thud when the player dies.
    * Short (~0.5s), punchy, unmistakably "you died".
@@ -24,9 +24,11 @@ export const PLAYER = {
 
 /** Extension cord */
 export const CORD = {
-  MAX_LENGTH: 750,       // max pixels the cord can stretch from generator
+  MAX_LENGTH: 800,       // max pixels the cord can stretch from generator, along its wraps
   COLOR: 0xff8800,       // orange
   WIDTH: 3,
+  MAX_COUNT: 4,          // most cords a level may hand the player (player.cords)
+  COLORS: [0xff8800, 0x33aaff, 0xdd44ff, 0xeeee33], // one per cord; [0] is COLOR
 };
 
 /** Generator */
@@ -34,6 +36,11 @@ export const GENERATOR = {
   WIDTH: 40,
   HEIGHT: 40,
   COLOR: 0x00cc44,       // green
+  RESET_RANGE: 50,       // px — how close the hero must be to reset a tripped breaker
+  LOAD_OK: 0x44dd44,     // load meter below LOAD_WARN of capacity
+  LOAD_HIGH: 0xffaa00,   // load meter at or above LOAD_WARN
+  LOAD_WARN: 0.75,
+  TRIPPED: 0xff3333,     // breaker light while tripped
 };
 
 /** Terminal */
@@ -43,6 +50,94 @@ export const TERMINAL = {
   COLOR: 0xcc0000,       // red when unpowered
   COLOR_POWERED: 0x00ff00, // green when powered
   INTERACT_RANGE: 40,    // px — how close hero must be to plug/unplug
+  LINK_HINT_RANGE: 120,  // px — within this, wires to the linked elements show
+  LINK_ON: 0xffdd33,     // link wire carrying power
+  LINK_OFF: 0x445566,    // idle link wire
+};
+
+/** Junction box — relays cord power: plug a cord in, run another cord out */
+export const JUNCTION_BOX = {
+  WIDTH: 36,
+  HEIGHT: 36,
+  COLOR: 0x777766,       // editor fill
+};
+
+/** Power strip — one plug feeds several linked elements */
+export const POWER_STRIP = {
+  WIDTH: 48,
+  HEIGHT: 16,
+  COLOR: 0xdddddd,       // editor fill
+};
+
+/** Logic gate — combines input signals, drives its outputs (see utils/gateLogic.js) */
+export const LOGIC_GATE = {
+  WIDTH: 44,
+  HEIGHT: 28,
+  COLOR: 0x336655,       // editor fill / gate body
+  WIRE_ON: 0xffdd33,     // wire carrying a signal
+  WIRE_OFF: 0x445566,    // idle wire
+};
+
+/** Relay — holds its outputs on for a while after its input goes off */
+export const RELAY = {
+  WIDTH: 30,
+  HEIGHT: 30,
+  COLOR: 0x554433,       // editor fill / relay body
+  HOLD_TIME: 3000,       // ms outputs stay on after the input is cut
+  METER_COLOR: 0xffaa33, // remaining hold
+};
+
+/** Capacitor — charges while powered, runs its outputs off the charge once cut */
+export const CAPACITOR = {
+  WIDTH: 24,
+  HEIGHT: 36,
+  COLOR: 0x334455,       // editor fill / capacitor body
+  CAPACITY: 5000,        // ms of output a full charge lasts
+  CHARGE_TIME: 3000,     // ms of power to charge fully
+  METER_COLOR: 0x44ccff, // charge level
+};
+
+/** Pressure plate — on while enough weight rests on it */
+export const PRESSURE_PLATE = {
+  WIDTH: 64,
+  HEIGHT: 8,             // raised plate; sits on the floor (y = floor − HEIGHT / 2)
+  COLOR: 0x998844,       // editor fill / plate top
+  TOLERANCE: 10,         // px — how far above the plate's base a body's bottom may be and still press it
+  MIN_WEIGHT: 1,         // default weight needed to hold it down
+  WEIGHTS: { player: 1, enemy: 1, pushBlock: 2, heavyBlock: 5 },
+};
+
+/** Lever / wall switch — flipped with the interact key */
+export const LEVER = {
+  WIDTH: 24,
+  HEIGHT: 32,            // lever: base + handle; sits on the floor (y = floor − HEIGHT / 2)
+  SWITCH_WIDTH: 16,
+  SWITCH_HEIGHT: 24,     // wall switch plate, placed anywhere on a wall
+  COLOR: 0x886644,       // editor fill / lever base
+  SWITCH_COLOR: 0xbbbbaa,
+  INTERACT_RANGE: 40,    // px — how close hero must be to flip it
+  FLIP_TIME: 120,        // ms — flip animation
+  RETURN_TIME: 3000,     // ms — a timed lever springs back after this long
+};
+
+/** Conveyor belt — carries whatever stands on it while powered */
+export const CONVEYOR = {
+  WIDTH: 128,
+  HEIGHT: 16,            // belt + frame; its top is the surface riders stand on
+  SPEED: 60,             // px/s along the belt (the player walks at 200)
+  COLOR: 0x555a60,       // editor fill / frame
+  LOAD: 100,             // W drawn from a generator with a breaker
+};
+
+/** Fan / updraft vent */
+export const FAN = {
+  WIDTH: 48,             // housing and the column of air above it
+  HEIGHT: 16,            // housing; its top is where the updraft starts
+  LIFT_HEIGHT: 160,      // default column height above the housing
+  STRENGTH: 1500,        // upward px/s² in the column (gravity pulls 900)
+  MAX_RISE: 220,         // px/s cap on the updraft's upward speed
+  COLOR: 0x607080,       // editor fill / housing
+  LOAD: 150,             // W drawn from a generator with a breaker
 };
 
 /** Slide door */
@@ -52,6 +147,7 @@ export const DOOR = {
   HEIGHT: 128,           // tall door
   COLOR: 0x8855aa,       // purple
   COLOR_OPEN: 0x442266,
+  LOAD: 100,             // W drawn from its generator while powered
 };
 
 /** Push block (2.5D) */
@@ -70,6 +166,17 @@ export const ELEVATOR = {
   COLOR: 0x4488cc,
   COLOR_OFF: 0x334455,
   PAUSE_DURATION: 800,
+  LOAD: 200,             // W drawn from its generator while powered
+};
+
+/** Moving platform (waypoint route) */
+export const MOVING_PLATFORM = {
+  WIDTH: 96,
+  HEIGHT: 16,
+  SPEED: 80,             // px/s along a segment unless its waypoint sets one
+  PAUSE: 600,            // ms waited at each waypoint unless it sets one
+  COLOR: 0x4a9a7a,       // editor fill / lit trim
+  LOAD: 200,             // W drawn from its generator while powered
 };
 
 /** Drawbridge */
@@ -79,6 +186,9 @@ export const DRAWBRIDGE = {
   SPEED: 120,       // degrees per second for rotation
   COLOR: 0x8B4513,  // brown (wood)
   COLOR_OFF: 0x5C3317,
+  LOAD: 150,        // W drawn from its generator while powered
+  MAX_SLOPE: 40,    // steepest plank (deg) that can be stood on — a ramp
+  SNAP: 10,         // px a rider's feet may sink below a sloped plank and be lifted onto it
 };
 
 /** Spikes (hazard) */
@@ -88,6 +198,13 @@ export const SPIKES = {
   COLOR: 0xcc2222,  // red
 };
 
+/** Water pool (hazard while electrified) */
+export const WATER_POOL = {
+  HEIGHT: 12,       // water depth; the pool sits on the surface below it
+  COLOR: 0x2a4a6a,  // water
+  SPARK_COLOR: 0x88eeff, // arcs over electrified water
+};
+
 /** Enemy (patrol hazard) */
 export const ENEMY = {
   WIDTH: 32,        // enemy sprite width (shorter than hero's 48×64)
@@ -112,6 +229,21 @@ export const LEVEL = {
   WORLD_WIDTH: 1100,
 };
 
+/** Level editor */
+export const EDITOR = {
+  GRID: 8,               // px — positions and sizes snap to this (hold SHIFT for free placement)
+  SCROLL_SPEED: 600,     // px/s — camera pan with the arrow keys
+  HANDLE_SIZE: 10,       // px — resize / endpoint handle squares
+  PANEL_WIDTH: 230,      // px — properties panel on the right
+};
+
+/** Run recording, replays and ghost runs */
+export const REPLAY = {
+  GHOST_ALPHA: 0.4,      // translucent best-run ghost
+  GHOST_TINT: 0x88ccff,  // pale blue so it never reads as the real player
+  DOWNLOAD_KEY: 'F8',    // save the current run as a replay file (bug reports)
+};
+
 /** Scene keys — single source of truth */
 export const SCENES = {
   BOOT: 'BootScene',
@@ -119,4 +251,5 @@ export const SCENES = {
   MENU: 'MenuScene',
   GAME: 'GameScene',
   UI: 'UIScene',
+  EDITOR: 'EditorScene',
 };
@@ -1,60 +1,216 @@
 import Phaser from 'phaser';
 import { CORD } from '../config.js';
+import {
+  segmentHitsRect, rectContains, rectCorners, cornerPoint, pathLength, shortestCordLength,
+} from '../utils/cordGeometry.js';
 
 /**
- * ExtensionCord — visual line drawn from the generator to
- * the currently connected terminal (or to the player if dragging).
+ * ExtensionCord — the cord from the generator (or the junction box
+ * feeding it, player.cordOrigins) to the currently connected terminal
+ * (or to the player if dragging).
+ *
+ * A level can give the player several cords; each has its own
+ * ExtensionCord, drawn in its own colour (CORD.COLORS[index]) for
+ * the terminal in player.cordTerminals[index].
+ *
+ * The cord behaves like a rope: when its last straight stretch is
+ * swept into a platform, door, elevator, moving platform or block it
+ * catches on that corner (a "wrap"), and lets go again once the far
+ * end swings back past the straight line. Wraps follow the corner
+ * when the obstacle moves. Range is measured along the wrapped path.
  *
- * This is purely visual + range-check logic.
  * It's a Graphics object that redraws every frame.
  */
 export class ExtensionCord {
   /**
    * @param {Phaser.Scene} scene
    * @param {import('./Generator.js').Generator} generator
+   * @param {number} [index=0] - Which of the player's cords this draws.
    */
-  constructor(scene, generator) {
+  constructor(scene, generator, index = 0) {
     this.scene = scene;
-    this.generator = generator;
+    /** Where the cord starts: the generator or a junction box. */
+    this.origin = generator;
+    this.index = index;
+    this.color = CORD.COLORS[index % CORD.COLORS.length];
     this.graphics = scene.add.graphics();
     this.graphics.setDepth(5); // draw above ground, below UI
+
+    /**
+     * Corners the cord bends around, origin end first:
+     * { obstacle, sx, sy, side } — sx/sy pick the corner (see
+     * cordGeometry.rectCorners), side is the bend direction.
+     */
+    this.wraps = [];
+
+    /** Cord end last frame (player's hold point or terminal). */
+    this._prevEnd = null;
   }
 
   /**
-   * Call every frame to redraw the cord.
+   * Call every frame to re-route and redraw the cord.
    * @param {import('./Player.js').Player} player
    */
   update(player) {
-    this.graphics.clear();
+    // Moved to another junction box (or back on death) — lay the cord anew
+    const origin = player.cordOrigin(this.index);
+    if (origin !== this.origin) {
+      this.origin = origin;
+      this.wraps = [];
+    }
 
-    const gx = this.generator.x;
-    const gy = this.generator.y;
+    const t = player.cordTerminals[this.index];
+    const end = t ? { x: t.x, y: t.y } : { x: player.x, y: player.y + HOLD_Y };
+    this._route(end);
 
-    if (player.cordConnectedTerminal) {
-      // Cord connected: draw generator → terminal
-      const t = player.cordConnectedTerminal;
-      this._drawLine(gx, gy, t.x, t.y);
+    this.graphics.clear();
+    // A cord fed from a box nothing live is plugged into carries no power
+    this.graphics.setAlpha(player.isCordLive(this.index) ? 1 : DEAD_ALPHA);
+    const points = this._points();
+    if (t) {
+      // Cord connected: draw origin → terminal
+      this._drawCord(points, t.x, t.y);
       // Draw plug at terminal end
       this._drawPlug(t.x, t.y);
     } else {
-      // Cord not connected: draw generator → player's hand (carrying the plug)
+      // Cord not connected: draw origin → player's hand (carrying the plug)
       // Offset to the extended hand holding the wrench
       const handOffsetX = player.facingRight ? 18 : -18;
-      const handOffsetY = -8; // roughly mid-torso / hand height
+      const handOffsetY = -8 + this.index * 3; // roughly mid-torso / hand height; spare plugs bunch below
       const handX = player.x + handOffsetX;
       const handY = player.y + handOffsetY;
-      this._drawLine(gx, gy, handX, handY);
+      this._drawCord(points, handX, handY);
       // Draw dangling plug at player's hand
       this._drawPlug(handX, handY);
     }
 
-    // Draw plug at generator end
-    this._drawPlug(gx, gy);
+    // Draw plug at origin end
+    this._drawPlug(this.origin.x, this.origin.y);
+  }
+
+  /** Cord length along its wrapped path to where its end is now (px). */
+  get length() {
+    return pathLength([...this._points(), this._prevEnd ?? this.origin]);
+  }
+
+  /**
+   * Check if a terminal is within cord range of the cord's origin,
+   * measured along the cord's current path. The last stretch, to the
+   * terminal, goes round whatever is in the way like the rest of the cord.
+   */
+  isInRange(terminal) {
+    const points = this._points();
+    const left = CORD.MAX_LENGTH - pathLength(points);
+    const rects = this._obstacles().map(obstacleRect).filter(Boolean);
+    return shortestCordLength(points[points.length - 1], terminal, rects, { maxLength: left }) <= left;
+  }
+
+  // ───── Wrapping ─────
+
+  /** Move the cord's end to `end`, letting go of and catching on corners. */
+  _route(end) {
+    const prev = this._prevEnd;
+    this._prevEnd = end;
+
+    // A jump this big is a respawn, not a swing — start the cord over
+    if (!prev || Phaser.Math.Distance.Between(prev.x, prev.y, end.x, end.y) > TELEPORT_DISTANCE) {
+      this.wraps = [];
+    }
+    this.wraps = this.wraps.filter(w => obstacleRect(w.obstacle));
+
+    const origin = this.origin;
+    const rects = this._obstacles()
+      .map(obstacle => ({ obstacle, rect: obstacleRect(obstacle) }))
+      .filter(o => o.rect && !rectContains(o.rect, origin.x, origin.y) && !rectContains(o.rect, end.x, end.y));
+
+    this._unwrap(end);
+    this._wrap(prev ?? end, end, rects);
+  }
+
+  /** Let go of the last corners while the cord past them has swung back straight. */
+  _unwrap(end) {
+    while (this.wraps.length > 0) {
+      const w = this.wraps[this.wraps.length - 1];
+      const a = this._anchor(this.wraps.length - 2);
+      const p = this._wrapPoint(w);
+      if (bend(a, p, end) * w.side > 0) return;
+      this.wraps.pop();
+    }
+  }
+
+  /**
+   * Catch on corners while the last straight stretch (last anchor → end)
+   * runs through an obstacle. The cord goes round the side it swung in
+   * from (`prev`), or — when it didn't swing (an obstacle moved into it,
+   * or the cord was just laid) — the shortest way round.
+   */
+  _wrap(prev, end, rects) {
+    for (let n = 0; n < MAX_WRAPS_PER_FRAME; n++) {
+      const a = this._anchor(this.wraps.length - 1);
+      const blocking = rects.filter(o => segmentHitsRect(a.x, a.y, end.x, end.y, o.rect));
+      if (blocking.length === 0) return;
+
+      const corner = tangentCorner(a, prev, end, blocking, rects) ?? detourCorner(a, end, blocking, rects);
+      if (!corner) return;
+      const side = Math.sign(bend(a, corner, end));
+      if (side === 0) return;
+      this.wraps.push({ obstacle: corner.obstacle, sx: corner.sx, sy: corner.sy, side });
+    }
+  }
+
+  /** The origin (index -1) or a wrap's corner. */
+  _anchor(index) {
+    return index < 0 ? { x: this.origin.x, y: this.origin.y } : this._wrapPoint(this.wraps[index]);
+  }
+
+  _wrapPoint(w) {
+    return cornerPoint(obstacleRect(w.obstacle), w.sx, w.sy);
+  }
+
+  /** Origin and wrap corners, in order (the cord's end not included). */
+  _points() {
+    return [this._anchor(-1), ...this.wraps.map(w => this._wrapPoint(w))];
+  }
+
+  /**
+   * Everything the cord catches on: platforms, conveyors, fan housings,
+   * doors, elevators, moving platforms, push and heavy blocks.
+   */
+  _obstacles() {
+    const s = this.scene;
+    return [
+      ...(s.platforms?.getChildren() ?? []),
+      ...(s._conveyors ?? []),
+      ...(s._fans ?? []),
+      ...(s._doors ?? []),
+      ...(s._movers ?? []),
+      ...(s._pushBlocks ?? []),
+      ...(s._heavyBlocks ?? []),
+    ];
+  }
+
+  // ───── Drawing ─────
+
+  /**
+   * Draw the cord through its corners to (x, y) — slack and droopy when it
+   * runs straight and within range, pulled tight otherwise.
+   */
+  _drawCord(points, x, y) {
+    if (points.length === 1 && this.length <= CORD.MAX_LENGTH) {
+      this._drawLine(points[0].x, points[0].y, x, y);
+      return;
+    }
+    this.graphics.lineStyle(CORD.WIDTH, this.color, 1);
+    this.graphics.beginPath();
+    this.graphics.moveTo(points[0].x, points[0].y);
+    for (const p of points.slice(1)) this.graphics.lineTo(p.x, p.y);
+    this.graphics.lineTo(x, y);
+    this.graphics.strokePath();
   }
 
   /** Draw a segmented cord line. */
   _drawLine(x1, y1, x2, y2) {
-    this.graphics.lineStyle(CORD.WIDTH, CORD.COLOR, 1);
+    this.graphics.lineStyle(CORD.WIDTH, this.color, 1);
     this.graphics.beginPath();
     this.graphics.moveTo(x1, y1);
 
@@ -74,17 +230,6 @@ export class ExtensionCord {
     this.graphics.strokePath();
   }
 
-  /**
-   * Check if a terminal is within cord range of the generator.
-   */
-  isInRange(terminal) {
-    const dist = Phaser.Math.Distance.Between(
-      this.generator.x, this.generator.y,
-      terminal.x, terminal.y,
-    );
-    return dist <= CORD.MAX_LENGTH;
-  }
-
   /** Draw a small 2-prong plug icon at a point. */
   _drawPlug(px, py) {
     const pw = 6;
@@ -105,3 +250,84 @@ export class ExtensionCord {
     this.graphics.destroy();
   }
 }
+
+// ═══════════════════════════════════════════════════════════════
+//  HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+/** Where a free cord's end rides on the player, relative to its centre (px). */
+const HOLD_Y = -8;
+
+/** End movement per frame beyond which the cord is re-laid instead of swept (px). */
+const TELEPORT_DISTANCE = 200;
+
+/** Opacity of a cord that carries no power. */
+const DEAD_ALPHA = 0.4;
+
+/** Corners the cord may catch on in one frame. */
+const MAX_WRAPS_PER_FRAME = 8;
+
+/** World rect of an obstacle's physics body, or null if it has none right now. */
+function obstacleRect(obstacle) {
+  const body = obstacle.body;
+  if (!obstacle.active || !body || !body.enable) return null;
+  return { left: body.left, top: body.top, right: body.right, bottom: body.bottom };
+}
+
+/** Cross product of a→p and p→q: which way the cord turns at p (0 = straight). */
+function bend(a, p, q) {
+  return (p.x - a.x) * (q.y - p.y) - (p.y - a.y) * (q.x - p.x);
+}
+
+/** Free corners of the obstacles: not inside any other obstacle. */
+function* freeCorners(obstacles, rects) {
+  for (const o of obstacles) {
+    for (const c of rectCorners(o.rect)) {
+      if (!rects.some(r => rectContains(r.rect, c.x, c.y))) yield { ...c, obstacle: o.obstacle };
+    }
+  }
+}
+
+/**
+ * Where a stretch swung from `prev` into obstacles catches: the blocking
+ * obstacles' corner on the `prev` side of a→end that sticks out furthest
+ * from the straight line (the tangent from `a`), or null.
+ */
+function tangentCorner(a, prev, end, blocking, rects) {
+  const side = Math.sign(bend(a, end, prev));
+  if (side === 0) return null;
+
+  let best = null;
+  let bestTurn = -1;
+  for (const c of freeCorners(blocking, rects)) {
+    if (bend(a, end, c) * side < 0) continue;
+    if (Math.hypot(c.x - a.x, c.y - a.y) < 0.5) continue;
+    if (rects.some(r => segmentHitsRect(a.x, a.y, c.x, c.y, r.rect))) continue;
+
+    const ux = end.x - a.x;
+    const uy = end.y - a.y;
+    const vx = c.x - a.x;
+    const vy = c.y - a.y;
+    const turn = Math.abs(Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy));
+    if (turn > bestTurn) {
+      best = c;
+      bestTurn = turn;
+    }
+  }
+  return best;
+}
+
+/** The blocking obstacles' corner giving the shortest a → corner → end, or null. */
+function detourCorner(a, end, blocking, rects) {
+  let best = null;
+  let bestLength = Infinity;
+  for (const c of freeCorners(blocking, rects)) {
+    if (rects.some(r => segmentHitsRect(a.x, a.y, c.x, c.y, r.rect))) continue;
+    const length = Math.hypot(c.x - a.x, c.y - a.y) + Math.hypot(end.x - c.x, end.y - c.y);
+    if (length < bestLength) {
+      best = c;
+      bestLength = length;
+    }
+  }
+  return best;
+}
@@ -6,7 +6,14 @@ import { GENERATOR } from '../config.js';
  *
  * Two types:
  *   - PRIMARY (isPrimary=true): hero carries cord from this to terminals
- *   - SECONDARY (isPrimary=false): auto-activates linked elements when triggered
+ *   - SECONDARY (isPrimary=false): once activated, a PowerNetwork source for
+ *     the elements linked to it (`autoActivateIds`)
+ *
+ * A generator with a `capacity` (W) has a breaker. Every powered element
+ * downstream of it draws its `load`; when the total goes over capacity the
+ * breaker trips and the generator supplies nothing (a primary's cords go
+ * dead) until the hero resets it at the generator. GeneratorSystem weighs
+ * the loads; a meter above the generator shows them.
  *
  * Static object — doesn't move.
  */
@@ -17,16 +24,18 @@ export class Generator extends Phaser.Physics.Arcade.Sprite {
     scene.physics.add.existing(this, true); // static
 
     this.elementId = null; // set by GameScene
+    this.network = null;   // set by GameScene
 
     // Generator type
     this.isPrimary = options.isPrimary !== false; // default true
     this.isActivated = options.isActivated ?? this.isPrimary; // secondaries start inactive
 
-    // List of element IDs this generator auto-activates (secondary only)
-    this.autoActivateIds = options.autoActivateIds || [];
-
-    // Track currently-active linked elements for deactivation
-    this._activeElements = new Map(); // elementId → element
+    // Breaker: W the generator supplies before it trips (no breaker without one)
+    this.capacity = options.capacity ?? Infinity;
+    this.load = 0;
+    this.tripped = false;
+    this._meter = null;
+    if (this.hasBreaker) this._initMeter();
 
     // Debug/ID labels removed (visual-only)
     this._label = null;
@@ -81,6 +90,73 @@ export class Generator extends Phaser.Physics.Arcade.Sprite {
     }
   }
 
+  /** @returns {boolean} Whether the generator has a breaker (a finite capacity). */
+  get hasBreaker() {
+    return Number.isFinite(this.capacity);
+  }
+
+  /** @returns {boolean} Whether the generator supplies power right now. */
+  get supplying() {
+    return this.isActivated && !this.tripped;
+  }
+
+  /** Load meter and breaker light above the generator. */
+  _initMeter() {
+    this._meter = this.scene.add.graphics({ x: this.x, y: this.y - GENERATOR.HEIGHT / 2 - 10 });
+    this._meter.setDepth(1);
+    this._tripLabel = this.scene.add.text(this.x, this.y - GENERATOR.HEIGHT / 2 - 16, 'TRIPPED', {
+      fontSize: '9px', fontFamily: 'monospace', color: '#ff3333',
+    }).setOrigin(0.5, 1).setDepth(1).setVisible(false);
+    this._drawMeter();
+  }
+
+  _drawMeter() {
+    const g = this._meter;
+    if (!g) return;
+    const w = GENERATOR.WIDTH;
+    const fill = Math.min(1, this.load / this.capacity);
+    g.clear();
+    g.fillStyle(0x111111, 1);
+    g.fillRect(-w / 2, -2, w, 4);
+    if (this.tripped) {
+      // Blink the whole bar while tripped
+      if (this.scene.time.now % 600 < 300) {
+        g.fillStyle(GENERATOR.TRIPPED, 1);
+        g.fillRect(-w / 2, -2, w, 4);
+      }
+    } else {
+      g.fillStyle(fill >= GENERATOR.LOAD_WARN ? GENERATOR.LOAD_HIGH : GENERATOR.LOAD_OK, 1);
+      g.fillRect(-w / 2, -2, w * fill, 4);
+    }
+    this._tripLabel.setVisible(this.tripped);
+  }
+
+  /**
+   * Set the load drawn right now and redraw the meter (GeneratorSystem).
+   * @param {number} load - W
+   */
+  setLoad(load) {
+    this.load = load;
+    this._drawMeter();
+  }
+
+  /** Overloaded: cut the power until resetBreaker(). */
+  trip() {
+    if (this.tripped) return;
+    this.tripped = true;
+    if (!this.isPrimary) this.network?.setSource(this, false);
+    this._drawMeter();
+    this.scene.events.emit('breaker-tripped', { generatorId: this.elementId });
+  }
+
+  /** The hero resets the breaker: power comes back (and trips again if still overloaded). */
+  resetBreaker() {
+    if (!this.tripped) return;
+    this.tripped = false;
+    if (!this.isPrimary) this.network?.setSource(this, this.isActivated);
+    this._drawMeter();
+  }
+
   /**
    * Set label text
    */
@@ -90,52 +166,35 @@ export class Generator extends Phaser.Physics.Arcade.Sprite {
   }
 
   /**
-   * Activate this generator and all its linked elements (secondary only).
+   * Activate this generator (secondary only), powering its linked elements.
    * For primary generators, this is a no-op (they're always "on" via cord).
-   * @param {Object.<string, Phaser.Physics.Arcade.Sprite>} elementsById
    */
-  activate(elementsById = {}) {
+  activate() {
     if (this.isPrimary) return; // primary generators don't auto-activate
 
     this.isActivated = true;
     if (this._label) this._label.setColor(this._getLabelColor());
     this._updateGlow();
-
-    // Activate all linked elements (permanently — generator power doesn't toggle)
-    for (const id of this.autoActivateIds) {
-      const element = elementsById[id];
-      if (element && element.activate) {
-        element._permanentlyPowered = true;
-        element.activate();
-        this._activeElements.set(id, element);
-      }
-    }
+    this.network?.setSource(this, !this.tripped);
 
     // Emit event for debugging/UI
     this.scene.events.emit('generator-activated', {
       generatorId: this.elementId,
-      activatedElements: Array.from(this._activeElements.keys()),
+      activatedElements: (this.network?.linksFrom(this) ?? []).map(el => el.elementId),
     });
   }
 
   /**
-   * Deactivate this generator and all its linked elements (secondary only).
-   * @param {Object.<string, Phaser.Physics.Arcade.Sprite>} elementsById
+   * Deactivate this generator (secondary only). Its linked elements lose
+   * this generator's power; ones with another live source stay on.
    */
-  deactivate(elementsById = {}) {
+  deactivate() {
     if (this.isPrimary) return; // primary generators don't auto-deactivate
 
     this.isActivated = false;
     if (this._label) this._label.setColor(this._getLabelColor());
     this._updateGlow();
-
-    // Deactivate all currently-active linked elements
-    for (const [id, element] of this._activeElements.entries()) {
-      if (element && element.deactivate) {
-        element.deactivate();
-      }
-    }
-    this._activeElements.clear();
+    this.network?.setSource(this, false);
 
     // Emit event for debugging/UI
     this.scene.events.emit('generator-deactivated', {
@@ -143,15 +202,12 @@ export class Generator extends Phaser.Physics.Arcade.Sprite {
     });
   }
 
-  /**
-   * Toggle activation state (secondary only)
-   * @param {Object.<string, Phaser.Physics.Arcade.Sprite>} elementsById
-   */
-  toggle(elementsById = {}) {
+  /** Toggle activation state (secondary only) */
+  toggle() {
     if (this.isActivated) {
-      this.deactivate(elementsById);
+      this.deactivate();
     } else {
-      this.activate(elementsById);
+      this.activate();
     }
   }
 
@@ -167,6 +223,11 @@ export class Generator extends Phaser.Physics.Arcade.Sprite {
       this._label.destroy();
       this._label = null;
     }
+    if (this._meter) {
+      this._meter.destroy();
+      this._tripLabel.destroy();
+      this._meter = null;
+    }
     super.destroy(fromScene);
   }
 }
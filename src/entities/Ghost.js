@@ -0,0 +1,57 @@
+import Phaser from 'phaser';
+import { REPLAY } from '../config.js';
+
+/**
+ * Ghost — a translucent Sparky Joe retracing a recorded run.
+ *
+ * Purely visual: no physics body, no collisions. Follows the pose samples a
+ * ReplaySystem recording stores (`ghost: [[ms, x, y, flipX, anim], …]`),
+ * interpolating position between samples. Fades out when the run ends.
+ *
+ * @param {Phaser.Scene} scene
+ * @param {object} recording - A ReplaySystem recording with ghost samples.
+ */
+export class Ghost extends Phaser.GameObjects.Sprite {
+  constructor(scene, recording) {
+    const [, x, y] = recording.ghost[0];
+    super(scene, x, y, 'electrician', 0);
+    scene.add.existing(this);
+
+    this.setAlpha(REPLAY.GHOST_ALPHA);
+    this.setTint(REPLAY.GHOST_TINT);
+    this.setDepth(9); // just behind the player
+
+    this._samples = recording.ghost;
+    this._index = 0;
+    this._anim = null;
+    this._finished = false;
+  }
+
+  /**
+   * Move to where the recorded run was at `time` ms into the level.
+   * @param {number} time
+   */
+  follow(time) {
+    if (this._finished) return;
+
+    const samples = this._samples;
+    while (this._index < samples.length - 1 && samples[this._index + 1][0] <= time) this._index++;
+
+    const [t0, x0, y0, flip, anim] = samples[this._index];
+    const next = samples[this._index + 1];
+    if (next) {
+      const k = Phaser.Math.Clamp((time - t0) / (next[0] - t0), 0, 1);
+      this.setPosition(Phaser.Math.Linear(x0, next[1], k), Phaser.Math.Linear(y0, next[2], k));
+    } else {
+      this.setPosition(x0, y0);
+      this._finished = true;
+      this.scene.tweens.add({ targets: this, alpha: 0, duration: 600, delay: 400 });
+    }
+
+    this.setFlipX(flip === 1);
+    if (anim !== this._anim && this.scene.anims.exists(anim)) {
+      this._anim = anim;
+      this.play(anim, true);
+    }
+  }
+}
@@ -6,7 +6,8 @@ import { HEAVY_BLOCK } from '../config.js';
  *
  * Behavior:
  *   - Falls with world gravity (dynamic body).
- *   - Collides with platforms, push blocks (via topPlatform), doors, elevators.
+ *   - Collides with platforms, push blocks (via topPlatform), doors, elevators,
+ *     moving platforms.
  *   - Player collides with it (solid wall) and can stand on its topPlatform.
  *   - Player CANNOT grab, push, or move it in any way.
  *   - If its support is removed (e.g. a push block pulled out from under it),
@@ -0,0 +1,35 @@
+import { Terminal } from './Terminal.js';
+
+/**
+ * JunctionBox — relays cord power. The hero plugs a cord into it like a
+ * terminal; while that cord is live the box is live too, and a cord run
+ * out of the box carries power on from there, so power can chain further
+ * than one cord reaches.
+ *
+ * A cord comes out of a live box two ways (GameScene._handleAction):
+ *   - the box's own cord reel (`reel`): the hero takes the reel's plug,
+ *     which adds a cord to the ones they carry, starting at the box
+ *   - a spare cord the hero is carrying: its far end is moved from
+ *     wherever it was fed to the box
+ *
+ * Player keeps track of which box feeds which cord and of which reels
+ * have been taken (Player.cordOrigins / cordHomes). A box powers no
+ * element itself, so nothing is linked to it in the PowerNetwork.
+ *
+ * Properties:
+ *   this.powered — whether a live cord is plugged in (the box is live)
+ *   this.reel    — whether the box has a cord reel to take
+ */
+export class JunctionBox extends Terminal {
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {number} x
+   * @param {number} y
+   * @param {object} [opts]
+   * @param {boolean} [opts.reel=true] - Whether the box has its own cord to take.
+   */
+  constructor(scene, x, y, { reel = true } = {}) {
+    super(scene, x, y, { off: 'junction_box_off', on: 'junction_box_on' });
+    this.reel = reel;
+  }
+}
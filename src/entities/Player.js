@@ -8,11 +8,17 @@ import { music } from '../audio/ProceduralMusic.js';
  * Controls:
  *   Arrow keys        — move / jump
  *   Space             — jump
- *   D                 — action: plug/unplug extension cord at nearby terminal
+ *   D                 — action: plug/unplug the selected extension cord at nearby terminal,
+ *                       or run a cord out of a live junction box
  *   F                 — interact: grab/release push block
+ *   C                 — select the next cord (levels with several cords)
  *
  * State:
- *   this.cordConnectedTerminal — the Terminal currently powered, or null
+ *   this.cordTerminals         — per cord: the Terminal it is plugged into, or null
+ *   this.cordOrigins           — per cord: the JunctionBox feeding it, or null (the generator)
+ *   this.cordHomes             — per cord: the JunctionBox whose reel it is, or null
+ *   this.selectedCord          — index of the cord D plugs / pulls
+ *   this.cordConnectedTerminal — the selected cord's Terminal, or null
  *   this.grabbedBlock          — the PushBlock currently held, or null
  *   this.facingRight           — direction the hero faces
  *   this.spawnX / spawnY       — respawn position for death mechanic
@@ -26,8 +32,11 @@ import { music } from '../audio/ProceduralMusic.js';
  *   - attack: striking with extension cord plug
  */
 export class Player extends Phaser.Physics.Arcade.Sprite {
-  /** @param {Phaser.Scene} scene */
-  constructor(scene, x, y) {
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {number} [cords=1] - Extension cords carried (level data `player.cords`).
+   */
+  constructor(scene, x, y, cords = 1) {
     super(scene, x, y, 'electrician', 0);
     scene.add.existing(this);
     scene.physics.add.existing(this);
@@ -47,8 +56,26 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
     this.spawnX = x;
     this.spawnY = y;
 
-    /** Currently powered terminal (or null). */
-    this.cordConnectedTerminal = null;
+    /** Terminal each cord is plugged into (or null) — one entry per cord. */
+    this.cordTerminals = new Array(cords).fill(null);
+
+    /**
+     * JunctionBox each cord is fed from — null for the player's generator.
+     * A spare cord can be moved to a live box; death moves it back.
+     */
+    this.cordOrigins = new Array(cords).fill(null);
+
+    /**
+     * JunctionBox each cord was reeled out of (see addCord) — null for
+     * the cords the level starts with. Reeled cords go back on death.
+     */
+    this.cordHomes = new Array(cords).fill(null);
+
+    /** Index into cordTerminals of the cord the action button works with. */
+    this.selectedCord = 0;
+
+    /** Terminals this player's cords are currently powering. */
+    this._poweredPlugs = new Set();
 
     /** Currently grabbed PushBlock (or null). */
     this.grabbedBlock = null;
@@ -78,11 +105,13 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
       jump: 'SPACE',
       action: 'D',     // plug/unplug cord
       interact: 'F',   // grab/release block
+      cycleCord: 'C',  // select next cord
     });
 
     // Prevent key repeat on action buttons — only fire once per press
     this._actionJustPressed = false;
     this._interactJustPressed = false;
+    this._cycleCordJustPressed = false;
 
     /** Virtual touch input state (populated by TouchControls on mobile). */
     this._touch = null;
@@ -105,30 +134,53 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
 
   /**
    * Returns true if the player is supported by the world (ground/platform)
-   * or standing on a moving elevator.
+   * or standing on a moving surface (elevator, moving platform).
    */
   isSupported() {
     if (this.body.blocked.down) return true;
 
     // Arcade Physics can report blocked.down=false on moving static bodies.
-    // Detect standing on elevator tops so grabbing/jumping behaves correctly.
-    const elevs = this.scene?._elevators;
-    if (!elevs || elevs.length === 0) return false;
+    // Detect standing on their tops so grabbing/jumping behaves correctly.
+    // Sloped or swinging drawbridge planks have no body at all.
+    if (this.scene?._drawbridges?.some(bridge => bridge.supports(this.body))) return true;
+    const movers = this.scene?._movers;
+    if (!movers || movers.length === 0) return false;
 
     const px = this.x;
     const py = this.y + this.body.halfHeight;
-    for (const elev of elevs) {
-      const ex = elev.x;
-      const ey = elev.y - elev._h / 2;
-      const onTop = Math.abs(px - ex) < elev._w / 2 + 4 &&
-                    Math.abs(py - ey) < 8;
+    for (const mover of movers) {
+      const mx = mover.x;
+      const my = mover.y - mover._h / 2;
+      const onTop = Math.abs(px - mx) < mover._w / 2 + 4 &&
+                    Math.abs(py - my) < 8;
       if (onTop) return true;
     }
     return false;
   }
 
-  /** Called every frame from GameScene.update(). */
-  update() {
+  /**
+   * The controls as Player.update reads them — keyboard and touch merged.
+   * ReplaySystem records these each frame and feeds them back on playback.
+   */
+  readInput() {
+    const touch = this._getTouchState();
+    return {
+      left: this.cursors.left.isDown || !!touch?.left,
+      right: this.cursors.right.isDown || !!touch?.right,
+      jump: this.cursors.up.isDown || this.keys.jump.isDown || !!touch?.up,
+      action: this.keys.action.isDown || !!touch?.action,
+      interact: this.keys.interact.isDown || !!touch?.interact,
+      actionTap: !!touch?.actionJustPressed,
+      interactTap: !!touch?.interactJustPressed,
+      cycleCord: this.keys.cycleCord.isDown || !!touch?.cycleCord,
+    };
+  }
+
+  /**
+   * Called every frame from GameScene.update().
+   * @param {object} [input] - This frame's controls (see readInput).
+   */
+  update(input = this.readInput()) {
     if (this._isDead) return;
     if (this._isAttacking) return; // freeze movement during attack
     if (this._isRepairing) return; // freeze during repair cutscene
@@ -136,15 +188,12 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
     const onGround = this.isSupported();
     const isMoving = Math.abs(this.body.velocity.x) > 5; // Small threshold to ignore tiny movements
 
-    // --- Virtual touch state (mobile) ---
-    const touch = this._getTouchState();
-
     // --- Horizontal movement ---
-    if (this.cursors.left.isDown || touch?.left) {
+    if (input.left) {
       this.setVelocityX(-PLAYER.SPEED);
       this.facingRight = false;
       this.setFlipX(true);
-    } else if (this.cursors.right.isDown || touch?.right) {
+    } else if (input.right) {
       this.setVelocityX(PLAYER.SPEED);
       this.facingRight = true;
       this.setFlipX(false);
@@ -163,30 +212,32 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
     }
 
     // --- Jump ---
-    if ((this.cursors.up.isDown || this.keys.jump.isDown || touch?.up) && onGround) {
+    if (input.jump && onGround) {
       // Release block before jumping
       if (this.grabbedBlock) this.releaseBlock();
       this.setVelocityY(PLAYER.JUMP_VELOCITY);
     }
 
     // --- Action button (D) — plug / unplug cord ---
-    const actionDown = this.keys.action.isDown || (touch?.action ?? false);
-    const touchActionJust = touch?.actionJustPressed ?? false;
-    if ((actionDown && !this._actionJustPressed) || touchActionJust) {
+    const actionDown = input.action;
+    if ((actionDown && !this._actionJustPressed) || input.actionTap) {
       this._actionJustPressed = true;
       this.scene.events.emit('player-action', this);
     }
     if (!actionDown) this._actionJustPressed = false;
 
     // --- Interact button (F) — grab / release block ---
-    const interactDown = this.keys.interact.isDown || (touch?.interact ?? false);
-    const touchInteractJust = touch?.interactJustPressed ?? false;
-    if ((interactDown && !this._interactJustPressed) || touchInteractJust) {
+    const interactDown = input.interact;
+    if ((interactDown && !this._interactJustPressed) || input.interactTap) {
       this._interactJustPressed = true;
       this.scene.events.emit('player-interact', this);
     }
     if (!interactDown) this._interactJustPressed = false;
 
+    // --- Cord selector (C) ---
+    if (input.cycleCord && !this._cycleCordJustPressed) this.selectNextCord();
+    this._cycleCordJustPressed = !!input.cycleCord;
+
     // --- Animation state machine ---
     this._updateAnimation(onGround, isMoving);
   }
@@ -232,19 +283,131 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
     this._wasAirborne = !onGround;
   }
 
-  /** Connect cord to a terminal. */
-  connectTo(terminal) {
-    // Should never be called while already connected — caller must enforce
-    if (this.cordConnectedTerminal) return;
-    this.cordConnectedTerminal = terminal;
-    terminal.setPowered(true);
+  /** The selected cord's terminal, or null while that plug is in hand. */
+  get cordConnectedTerminal() {
+    return this.cordTerminals[this.selectedCord];
+  }
+
+  /** The Generator or JunctionBox feeding a cord. */
+  cordOrigin(index = this.selectedCord) {
+    return this.cordOrigins[index] ?? this.generator;
+  }
+
+  /**
+   * Connect a cord to a terminal.
+   * @param {number} [index] - Cord to plug in (default: the selected one).
+   */
+  connectTo(terminal, index = this.selectedCord) {
+    // Should never be called for a plugged cord or terminal — caller must enforce
+    if (this.cordTerminals[index] || this.cordTerminals.includes(terminal)) return;
+    this.cordTerminals[index] = terminal;
+    this.refreshCordPower();
+  }
+
+  /**
+   * Disconnect a cord from its terminal.
+   * @param {number} [index] - Cord to pull (default: the selected one).
+   */
+  disconnectCord(index = this.selectedCord) {
+    if (this.cordTerminals[index]) {
+      this.cordTerminals[index] = null;
+      this.refreshCordPower();
+    }
   }
 
-  /** Disconnect cord from current terminal. */
-  disconnectCord() {
-    if (this.cordConnectedTerminal) {
-      this.cordConnectedTerminal.setPowered(false);
-      this.cordConnectedTerminal = null;
+  /** Pull every cord, hand reeled cords back and feed the rest from the generator again (death). */
+  disconnectAllCords() {
+    this.cordTerminals.fill(null);
+    this.refreshCordPower();
+
+    // Reeled cords come after the level's own, so keep the first `count`
+    const count = this.cordHomes.filter(home => !home).length;
+    this.cordTerminals = new Array(count).fill(null);
+    this.cordOrigins = new Array(count).fill(null);
+    this.cordHomes = new Array(count).fill(null);
+    this.selectedCord = 0;
+  }
+
+  /**
+   * Take the cord reel out of a junction box: a new cord, fed from the box.
+   * @param {import('./JunctionBox.js').JunctionBox} box
+   * @returns {number} The new cord's index.
+   */
+  addCord(box) {
+    this.cordTerminals.push(null);
+    this.cordOrigins.push(box);
+    this.cordHomes.push(box);
+    return this.cordTerminals.length - 1;
+  }
+
+  /** True once the box's reel has been taken (until death). */
+  hasCordFrom(box) {
+    return this.cordHomes.includes(box);
+  }
+
+  /**
+   * Feed a free cord from a junction box instead (the hero moves its far
+   * end there).
+   * @param {import('./JunctionBox.js').JunctionBox} box
+   * @param {number} [index] - Cord to move (default: the selected one).
+   */
+  feedCordFrom(box, index = this.selectedCord) {
+    if (this.cordTerminals[index]) return; // caller must enforce
+    this.cordOrigins[index] = box;
+  }
+
+  /**
+   * True if a cord carries power: fed from the generator (unless its
+   * breaker has tripped), or from a junction box that a live cord is
+   * plugged into.
+   */
+  isCordLive(index) {
+    const live = new Set();
+    for (let grew = true; grew;) {
+      grew = false;
+      this.cordOrigins.forEach((origin, i) => {
+        if (live.has(i)) return;
+        if ((!origin && !this.generator?.tripped) || this.cordTerminals.some((t, j) => t === origin && live.has(j))) {
+          live.add(i);
+          grew = true;
+        }
+      });
+    }
+    return live.has(index);
+  }
+
+  /**
+   * Power exactly the terminals that live cords are plugged into —
+   * pulling one cord can cut power to a whole chain of junction boxes.
+   */
+  refreshCordPower() {
+    const plugs = new Set(this.cordTerminals.filter((t, i) => t && this.isCordLive(i)));
+    for (const t of this._poweredPlugs) {
+      if (!plugs.has(t)) t.setPowered(false);
+    }
+    for (const t of plugs) {
+      if (!this._poweredPlugs.has(t)) t.setPowered(true);
+    }
+    this._poweredPlugs = plugs;
+  }
+
+  /** Select the next cord, wrapping around. */
+  selectNextCord() {
+    this.selectedCord = (this.selectedCord + 1) % this.cordTerminals.length;
+  }
+
+  /**
+   * Select the first free cord after the current one (wrapping), if any —
+   * so after plugging in, the next press of D works with a plug in hand.
+   */
+  selectNextFreeCord() {
+    const count = this.cordTerminals.length;
+    for (let step = 1; step < count; step++) {
+      const i = (this.selectedCord + step) % count;
+      if (!this.cordTerminals[i]) {
+        this.selectedCord = i;
+        return;
+      }
     }
   }
 
@@ -269,7 +432,7 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
    */
   attack() {
     if (this._isDead || this._isAttacking) return false;
-    if (this.cordConnectedTerminal) return false; // cord in use
+    if (this.cordConnectedTerminal) return false; // selected cord in use
 
     this._isAttacking = true;
     this.setVelocityX(0); // freeze horizontal movement
@@ -294,18 +457,19 @@ export class Player extends Phaser.Physics.Arcade.Sprite {
   }
 
   /**
-   * Kill the player — plays a brief flash, disconnects cord, resets position.
+   * Kill the player — plays a brief flash, disconnects cords, resets position.
    * Called by GameScene when player overlaps with spikes.
    */
   die() {
     if (this._isDead) return;
     this._isDead = true;
+    this.scene.events.emit('player-died', this);
 
     // Release any grabbed block
     this.releaseBlock();
 
-    // Disconnect cord
-    this.disconnectCord();
+    // Disconnect cords
+    this.disconnectAllCords();
     this.scene.events.emit('cord-changed', null);
 
     // Death sound
@@ -0,0 +1,16 @@
+import { Terminal } from './Terminal.js';
+
+/**
+ * PowerStrip — a terminal with several sockets: one cord plugged into it
+ * powers every element on its `linkTo` list at once. A terminal's `linkTo`
+ * may be a list too (see utils/powerLinks.js); the strip is the same plug
+ * point drawn so the player reads "several things" at a glance.
+ *
+ * Properties:
+ *   this.powered — whether a live cord is plugged in
+ */
+export class PowerStrip extends Terminal {
+  constructor(scene, x, y) {
+    super(scene, x, y, { off: 'power_strip_off', on: 'power_strip_on' });
+  }
+}
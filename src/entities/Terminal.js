@@ -2,59 +2,65 @@ import Phaser from 'phaser';
 import { TERMINAL } from '../config.js';
 
 /**
- * Terminal — a plug point on a puzzle element.
+ * Terminal — a plug point on one or more puzzle elements.
  * The hero stands near it and presses E to connect/disconnect the cord.
- * When powered, it activates its linked puzzle element.
+ * It is a source in the PowerNetwork: while powered, the elements it is
+ * linked to there (`linkTo`) receive power — except inverted links, which
+ * power their element while the terminal is NOT powered.
+ *
+ * When the player comes close it shows what it controls: a wire to each
+ * linked element, lit while that link carries power (inverted links end in
+ * a ring), and a caption naming them.
  *
  * Properties:
- *   this.powered      — whether the cord is plugged in
- *   this.linkedElement — the puzzle element this terminal controls
+ *   this.powered — whether a live cord is plugged in
+ *   this.network — the scene's PowerNetwork (set by GameScene)
+ *   this.links   — [{ element, invert }] this terminal drives
  */
 export class Terminal extends Phaser.Physics.Arcade.Sprite {
-  constructor(scene, x, y) {
-    // Use outlet texture if available, fallback to plain rectangle
-    const textureKey = scene.textures.exists('outlet_off') ? 'outlet_off' : 'terminal';
-    super(scene, x, y, textureKey);
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {number} x
+   * @param {number} y
+   * @param {{ off: string, on: string }} [textures] - Unpowered / powered texture keys.
+   */
+  constructor(scene, x, y, textures = OUTLET_TEXTURES) {
+    // Use the given textures if available, fallback to plain rectangle
+    const useTextures = scene.textures.exists(textures.off);
+    super(scene, x, y, useTextures ? textures.off : 'terminal');
     scene.add.existing(this);
     scene.physics.add.existing(this, true); // static
 
     this.elementId = null;
     this.powered = false;
-    this._useOutletTexture = scene.textures.exists('outlet_off');
-
-    /** The puzzle element this terminal powers */
-    this.linkedElement = null;
+    this._textures = useTextures ? textures : { off: 'terminal', on: 'terminal_powered' };
+    this.network = null;
+    this.links = [];
 
     // Debug/ID labels removed (visual-only)
+
+    /** Link wires and caption, created on first show. */
+    this._linkWires = null;
+    this._linkCaption = null;
   }
 
   /**
-   * Link this terminal to a puzzle element.
-   * When powered, it calls element.activate(); when unpowered, element.deactivate().
+   * Link the elements this terminal drives in the PowerNetwork.
+   * @param {{ element: object, invert: boolean }[]} links
    */
-  linkTo(element) {
-    this.linkedElement = element;
+  linkTo(links) {
+    this.links = links;
+    for (const { element, invert } of links) this.network?.connect(this, element, { invert });
   }
 
   /**
-   * Set powered state. Called by Player.connectTo() / Player.disconnectCord().
+   * Set powered state. Called by Player.refreshCordPower() when a live
+   * cord is plugged in or pulled, or loses its own power.
    */
   setPowered(value) {
     this.powered = value;
-    // Swap texture to outlet on/off or fallback
-    if (this._useOutletTexture) {
-      this.setTexture(value ? 'outlet_on' : 'outlet_off');
-    } else {
-      this.setTexture(value ? 'terminal_powered' : 'terminal');
-    }
-    // Activate or deactivate linked element
-    if (this.linkedElement) {
-      if (value) {
-        this.linkedElement.activate();
-      } else {
-        this.linkedElement.deactivate();
-      }
-    }
+    this.setTexture(value ? this._textures.on : this._textures.off);
+    this.network?.setSource(this, value);
   }
 
   /**
@@ -64,4 +70,53 @@ export class Terminal extends Phaser.Physics.Arcade.Sprite {
     const dist = Phaser.Math.Distance.Between(this.x, this.y, player.x, player.y);
     return dist <= TERMINAL.INTERACT_RANGE;
   }
+
+  /**
+   * Show the link wires and caption while the player is near (call every
+   * frame — linked elements move).
+   * @param {import('./Player.js').Player} player
+   */
+  updateLinkHint(player) {
+    if (this.links.length === 0) return;
+    const near = Phaser.Math.Distance.Between(this.x, this.y, player.x, player.y) <= TERMINAL.LINK_HINT_RANGE;
+    if (!near) {
+      this._linkWires?.clear();
+      this._linkCaption?.setVisible(false);
+      return;
+    }
+    if (!this._linkWires) this._createLinkHint();
+
+    const g = this._linkWires;
+    g.clear();
+    for (const { element, invert } of this.links) {
+      const live = this.powered !== invert;
+      g.lineStyle(2, live ? TERMINAL.LINK_ON : TERMINAL.LINK_OFF, 0.8);
+      g.lineBetween(this.x, this.y, element.x, element.y);
+      if (invert) g.strokeCircle(element.x, element.y, 5);
+      else g.fillStyle(live ? TERMINAL.LINK_ON : TERMINAL.LINK_OFF, 0.8).fillCircle(element.x, element.y, 3);
+    }
+    this._linkCaption.setVisible(true);
+  }
+
+  destroy(fromScene) {
+    this._linkWires?.destroy();
+    this._linkCaption?.destroy();
+    super.destroy(fromScene);
+  }
+
+  _createLinkHint() {
+    this._linkWires = this.scene.add.graphics();
+    this._linkWires.setDepth(-1); // behind gameplay, like logic gate wires
+    const names = this.links.map(({ element, invert }) => `${invert ? 'NOT ' : ''}${element.elementId}`);
+    this._linkCaption = this.scene.add.text(this.x, this.y - this.height / 2 - 6, names.join(', '), {
+      fontSize: '11px', fontFamily: 'monospace', color: '#ffdd33',
+      backgroundColor: '#000000aa', padding: { x: 3, y: 1 },
+    }).setOrigin(0.5, 1).setDepth(200);
+  }
 }
+
+// ═══════════════════════════════════════════════════════════════
+//  HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+const OUTLET_TEXTURES = { off: 'outlet_off', on: 'outlet_on' };
@@ -0,0 +1,149 @@
+import Phaser from 'phaser';
+import { WATER_POOL, TERMINAL } from '../config.js';
+
+/**
+ * WaterPool — standing water that is a hazard while electrified.
+ *
+ * The water is electrified while a linked terminal (or any other source
+ * linked to it) is powered, or while a live cord is dropped into it. The
+ * hero drops the cord in with the action key (D) from the water's edge,
+ * like plugging it into a terminal, and pulls it out the same way.
+ *
+ * Electrified water kills the player standing in it, as spikes do, and
+ * zaps any enemy that walks into it (GameScene overlaps). A push block or
+ * heavy block set in the pool is a safe stepping stone: standing on it the
+ * player is out of the water.
+ *
+ * GameScene keeps it in `terminals` with the other plug points, so it
+ * implements their interface (powered, setPowered, isPlayerInRange,
+ * updateLinkHint); it powers nothing itself. Linked terminals switch it
+ * through the PowerNetwork (activate / deactivate).
+ *
+ * Constructor options:
+ * @param {Phaser.Scene} scene
+ * @param {object} opts
+ * @param {number} opts.x        - Center X of the water. Required.
+ * @param {number} opts.y        - Center Y of the water. Required.
+ * @param {number} opts.width    - Width of the pool. Required.
+ * @param {number} [opts.height] - Water depth (default: WATER_POOL.HEIGHT).
+ */
+export class WaterPool extends Phaser.Physics.Arcade.Sprite {
+  constructor(scene, opts) {
+    const w = opts.width;
+    const h = opts.height ?? WATER_POOL.HEIGHT;
+
+    // Water texture — translucent body with a lighter surface line
+    const key = `water_pool_${w}x${h}`;
+    if (!scene.textures.exists(key)) {
+      const g = scene.add.graphics();
+      g.fillStyle(WATER_POOL.COLOR, 0.75);
+      g.fillRect(0, 0, w, h);
+      g.fillStyle(0x6a8aaa, 0.8);
+      g.fillRect(0, 0, w, 2);
+      g.generateTexture(key, w, h);
+      g.destroy();
+    }
+
+    super(scene, opts.x, opts.y, key);
+    scene.add.existing(this);
+    scene.physics.add.existing(this, true); // static body for overlap
+    this.setDepth(11); // in front of the player's feet
+
+    this.elementId = 'pool';
+    this.network = null; // set by GameScene
+
+    /** A live cord is dropped in (Player.refreshCordPower). */
+    this.powered = false;
+
+    /** Plug-point interface: the water powers nothing. */
+    this.links = [];
+
+    this._w = w;
+    this._h = h;
+    this._fed = false;
+    this._clock = 0;
+
+    this._arcs = scene.add.graphics().setDepth(12);
+  }
+
+  /** Whether the water kills what stands in it. */
+  get isElectrified() {
+    return this.powered || this._fed;
+  }
+
+  /** A linked source is powered. */
+  activate() {
+    this._fed = true;
+  }
+
+  /** The last linked source went off. */
+  deactivate() {
+    this._fed = false;
+  }
+
+  /**
+   * A live cord was dropped in or pulled out (or lost its power). Called by
+   * Player.refreshCordPower(), as for a terminal.
+   */
+  setPowered(value) {
+    this.powered = value;
+  }
+
+  /** Whether the player is within TERMINAL.INTERACT_RANGE of the water. */
+  isPlayerInRange(player) {
+    const nx = Phaser.Math.Clamp(player.x, this.x - this._w / 2, this.x + this._w / 2);
+    const ny = Phaser.Math.Clamp(player.y, this.y - this._h / 2, this.y + this._h / 2);
+    return Phaser.Math.Distance.Between(nx, ny, player.x, player.y) <= TERMINAL.INTERACT_RANGE;
+  }
+
+  /** Plug-point interface: nothing is linked, so there is nothing to show. */
+  updateLinkHint() {}
+
+  /**
+   * Redraw the arcs crackling over electrified water. Call every frame
+   * (GameScene.update).
+   * @param {number} delta - ms since the last frame.
+   */
+  update(delta) {
+    const g = this._arcs;
+    g.clear();
+    this.setTint(this.isElectrified ? 0x99ddff : 0xffffff);
+    if (!this.isElectrified) return;
+
+    // New zigzags every few frames, so the arcs flicker
+    this._clock += delta;
+    const seed = Math.floor(this._clock / 70);
+    const top = this.y - this._h / 2;
+    const left = this.x - this._w / 2;
+    const count = Math.max(1, Math.round(this._w / 48));
+    g.lineStyle(1, WATER_POOL.SPARK_COLOR, 0.9);
+    for (let i = 0; i < count; i++) {
+      let x = left + ((i + 0.5) * this._w) / count + (noise(seed, i) - 0.5) * 16;
+      let y = top;
+      g.beginPath();
+      g.moveTo(x, y);
+      for (let step = 1; step <= 4; step++) {
+        x += (noise(seed + step, i) - 0.5) * 10;
+        y = top - step * 3 * noise(seed, i + step);
+        g.lineTo(x, y);
+      }
+      g.strokePath();
+    }
+  }
+
+  destroy(fromScene) {
+    this._arcs?.destroy();
+    this._arcs = null;
+    super.destroy(fromScene);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+/** Cheap deterministic 0..1 noise, so the arcs don't need Math.random each frame. */
+function noise(a, b) {
+  const n = Math.sin(a * 12.9898 + b * 78.233) * 43758.5453;
+  return n - Math.floor(n);
+}
@@ -0,0 +1,138 @@
+/**
+ * CustomLevelLoader — plays level JSON that isn't compiled into LevelRegistry.
+ *
+ * Two entry points, both used by MenuScene:
+ *   - a .json file dropped onto the game
+ *   - the `?level=` query parameter, holding one of
+ *       a same-origin path    ?level=levels/my_room.json
+ *       URI-encoded JSON      ?level=%7B%22id%22%3A…
+ *       base64 JSON           ?level=eyJpZCI6…
+ *
+ * Accepts level data objects (e.g. the level editor's JSON export) and Tiled
+ * maps (converted by TiledLevelLoader.js). The level is checked with
+ * LevelValidator — errors reject it, warnings are handed back — then added
+ * with registerLevel() so GameScene loads it by id like any built-in level.
+ */
+
+import { tiledMapToLevel } from './TiledLevelLoader.js';
+import { validateLevel, hasErrors, formatReport } from './LevelValidator.js';
+import { registerLevel, isBuiltInLevel, getKnownLevelIds } from './LevelRegistry.js';
+
+/** Id given to custom levels that don't carry one (and have no file name). */
+const DEFAULT_ID = 'custom_level';
+
+/** The query parameter is honoured once per page load, not on every menu visit. */
+let queryParamTaken = false;
+
+// ═══════════════════════════════════════════════════════════════
+//  PUBLIC API
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Parse, validate and register a custom level from JSON text.
+ * @param {string} text - Level data JSON or a Tiled JSON map.
+ * @param {object} [opts]
+ * @param {string} [opts.id] - Fallback id (usually the file name) when the data has none.
+ * @returns {{ level: object, warnings: object[] }}
+ * @throws {Error} when the text isn't JSON or the level has validation errors.
+ */
+export function importLevelJson(text, opts = {}) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`CustomLevelLoader: not valid JSON (${e.message})`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('CustomLevelLoader: expected a level object');
+  }
+
+  const fallbackId = opts.id || DEFAULT_ID;
+  const level = Array.isArray(data.layers)
+    ? tiledMapToLevel(data, { id: fallbackId })
+    : { ...data, id: data.id || fallbackId };
+
+  const warnings = [];
+  // An edited copy of a built-in level keeps its id on export — don't let it shadow the original
+  if (isBuiltInLevel(level.id)) {
+    const renamed = `${level.id}_custom`;
+    warnings.push({
+      levelId: renamed, path: 'id', severity: 'warning',
+      message: `renamed from '${level.id}' (a built-in level id)`,
+    });
+    level.id = renamed;
+  }
+
+  const issues = validateLevel(level, { knownLevelIds: [...getKnownLevelIds(), level.id] });
+  if (hasErrors(issues)) {
+    throw new Error(`CustomLevelLoader: level has errors\n${formatReport(issues)}`);
+  }
+  warnings.push(...issues);
+
+  registerLevel(level);
+  return { level, warnings };
+}
+
+/**
+ * Import a level from a `?level=` value (path, URI-encoded JSON or base64 JSON).
+ * @param {string} value
+ * @returns {Promise<{ level: object, warnings: object[] }>}
+ */
+export async function importLevelFromParam(value) {
+  const text = value.trim();
+  if (text.startsWith('{')) return importLevelJson(text);
+
+  const decoded = decodeBase64(text);
+  if (decoded?.trim().startsWith('{')) return importLevelJson(decoded);
+
+  const url = new URL(text, window.location.href);
+  if (url.origin !== window.location.origin) {
+    throw new Error(`CustomLevelLoader: only same-origin level paths are allowed (${url.origin})`);
+  }
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`CustomLevelLoader: could not load ${text} (HTTP ${response.status})`);
+  }
+  return importLevelJson(await response.text(), { id: fileId(url.pathname) });
+}
+
+/**
+ * Import a dropped or picked file.
+ * @param {File} file
+ * @returns {Promise<{ level: object, warnings: object[] }>}
+ */
+export async function importLevelFile(file) {
+  return importLevelJson(await file.text(), { id: fileId(file.name) });
+}
+
+/**
+ * The `?level=` value of the current page, returned only on the first call so
+ * coming back to the menu doesn't relaunch the level.
+ * @returns {string|null}
+ */
+export function takeLevelQueryParam() {
+  if (queryParamTaken || typeof window === 'undefined') return null;
+  queryParamTaken = true;
+  return new URLSearchParams(window.location.search).get('level');
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+/** Standard or URL-safe base64 → UTF-8 text, or null if it isn't base64. */
+function decodeBase64(text) {
+  if (!/^[A-Za-z0-9+/_-]+={0,2}$/.test(text)) return null;
+  try {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+  } catch {
+    return null;
+  }
+}
+
+/** 'levels/My Room.json' → 'my_room' */
+function fileId(path) {
+  const name = path.replace(/^.*[\\/]/, '').replace(/\.json$/i, '');
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || DEFAULT_ID;
+}
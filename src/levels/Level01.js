@@ -22,7 +22,6 @@ const WORLD_W = LEVEL.WORLD_WIDTH;      // 1100
 export const LEVEL_01 = {
   id: 'level_01',
   name: 'First Steps',
-  nextLevel: 'level_02',                 // chains to Level 2
 
   world: { width: WORLD_W, height: GAME_HEIGHT },
   bgColor: '#1a1a2e',
@@ -76,7 +76,6 @@ const G2_X = WORLD_W - 80;
 export const LEVEL_02 = {
   id: 'level_02',
   name: 'Bridge the Gap',
-  nextLevel: 'level_03',      // chains to Level 03
 
   world: { width: WORLD_W, height: GAME_HEIGHT },
   bgColor: '#1a1a2e',
@@ -93,13 +93,12 @@ const E1_END_Y   = 120;
 //               = (580+24) + 14 = 618.   dx = |618-618| = 0 ≤ 72  OK     ✓
 //
 // Cord lengths:
-//   G1(100) → T1(340) = 240 ≤ 750  ✓
-//   G1(100) → T2(800) = 700 ≤ 750  ✓
+//   G1(100) → T1(340) = 240 ≤ 800  ✓
+//   G1(100) → T2(800) = 700 ≤ 800  ✓
 
 export const LEVEL_03 = {
   id: 'level_03',
   name: 'Dead Weight',
-  nextLevel: 'level_04',
 
   world: { width: WORLD_W, height: WORLD_H },
   bgColor: '#141824',
@@ -121,14 +121,14 @@ function plat(left, right, surfaceY) {
 }
 
 // ─── Cord Distance Verification ─────────────────────────────────
-// G1 at (100, 80).
-//   T1 (200, 624): √(100² + 544²) ≈ 553  < 750  ✓
-//   T2 (450, 494): √(350² + 414²) ≈ 542  < 750  ✓
+// G1 at (100, 80). The cord wraps around the ledge lip (200, 100) and, for
+// T2, under the barrier wall (264–296, bottom 560):
+//   T1 (200, 624): 102 + 524                    ≈ 628  < 800  ✓
+//   T2 (450, 494): 102 + 466 + 32 + 167         ≈ 770  < 800  ✓
 
 export const LEVEL_04 = {
   id: 'level_04',
   name: 'Power Climb',
-  nextLevel: 'level_06',
 
   world: { width: WORLD_W, height: WORLD_H },
   bgColor: '#121a24',
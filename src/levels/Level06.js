@@ -45,7 +45,7 @@ import { PUSH_BLOCK, ELEVATOR, ENEMY } from '../config.js';
  *   - Narrow passage: 470 − 394 = 76px. Player(60px) fits ✓, can't jump over 32px enemy ✓
  *
  * Cord distance:
- *   G1(80, 580) → T1(250, 584): ~170px ✓ (well under 750)
+ *   G1(80, 580) → T1(250, 584): ~170px ✓ (well under 800)
  *
  * Difficulty: Medium-Hard
  */
@@ -105,7 +105,6 @@ const G2_X = 1150;
 export const LEVEL_06 = {
   id: 'level_06',
   name: 'The Gauntlet',
-  nextLevel: null,          // last level (for now)
 
   world: { width: WORLD_W, height: WORLD_H },
   bgColor: '#141820',
@@ -0,0 +1,100 @@
+/**
+ * LevelExporter — serialises a level data object back to source form.
+ *
+ *   levelToJson(level)    → pretty-printed JSON (for tools / custom imports)
+ *   levelToModule(level)  → an ES module in the style of Level01.js:
+ *                           `export const LEVEL_XX = { … };`
+ *
+ * Pure data module — no Phaser import.
+ */
+
+/** Keep short objects / arrays on one line, like the hand-written levels. */
+const INLINE_WIDTH = 96;
+
+const INDENT = '  ';
+
+/** Identifier-safe keys are written bare; everything else is quoted. */
+const BARE_KEY = /^[A-Za-z_$][\w$]*$/;
+
+// ═══════════════════════════════════════════════════════════════
+//  PUBLIC API
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * @param {object} level
+ * @returns {string}
+ */
+export function levelToJson(level) {
+  return JSON.stringify(level, null, 2) + '\n';
+}
+
+/**
+ * @param {object} level
+ * @param {object} [opts]
+ * @param {string} [opts.constName] - Export name (default: derived from the id, e.g. LEVEL_07).
+ * @returns {string}
+ */
+export function levelToModule(level, opts = {}) {
+  const constName = opts.constName || moduleConstName(level.id);
+  return [
+    '/**',
+    ` * ${level.name || level.id}`,
+    ' *',
+    ' * Exported from the level editor. Coordinates are literal pixels — see the',
+    ' * schema at the top of LevelRegistry.js. Add the export to LEVELS there to',
+    ' * make it playable.',
+    ' */',
+    '',
+    `export const ${constName} = ${formatValue(level, '')};`,
+    '',
+  ].join('\n');
+}
+
+/**
+ * Export name for a level id: 'level_07' → 'LEVEL_07', 'my-room' → 'LEVEL_MY_ROOM'.
+ * @param {string} id
+ */
+export function moduleConstName(id) {
+  const upper = String(id || 'custom').toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '');
+  return upper.startsWith('LEVEL_') ? upper : `LEVEL_${upper}`;
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  FORMATTING
+// ═══════════════════════════════════════════════════════════════
+
+function formatValue(value, indent) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'string') return quote(value);
+  if (typeof value === 'number') return Number.isFinite(value) ? String(round(value)) : 'null';
+  if (typeof value === 'boolean') return String(value);
+
+  const inner = indent + INDENT;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    const items = value.map(v => formatValue(v, inner));
+    const inline = `[${items.join(', ')}]`;
+    if (fitsInline(inline, indent)) return inline;
+    return `[\n${items.map(i => inner + i + ',').join('\n')}\n${indent}]`;
+  }
+
+  const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+  if (entries.length === 0) return '{}';
+  const fields = entries.map(([k, v]) => `${BARE_KEY.test(k) ? k : quote(k)}: ${formatValue(v, inner)}`);
+  const inline = `{ ${fields.join(', ')} }`;
+  if (fitsInline(inline, indent)) return inline;
+  return `{\n${fields.map(f => inner + f + ',').join('\n')}\n${indent}}`;
+}
+
+function fitsInline(text, indent) {
+  return !text.includes('\n') && indent.length + text.length <= INLINE_WIDTH;
+}
+
+function quote(str) {
+  return `'${str.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+}
+
+/** Editor drags produce fractional pixels — two decimals is plenty. */
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
@@ -1,16 +1,27 @@
 /**
- * LevelRegistry — ordered list of all levels and lookup helpers.
+ * LevelRegistry — level packs, the levels they contain, and lookup helpers.
  *
  * LEVEL DATA SCHEMA
  * =================
  * Every level data object MUST conform to this shape.
  * All coordinates are in PIXELS, measured from the top-left corner (0, 0).
  * All x/y values refer to the CENTER of the object.
+ * LevelValidator.js enforces this schema — run `npm run validate:levels`.
+ *
+ * Levels are grouped into packs (see PACK MANIFEST SCHEMA below). Level data
+ * comes from the hand-written JS modules the pack manifests in ./packs/
+ * import, and from Tiled JSON maps in ./maps/ (converted by
+ * TiledLevelLoader.js). A manifest lists Tiled levels by id; maps no pack
+ * lists form an automatic "Tiled Maps" pack, ordered by file name. Custom
+ * levels imported while the game runs are added with registerLevel() and
+ * resolve by id only.
  *
  * {
  *   id:        string,        // Unique level key, e.g. 'level_01'
  *   name:      string,        // Human-readable name shown on screen
- *   nextLevel: string | null, // id of the next level, or null if this is the last
+ *   nextLevel: string | null | undefined, // Only for levels outside a pack (custom
+ *                             // imports): id of the next level. Pack levels
+ *                             // follow the pack's order instead.
  *
  *   world: {
  *     width:  number,         // Total scrollable width in px
@@ -35,6 +46,7 @@
  *     x:           number,    // Spawn center X
  *     y:           number,    // Spawn center Y
  *     generatorId: string,    // ID of the generator the player is tethered to
+ *     cords?:      number,    // Extension cords carried, 1–CORD.MAX_COUNT (default 1)
  *   },
  *
  *   // --- Generators (power sources / goals) ---
@@ -44,6 +56,7 @@
  *       x:     number,        // Center X
  *       y:     number,        // Center Y
  *       label: string,        // Overhead label text ('G1', 'G2', …)
+ *       capacity: number | undefined, // W before the breaker trips (default: no breaker)
  *     },
  *   ],
  *
@@ -53,7 +66,102 @@
  *       id:     string,       // Unique ID
  *       x:      number,       // Center X
  *       y:      number,       // Center Y
- *       linkTo: string,       // ID of the puzzle element this terminal powers
+ *       linkTo: string | Link[], // ID of the puzzle element this terminal powers,
+ *                             // or a list of links (may be left out when a
+ *                             // logic gate reads it). Link = element ID, or
+ *                             // { id, invert: true } to power the element
+ *                             // while the terminal is NOT powered
+ *     },
+ *   ],
+ *
+ *   // --- Power Strips (one plug powers several elements) ---
+ *   powerStrips: [
+ *     {
+ *       id:     string,       // Unique ID
+ *       x:      number,       // Center X
+ *       y:      number,       // Center Y
+ *       linkTo: Link[],       // The puzzle elements this strip powers (see terminals)
+ *     },
+ *   ],
+ *
+ *   // --- Junction Boxes (relay cord power: plug a live cord in, run a cord out) ---
+ *   junctionBoxes: [
+ *     {
+ *       id:   string,         // Unique ID
+ *       x:    number,         // Center X
+ *       y:    number,         // Center Y
+ *       reel: boolean | undefined, // Has its own cord to take (default: true);
+ *                                  // without one only a spare cord can be fed from it
+ *     },
+ *   ],
+ *
+ *   // --- Logic Gates (combine signals, power elements) ---
+ *   logicGates: [
+ *     {
+ *       id:     string,       // Unique ID
+ *       x:      number,       // Center X
+ *       y:      number,       // Center Y
+ *       type:   string,       // 'and' | 'or' | 'not' | 'xor' | 'latch'
+ *       inputs: string[],     // IDs of terminals / power strips / junction boxes
+ *                             // (on while powered), generators (activated),
+ *                             // trigger zones (player inside; onceOnly: fired),
+ *                             // pressure plates (held down), levers (on)
+ *                             // or other gates (no loops). 'not' takes one,
+ *                             // 'latch' takes [set] or [set, reset]
+ *       linkTo: string[] | undefined, // IDs of the puzzle elements its output powers
+ *       label:  string | undefined,   // Text on the gate (default: the type)
+ *     },
+ *   ],
+ *
+ *   // --- Relays (hold power on for a while after their input is cut) ---
+ *   relays: [
+ *     {
+ *       id:       string,     // Unique ID (link a terminal, gate, … to it)
+ *       x:        number,     // Center X
+ *       y:        number,     // Center Y
+ *       holdTime: number | undefined, // ms outputs stay on once cut (default: RELAY.HOLD_TIME)
+ *       linkTo:   Link[],     // The puzzle elements it powers (see terminals)
+ *     },
+ *   ],
+ *
+ *   // --- Capacitors (charge while powered, run their outputs off the charge) ---
+ *   capacitors: [
+ *     {
+ *       id:         string,   // Unique ID
+ *       x:          number,   // Center X
+ *       y:          number,   // Center Y
+ *       capacity:   number | undefined, // ms of output on a full charge (default: CAPACITOR.CAPACITY)
+ *       chargeTime: number | undefined, // ms of power to charge fully (default: CAPACITOR.CHARGE_TIME)
+ *       linkTo:     Link[],   // The puzzle elements it powers (see terminals)
+ *     },
+ *   ],
+ *
+ *   // --- Pressure Plates (on while weighed down) ---
+ *   pressurePlates: [
+ *     {
+ *       id:        string,    // Unique ID
+ *       x:         number,    // Center X
+ *       y:         number,    // Center Y (floor − PRESSURE_PLATE.HEIGHT / 2)
+ *       width:     number | undefined, // Optional (default: PRESSURE_PLATE.WIDTH)
+ *       minWeight: number | undefined, // Weight that holds it down (default: 1;
+ *                             // player 1, enemy 1, push block 2, heavy block 5)
+ *       linkTo:    Link[] | undefined, // The puzzle elements it powers while down (see
+ *                             // terminals; may be left out when a logic gate reads it)
+ *     },
+ *   ],
+ *
+ *   // --- Levers & Wall Switches (flipped with the interact key) ---
+ *   levers: [
+ *     {
+ *       id:         string,   // Unique ID
+ *       x:          number,   // Center X
+ *       y:          number,   // Center Y (lever: floor − LEVER.HEIGHT / 2; switch: anywhere on a wall)
+ *       style:      'lever' | 'switch' | undefined, // Floor lever or wall switch (default: 'lever')
+ *       mode:       'toggle' | 'once' | 'timed' | undefined, // Each use flips it; the first use
+ *                             // turns it on for good; or it springs back off (default: 'toggle')
+ *       returnTime: number | undefined, // ms a timed lever stays on (default: LEVER.RETURN_TIME)
+ *       linkTo:     Link[] | undefined, // The puzzle elements it powers while on (see
+ *                             // terminals; may be left out when a logic gate reads it)
  *     },
  *   ],
  *
@@ -69,6 +177,7 @@
  *       direction:  string | undefined, // 'up'|'down'|'left'|'right' (default: 'up')
  *       range:      number | undefined, // How far it slides (default: height)
  *       label:      string | undefined, // Debug label (default: 'D')
+ *       load:       number | undefined, // W drawn while powered (default: DOOR.LOAD)
  *     },
  *   ],
  *
@@ -84,6 +193,57 @@
  *       speed:         number | undefined, // Optional px/s (default: ELEVATOR.SPEED)
  *       pauseDuration: number | undefined, // Optional ms (default: ELEVATOR.PAUSE_DURATION)
  *       label:         string | undefined, // Debug label (default: 'E')
+ *       load:          number | undefined, // W drawn while powered (default: ELEVATOR.LOAD)
+ *     },
+ *   ],
+ *
+ *   // --- Moving platforms (follow a route of waypoints) ---
+ *   movingPlatforms: [
+ *     {
+ *       id:     string,        // Unique ID (matched by terminal.linkTo)
+ *       points: [             // Waypoints (platform centre), at least two; starts at the first
+ *         {
+ *           x:     number,
+ *           y:     number,
+ *           speed: number | undefined, // px/s on the segment to the next waypoint (default: the platform's speed)
+ *           pause: number | undefined, // ms waited on arriving here (default: the platform's pause)
+ *         },
+ *       ],
+ *       route:  string | undefined, // 'pingpong' (0 → last → 0) | 'loop' (last → 0 directly) (default: 'pingpong')
+ *       mode:   string | undefined, // 'powered' (runs while powered, returns home when not) |
+ *                                   // 'step' (one stop per power-on) (default: 'powered')
+ *       width:  number | undefined, // Optional (default: MOVING_PLATFORM.WIDTH)
+ *       height: number | undefined, // Optional (default: MOVING_PLATFORM.HEIGHT)
+ *       speed:  number | undefined, // Default segment speed, px/s (default: MOVING_PLATFORM.SPEED)
+ *       pause:  number | undefined, // Default pause at a waypoint, ms (default: MOVING_PLATFORM.PAUSE)
+ *       load:   number | undefined, // W drawn while powered (default: MOVING_PLATFORM.LOAD)
+ *     },
+ *   ],
+ *
+ *   // --- Conveyors (carry what stands on them while powered) ---
+ *   conveyors: [
+ *     {
+ *       id:        string,        // Unique ID (matched by terminal.linkTo)
+ *       x:         number,        // Center X
+ *       y:         number,        // Center Y (its top, y − CONVEYOR.HEIGHT / 2, is the surface)
+ *       width:     number | undefined, // Belt length (default: CONVEYOR.WIDTH)
+ *       direction: string | undefined, // 'right' | 'left' (default: 'right')
+ *       speed:     number | undefined, // px/s (default: CONVEYOR.SPEED)
+ *       reversed:  boolean | undefined, // Reverse polarity: runs against `direction`
+ *       load:      number | undefined, // W drawn while powered (default: CONVEYOR.LOAD)
+ *     },
+ *   ],
+ *
+ *   // --- Fans (blow an updraft that lifts the player and push blocks while powered) ---
+ *   fans: [
+ *     {
+ *       id:        string,        // Unique ID (matched by terminal.linkTo)
+ *       x:         number,        // Center X
+ *       y:         number,        // Center Y of the housing (its top, y − FAN.HEIGHT / 2, is where the air starts)
+ *       width:     number | undefined, // Housing and column width (default: FAN.WIDTH)
+ *       height:    number | undefined, // Column height above the housing (default: FAN.LIFT_HEIGHT)
+ *       strength:  number | undefined, // Upward px/s² in the column (default: FAN.STRENGTH; gravity is 900)
+ *       load:      number | undefined, // W drawn while powered (default: FAN.LOAD)
  *     },
  *   ],
  *
@@ -102,11 +262,16 @@
  *       id:        string,        // Unique ID
  *       pivotX:    number,        // Hinge / pivot X
  *       pivotY:    number,        // Hinge / pivot Y
- *       width:     number | undefined, // Plank length (default: DRAWBRIDGE.WIDTH)
+ *       width:     number | undefined, // Plank length, whole span for 'both' (default: DRAWBRIDGE.WIDTH)
  *       height:    number | undefined, // Plank thickness (default: DRAWBRIDGE.HEIGHT)
  *       speed:     number | undefined, // Rotation deg/s (default: DRAWBRIDGE.SPEED)
- *       direction: string | undefined, // 'right' | 'left' (default: 'right')
+ *       direction: string | undefined, // 'right' | 'left' | 'both' — two leaves meeting mid-span (default: 'right')
+ *       style:     string | undefined, // 'drawbridge' (hangs down, swings flat) | 'lift' (lies flat, rises to a wall)
+ *       restAngle: number | undefined, // Elevation unpowered, -90..90 (default: by style — -90 / 0)
+ *       openAngle: number | undefined, // Elevation powered, -90..90 (default: by style — 0 / 90);
+ *                                      //   up to DRAWBRIDGE.MAX_SLOPE it is a walkable ramp
  *       label:     string | undefined, // Debug label (default: 'DB')
+ *       load:      number | undefined, // W drawn while powered (default: DRAWBRIDGE.LOAD)
  *     },
  *   ],
  *
@@ -122,60 +287,264 @@
  *     },
  *   ],
  *
+ *   // --- Water pools (deadly while electrified; a live cord can be dropped in) ---
+ *   waterPools: [
+ *     {
+ *       id:     string,        // Unique ID (matched by terminal.linkTo)
+ *       x:      number,        // Center X
+ *       y:      number,        // Center Y of the water (its bottom sits on the surface)
+ *       width:  number,        // Pool width
+ *       height: number | undefined, // Water depth (default: WATER_POOL.HEIGHT)
+ *     },
+ *   ],
+ *
  *   // --- Goal zone (level complete trigger) ---
  *   goal: {
  *     x: number,              // Center X
  *     y: number,              // Center Y
  *   },
+ *
+ *   // --- Tiled maps only: objects TiledLevelLoader had no class for ---
+ *   unknownObjects: [         // Absent when there are none; each is an error
+ *     { object: number, class: string }, // Tiled object id, its class / type
+ *   ] | undefined,
+ * }
+ *
+ * PACK MANIFEST SCHEMA
+ * ====================
+ * One module per pack in ./packs/, added to PACK_MANIFESTS below.
+ *
+ * {
+ *   id:       string,          // Unique pack key, e.g. 'campaign'
+ *   title:    string,          // Shown in the menu's pack selector
+ *   levels:   (object | string)[], // Ordered level data objects, or ids of
+ *                              // Tiled levels in ./maps/
+ *   unlock:   {                // When the pack can be played (default: always)
+ *     type:  'always' | 'pack' | 'level',
+ *     pack:  string | undefined, // 'pack': every level of this pack completed
+ *     level: string | undefined, // 'level': this level completed
+ *   },
+ *   nextPack: string | undefined, // Pack to continue into after the last level
+ *   tutorial: boolean | undefined, // Finishing every level counts as completing
+ *                              // the tutorial (save data; START GAME skips it)
+ *   music: {                   // Optional
+ *     track: number,           // ProceduralMusic level track for every level
+ *   },                         // (default: derived from each level id)
+ *   theme: {                   // Optional
+ *     color:   string,         // Menu accent colour for the pack
+ *     bgColor: string,         // Background for levels without their own bgColor
+ *   },
  * }
  */
 
-import { LEVEL_01 } from './Level01.js';
-import { LEVEL_02 } from './Level02.js';
-import { LEVEL_03 } from './Level03.js';
-import { LEVEL_04 } from './Level04.js';
-import { LEVEL_06 } from './Level06.js';
-import {
-  TUT_01, TUT_02, TUT_03, TUT_04,
-  TUT_05, TUT_06, TUT_07, TUT_08,
-} from './LevelTutorial.js';
-
-/** Ordered list of all levels (tutorials + gameplay). */
-const LEVELS = [
-  TUT_01, TUT_02, TUT_03, TUT_04,
-  TUT_05, TUT_06, TUT_07, TUT_08,
-  LEVEL_01,
-  LEVEL_02,
-  LEVEL_03,
-  LEVEL_04,
-  LEVEL_06,
-];
-
-/** Lookup a level by id. */
+import { TUTORIAL_PACK } from './packs/TutorialPack.js';
+import { CAMPAIGN_PACK } from './packs/CampaignPack.js';
+import { tiledMapToLevel } from './TiledLevelLoader.js';
+
+/** Pack manifests in menu order. START GAME plays the first (skipping a finished tutorial pack). */
+const PACK_MANIFESTS = [TUTORIAL_PACK, CAMPAIGN_PACK];
+
+/** Pack whose first level GameScene falls back to when given no level. */
+const DEFAULT_PACK_ID = 'campaign';
+
+/**
+ * Tiled maps bundled by Vite. Plain Node (the tools/ scripts) has no
+ * import.meta.glob — those read the same files from disk instead
+ * (see tools/tiled-levels.js).
+ */
+const TILED_MAPS = import.meta.env
+  ? import.meta.glob('./maps/*.json', { eager: true, import: 'default' })
+  : {};
+
+const TILED_LEVELS = Object.keys(TILED_MAPS).sort().map(path =>
+  tiledMapToLevel(TILED_MAPS[path], { id: path.replace(/^.*\/|\.json$/g, '') }));
+
+/**
+ * Packs with every `levels` entry resolved to level data. Ids that match no
+ * Tiled map are dropped here; `npm run validate:levels` reports them.
+ */
+const PACKS = resolvePacks(PACK_MANIFESTS, TILED_LEVELS);
+
+/** Every pack level, in pack order, each level once. */
+const LEVELS = [...new Set(PACKS.flatMap(p => p.levels))];
+
+/**
+ * Levels only known at runtime (custom JSON imports, see CustomLevelLoader.js).
+ * Playable by id but not part of any pack, so they never show up in level select.
+ */
+const RUNTIME_LEVELS = new Map();
+
+// ═══════════════════════════════════════════════════════════════
+//  LEVELS
+// ═══════════════════════════════════════════════════════════════
+
+/** Lookup a level by id (pack levels first, then runtime-registered). */
 export function getLevelById(id) {
-  return LEVELS.find(l => l.id === id) || null;
+  return LEVELS.find(l => l.id === id) || RUNTIME_LEVELS.get(id) || null;
+}
+
+/** True when the id belongs to a level compiled into the game. */
+export function isBuiltInLevel(id) {
+  return LEVELS.some(l => l.id === id);
+}
+
+/**
+ * Make a level loaded at runtime resolvable through getLevelById / getNextLevel.
+ * Registering an id again replaces the earlier level; built-in ids are rejected.
+ * @param {object} level - Validated level data.
+ * @returns {object} The registered level.
+ */
+export function registerLevel(level) {
+  if (isBuiltInLevel(level.id)) {
+    throw new Error(`LevelRegistry: "${level.id}" is a built-in level id`);
+  }
+  RUNTIME_LEVELS.set(level.id, level);
+  return level;
 }
 
-/** Get the first gameplay level (skipping the tutorial). */
+/** Get the first level of the default pack (the campaign, skipping the tutorial). */
 export function getFirstLevel() {
-  return LEVEL_01;
+  return getPack(DEFAULT_PACK_ID).levels[0];
 }
 
-/** Get the next level after the given id, or null. */
-export function getNextLevel(currentId) {
-  const current = getLevelById(currentId);
-  if (!current || !current.nextLevel) return null;
-  return getLevelById(current.nextLevel);
+/**
+ * Get the level after the given id, or null.
+ * Inside a pack this is the next level in the manifest; after the pack's last
+ * level it is the first level of `nextPack`, if any. Levels outside every pack
+ * (runtime imports) follow their own `nextLevel` field.
+ * @param {string} currentId
+ * @param {string} [packId] - Pack being played (default: the first pack containing the level).
+ */
+export function getNextLevel(currentId, packId) {
+  const pack = getLevelPack(currentId, packId);
+  if (!pack) {
+    const current = getLevelById(currentId);
+    if (!current || !current.nextLevel) return null;
+    return getLevelById(current.nextLevel);
+  }
+
+  const index = pack.levels.findIndex(l => l.id === currentId);
+  if (index < pack.levels.length - 1) return pack.levels[index + 1];
+  const next = pack.nextPack && getPack(pack.nextPack);
+  return next?.levels[0] || null;
 }
 
-/** Get list of all level ids (for a level-select screen). */
+/** Get list of all level ids. */
 export function getAllLevelIds() {
   return LEVELS.map(l => l.id);
 }
 
-/** Get all gameplay levels (id + name) for level-select UI — excludes tutorials. */
-export function getAllLevels() {
-  return LEVELS
-    .filter(l => !l.id.startsWith('tut_'))
-    .map((l, i) => ({ id: l.id, name: l.name, index: i + 1 }));
+/** Ids of every level getLevelById can resolve, runtime ones included. */
+export function getKnownLevelIds() {
+  return [...LEVELS.map(l => l.id), ...RUNTIME_LEVELS.keys()];
+}
+
+/** Get every level data object, in order (for tooling such as LevelValidator). */
+export function getAllLevelData() {
+  return LEVELS.slice();
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  PACKS
+// ═══════════════════════════════════════════════════════════════
+
+/** Every pack, in menu order, with level data resolved. */
+export function getAllPacks() {
+  return PACKS.slice();
+}
+
+/** Lookup a pack by id. */
+export function getPack(id) {
+  return PACKS.find(p => p.id === id) || null;
+}
+
+/**
+ * The pack a level is played in: `preferredPackId` when that pack contains
+ * the level, else the first pack that does, else null (runtime imports).
+ */
+export function getLevelPack(levelId, preferredPackId) {
+  const preferred = preferredPackId && getPack(preferredPackId);
+  if (preferred?.levels.some(l => l.id === levelId)) return preferred;
+  return PACKS.find(p => p.levels.some(l => l.id === levelId)) || null;
+}
+
+/** Levels of a pack (id + name + 1-based index) for level-select UI. */
+export function getPackLevels(packId) {
+  const pack = getPack(packId);
+  if (!pack) return [];
+  return pack.levels.map((l, i) => ({ id: l.id, name: l.name, index: i + 1 }));
+}
+
+/**
+ * Evaluate a pack's unlock rule.
+ * @param {string} packId
+ * @param {Iterable<string>} completedLevelIds - Levels the player has finished.
+ */
+export function isPackUnlocked(packId, completedLevelIds) {
+  const pack = getPack(packId);
+  if (!pack) return false;
+  const rule = pack.unlock || { type: 'always' };
+  const completed = new Set(completedLevelIds);
+
+  switch (rule.type) {
+    case 'pack': {
+      const required = getPack(rule.pack);
+      return !!required && required.levels.every(l => completed.has(l.id));
+    }
+    case 'level':
+      return completed.has(rule.level);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Whether a pack level can be played: its pack is unlocked, and it is the
+ * pack's first level, follows a completed level, or was unlocked by save data.
+ * @param {string} levelId
+ * @param {string} packId
+ * @param {Iterable<string>} completedLevelIds
+ * @param {Iterable<string>} [unlockedLevelIds]
+ */
+export function isLevelUnlocked(levelId, packId, completedLevelIds, unlockedLevelIds = []) {
+  const completed = new Set(completedLevelIds);
+  if (!isPackUnlocked(packId, completed)) return false;
+
+  const levels = getPack(packId).levels;
+  const index = levels.findIndex(l => l.id === levelId);
+  if (index < 0) return false;
+  return index === 0 || completed.has(levelId) || completed.has(levels[index - 1].id) ||
+    new Set(unlockedLevelIds).has(levelId);
+}
+
+/** Human-readable unlock requirement, e.g. 'Complete Campaign' (null when always unlocked). */
+export function describeUnlockRule(packId) {
+  const rule = getPack(packId)?.unlock;
+  if (rule?.type === 'pack') return `Complete ${getPack(rule.pack)?.title ?? rule.pack}`;
+  if (rule?.type === 'level') return `Complete ${getLevelById(rule.level)?.name ?? rule.level}`;
+  return null;
+}
+
+/** Raw pack manifests, for tooling such as LevelValidator.validatePacks. */
+export function getPackManifests() {
+  return PACK_MANIFESTS.slice();
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+function resolvePacks(manifests, tiledLevels) {
+  const tiledById = new Map(tiledLevels.map(l => [l.id, l]));
+  const packs = manifests.map(m => ({
+    ...m,
+    levels: m.levels.map(l => (typeof l === 'string' ? tiledById.get(l) : l)).filter(Boolean),
+  }));
+
+  const listed = new Set(packs.flatMap(p => p.levels));
+  const unlisted = tiledLevels.filter(l => !listed.has(l));
+  if (unlisted.length > 0) {
+    packs.push({ id: 'maps', title: 'Tiled Maps', levels: unlisted, unlock: { type: 'always' } });
+  }
+  return packs;
 }
@@ -0,0 +1,1470 @@
+/**
+ * LevelSolver — automatic solvability checker for level data objects.
+ *
+ * Applies the physics from design/map-design-rules.md (98 px jump, ~186 px
+ * horizontal jump, 146 px from a block, 800 px cord measured around the
+ * platforms, 40 px terminal range)
+ * to a simplified model of a level and runs a breadth-first search over its
+ * puzzle states:
+ *
+ *   - where the player is (which connected walkable region)
+ *   - which terminals, power strips and junction boxes the cords are plugged
+ *     into and what feeds each cord (`player.cords`, default 1, plus the
+ *     cords reeled out of junction boxes)
+ *   - where every push block / heavy block rests
+ *   - which secondary generators and trigger zones have fired
+ *   - which logic gate latches are set
+ *   - which levers and switches are on
+ *   - which relays / capacitors are holding power, and where the hold began
+ *   - which spike strips have been covered by a block
+ *   - which stop each step-mode moving platform has travelled to
+ *
+ * The search reports whether the goal is reachable, the shortest
+ * step-by-step solution it found, and which terminals / generators the
+ * player can never reach.
+ *
+ * Model (intentionally coarse — it answers "is there a path?", not
+ * "is the timing frame-perfect?"):
+ *   - Every platform top, elevator stop, open drawbridge and block top is a
+ *     walkable surface. Platforms, closed doors and heavy blocks cut those
+ *     surfaces into intervals of valid player-centre positions.
+ *   - Intervals connect by walking (touching, same height), jumping (height
+ *     and horizontal reach from the jump parabola, obstacles in the arc
+ *     must be lower than the apex), dropping off open edges, and riding a
+ *     powered elevator between its two stops.
+ *   - Enemies only matter where a low ceiling stops the player jumping over
+ *     them: that patrol is impassable while every cord is plugged in (a free
+ *     cord can always zap them).
+ *   - A cord is live when it is fed from the generator or from a junction
+ *     box a live cord is plugged into; only live cords power anything.
+ *   - Logic gates read powered plug points, activated generators, gates,
+ *     pressed plates and onceOnly trigger zones that have fired; a zone
+ *     that is only on while the player stands in it is on just long enough
+ *     to set or reset a latch as the player walks in.
+ *   - An element is powered while any of its sources is (PowerNetwork):
+ *     a live plug, an activated secondary generator (`autoActivateIds`), a
+ *     fired trigger zone, a pressed plate or a gate whose output is on — or
+ *     a plug or plate it is linked to inverted that is NOT live / pressed. `generatorLinks` are ignored,
+ *     matching GameScene.
+ *   - A relay passes power on while powered. When its input is cut it
+ *     holds until the player's next action, which must happen within
+ *     PLAYER.SPEED × holdTime (straight line) of where the hold began, or
+ *     the player runs that far into somewhere only the hold opened, or
+ *     waits for it to run out. A capacitor counts as a relay holding for its
+ *     full `capacity` — the player can always wait for it to charge.
+ *   - A pressure plate is down while the push blocks and heavy blocks
+ *     resting on it weigh `minWeight` or more. The player and enemies are
+ *     left out: the player can't stand on one and be somewhere else, and an
+ *     enemy only crosses it now and then.
+ *   - A lever or switch is flipped by walking to it (40 px, as a
+ *     terminal). A timed one is a hold that starts where it was flipped,
+ *     like a relay's; a 'once' one can't be flipped back.
+ *   - A moving platform is walkable at its first waypoint; while powered,
+ *     at every waypoint, riding between them like an elevator's stops
+ *     (what lies along the route is left out). A 'step' one is walkable at
+ *     the stop it has reached only: each action that powers it up moves it
+ *     on one stop, the player with it if they stand on it — the search
+ *     acts from its deck whenever it can — while blocks on it fall off
+ *     where it was.
+ *   - A drawbridge leaf is walkable where it lies flat (open while
+ *     powered, else at rest). Standing up it is a wall; sloped no steeper
+ *     than DRAWBRIDGE.MAX_SLOPE it is a ramp, walked between its two ends
+ *     (blocks are left off it); hanging down it is left out.
+ *   - A conveyor is a platform. While powered it carries the blocks and
+ *     heavy blocks resting on it off its far end (they fall from there),
+ *     or up to a platform in the way. The player walks faster than any
+ *     sensible belt, so riding it is left out.
+ *   - A fan housing is a platform. While powered the player rides its
+ *     updraft from the housing (or a ledge in the column) up to the top of
+ *     the column, or just under a ceiling in it, and leaves it sideways —
+ *     a drop, as if off a ledge there; they can't jump from mid-air.
+ *     Push blocks floating in it are left where they rest on the housing.
+ *   - A water pool is electrified while a link powers it or a live cord is
+ *     dropped into it (plugged in, like a terminal, from a spot clear of
+ *     the water). Electrified, it cuts the surface it lies on like spikes;
+ *     blocks standing in it are stepping stones. Enemies it would zap are
+ *     left alive (a free cord can always zap them).
+ *   - Breakers never trip: an action that would make a generator with a
+ *     `capacity` power more `load` than that is left out, so the search
+ *     never relies on tripping one (or on resetting it).
+ *
+ * Pure data module — no Phaser import — so it runs in plain Node:
+ *
+ *   npm run solve:levels -- level_02
+ */
+
+import {
+  PLAYER, GRAVITY, CORD, TERMINAL, PUSH_BLOCK, DOOR, ELEVATOR, MOVING_PLATFORM,
+  DRAWBRIDGE, SPIKES, WATER_POOL, ENEMY, HEAVY_BLOCK, RELAY, CAPACITOR, PRESSURE_PLATE, LEVER, CONVEYOR, FAN,
+} from '../config.js';
+import { bridgeAngles, bridgeLeaves, leafEnd, MAX_SLOPE } from '../utils/bridgeGeometry.js';
+import { shortestCordLength } from '../utils/cordGeometry.js';
+import { gateOutput, orderGates } from '../utils/gateLogic.js';
+import { parseLinks } from '../utils/powerLinks.js';
+
+/** Player collision body height (see Player constructor). */
+const BODY_H = 54;
+const HALF_W = PLAYER.WIDTH / 2;
+const JUMP_V = -PLAYER.JUMP_VELOCITY;
+
+/** Usable jump height — design rule 2.1 leaves a 2 px margin below the 98 px maximum. */
+const MAX_JUMP = (JUMP_V * JUMP_V) / (2 * GRAVITY) - 2;
+
+const BLOCK = PUSH_BLOCK.SIZE;
+/** PushBlock.isPlayerInRange — horizontal grab reach. */
+const GRAB_RANGE = BLOCK * 1.5;
+/** GameScene._handleAction — distance to activate a secondary generator. */
+const GENERATOR_RANGE = 50;
+/** GameScene goal zone is 50×50. */
+const GOAL_HALF = 25;
+/** GameScene._handleDoorClosing — gap left above a propping block. */
+const PROP_CLEARANCE = 6;
+/** Height tolerance when comparing surfaces (px). */
+const EPS = 2;
+/** How far back from an edge the solver tries taking a running jump (px). */
+const RUN_UP = 96;
+
+const DEFAULT_MAX_STATES = 20000;
+
+// ═══════════════════════════════════════════════════════════════
+//  PUBLIC API
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Search a level for a solution.
+ * @param {object} level - A level data object (see LevelRegistry.js).
+ * @param {object} [opts]
+ * @param {number} [opts.maxStates=20000] - Give up after exploring this many states.
+ * @returns {{
+ *   levelId: string,
+ *   solvable: boolean,
+ *   truncated: boolean,
+ *   statesExplored: number,
+ *   steps: string[],
+ *   unreachable: { terminals: string[], generators: string[] },
+ *   outOfCordRange: string[],   // terminal ids (power strips and junction boxes included)
+ * }}
+ */
+export function solveLevel(level, opts = {}) {
+  const maxStates = opts.maxStates ?? DEFAULT_MAX_STATES;
+  const solver = new Solver(level);
+
+  const seen = new Set();
+  const queue = [{ state: solver.initialState(), trail: null }];
+  let head = 0;
+  let found = null;
+
+  while (head < queue.length && seen.size < maxStates) {
+    const { state, trail } = queue[head++];
+    const view = solver.view(state);
+    if (!view) continue; // player fell out of the world
+
+    const key = solver.key(state, view);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    solver.recordReach(view);
+
+    // Keep exploring after the first solution so the reachability
+    // warnings cover the whole level, not just the shortest route
+    if (!found && solver.reachesGoal(view, state)) {
+      found = { step: 'Reach the goal', prev: trail };
+    }
+
+    for (const next of solver.actions(state, view)) {
+      queue.push({ state: next.state, trail: { step: next.step, prev: trail } });
+    }
+  }
+
+  const steps = [];
+  for (let t = found; t; t = t.prev) steps.unshift(t.step);
+
+  return {
+    levelId: level.id,
+    solvable: !!found,
+    truncated: head < queue.length,
+    statesExplored: seen.size,
+    steps,
+    unreachable: solver.unreachable(),
+    outOfCordRange: solver.outOfCordRange(),
+  };
+}
+
+/**
+ * Render a solveLevel() result as readable text.
+ * @param {ReturnType<typeof solveLevel>} result
+ * @returns {string}
+ */
+export function formatSolution(result) {
+  const lines = [];
+  if (result.solvable) {
+    lines.push(`${result.levelId}: SOLVABLE in ${result.steps.length} steps (${result.statesExplored} states explored)`);
+    result.steps.forEach((s, i) => lines.push(`  ${String(i + 1).padStart(2)}. ${s}`));
+  } else if (result.truncated) {
+    lines.push(`${result.levelId}: UNKNOWN — gave up after ${result.statesExplored} states`);
+  } else {
+    lines.push(`${result.levelId}: UNSOLVABLE — goal never reached (${result.statesExplored} states explored)`);
+  }
+  if (result.solvable && result.truncated) {
+    lines.push(`  note  search stopped at ${result.statesExplored} states — reachability warnings may be incomplete`);
+  }
+  for (const id of result.unreachable.terminals) lines.push(`  warn  terminal '${id}' can never be reached`);
+  for (const id of result.outOfCordRange) lines.push(`  warn  terminal '${id}' is beyond cord range (${CORD.MAX_LENGTH}px)`);
+  for (const id of result.unreachable.generators) lines.push(`  warn  generator '${id}' can never be reached`);
+  return lines.join('\n');
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  SOLVER
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * State shape (plain data, treated as immutable):
+ *   px, py   — player centre X and the top Y of the surface they stand on
+ *   cords    — one `<origin>><plug>` entry per cord carried: origin is the
+ *              player's generator id or the junction box id feeding it, plug
+ *              the terminal / power strip / junction box id it is plugged
+ *              into (or water pool dropped into), '' while in hand (sorted; cords from the same origin
+ *              are interchangeable, so which one is where doesn't matter)
+ *   reels    — ids of junction boxes whose cord reel has been taken (sorted)
+ *   blocks   — [[x, baseY], …] per level.pushBlocks entry
+ *   heavies  — [[x, baseY], …] per level.heavyBlocks entry
+ *   gens     — ids of activated secondary generators (sorted)
+ *   zones    — ids of fired trigger zones (sorted)
+ *   latches  — ids of latch gates whose output is on (sorted)
+ *   levers   — ids of toggle / once levers that are on (sorted)
+ *   held     — [[id, x, y], …] relays / capacitors holding after their
+ *              input was cut, and timed levers flipped on, with the player
+ *              position when it happened (by id)
+ *   covered  — ids of spike strips neutralised by a block (sorted)
+ *   stops    — per level.movingPlatforms entry, how many stops a 'step'
+ *              one has travelled round its route (0 … legs − 1; see
+ *              _stopIndex), 0 for the others
+ */
+class Solver {
+  constructor(level) {
+    this.level = level;
+    this.worldW = level.world.width;
+    this.worldH = level.world.height;
+
+    this.terminals = level.terminals || [];
+    this.powerStrips = level.powerStrips || [];
+    this.junctionBoxes = level.junctionBoxes || [];
+    this.generators = level.generators || [];
+    this.doors = level.doors || [];
+    this.elevators = level.elevators || [];
+    this.movingPlatforms = level.movingPlatforms || [];
+    this.drawbridges = level.drawbridges || [];
+    this.conveyors = level.conveyors || [];
+    this.fans = level.fans || [];
+    this.pushBlocks = level.pushBlocks || [];
+    this.heavyBlocks = level.heavyBlocks || [];
+    this.spikes = level.spikes || [];
+    this.pools = level.waterPools || [];
+    this.poolIds = new Set(this.pools.map(p => p.id));
+    this.enemies = level.enemies || [];
+    this.triggerZones = level.triggerZones || [];
+    this.pressurePlates = level.pressurePlates || [];
+    this.levers = level.levers || [];
+    this.leverIds = new Set(this.levers.map(l => l.id));
+    /** Gates in evaluation order (gates in a loop are left out, as in GameScene). */
+    this.logicGates = orderGates(level.logicGates || []).order;
+    /**
+     * Relays and capacitors, with `hold`: how long they stay on once cut
+     * (ms). Timed levers too: nothing feeds them, they only ever hold.
+     */
+    this.relays = [
+      ...(level.relays || []).map(r => ({ ...r, hold: r.holdTime ?? RELAY.HOLD_TIME })),
+      ...(level.capacitors || []).map(c => ({ ...c, hold: c.capacity ?? CAPACITOR.CAPACITY })),
+      ...this.levers.filter(l => l.mode === 'timed').map(l => ({ ...l, hold: l.returnTime ?? LEVER.RETURN_TIME })),
+    ];
+
+    this.generatorsById = new Map(this.generators.map(g => [g.id, g]));
+    /** Generators with a breaker, and the W each powered element draws. */
+    this.breakers = this.generators.filter(g => Number.isFinite(g.capacity));
+    this.loads = new Map([
+      ...this.doors.map(d => [d.id, d.load ?? DOOR.LOAD]),
+      ...this.elevators.map(e => [e.id, e.load ?? ELEVATOR.LOAD]),
+      ...this.movingPlatforms.map(m => [m.id, m.load ?? MOVING_PLATFORM.LOAD]),
+      ...this.drawbridges.map(db => [db.id, db.load ?? DRAWBRIDGE.LOAD]),
+      ...this.conveyors.map(c => [c.id, c.load ?? CONVEYOR.LOAD]),
+      ...this.fans.map(f => [f.id, f.load ?? FAN.LOAD]),
+    ]);
+    /** Everything a cord plugs into: terminals, power strips, junction boxes. */
+    this.plugs = [...this.terminals, ...this.powerStrips, ...this.junctionBoxes];
+    /** Everything a cord goes into: the plug points and water pools. */
+    this.plugsById = new Map([...this.plugs, ...this.pools].map(t => [t.id, t]));
+    this.boxIds = new Set(this.junctionBoxes.map(b => b.id));
+    this.cordOrigin = this.generatorsById.get(level.player.generatorId) || null;
+    this.cordCount = level.player.cords ?? 1;
+    this.cordReach = this._cordReach();
+
+    this._reachedTerminals = new Set();
+    this._reachedGenerators = new Set();
+  }
+
+  // ───── State construction ─────
+
+  initialState() {
+    const base = {
+      px: this.level.player.x,
+      py: this.level.player.y + BODY_H / 2,
+      cords: this.cordOrigin ? new Array(this.cordCount).fill(`${this.cordOrigin.id}>`) : [],
+      reels: [],
+      blocks: this.pushBlocks.map(b => [b.x, b.y + BLOCK / 2]),
+      heavies: this.heavyBlocks.map(h => [h.x, h.y + (h.height ?? HEAVY_BLOCK.HEIGHT) / 2]),
+      gens: this.generators.filter(g => g.isPrimary === false && g.isActivated).map(g => g.id).sort(),
+      zones: [],
+      latches: [],
+      levers: [],
+      held: [],
+      covered: [],
+      stops: this.movingPlatforms.map(() => 0),
+    };
+    return this._settle(base);
+  }
+
+  /**
+   * Let blocks and heavy blocks fall onto whatever supports them (riding
+   * running conveyors off), mark any spikes they now cover and update the
+   * latches (with trigger zone `pulse` on for that moment, if given). (The
+   * player is dropped lazily by view().)
+   */
+  _settle(state, pulse = null) {
+    const outputs = this._gateOutputs(state, pulse);
+    state = { ...state, latches: this.logicGates.filter(g => g.type === 'latch' && outputs.get(g.id)).map(g => g.id).sort() };
+    const powered = this._powered(state);
+    const floors = this._blockSupports(powered, state.stops);
+
+    const blocks = state.blocks.map(([x, base]) => this._ride(floors, powered, x, base, BLOCK / 2, BLOCK));
+
+    const heavyFloors = floors.concat(blocks.map(([x, base]) => ({
+      top: base - BLOCK, left: x - BLOCK / 2, right: x + BLOCK / 2,
+    })));
+    const heavies = state.heavies.map(([x, base], i) => {
+      const hb = this.heavyBlocks[i];
+      return this._ride(heavyFloors, powered, x, base, (hb.width ?? HEAVY_BLOCK.WIDTH) / 2, hb.height ?? HEAVY_BLOCK.HEIGHT);
+    });
+
+    const covered = new Set(state.covered);
+    for (const s of this.spikes) {
+      if (covered.has(s.id)) continue;
+      const sh = s.height ?? SPIKES.HEIGHT;
+      const spikeBottom = s.y + sh / 2;
+      for (const [bx, base] of blocks) {
+        const overlapX = Math.abs(bx - s.x) < BLOCK / 2 + s.width / 2;
+        if (overlapX && Math.abs(base - spikeBottom) < 30) covered.add(s.id);
+      }
+    }
+
+    return { ...state, blocks, heavies, covered: [...covered].sort() };
+  }
+
+  /**
+   * Drop a body onto its support; while that is a running conveyor, carry
+   * it to the end (just clear of it) or to the first platform in its way,
+   * and drop it again.
+   * @returns {[number, number]} [x, base]
+   */
+  _ride(supports, powered, x, base, halfW, height) {
+    base = this._dropTo(supports, x, halfW, base);
+    for (let hops = 0; hops <= this.conveyors.length; hops++) {
+      const belt = this.conveyors.find(c => powered.has(c.id) &&
+        Math.abs(this._conveyorRect(c).top - base) <= EPS && Math.abs(x - c.x) < (c.width ?? CONVEYOR.WIDTH) / 2 + halfW);
+      if (!belt) break;
+      const rect = this._conveyorRect(belt);
+      const dir = this._conveyorDirection(belt);
+      let to = dir > 0 ? rect.right + halfW + 1 : rect.left - halfW - 1;
+      for (const p of this.level.platforms) {
+        const top = p.y - p.height / 2;
+        const bottom = p.y + p.height / 2;
+        if (top >= base - EPS || bottom <= base - height) continue;
+        if (dir > 0 && p.x - p.width / 2 >= x) to = Math.min(to, p.x - p.width / 2 - halfW);
+        if (dir < 0 && p.x + p.width / 2 <= x) to = Math.max(to, p.x + p.width / 2 + halfW);
+      }
+      if (to === x) break;
+      x = to;
+      base = this._dropTo(supports, x, halfW, base);
+    }
+    return [x, base];
+  }
+
+  _conveyorRect(c) {
+    const w = c.width ?? CONVEYOR.WIDTH;
+    return {
+      left: c.x - w / 2, right: c.x + w / 2,
+      top: c.y - CONVEYOR.HEIGHT / 2, bottom: c.y + CONVEYOR.HEIGHT / 2,
+    };
+  }
+
+  _fanRect(f) {
+    const w = f.width ?? FAN.WIDTH;
+    return {
+      left: f.x - w / 2, right: f.x + w / 2,
+      top: f.y - FAN.HEIGHT / 2, bottom: f.y + FAN.HEIGHT / 2,
+    };
+  }
+
+  /**
+   * Where a powered fan's updraft carries the player: its column, with the
+   * top at the column height or just under the lowest ceiling in it.
+   */
+  _fanColumn(f, obstacles) {
+    const rect = this._fanRect(f);
+    let top = rect.top - (f.height ?? FAN.LIFT_HEIGHT);
+    for (const o of obstacles) {
+      if (o.right <= rect.left || o.left >= rect.right) continue;
+      if (o.bottom <= rect.top - BODY_H + EPS && o.bottom > top - BODY_H) top = o.bottom + BODY_H;
+    }
+    return { left: rect.left, right: rect.right, top, base: rect.top };
+  }
+
+  /** +1 if a conveyor runs right, −1 if left (reverse polarity included). */
+  _conveyorDirection(c) {
+    return ((c.direction ?? 'right') === 'right' ? 1 : -1) * (c.reversed ? -1 : 1);
+  }
+
+  /** Highest support top at or below `base` under a body centred on x. */
+  _dropTo(supports, x, halfW, base) {
+    let best = this.worldH;
+    for (const s of supports) {
+      if (s.right <= x - halfW || s.left >= x + halfW) continue;
+      if (s.top >= base - EPS && s.top < best) best = s.top;
+    }
+    return best;
+  }
+
+  /** Surfaces a push block (or heavy block) can rest on. */
+  _blockSupports(powered, stops) {
+    const out = this.level.platforms.map(p => ({
+      top: p.y - p.height / 2, left: p.x - p.width / 2, right: p.x + p.width / 2,
+    }));
+    for (const c of this.conveyors) out.push(this._conveyorRect(c));
+    for (const f of this.fans) out.push(this._fanRect(f));
+    for (const e of this.elevators) {
+      const w = e.width ?? ELEVATOR.WIDTH;
+      const h = e.height ?? ELEVATOR.HEIGHT;
+      out.push({ top: e.startY - h / 2, left: e.x - w / 2, right: e.x + w / 2 });
+      if (powered.has(e.id)) out.push({ top: e.endY - h / 2, left: e.x - w / 2, right: e.x + w / 2 });
+    }
+    this.movingPlatforms.forEach((m, i) => {
+      for (const stop of this._platformStops(m, powered, stops[i])) out.push(this._platformRect(m, stop));
+    });
+    for (const db of this.drawbridges) out.push(...this._bridgeParts(db, powered).decks);
+    return out;
+  }
+
+  /**
+   * What a drawbridge's leaves make at the angle they stand at (open while
+   * powered, else at rest): flat decks, ramps — the two ends of a walkable
+   * slope, walked between (_edges) — and raised walls. Hanging planks make
+   * nothing.
+   */
+  _bridgeParts(db, powered) {
+    const angle = bridgeAngles(db)[powered.has(db.id) ? 'open' : 'rest'];
+    const h = db.height ?? DRAWBRIDGE.HEIGHT;
+    const parts = { decks: [], ramps: [], walls: [] };
+    for (const leaf of bridgeLeaves(db)) {
+      const end = leafEnd(leaf, angle);
+      if (angle === 0) {
+        parts.decks.push({ top: leaf.y, left: Math.min(leaf.x, end.x), right: Math.max(leaf.x, end.x) });
+      } else if (Math.abs(angle) <= MAX_SLOPE) {
+        parts.ramps.push([
+          { top: leaf.y, left: leaf.x, right: leaf.x },
+          { top: end.y, left: end.x, right: end.x },
+        ]);
+      } else if (angle > 0) {
+        parts.walls.push({
+          left: Math.min(leaf.x, end.x) - h / 2, right: Math.max(leaf.x, end.x) + h / 2,
+          top: end.y, bottom: leaf.y,
+        });
+      }
+    }
+    return parts;
+  }
+
+  /**
+   * Waypoints a moving platform can be stood on at: its first one, or every
+   * one while powered — or, for a 'step' one, where `phase` has taken it.
+   */
+  _platformStops(m, powered, phase) {
+    if (m.mode === 'step') return [this._stopIndex(m, phase)];
+    return powered.has(m.id) ? m.points.map((_, i) => i) : [0];
+  }
+
+  /** Legs in one trip round a route: there and back again for 'pingpong'. */
+  _routeLegs(m) {
+    const n = m.points.length;
+    return m.route === 'loop' ? n : 2 * (n - 1);
+  }
+
+  /** Waypoint a 'step' platform is at after `phase` legs (MovingPlatform._following). */
+  _stopIndex(m, phase) {
+    const n = m.points.length;
+    return phase < n ? phase : this._routeLegs(m) - phase;
+  }
+
+  _platformRect(m, stop) {
+    const w = m.width ?? MOVING_PLATFORM.WIDTH;
+    const h = m.height ?? MOVING_PLATFORM.HEIGHT;
+    const { x, y } = m.points[stop];
+    return { left: x - w / 2, right: x + w / 2, top: y - h / 2 };
+  }
+
+  /**
+   * 'step' platforms an action from `prev` to `next` powers up travel one
+   * stop, carrying the player if they stand on one.
+   * @returns {{ state: object, moved: string[] }} moved — '<id> to (x, y)' per platform
+   */
+  _stepPlatforms(prev, next) {
+    const before = this._powered(prev);
+    const after = this._powered(next);
+    const stops = next.stops.slice();
+    let { px, py } = next;
+    const moved = [];
+    this.movingPlatforms.forEach((m, i) => {
+      if (m.mode !== 'step' || before.has(m.id) || !after.has(m.id)) return;
+      const from = this._platformRect(m, this._stopIndex(m, stops[i]));
+      stops[i] = (stops[i] + 1) % this._routeLegs(m);
+      const to = this._platformRect(m, this._stopIndex(m, stops[i]));
+      if (Math.abs(py - from.top) <= EPS && px >= from.left && px <= from.right) {
+        px += to.left - from.left;
+        py += to.top - from.top;
+      }
+      moved.push(`${m.id} to (${Math.round((to.left + to.right) / 2)}, ${Math.round(to.top)})`);
+    });
+    if (moved.length === 0) return { state: next, moved };
+    return { state: this._settle({ ...next, px, py, stops }), moved };
+  }
+
+  /** Ids of every element currently receiving power. */
+  _powered(state) {
+    const set = new Set();
+    const fed = this._fedPlugs(state);
+    for (const plug of this.plugs) {
+      for (const { id, invert } of this._plugLinks(plug.id)) {
+        if (fed.has(plug.id) !== invert) set.add(id);
+      }
+    }
+    const pressed = this._pressedPlates(state);
+    for (const plate of this.pressurePlates) {
+      for (const { id, invert } of parseLinks(plate.linkTo)) {
+        if (pressed.has(plate.id) !== invert) set.add(id);
+      }
+    }
+    for (const lever of this.levers) {
+      if (lever.mode === 'timed') continue; // held like a relay, below
+      for (const { id, invert } of parseLinks(lever.linkTo)) {
+        if (state.levers.includes(lever.id) !== invert) set.add(id);
+      }
+    }
+    for (const id of state.gens) {
+      for (const el of this.generatorsById.get(id)?.autoActivateIds || []) set.add(el);
+    }
+    for (const id of state.zones) {
+      const zone = this.triggerZones.find(z => z.id === id);
+      for (const el of zone?.triggersIds || []) set.add(el);
+    }
+    for (const [id, on] of this._gateOutputs(state)) {
+      if (on) for (const el of this.logicGates.find(g => g.id === id).linkTo || []) set.add(el);
+    }
+
+    // Relays pass power on while fed or holding (and may feed each other)
+    const on = new Set();
+    for (let grew = true; grew;) {
+      grew = false;
+      for (const r of this.relays) {
+        if (on.has(r.id) || !(set.has(r.id) || state.held.some(([id]) => id === r.id))) continue;
+        on.add(r.id);
+        grew = true;
+        for (const l of parseLinks(r.linkTo)) if (!l.invert) set.add(l.id);
+      }
+    }
+    for (const r of this.relays) {
+      if (!on.has(r.id)) for (const l of parseLinks(r.linkTo)) if (l.invert) set.add(l.id);
+    }
+    return set;
+  }
+
+  /**
+   * Holds after an action from `prev` to `next`: relays fed before (or fed
+   * by a hold) and not fed now start holding where the player is now.
+   */
+  _holds(prev, next) {
+    const before = this._powered(prev);
+    const after = this._powered({ ...next, held: [] });
+    return this.relays
+      .filter(r => before.has(r.id) && !after.has(r.id))
+      .map(r => [r.id, next.px, next.py]);
+  }
+
+  /** How far from where the holds began the player can be before the first runs out (px). */
+  _holdReach(state) {
+    let ms = Infinity;
+    for (const [id] of state.held) ms = Math.min(ms, this.relays.find(r => r.id === id).hold);
+    return PLAYER.SPEED * ms / 1000;
+  }
+
+  /** Whether a player position is within reach of every hold in a state. */
+  _inHoldReach(state, px, py) {
+    const reach = this._holdReach(state);
+    return state.held.every(([, x, y]) => Math.hypot(px - x, py - y) <= reach);
+  }
+
+  /**
+   * Whether a state has a generator powering more than its breaker carries:
+   * the player's generator through the live plugs' links, a secondary one
+   * through `autoActivateIds`, and on through relays (as GeneratorSystem).
+   */
+  _overloaded(state) {
+    const powered = this._powered(state);
+    const relays = new Map(this.relays.map(r => [r.id, r.linkTo]));
+    return this.breakers.some(g => {
+      const stack = [];
+      if (g === this.cordOrigin) for (const plug of this._fedPlugs(state)) stack.push(...this._plugLinks(plug));
+      if (g.isPrimary === false && state.gens.includes(g.id)) stack.push(...parseLinks(g.autoActivateIds));
+      const reached = new Set();
+      let load = 0;
+      while (stack.length) {
+        const { id, invert } = stack.pop();
+        if (invert || reached.has(id)) continue;
+        reached.add(id);
+        if (powered.has(id)) load += this.loads.get(id) ?? 0;
+        if (relays.has(id)) stack.push(...parseLinks(relays.get(id)));
+      }
+      return load > g.capacity;
+    });
+  }
+
+  /**
+   * Output of every logic gate (id → on), latches as of `state.latches`.
+   * `pulse` names a trigger zone the player is standing in right now.
+   */
+  _gateOutputs(state, pulse = null) {
+    const outputs = new Map();
+    if (this.logicGates.length === 0) return outputs;
+
+    const fed = this._fedPlugs(state);
+    const pressed = this._pressedPlates(state);
+    const signal = (id) => {
+      if (outputs.has(id)) return outputs.get(id);
+      if (this.plugsById.has(id)) return fed.has(id);
+      if (pressed.has(id)) return true;
+      if (this.leverIds.has(id)) return state.levers.includes(id) || state.held.some(([h]) => h === id);
+      const gen = this.generatorsById.get(id);
+      if (gen) return gen.isPrimary !== false || state.gens.includes(id);
+      const zone = this.triggerZones.find(z => z.id === id);
+      return !!zone && (id === pulse || (!!zone.onceOnly && state.zones.includes(id)));
+    };
+    for (const g of this.logicGates) {
+      outputs.set(g.id, gateOutput(g.type, (g.inputs || []).map(signal), state.latches.includes(g.id)));
+    }
+    return outputs;
+  }
+
+  /** Ids of the pressure plates the blocks resting on them hold down. */
+  _pressedPlates(state) {
+    const pressed = new Set();
+    for (const plate of this.pressurePlates) {
+      const half = (plate.width ?? PRESSURE_PLATE.WIDTH) / 2;
+      const base = plate.y + PRESSURE_PLATE.HEIGHT / 2;
+      const on = (x, hw, b) => Math.abs(x - plate.x) < half + hw && Math.abs(b - base) <= PRESSURE_PLATE.TOLERANCE;
+      let weight = 0;
+      for (const [x, b] of state.blocks) if (on(x, BLOCK / 2, b)) weight += PRESSURE_PLATE.WEIGHTS.pushBlock;
+      state.heavies.forEach(([x, b], i) => {
+        if (on(x, (this.heavyBlocks[i].width ?? HEAVY_BLOCK.WIDTH) / 2, b)) weight += PRESSURE_PLATE.WEIGHTS.heavyBlock;
+      });
+      if (weight >= (plate.minWeight ?? PRESSURE_PLATE.MIN_WEIGHT)) pressed.add(plate.id);
+    }
+    return pressed;
+  }
+
+  /** A plug point's links, [{ id, invert }] (a junction box powers none itself). */
+  _plugLinks(id) {
+    const t = this.plugsById.get(id);
+    if (!t || this.boxIds.has(id)) return [];
+    return parseLinks(t.linkTo);
+  }
+
+  /** Plug points a live cord is plugged into. */
+  _fedPlugs(state) {
+    const live = this._liveOrigins(state);
+    return new Set(state.cords.map(splitCord).filter(([origin]) => live.has(origin)).map(([, plug]) => plug));
+  }
+
+  /** The generator id plus every junction box a live cord is plugged into. */
+  _liveOrigins(state) {
+    const live = new Set(this.cordOrigin ? [this.cordOrigin.id] : []);
+    for (let grew = true; grew;) {
+      grew = false;
+      for (const [origin, plug] of state.cords.map(splitCord)) {
+        if (live.has(origin) && this.boxIds.has(plug) && !live.has(plug)) {
+          live.add(plug);
+          grew = true;
+        }
+      }
+    }
+    return live;
+  }
+
+  // ───── Geometry for one state ─────
+
+  /**
+   * Build the walkable intervals and movement graph for a state, locate the
+   * player and compute the region they can reach without changing anything.
+   * @returns {null | { intervals, edges, component: Set<object>, playerAt: object, powered: Set<string>, stops: number[] }}
+   */
+  view(state) {
+    const powered = this._powered(state);
+    const surfaces = [];
+    const obstacles = [];
+
+    for (const p of this.level.platforms) {
+      const rect = {
+        left: p.x - p.width / 2, right: p.x + p.width / 2,
+        top: p.y - p.height / 2, bottom: p.y + p.height / 2,
+      };
+      surfaces.push({ ...rect, kind: 'platform', solid: rect });
+      obstacles.push(rect);
+    }
+    for (const c of this.conveyors) {
+      const rect = this._conveyorRect(c);
+      surfaces.push({ ...rect, kind: 'platform', solid: rect });
+      obstacles.push(rect);
+    }
+    for (const f of this.fans) {
+      const rect = this._fanRect(f);
+      surfaces.push({ ...rect, kind: 'platform', solid: rect });
+      obstacles.push(rect);
+    }
+    // Player collides with the world bounds, so the bottom edge is a floor
+    surfaces.push({ top: this.worldH, left: 0, right: this.worldW, kind: 'world' });
+
+    for (const e of this.elevators) {
+      const w = e.width ?? ELEVATOR.WIDTH;
+      const h = e.height ?? ELEVATOR.HEIGHT;
+      const span = { left: e.x - w / 2, right: e.x + w / 2 };
+      surfaces.push({ ...span, top: e.startY - h / 2, kind: 'elevator', ref: e.id });
+      if (powered.has(e.id)) {
+        surfaces.push({ ...span, top: e.endY - h / 2, kind: 'elevator', ref: e.id });
+      }
+    }
+
+    this.movingPlatforms.forEach((m, i) => {
+      for (const stop of this._platformStops(m, powered, state.stops[i])) {
+        surfaces.push({ ...this._platformRect(m, stop), kind: 'moving', ref: m.id, step: m.mode === 'step' });
+      }
+    });
+
+    for (const db of this.drawbridges) {
+      const { decks, ramps, walls } = this._bridgeParts(db, powered);
+      for (const deck of decks) surfaces.push({ ...deck, kind: 'bridge' });
+      for (const ramp of ramps) {
+        for (const end of ramp) surfaces.push({ ...end, kind: 'ramp', ramp });
+      }
+      obstacles.push(...walls);
+    }
+
+    for (const d of this.doors) obstacles.push(this._doorRect(d, state, powered));
+
+    state.heavies.forEach(([x, base], i) => {
+      const hb = this.heavyBlocks[i];
+      const w = hb.width ?? HEAVY_BLOCK.WIDTH;
+      const h = hb.height ?? HEAVY_BLOCK.HEIGHT;
+      const rect = { left: x - w / 2, right: x + w / 2, top: base - h, bottom: base };
+      // The skirt fills the gap below an elevated heavy block down to the floor
+      const floor = this._dropTo(this._blockSupports(powered, state.stops), x, w / 2, base);
+      const solid = { ...rect, bottom: Math.max(base, floor) };
+      obstacles.push(solid);
+      surfaces.push({ ...rect, kind: 'heavy', solid });
+    });
+
+    state.blocks.forEach(([x, base], i) => {
+      surfaces.push({
+        top: base - BLOCK, left: x - BLOCK / 2, right: x + BLOCK / 2,
+        bottom: base, kind: 'block', ref: this.pushBlocks[i].id,
+      });
+    });
+
+    for (const f of this.fans) {
+      if (!powered.has(f.id)) continue;
+      const { left, right, top } = this._fanColumn(f, obstacles);
+      surfaces.push({ left, right, top, kind: 'fan', ref: f.id });
+    }
+
+    const hazards = this.spikes
+      .filter(s => !state.covered.includes(s.id))
+      .map(s => ({ left: s.x - s.width / 2, right: s.x + s.width / 2, bottom: s.y + (s.height ?? SPIKES.HEIGHT) / 2 }));
+
+    if (!state.cords.some(c => splitCord(c)[1] === '')) hazards.push(...this._guardedPatrols(obstacles));
+
+    const fed = this._fedPlugs(state);
+    for (const p of this.pools) {
+      if (powered.has(p.id) || fed.has(p.id)) hazards.push(this._poolRect(p));
+    }
+
+    const intervals = [];
+    for (const s of surfaces) intervals.push(...this._cut(s, obstacles, hazards));
+    intervals.forEach((iv, i) => { iv.index = i; });
+
+    const edges = this._edges(intervals, surfaces, obstacles, powered);
+
+    const playerAt = this._locate(intervals, state.px, state.py);
+    if (!playerAt) return null;
+
+    const component = new Set([playerAt]);
+    const stack = [playerAt];
+    while (stack.length) {
+      const iv = stack.pop();
+      for (const e of edges.get(iv)) {
+        if (!component.has(e.to)) { component.add(e.to); stack.push(e.to); }
+      }
+    }
+
+    // Actions are done from the first spot in reach: try step platforms'
+    // decks first, so flipping one from its deck rides it (_stepPlatforms)
+    const decks = [...component].filter(iv => iv.surf.kind === 'moving' && iv.surf.step);
+    const reach = decks.length ? new Set([...decks, ...component]) : component;
+
+    return { intervals, edges, component: reach, playerAt, powered, stops: state.stops };
+  }
+
+  /** Current collision rectangle of a door (closed, open, or propped on a block). */
+  _doorRect(d, state, powered) {
+    const w = d.width ?? DOOR.WIDTH;
+    const h = d.height ?? DOOR.HEIGHT;
+    let x = d.x;
+    let y = d.y;
+
+    if (powered.has(d.id)) {
+      const range = d.range ?? h;
+      const offsets = { up: [0, -range], down: [0, range], left: [-range, 0], right: [range, 0] };
+      const [dx, dy] = offsets[d.direction] || offsets.up;
+      x += dx;
+      y += dy;
+    } else {
+      // PushBlock.isUnderDoor — a block under the closed door props it up
+      for (const [bx, base] of state.blocks) {
+        const blockTop = base - BLOCK;
+        const overlapX = Math.abs(bx - d.x) < BLOCK / 2 + w / 2;
+        if (overlapX && blockTop < d.y + h / 2) {
+          y = Math.min(y, blockTop - PROP_CLEARANCE - h / 2);
+        }
+      }
+    }
+    return { left: x - w / 2, right: x + w / 2, top: y - h / 2, bottom: y + h / 2 };
+  }
+
+  /**
+   * Enemy patrols the player cannot jump over because a low ceiling covers
+   * the whole route — only a free cord (zapping) gets past them.
+   */
+  _guardedPatrols(obstacles) {
+    const out = [];
+    for (const en of this.enemies) {
+      const bottom = en.y + ENEMY.HEIGHT / 2;
+      const from = en.rangeLeft ?? en.x;
+      const to = en.rangeRight ?? en.x;
+      const low = obstacles
+        .filter(o => o.bottom <= bottom - EPS && bottom - o.bottom < BODY_H + ENEMY.HEIGHT)
+        .filter(o => o.right > from && o.left < to)
+        .sort((p, q) => p.left - q.left);
+
+      let covered = from;
+      for (const o of low) {
+        if (o.left > covered) break;
+        covered = Math.max(covered, o.right);
+      }
+      if (covered >= to) {
+        out.push({ left: from - ENEMY.WIDTH / 2, right: to + ENEMY.WIDTH / 2, bottom });
+      }
+    }
+    return out;
+  }
+
+  /** Split a surface into intervals of valid player-centre X positions. */
+  _cut(s, obstacles, hazards) {
+    const minX = Math.max(s.left, HALF_W);
+    const maxX = Math.min(s.right, this.worldW - HALF_W);
+    if (maxX < minX) return [];
+
+    const cuts = [];
+    for (const o of obstacles) {
+      // Obstacle must overlap the player's body while standing on this surface
+      if (o.top < s.top - 0.5 && o.bottom > s.top - BODY_H + 0.5) {
+        cuts.push([o.left - HALF_W, o.right + HALF_W]);
+      }
+    }
+    for (const hz of hazards) {
+      if (Math.abs(hz.bottom - s.top) <= 4) cuts.push([hz.left - HALF_W, hz.right + HALF_W]);
+    }
+    cuts.sort((a, b) => a[0] - b[0]);
+
+    const out = [];
+    let lo = minX;
+    let openL = s.left >= HALF_W;
+    for (const [cl, cr] of cuts) {
+      if (cr <= lo) continue;
+      if (cl > maxX) break;
+      if (cl > lo) out.push({ top: s.top, lo, hi: cl, openL, openR: false, surf: s });
+      lo = Math.max(lo, cr);
+      openL = false;
+    }
+    if (lo <= maxX) {
+      out.push({ top: s.top, lo, hi: maxX, openL, openR: s.right <= this.worldW - HALF_W, surf: s });
+    }
+    return out;
+  }
+
+  _edges(intervals, surfaces, obstacles, powered) {
+    const edges = new Map(intervals.map(iv => [iv, []]));
+    const add = (a, b, type) => edges.get(a).push({ to: b, type });
+
+    for (const a of intervals) {
+      for (const b of intervals) {
+        if (a === b) continue;
+        const rise = a.top - b.top; // > 0 → b is higher
+        if (rise > MAX_JUMP) continue;
+        // Floating in an updraft: no ground to jump from
+        if (a.surf.kind === 'fan' && rise > EPS) continue;
+
+        const gap = Math.max(0, b.lo - a.hi, a.lo - b.hi);
+        if (Math.abs(rise) <= EPS && gap <= 1) {
+          add(a, b, 'walk');
+          continue;
+        }
+
+        if (rise > EPS && gap === 0) {
+          // Take off beside the higher surface and land on top of it
+          if (a.lo < b.lo - 1 || a.hi > b.hi + 1) add(a, b, 'jump');
+          continue;
+        }
+
+        const spans = rise < -EPS ? this._landingSpans(a, b, surfaces) : [[b.lo, b.hi]];
+        const ignore = [a.surf.solid, b.surf.solid];
+        const reaches = spans.some(([l, r]) =>
+          (r > a.hi && this._jumpReaches(a, Math.max(l, a.hi), b.top, 1, obstacles, ignore)) ||
+          (l < a.lo && this._jumpReaches(a, Math.min(r, a.lo), b.top, -1, obstacles, ignore)));
+        if (reaches) add(a, b, rise < -EPS ? 'drop' : 'jump');
+      }
+    }
+
+    // Powered elevators carry riders between their two stops
+    for (const e of this.elevators) {
+      if (!powered.has(e.id)) continue;
+      const stops = intervals.filter(iv => iv.surf.kind === 'elevator' && iv.surf.ref === e.id);
+      for (const a of stops) for (const b of stops) if (a !== b) add(a, b, 'ride');
+    }
+
+    // So do powered moving platforms between their waypoints ('step' ones
+    // only move when power comes on: _stepPlatforms)
+    for (const m of this.movingPlatforms) {
+      if (m.mode === 'step' || !powered.has(m.id)) continue;
+      const stops = intervals.filter(iv => iv.surf.kind === 'moving' && iv.surf.ref === m.id);
+      for (const a of stops) for (const b of stops) if (a !== b) add(a, b, 'ride');
+    }
+
+    // A ramped drawbridge plank is walked up and down between its ends
+    const rampEnds = intervals.filter(iv => iv.surf.kind === 'ramp');
+    for (const a of rampEnds) {
+      for (const b of rampEnds) if (a !== b && a.surf.ramp === b.surf.ramp) add(a, b, 'walk');
+    }
+
+    // Powered fans lift the player from the housing or a ledge in the column
+    // (a held block is let go: the player leaves the ground)
+    for (const f of this.fans) {
+      if (!powered.has(f.id)) continue;
+      const tops = intervals.filter(iv => iv.surf.kind === 'fan' && iv.surf.ref === f.id);
+      const { left, right, top, base } = this._fanColumn(f, obstacles);
+      for (const a of intervals) {
+        if (a.surf.kind === 'fan' || a.top > base + EPS || a.top <= top + EPS) continue;
+        if (a.hi <= left - HALF_W || a.lo >= right + HALF_W) continue;
+        for (const b of tops) add(a, b, 'lift');
+      }
+    }
+    return edges;
+  }
+
+  /**
+   * Parts of a lower interval b the player can fall onto — anything from
+   * a's level down to b (a's own surface included) catches them first.
+   */
+  _landingSpans(a, b, surfaces) {
+    let spans = [[b.lo, b.hi]];
+    for (const s of surfaces) {
+      if (s.top < a.top - EPS || s.top >= b.top - EPS) continue;
+      const cl = s.left - HALF_W;
+      const cr = s.right + HALF_W;
+      spans = spans.flatMap(([l, r]) => {
+        if (cr <= l || cl >= r) return [[l, r]];
+        return [[l, cl], [cr, r]].filter(([pl, pr]) => pr >= pl);
+      });
+    }
+    return spans;
+  }
+
+  /**
+   * Can a full-speed jump from interval a arrive above `target` (moving in
+   * `dir`) with its feet still at or above `landTop`, clearing every obstacle
+   * on the way? Tries take-off points within a short run-up of a's edge.
+   */
+  _jumpReaches(a, target, landTop, dir, obstacles, ignore) {
+    const edge = dir > 0 ? a.hi : a.lo;
+    for (let back = 0; back <= RUN_UP; back += 8) {
+      const x0 = edge - dir * back;
+      if (x0 < a.lo || x0 > a.hi) break;
+      if (this._arcClears(a.top, x0, target, dir, landTop, obstacles, ignore)) return true;
+    }
+    return false;
+  }
+
+  _arcClears(top, x0, target, dir, landTop, obstacles, ignore) {
+    const feet = t => top - (JUMP_V * t - GRAVITY * t * t / 2);
+    const tEnd = Math.abs(target - x0) / PLAYER.SPEED;
+    if (feet(tEnd) > landTop + EPS) return false;
+
+    // Overhead bodies the player would simply walk beneath at either level
+    const headroom = Math.min(top, landTop) - BODY_H;
+    const lo = Math.min(x0, target);
+    const hi = Math.max(x0, target);
+
+    for (const o of obstacles) {
+      if (ignore.includes(o) || o.bottom <= headroom) continue;
+      const cl = o.left - HALF_W;
+      const cr = o.right + HALF_W;
+      if (cr <= lo || cl >= hi) continue;
+
+      const t1 = (dir > 0 ? Math.max(cl, lo) - x0 : x0 - Math.min(cr, hi)) / PLAYER.SPEED;
+      const t2 = (dir > 0 ? Math.min(cr, hi) - x0 : x0 - Math.max(cl, lo)) / PLAYER.SPEED;
+      // Over it: the arc is concave, so its lowest points are the window ends
+      if (feet(t1) <= o.top && feet(t2) <= o.top) continue;
+      // Under it: the head stays below the bottom even at the highest point
+      const tPeak = Math.min(Math.max(JUMP_V / GRAVITY, t1), t2);
+      if (feet(tPeak) - BODY_H >= o.bottom) continue;
+      return false;
+    }
+    return true;
+  }
+
+  /** Find the interval holding a point, falling onto the next one below if needed. */
+  _locate(intervals, x, top) {
+    let best = null;
+    let bestDist = Infinity;
+    for (const iv of intervals) {
+      if (Math.abs(iv.top - top) > EPS) continue;
+      const d = Math.max(0, iv.lo - x, x - iv.hi);
+      if (d < bestDist) { bestDist = d; best = iv; }
+    }
+    if (best && bestDist <= HALF_W + 4) return best;
+
+    let below = null;
+    for (const iv of intervals) {
+      if (iv.top <= top + EPS) continue;
+      if (x < iv.lo - HALF_W || x > iv.hi + HALF_W) continue;
+      if (!below || iv.top < below.top) below = iv;
+    }
+    return below;
+  }
+
+  // ───── Queries on a view ─────
+
+  /** Closest point on an interval to (x, y), as player-centre coordinates. */
+  _spotNear(iv, x, y) {
+    const px = Math.min(Math.max(x, iv.lo), iv.hi);
+    const py = iv.top - BODY_H / 2;
+    return { x: px, y: py, dist: Math.hypot(px - x, py - y) };
+  }
+
+  /**
+   * Where the player can plug into (or unplug from) a plug point; a pool
+   * from a spot within range of the water but not standing in it.
+   */
+  _reachPlug(view, t) {
+    if (!this.poolIds.has(t.id)) return this._reachPoint(view, t.x, t.y, TERMINAL.INTERACT_RANGE);
+    const r = this._poolRect(t);
+    for (const iv of view.component) {
+      const wet = iv.top > r.top + EPS && iv.top <= r.bottom + EPS;
+      const xs = wet ? [r.left - HALF_W, r.right + HALF_W] : [t.x];
+      for (const x of xs) {
+        const px = Math.min(Math.max(x, iv.lo), iv.hi);
+        if (wet && px > r.left - HALF_W && px < r.right + HALF_W) continue;
+        const py = iv.top - BODY_H / 2;
+        const dist = Math.hypot(Math.max(0, r.left - px, px - r.right), Math.max(0, r.top - py, py - r.bottom));
+        if (dist <= TERMINAL.INTERACT_RANGE) return { iv, spot: { x: px, y: py, dist } };
+      }
+    }
+    return null;
+  }
+
+  _poolRect(p) {
+    const h = p.height ?? WATER_POOL.HEIGHT;
+    return { left: p.x - p.width / 2, right: p.x + p.width / 2, top: p.y - h / 2, bottom: p.y + h / 2 };
+  }
+
+  /** First interval in the component from which (x, y) is within `range`. */
+  _reachPoint(view, x, y, range) {
+    for (const iv of view.component) {
+      const spot = this._spotNear(iv, x, y);
+      if (spot.dist <= range) return { iv, spot };
+    }
+    return null;
+  }
+
+  _reachZone(view, zone) {
+    for (const iv of view.component) {
+      const spot = this._spotNear(iv, zone.x, zone.y);
+      if (Math.abs(spot.x - zone.x) <= zone.width / 2 + HALF_W &&
+          Math.abs(spot.y - zone.y) <= zone.height / 2 + BODY_H / 2) {
+        return { iv, spot };
+      }
+    }
+    return null;
+  }
+
+  /** Whether the goal is in reach (and, while relays hold, reached before they run out). */
+  reachesGoal(view, state) {
+    const g = this.level.goal;
+    if (!g) return false;
+    const hit = this._reachZone(view, { x: g.x, y: g.y, width: GOAL_HALF * 2, height: GOAL_HALF * 2 });
+    return !!hit && this._inHoldReach(state, hit.spot.x, hit.spot.y + BODY_H / 2);
+  }
+
+  recordReach(view) {
+    for (const t of this.plugs) {
+      if (this._reachPoint(view, t.x, t.y, TERMINAL.INTERACT_RANGE)) this._reachedTerminals.add(t.id);
+    }
+    for (const g of this.generators) {
+      if (this._reachPoint(view, g.x, g.y, GENERATOR_RANGE)) this._reachedGenerators.add(g.id);
+    }
+  }
+
+  unreachable() {
+    return {
+      terminals: this.plugs.map(t => t.id).filter(id => !this._reachedTerminals.has(id)),
+      generators: this.generators.map(g => g.id).filter(id => !this._reachedGenerators.has(id)),
+    };
+  }
+
+  /** Plug points no cord reaches from the generator, even relayed through junction boxes. */
+  outOfCordRange() {
+    if (!this.cordOrigin) return [];
+    const reached = new Set();
+    const sources = [this.cordOrigin.id];
+    for (let i = 0; i < sources.length; i++) {
+      for (const id of this.cordReach.get(sources[i])) {
+        if (reached.has(id)) continue;
+        reached.add(id);
+        if (this.boxIds.has(id)) sources.push(id);
+      }
+    }
+    return this.plugs.filter(t => !reached.has(t.id)).map(t => t.id);
+  }
+
+  /**
+   * Per cord origin (the player's generator and every junction box), the
+   * ids of plug points a cord from there reaches by its shortest route
+   * around the platforms, conveyors and fan housings. Doors and blocks are left out: they move, so a
+   * cord can usually be routed past them (coarse, like the rest of the model).
+   */
+  _cordReach() {
+    const reach = new Map();
+    const rects = this.level.platforms.map(p => ({
+      left: p.x - p.width / 2, top: p.y - p.height / 2, right: p.x + p.width / 2, bottom: p.y + p.height / 2,
+    })).concat(this.conveyors.map(c => this._conveyorRect(c)), this.fans.map(f => this._fanRect(f)));
+    const bounds = { left: 0, top: 0, right: this.worldW, bottom: this.worldH };
+    const origins = [...(this.cordOrigin ? [this.cordOrigin] : []), ...this.junctionBoxes];
+    for (const origin of origins) {
+      const ids = new Set();
+      for (const t of [...this.plugs, ...this.pools]) {
+        if (t === origin) continue;
+        const length = shortestCordLength(origin, t, rects, { bounds, maxLength: CORD.MAX_LENGTH });
+        if (length <= CORD.MAX_LENGTH) ids.add(t.id);
+      }
+      reach.set(origin.id, ids);
+    }
+    return reach;
+  }
+
+  /** Canonical key: player region + everything that changes the geometry. */
+  key(state, view) {
+    let region = Infinity;
+    for (const iv of view.component) region = Math.min(region, iv.index);
+    const round = list => list.map(([x, y]) => `${Math.round(x)},${Math.round(y)}`).join(';');
+    return [
+      region, state.cords.join(','), state.reels.join(','), round(state.blocks), round(state.heavies),
+      state.gens.join(','), state.zones.join(','), state.latches.join(','), state.levers.join(','),
+      state.covered.join(','), state.stops.join(','),
+      state.held.map(([id, x, y]) => `${id}@${Math.round(x)},${Math.round(y)}`).join(';'),
+    ].join('|');
+  }
+
+  // ───── Actions ─────
+
+  /** All single-action successors of a state: [{ state, step }]. */
+  actions(state, view) {
+    const out = [];
+    const at = (spot) => ({ px: spot.x, py: spot.y + BODY_H / 2 });
+    const fmt = (spot) => `(${Math.round(spot.x)}, ${Math.round(spot.y + BODY_H / 2)})`;
+
+    // Trigger zones fire as soon as the player walks into them
+    for (const z of this.triggerZones) {
+      if (state.zones.includes(z.id) && z.onceOnly) continue;
+      const hit = this._reachZone(view, z);
+      if (!hit) continue;
+      const gens = new Set(state.gens);
+      const gen = this.generatorsById.get(z.triggersGenerator);
+      if (gen && gen.isPrimary === false) gens.add(gen.id);
+      const zones = new Set(state.zones).add(z.id);
+      const next = this._settle({ ...state, ...at(hit.spot), gens: [...gens].sort(), zones: [...zones].sort() }, z.id);
+      if (gens.size === state.gens.length && zones.size === state.zones.length &&
+          next.latches.join() === state.latches.join()) continue;
+      out.push({ state: next, step: `Walk into trigger zone ${z.id} at ${fmt(hit.spot)}` });
+    }
+
+    // Activate a nearby secondary generator (press D)
+    for (const g of this.generators) {
+      if (g.isPrimary !== false || state.gens.includes(g.id)) continue;
+      const hit = this._reachPoint(view, g.x, g.y, GENERATOR_RANGE);
+      if (!hit) continue;
+      const powers = (g.autoActivateIds || []).join(', ') || 'nothing';
+      out.push({
+        state: this._settle({ ...state, ...at(hit.spot), gens: [...state.gens, g.id].sort() }),
+        step: `Go to ${fmt(hit.spot)} and activate generator ${g.id} (powers ${powers})`,
+      });
+    }
+
+    // Flip a lever or switch (press F); a timed one starts its hold
+    for (const lv of this.levers) {
+      const on = state.levers.includes(lv.id);
+      const timed = lv.mode === 'timed';
+      if (timed ? state.held.some(([id]) => id === lv.id) : on && lv.mode === 'once') continue;
+      const hit = this._reachPoint(view, lv.x, lv.y, LEVER.INTERACT_RANGE);
+      if (!hit) continue;
+      const where = at(hit.spot);
+      const what = `${lv.style === 'switch' ? 'switch' : 'lever'} ${lv.id}`;
+      const powers = this._describePlug(lv.id, parseLinks(lv.linkTo));
+      if (timed) {
+        out.push({
+          state: { ...state, ...where },
+          hold: [lv.id, where.px, where.py],
+          step: `Go to ${fmt(hit.spot)} and flip ${what} (powers ${powers} until it springs back)`,
+        });
+        continue;
+      }
+      const levers = on ? state.levers.filter(id => id !== lv.id) : [...state.levers, lv.id].sort();
+      out.push({
+        state: this._settle({ ...state, ...where, levers }),
+        step: `Go to ${fmt(hit.spot)} and flip ${what} ${on ? 'off' : 'on'} (powers ${powers})`,
+      });
+    }
+
+    // Unplug a cord / plug in a free one
+    const cordsWith = (from, to) => {
+      const cords = state.cords.slice();
+      cords[cords.indexOf(from)] = to;
+      return cords.sort();
+    };
+    const a = state.cords.length > 1 ? 'a' : 'the';
+    const plugged = new Set(state.cords.map(c => splitCord(c)[1]));
+    for (const cord of new Set(state.cords)) {
+      const [origin, plug] = splitCord(cord);
+      if (plug === '') continue;
+      const t = this.plugsById.get(plug);
+      const hit = this._reachPlug(view, t);
+      if (hit) {
+        out.push({
+          state: this._settle({ ...state, ...at(hit.spot), cords: cordsWith(cord, `${origin}>`) }),
+          step: `Go to ${fmt(hit.spot)} and unplug the cord from ${t.id} (${this._describePlug(t.id)} loses cord power)`,
+        });
+      }
+    }
+    const freeOrigins = new Set(state.cords.map(splitCord).filter(([, plug]) => plug === '').map(([origin]) => origin));
+    for (const origin of freeOrigins) {
+      for (const id of this.cordReach.get(origin) ?? []) {
+        if (plugged.has(id)) continue;
+        const t = this.plugsById.get(id);
+        const hit = this._reachPlug(view, t);
+        if (!hit) continue;
+        const from = origin === this.cordOrigin.id ? '' : ` fed from ${origin}`;
+        out.push({
+          state: this._settle({ ...state, ...at(hit.spot), cords: cordsWith(`${origin}>`, `${origin}>${id}`) }),
+          step: `Go to ${fmt(hit.spot)} and plug ${a} cord${from} into ${t.id} (powers ${this._describePlug(t.id)})`,
+        });
+      }
+    }
+
+    // Run a cord out of a live junction box: take its reel or move a free cord's feed there.
+    // The reel needs no free cord — GameScene._handleAction takes it before
+    // unplugging, so even a lone cord plugged into the box can swap to it
+    const live = this._liveOrigins(state);
+    for (const box of this.junctionBoxes) {
+      if (!live.has(box.id)) continue;
+      const hit = this._reachPoint(view, box.x, box.y, TERMINAL.INTERACT_RANGE);
+      if (!hit) continue;
+      if (box.reel !== false && !state.reels.includes(box.id)) {
+        out.push({
+          state: { ...state, ...at(hit.spot), cords: [...state.cords, `${box.id}>`].sort(), reels: [...state.reels, box.id].sort() },
+          step: `Go to ${fmt(hit.spot)} and take the cord reel from junction box ${box.id}`,
+        });
+      }
+      for (const origin of freeOrigins) {
+        if (origin === box.id) continue;
+        out.push({
+          state: { ...state, ...at(hit.spot), cords: cordsWith(`${origin}>`, `${box.id}>`) },
+          step: `Go to ${fmt(hit.spot)} and feed a free cord from junction box ${box.id}`,
+        });
+      }
+    }
+
+    // Move a push block
+    state.blocks.forEach(([bx, base], i) => {
+      for (const move of this._blockMoves(view, bx, base)) {
+        const blocks = state.blocks.slice();
+        blocks[i] = [move.x, move.base];
+        out.push({
+          state: this._settle({ ...state, ...at(move.player), blocks }),
+          step: move.describe(this.pushBlocks[i].id),
+        });
+      }
+    });
+
+    let moves = this.relays.length ? this._withHolds(state, view, out, { at, fmt }) : out;
+    if (this.movingPlatforms.some(m => m.mode === 'step')) {
+      moves = moves.map(m => {
+        const { state: next, moved } = this._stepPlatforms(state, m.state);
+        return moved.length ? { step: `${m.step} — moves ${moved.join(', ')}`, state: next } : m;
+      });
+    }
+    return this.breakers.length ? moves.filter(m => !this._overloaded(m.state)) : moves;
+  }
+
+  /**
+   * Relays: actions while a hold runs must be in its reach and end it;
+   * add running into whatever only the hold opened and waiting it out;
+   * start the holds each action causes (and the one a timed lever's flip
+   * starts, `move.hold`).
+   */
+  _withHolds(state, view, out, { at, fmt }) {
+    let moves = out;
+    if (state.held.length) {
+      const names = state.held.map(([id]) => id).join(', ');
+      moves = out.filter(m => this._inHoldReach(state, m.state.px, m.state.py))
+        .map(m => ({ ...m, state: { ...m.state, held: [] } }));
+
+      // Places the player can only get to while the hold lasts, as they are once it ends
+      const after = { ...state, held: [] };
+      const closed = this.view(after);
+      const origin = { x: state.held[0][1], y: state.held[0][2] - BODY_H / 2 };
+      for (const iv of closed?.intervals ?? []) {
+        if (closed.component.has(iv)) continue;
+        const spot = this._spotNear(iv, origin.x, origin.y);
+        const where = at(spot);
+        if (!this._inHoldReach(state, where.px, where.py)) continue;
+        if (!view.component.has(this._locate(view.intervals, where.px, where.py))) continue;
+        moves.push({ state: { ...after, ...where }, step: `Run to ${fmt(spot)} before ${names} runs out` });
+      }
+      moves.push({ state: after, step: `Wait for ${names} to run out` });
+    }
+    return moves.map(m => ({
+      step: m.step,
+      state: this._settle({ ...m.state, held: [...this._holds(state, m.state), ...(m.hold ? [m.hold] : [])] }),
+    }));
+  }
+
+  /**
+   * What a plug point (or lever, given its links) powers, for solution
+   * steps: 'e1', 'd1, not d2, gate gate1' or 'junction box jb1'.
+   */
+  _describePlug(id, plugLinks = this._plugLinks(id)) {
+    if (this.boxIds.has(id)) return `junction box ${id}`;
+    if (this.poolIds.has(id)) return `the water in ${id}`;
+    const links = plugLinks.map(l => `${l.invert ? 'not ' : ''}${l.id}`);
+    const gates = this.logicGates.filter(g => (g.inputs || []).includes(id)).map(g => `gate ${g.id}`);
+    return [...links, ...gates].join(', ') || 'nothing';
+  }
+
+  /** Every place the player can drag a block resting at (bx, base). */
+  _blockMoves(view, bx, base) {
+    // Grab from beside the block, on the surface it rests on
+    const starts = [...view.component].filter(iv =>
+      Math.abs(iv.top - base) <= EPS && iv.surf.kind !== 'block' && iv.surf.kind !== 'ramp' &&
+      Math.max(0, iv.lo - bx, bx - iv.hi) <= GRAB_RANGE);
+    if (starts.length === 0) return [];
+
+    // Blocks travel with the player along walk and ride edges
+    const reach = new Set(starts);
+    const stack = [...starts];
+    while (stack.length) {
+      const iv = stack.pop();
+      for (const e of view.edges.get(iv)) {
+        if ((e.type === 'walk' || e.type === 'ride') && !reach.has(e.to) && !['block', 'ramp'].includes(e.to.surf.kind)) {
+          reach.add(e.to);
+          stack.push(e.to);
+        }
+      }
+    }
+
+    const moves = [];
+    const seen = new Set();
+    const push = (x, landBase, player, describe) => {
+      const k = `${Math.round(x)},${Math.round(landBase)}`;
+      if (seen.has(k) || (Math.abs(x - bx) < 1 && Math.abs(landBase - base) < 1)) return;
+      seen.add(k);
+      moves.push({ x, base: landBase, player, describe });
+    };
+
+    for (const iv of reach) {
+      const spotAt = (x) => ({ x, y: iv.top - BODY_H / 2 });
+      for (const x of this._blockCandidates(iv, view)) {
+        push(x, iv.top, spotAt(x),
+          id => `Move ${id} to (${Math.round(x)}, ${Math.round(iv.top)})`);
+      }
+
+      // Push the block off an open edge — it falls to the surface below
+      const supports = this._blockSupports(view.powered, view.stops);
+      if (iv.openR) {
+        const x = iv.surf.right + BLOCK / 2 + 1;
+        const land = this._dropTo(supports, x, BLOCK / 2, iv.top + 1);
+        push(x, land, spotAt(iv.hi),
+          id => `Push ${id} off the right edge at x=${Math.round(iv.surf.right)} (lands at y=${Math.round(land)})`);
+      }
+      if (iv.openL) {
+        const x = iv.surf.left - BLOCK / 2 - 1;
+        const land = this._dropTo(supports, x, BLOCK / 2, iv.top + 1);
+        push(x, land, spotAt(iv.lo),
+          id => `Push ${id} off the left edge at x=${Math.round(iv.surf.left)} (lands at y=${Math.round(land)})`);
+      }
+    }
+    return moves;
+  }
+
+  /** Interesting resting spots for a block on an interval. */
+  _blockCandidates(iv, view) {
+    const xs = [iv.lo, iv.hi, (iv.lo + iv.hi) / 2];
+    for (const d of this.doors) xs.push(d.x);
+    for (const e of this.elevators) xs.push(e.x);
+    for (const m of this.movingPlatforms) xs.push(...m.points.map(p => p.x));
+    for (const s of this.spikes) xs.push(s.x);
+    // Beside the edges of higher surfaces — stepping stones for a jump
+    for (const other of view.intervals) {
+      if (other.top >= iv.top - EPS) continue;
+      xs.push(other.surf.left - BLOCK / 2, other.surf.right + BLOCK / 2);
+    }
+    // A block is wider than the player, so it stops short of a wall or door
+    const inset = BLOCK / 2 - HALF_W;
+    const lo = iv.openL ? iv.lo : iv.lo + inset;
+    const hi = iv.openR ? iv.hi : iv.hi - inset;
+    if (hi < lo) return [];
+    return xs
+      .map(x => Math.round(Math.min(Math.max(x, lo), hi)));
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+/** 'g1>t1' → ['g1', 't1'], 'jb1>' → ['jb1', ''] (see the state shape above). */
+function splitCord(cord) {
+  return cord.split('>');
+}
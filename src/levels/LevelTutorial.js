@@ -3,7 +3,7 @@ import { GAME_HEIGHT, DOOR, ELEVATOR, DRAWBRIDGE, ENEMY, PUSH_BLOCK, SPIKES } fr
 /**
  * Tutorial — eight self-contained mini-levels, one per mechanic.
  * Each is a tiny room the player can complete in seconds.
- * They chain together: tut_1 → tut_2 → … → tut_8 → level_01.
+ * TutorialPack plays them in order, then continues into the campaign.
  */
 
 // ── Shared constants ────────────────────────────────────────────
@@ -49,7 +49,6 @@ const STD_DECORATIONS = [
 export const TUT_01 = {
   id: 'tut_1',
   name: 'Tutorial: Movement',
-  nextLevel: 'tut_2',
   world: { width: W, height: GH },
   bgColor: '#1a1a2e',
   platforms: [
@@ -103,7 +102,6 @@ export const TUT_01 = {
 export const TUT_02 = {
   id: 'tut_2',
   name: 'Tutorial: Jumping',
-  nextLevel: 'tut_3',
   world: { width: W, height: GH },
   bgColor: '#1a1a2e',
   platforms: [
@@ -155,7 +153,6 @@ const T3_LEDGE_Y = 420;          // elevated ledge surface (unreachable from flo
 export const TUT_03 = {
   id: 'tut_3',
   name: 'Tutorial: Push Blocks',
-  nextLevel: 'tut_4',
   world: { width: W, height: GH },
   bgColor: '#1a1a2e',
   platforms: [
@@ -220,7 +217,6 @@ const T4_DOOR = 300;
 export const TUT_04 = {
   id: 'tut_4',
   name: 'Tutorial: Doors',
-  nextLevel: 'tut_5',
   world: { width: W, height: GH },
   bgColor: '#1a1a2e',
   platforms: [
@@ -280,7 +276,6 @@ const T5_GAP_W  = T5_GAP_R - T5_GAP_L;
 export const TUT_05 = {
   id: 'tut_5',
   name: 'Tutorial: Drawbridge',
-  nextLevel: 'tut_6',
   world: { width: T5_W, height: GH },
   bgColor: '#1a1a2e',
   platforms: [
@@ -360,7 +355,6 @@ const T6_UPPER = 340;
 export const TUT_06 = {
   id: 'tut_6',
   name: 'Tutorial: Elevator',
-  nextLevel: 'tut_7',
   world: { width: W, height: GH },
   bgColor: '#1a1a2e',
   platforms: [
@@ -424,7 +418,6 @@ export const TUT_06 = {
 export const TUT_07 = {
   id: 'tut_7',
   name: 'Tutorial: Attacking',
-  nextLevel: 'tut_8',
   world: { width: W, height: GH },
   bgColor: '#1a1a2e',
   platforms: [
@@ -484,7 +477,6 @@ export const TUT_07 = {
 export const TUT_08 = {
   id: 'tut_8',
   name: 'Tutorial: The Goal',
-  nextLevel: 'level_01',
   world: { width: W, height: GH },
   bgColor: '#1a1a2e',
   platforms: [
@@ -0,0 +1,868 @@
+/**
+ * LevelValidator — static checks for level data objects.
+ *
+ * Verifies the schema documented at the top of LevelRegistry.js:
+ * required fields, unique ids, resolvable cross-references
+ * (`linkTo` of terminals, power strips, logic gates, relays, pressure plates and levers, gate `inputs`, `generatorId`, `triggersIds`, `triggersGenerator`,
+ * `autoActivateIds`, `generatorLinks`, `nextLevel`), sane numeric ranges and
+ * generator breakers, conveyor speeds, fan strengths and moving platform routes, plus the level pack manifests that order them
+ * (validatePacks).
+ *
+ * Pure data module — no Phaser import — so it runs in plain Node:
+ *
+ *   npm run validate:levels
+ *
+ * Every check produces an issue object:
+ *   { levelId, path, message, severity: 'error' | 'warning' }
+ * Errors break the level at build time; warnings flag design-rule
+ * violations from design/map-design-rules.md (e.g. cord range).
+ */
+
+import { PLAYER, GRAVITY, CORD, DOOR, ELEVATOR, MOVING_PLATFORM, DRAWBRIDGE, CONVEYOR, FAN, PRESSURE_PLATE } from '../config.js';
+import { BRIDGE_STYLES, MAX_SLOPE } from '../utils/bridgeGeometry.js';
+import { shortestCordLength } from '../utils/cordGeometry.js';
+import { GATE_TYPES, GATE_INPUTS, orderGates } from '../utils/gateLogic.js';
+import { parseLinks } from '../utils/powerLinks.js';
+
+/** Level-data arrays whose entries carry an `id` and live in GameScene._elementsById. */
+const ELEMENT_COLLECTIONS = [
+  'generators', 'terminals', 'powerStrips', 'junctionBoxes', 'doors', 'elevators', 'movingPlatforms',
+  'conveyors', 'fans', 'pushBlocks', 'heavyBlocks', 'drawbridges', 'spikes', 'waterPools', 'enemies', 'triggerZones', 'logicGates',
+  'relays', 'capacitors', 'pressurePlates', 'levers',
+];
+
+/** Collections a cord can be plugged into (Player.connectTo). */
+const PLUG_COLLECTIONS = ['terminals', 'powerStrips', 'junctionBoxes'];
+
+/** Collections whose elements implement activate()/deactivate() and can be powered. */
+const POWERABLE_COLLECTIONS = [
+  'doors', 'elevators', 'movingPlatforms', 'conveyors', 'fans', 'drawbridges', 'relays', 'capacitors',
+  'waterPools',
+];
+
+/** Collections that hold power after their input is cut (Relay, Capacitor). */
+const RELAY_COLLECTIONS = ['relays', 'capacitors'];
+
+/** Collections a logic gate can read (GameScene._signalOf). */
+const SIGNAL_COLLECTIONS = [...PLUG_COLLECTIONS, 'generators', 'triggerZones', 'logicGates', 'pressurePlates', 'levers'];
+
+/** Required numeric fields per collection (centre coordinates unless noted). */
+const REQUIRED_NUMBERS = {
+  platforms:    ['x', 'y', 'width', 'height'],
+  generators:   ['x', 'y'],
+  terminals:    ['x', 'y'],
+  powerStrips:  ['x', 'y'],
+  junctionBoxes: ['x', 'y'],
+  doors:        ['x', 'y'],
+  elevators:    ['x', 'startY', 'endY'],
+  movingPlatforms: [], // `points` is checked by checkRoutes
+  conveyors:    ['x', 'y'],
+  fans:         ['x', 'y'],
+  pushBlocks:   ['x', 'y'],
+  heavyBlocks:  ['x', 'y'],
+  drawbridges:  ['pivotX', 'pivotY'],
+  spikes:       ['x', 'y', 'width'],
+  waterPools:   ['x', 'y', 'width'],
+  enemies:      ['x', 'y', 'rangeLeft', 'rangeRight'],
+  triggerZones: ['x', 'y', 'width', 'height'],
+  tutorialPopups: ['x', 'y', 'width', 'height'],
+  logicGates:   ['x', 'y'],
+  relays:       ['x', 'y'],
+  capacitors:   ['x', 'y'],
+  pressurePlates: ['x', 'y'],
+  levers:       ['x', 'y'],
+};
+
+/** Optional numeric fields that must be strictly positive when present. */
+const POSITIVE_NUMBERS = [
+  'width', 'height', 'speed', 'slideSpeed', 'range', 'pauseDuration', 'holdTime', 'capacity', 'chargeTime',
+  'minWeight', 'returnTime', 'strength',
+];
+
+/** Optional numeric fields that must be zero or more when present. */
+const NON_NEGATIVE_NUMBERS = ['load', 'pause'];
+
+/** Default `load` (W) of the collections that draw power from a generator. */
+const LOADS = {
+  doors: DOOR.LOAD, elevators: ELEVATOR.LOAD, movingPlatforms: MOVING_PLATFORM.LOAD,
+  conveyors: CONVEYOR.LOAD, fans: FAN.LOAD, drawbridges: DRAWBRIDGE.LOAD,
+};
+
+/** Allowed values for enum-like string options. */
+const ENUMS = {
+  doors:       { direction: ['up', 'down', 'left', 'right'] },
+  drawbridges: { direction: ['left', 'right', 'both'], style: Object.keys(BRIDGE_STYLES) },
+  movingPlatforms: { route: ['pingpong', 'loop'], mode: ['powered', 'step'] },
+  conveyors:   { direction: ['left', 'right'] },
+  enemies:     { direction: ['left', 'right'] },
+  logicGates:  { type: GATE_TYPES },
+  levers:      { style: ['lever', 'switch'], mode: ['toggle', 'once', 'timed'] },
+};
+
+/** Fields holding an X or Y coordinate, checked against the world bounds. */
+const X_FIELDS = ['x', 'pivotX', 'rangeLeft', 'rangeRight'];
+const Y_FIELDS = ['y', 'pivotY', 'startY', 'endY'];
+
+/** How far outside the world an object may sit (walls are often flush with the edge). */
+const BOUNDS_SLACK = 64;
+
+// ═══════════════════════════════════════════════════════════════
+//  PUBLIC API
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Validate a single level data object.
+ * @param {object} level
+ * @param {object} [opts]
+ * @param {Set<string>|string[]} [opts.knownLevelIds] - Ids `nextLevel` may point at.
+ *   When omitted, `nextLevel` is only type-checked.
+ * @returns {Array<{levelId: string, path: string, message: string, severity: string}>}
+ */
+export function validateLevel(level, opts = {}) {
+  const ctx = new ValidationContext(level);
+
+  if (!isObject(level)) {
+    ctx.error('', 'level data must be an object');
+    return ctx.issues;
+  }
+
+  checkHeader(ctx, level, opts.knownLevelIds);
+  checkUnknownObjects(ctx, level);
+  checkWorld(ctx, level);
+  checkCollections(ctx, level);
+
+  const ids = collectIds(ctx, level);
+  checkReferences(ctx, level, ids);
+  checkCordRange(ctx, level);
+  checkBreakers(ctx, level);
+
+  return ctx.issues;
+}
+
+/**
+ * Validate a list of levels as a set: each level individually, plus
+ * unique level ids and resolvable `nextLevel` chains across the list.
+ * @param {object[]} levels
+ * @returns {Array<{levelId: string, path: string, message: string, severity: string}>}
+ */
+export function validateLevels(levels) {
+  const issues = [];
+  const seen = new Set();
+  for (const level of levels) {
+    const id = level?.id;
+    if (typeof id === 'string' && seen.has(id)) {
+      issues.push({ levelId: id, path: 'id', message: `duplicate level id '${id}'`, severity: 'error' });
+    }
+    seen.add(id);
+  }
+  for (const level of levels) {
+    issues.push(...validateLevel(level, { knownLevelIds: seen }));
+  }
+  return issues;
+}
+
+/**
+ * Validate level pack manifests (schema at the top of LevelRegistry.js)
+ * against the levels that exist. Issues use `pack:<id>` as their levelId.
+ * @param {object[]} packs - Raw manifests (levels may be data objects or Tiled level ids).
+ * @param {object[]} levels - Every available level, Tiled maps included.
+ * @returns {Array<{levelId: string, path: string, message: string, severity: string}>}
+ */
+export function validatePacks(packs, levels) {
+  const issues = [];
+  const levelIds = new Set(levels.map(l => l?.id));
+  const packIds = new Set();
+  const issue = (packId, path, message, severity = 'error') =>
+    issues.push({ levelId: `pack:${packId}`, path, message, severity });
+
+  for (const pack of packs) {
+    const id = typeof pack?.id === 'string' && pack.id ? pack.id : '(no id)';
+    if (id === '(no id)') issue(id, 'id', 'must be a non-empty string');
+    else if (packIds.has(id)) issue(id, 'id', `duplicate pack id '${id}'`);
+    packIds.add(id);
+  }
+
+  for (const pack of packs) {
+    const id = pack?.id || '(no id)';
+    if (typeof pack?.title !== 'string' || pack.title === '') issue(id, 'title', 'must be a non-empty string');
+
+    if (!Array.isArray(pack?.levels) || pack.levels.length === 0) {
+      issue(id, 'levels', 'must be a non-empty array');
+    } else {
+      const seen = new Set();
+      pack.levels.forEach((entry, i) => {
+        const levelId = typeof entry === 'string' ? entry : entry?.id;
+        if (typeof levelId !== 'string') issue(id, `levels[${i}]`, 'must be a level object or level id');
+        else if (!levelIds.has(levelId)) issue(id, `levels[${i}]`, `references unknown level '${levelId}'`);
+        else if (seen.has(levelId)) issue(id, `levels[${i}]`, `lists '${levelId}' twice`);
+        seen.add(levelId);
+      });
+    }
+
+    const rule = pack?.unlock;
+    if (rule !== undefined) {
+      if (!['always', 'pack', 'level'].includes(rule?.type)) {
+        issue(id, 'unlock.type', "must be 'always', 'pack' or 'level'");
+      } else if (rule.type === 'pack' && !packIds.has(rule.pack)) {
+        issue(id, 'unlock.pack', `references unknown pack '${rule.pack}'`);
+      } else if (rule.type === 'pack' && rule.pack === id) {
+        issue(id, 'unlock.pack', 'points at itself — the pack could never unlock');
+      } else if (rule.type === 'level' && !levelIds.has(rule.level)) {
+        issue(id, 'unlock.level', `references unknown level '${rule.level}'`);
+      }
+    }
+
+    if (pack?.nextPack !== undefined) {
+      if (!packIds.has(pack.nextPack)) issue(id, 'nextPack', `references unknown pack '${pack.nextPack}'`);
+      else if (pack.nextPack === id) issue(id, 'nextPack', 'points at itself');
+    }
+
+    if (pack?.tutorial !== undefined && typeof pack.tutorial !== 'boolean') {
+      issue(id, 'tutorial', 'must be a boolean');
+    }
+
+    const track = pack?.music?.track;
+    if (pack?.music !== undefined && !(Number.isInteger(track) && track > 0)) {
+      issue(id, 'music.track', 'must be a positive integer');
+    }
+  }
+  return issues;
+}
+
+/** True when the issue list contains at least one error (warnings don't count). */
+export function hasErrors(issues) {
+  return issues.some(i => i.severity === 'error');
+}
+
+/**
+ * Render issues as a human-readable report grouped by level.
+ * @param {Array<{levelId: string, path: string, message: string, severity: string}>} issues
+ * @returns {string}
+ */
+export function formatReport(issues) {
+  if (issues.length === 0) return 'All levels valid.';
+
+  const byLevel = new Map();
+  for (const issue of issues) {
+    const key = issue.levelId || '(unknown level)';
+    if (!byLevel.has(key)) byLevel.set(key, []);
+    byLevel.get(key).push(issue);
+  }
+
+  const lines = [];
+  for (const [levelId, list] of byLevel) {
+    lines.push(`${levelId}:`);
+    for (const i of list) {
+      const tag = i.severity === 'error' ? 'ERROR' : 'warn ';
+      lines.push(`  ${tag}  ${i.path ? i.path + ': ' : ''}${i.message}`);
+    }
+  }
+  const errors = issues.filter(i => i.severity === 'error').length;
+  const warnings = issues.length - errors;
+  lines.push('');
+  lines.push(`${errors} error(s), ${warnings} warning(s)`);
+  return lines.join('\n');
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  CHECKS
+// ═══════════════════════════════════════════════════════════════
+
+class ValidationContext {
+  constructor(level) {
+    this.levelId = typeof level?.id === 'string' ? level.id : '(no id)';
+    this.issues = [];
+  }
+
+  error(path, message) {
+    this.issues.push({ levelId: this.levelId, path, message, severity: 'error' });
+  }
+
+  warn(path, message) {
+    this.issues.push({ levelId: this.levelId, path, message, severity: 'warning' });
+  }
+}
+
+function checkHeader(ctx, level, knownLevelIds) {
+  if (typeof level.id !== 'string' || level.id === '') ctx.error('id', 'must be a non-empty string');
+  if (typeof level.name !== 'string' || level.name === '') ctx.error('name', 'must be a non-empty string');
+
+  // Optional — only levels outside a pack use it (packs define their own order)
+  if (level.nextLevel !== undefined && level.nextLevel !== null) {
+    if (typeof level.nextLevel !== 'string') {
+      ctx.error('nextLevel', 'must be a level id string or null');
+    } else if (knownLevelIds && !new Set(knownLevelIds).has(level.nextLevel)) {
+      ctx.error('nextLevel', `references unknown level '${level.nextLevel}'`);
+    } else if (level.nextLevel === level.id) {
+      ctx.error('nextLevel', 'points at itself');
+    }
+  }
+
+  if (!isObject(level.player)) {
+    ctx.error('player', 'is required');
+  } else {
+    requireNumber(ctx, level.player, 'player', 'x');
+    requireNumber(ctx, level.player, 'player', 'y');
+    if (typeof level.player.generatorId !== 'string') {
+      ctx.error('player.generatorId', 'must be a generator id string');
+    }
+    const cords = level.player.cords;
+    if (cords !== undefined && !(Number.isInteger(cords) && cords >= 1 && cords <= CORD.MAX_COUNT)) {
+      ctx.error('player.cords', `must be a whole number from 1 to ${CORD.MAX_COUNT}`);
+    }
+  }
+
+  if (!isObject(level.goal)) {
+    ctx.error('goal', 'is required');
+  } else {
+    requireNumber(ctx, level.goal, 'goal', 'x');
+    requireNumber(ctx, level.goal, 'goal', 'y');
+  }
+}
+
+/** Tiled objects TiledLevelLoader left out: a typo'd class would silently drop an element. */
+function checkUnknownObjects(ctx, level) {
+  for (const [i, o] of (Array.isArray(level.unknownObjects) ? level.unknownObjects : []).entries()) {
+    ctx.error(`unknownObjects[${i}]`, o.class
+      ? `Tiled object ${o.object} has unknown class '${o.class}' and was left out (classes: see TiledLevelLoader.js)`
+      : `Tiled object ${o.object} has no class and was left out`);
+  }
+}
+
+function checkWorld(ctx, level) {
+  if (!isObject(level.world)) {
+    ctx.error('world', 'is required');
+    return;
+  }
+  for (const key of ['width', 'height']) {
+    const v = level.world[key];
+    if (!isFiniteNumber(v) || v <= 0) ctx.error(`world.${key}`, 'must be a positive number');
+  }
+}
+
+function checkCollections(ctx, level) {
+  if (!Array.isArray(level.platforms) || level.platforms.length === 0) {
+    ctx.error('platforms', 'must be a non-empty array');
+  }
+  if (!Array.isArray(level.generators) || level.generators.length === 0) {
+    ctx.error('generators', 'must be a non-empty array');
+  }
+
+  for (const [name, fields] of Object.entries(REQUIRED_NUMBERS)) {
+    const list = level[name];
+    if (list === undefined) continue;
+    if (!Array.isArray(list)) {
+      ctx.error(name, 'must be an array');
+      continue;
+    }
+    list.forEach((item, i) => {
+      const path = `${name}[${i}]`;
+      if (!isObject(item)) {
+        ctx.error(path, 'must be an object');
+        return;
+      }
+      for (const f of fields) requireNumber(ctx, item, path, f);
+      checkPositive(ctx, item, path);
+      checkNonNegative(ctx, item, path);
+      checkEnums(ctx, name, item, path);
+      checkBounds(ctx, level, item, path);
+    });
+  }
+
+  for (const [i, e] of (level.enemies || []).entries()) {
+    if (isFiniteNumber(e?.rangeLeft) && isFiniteNumber(e?.rangeRight) && e.rangeLeft >= e.rangeRight) {
+      ctx.error(`enemies[${i}]`, `rangeLeft (${e.rangeLeft}) must be less than rangeRight (${e.rangeRight})`);
+    }
+  }
+  for (const [i, e] of (level.elevators || []).entries()) {
+    if (isFiniteNumber(e?.startY) && e.startY === e.endY) {
+      ctx.warn(`elevators[${i}]`, 'startY equals endY — elevator will never move');
+    }
+  }
+  checkRoutes(ctx, level);
+  checkBridgeAngles(ctx, level);
+}
+
+/** Moving platform waypoints: two or more, each with a finite x / y in the world. */
+function checkRoutes(ctx, level) {
+  for (const [i, m] of (level.movingPlatforms || []).entries()) {
+    if (!isObject(m)) continue;
+    const path = `movingPlatforms[${i}].points`;
+    if (!Array.isArray(m.points) || m.points.length < 2) {
+      ctx.error(path, 'must be an array of at least two waypoints');
+      continue;
+    }
+    m.points.forEach((pt, j) => {
+      if (!isObject(pt)) {
+        ctx.error(`${path}[${j}]`, 'must be an object');
+        return;
+      }
+      requireNumber(ctx, pt, `${path}[${j}]`, 'x');
+      requireNumber(ctx, pt, `${path}[${j}]`, 'y');
+      checkPositive(ctx, pt, `${path}[${j}]`);
+      checkNonNegative(ctx, pt, `${path}[${j}]`);
+      checkBounds(ctx, level, pt, `${path}[${j}]`);
+    });
+    for (let j = 1; j < m.points.length; j++) {
+      const [a, b] = [m.points[j - 1], m.points[j]];
+      if (a?.x === b?.x && a?.y === b?.y) ctx.warn(`${path}[${j}]`, 'same spot as the waypoint before it');
+    }
+  }
+}
+
+/** Drawbridge rest / open angles: −90 (hanging) to 90 (upright), and a stop part-way that can be stood on. */
+function checkBridgeAngles(ctx, level) {
+  for (const [i, db] of (level.drawbridges || []).entries()) {
+    if (!isObject(db)) continue;
+    for (const field of ['restAngle', 'openAngle']) {
+      const angle = db[field];
+      if (angle === undefined) continue;
+      const path = `drawbridges[${i}].${field}`;
+      if (!isFiniteNumber(angle) || angle < -90 || angle > 90) {
+        ctx.error(path, `must be a number from -90 to 90 (got ${JSON.stringify(angle)})`);
+      } else if (Math.abs(angle) > MAX_SLOPE && Math.abs(angle) !== 90) {
+        ctx.warn(path, `${angle}° is steeper than a ramp can be walked (${MAX_SLOPE}°) — the plank is only a slanted wall`);
+      }
+    }
+  }
+}
+
+/**
+ * Collect element ids per collection and report missing / duplicate ids.
+ * @returns {{ all: Map<string, string>, generators: Set<string>, powerable: Set<string> }}
+ */
+function collectIds(ctx, level) {
+  const all = new Map(); // id → collection name
+  const generators = new Set();
+  const powerable = new Set();
+
+  for (const name of ELEMENT_COLLECTIONS) {
+    const list = level[name];
+    if (!Array.isArray(list)) continue;
+    list.forEach((item, i) => {
+      if (!isObject(item)) return;
+      const path = `${name}[${i}].id`;
+      if (typeof item.id !== 'string' || item.id === '') {
+        ctx.error(path, 'must be a non-empty string');
+        return;
+      }
+      if (all.has(item.id)) {
+        ctx.error(path, `duplicate id '${item.id}' (also used in ${all.get(item.id)})`);
+        return;
+      }
+      all.set(item.id, name);
+      if (name === 'generators') generators.add(item.id);
+      if (POWERABLE_COLLECTIONS.includes(name)) powerable.add(item.id);
+    });
+  }
+
+  return { all, generators, powerable };
+}
+
+function checkReferences(ctx, level, ids) {
+  const refPowerable = (path, id) => {
+    if (!ids.all.has(id)) {
+      ctx.error(path, `references unknown element '${id}'`);
+    } else if (!ids.powerable.has(id)) {
+      ctx.error(path, `'${id}' is a ${ids.all.get(id)} entry and cannot be powered`);
+    }
+  };
+  const refGenerator = (path, id) => {
+    if (!ids.generators.has(id)) ctx.error(path, `references unknown generator '${id}'`);
+  };
+
+  if (typeof level.player?.generatorId === 'string') {
+    refGenerator('player.generatorId', level.player.generatorId);
+  }
+
+  const gateInputs = new Set((level.logicGates || []).flatMap(lg => (Array.isArray(lg?.inputs) ? lg.inputs : [])));
+  for (const [i, t] of (level.terminals || []).entries()) {
+    if (!isObject(t)) continue;
+    // A terminal that only feeds logic gates needs no linkTo
+    if (t.linkTo === undefined && gateInputs.has(t.id)) continue;
+    if (typeof t.linkTo === 'string') {
+      refPowerable(`terminals[${i}].linkTo`, t.linkTo);
+    } else if (!Array.isArray(t.linkTo) || t.linkTo.length === 0) {
+      ctx.error(`terminals[${i}].linkTo`, 'must be an element id or a non-empty array of links');
+    } else {
+      checkLinkList(ctx, `terminals[${i}].linkTo`, t.linkTo, refPowerable);
+    }
+  }
+
+  for (const [i, ps] of (level.powerStrips || []).entries()) {
+    if (!isObject(ps)) continue;
+    if (!Array.isArray(ps.linkTo) || ps.linkTo.length === 0) {
+      ctx.error(`powerStrips[${i}].linkTo`, 'must be a non-empty array of links');
+      continue;
+    }
+    checkLinkList(ctx, `powerStrips[${i}].linkTo`, ps.linkTo, refPowerable);
+  }
+
+  for (const [i, jb] of (level.junctionBoxes || []).entries()) {
+    if (isObject(jb) && jb.reel !== undefined && typeof jb.reel !== 'boolean') {
+      ctx.error(`junctionBoxes[${i}].reel`, 'must be a boolean');
+    }
+  }
+
+  for (const [i, c] of (level.conveyors || []).entries()) {
+    if (!isObject(c)) continue;
+    if (c.reversed !== undefined && typeof c.reversed !== 'boolean') {
+      ctx.error(`conveyors[${i}].reversed`, 'must be a boolean');
+    }
+    if (isFiniteNumber(c.speed) && c.speed >= PLAYER.SPEED) {
+      ctx.warn(`conveyors[${i}].speed`, `${c.speed} px/s — the player (${PLAYER.SPEED} px/s) can't walk against it`);
+    }
+  }
+
+  for (const [i, f] of (level.fans || []).entries()) {
+    if (isObject(f) && isFiniteNumber(f.strength) && f.strength <= GRAVITY) {
+      ctx.warn(`fans[${i}].strength`, `${f.strength} px/s² — no more than gravity (${GRAVITY}), it lifts nothing`);
+    }
+  }
+
+  for (const [i, g] of (level.generators || []).entries()) {
+    for (const [j, id] of (g?.autoActivateIds || []).entries()) {
+      refPowerable(`generators[${i}].autoActivateIds[${j}]`, id);
+    }
+    if (g?.autoActivateIds?.length && g.isPrimary !== false) {
+      ctx.warn(`generators[${i}].autoActivateIds`, 'only secondary generators (isPrimary: false) auto-activate');
+    }
+  }
+
+  for (const [i, link] of (level.generatorLinks || []).entries()) {
+    refGenerator(`generatorLinks[${i}].generatorId`, link?.generatorId);
+    for (const [j, id] of (link?.linkedElements || []).entries()) {
+      refPowerable(`generatorLinks[${i}].linkedElements[${j}]`, id);
+    }
+  }
+
+  for (const [i, tz] of (level.triggerZones || []).entries()) {
+    if (!isObject(tz)) continue;
+    if (tz.triggersGenerator !== undefined) {
+      refGenerator(`triggerZones[${i}].triggersGenerator`, tz.triggersGenerator);
+    }
+    for (const [j, id] of (tz.triggersIds || []).entries()) {
+      refPowerable(`triggerZones[${i}].triggersIds[${j}]`, id);
+    }
+    if (tz.triggersGenerator === undefined && !(tz.triggersIds?.length) && !gateInputs.has(tz.id)) {
+      ctx.warn(`triggerZones[${i}]`, 'triggers nothing (no triggersGenerator or triggersIds)');
+    }
+  }
+
+  for (const name of ['pressurePlates', 'levers']) {
+    for (const [i, src] of (level[name] || []).entries()) {
+      if (!isObject(src)) continue;
+      // Like a terminal, a plate or lever that only feeds logic gates needs no linkTo
+      if (src.linkTo === undefined && gateInputs.has(src.id)) continue;
+      if (!Array.isArray(src.linkTo) || src.linkTo.length === 0) {
+        ctx.error(`${name}[${i}].linkTo`, 'must be a non-empty array of links');
+        continue;
+      }
+      checkLinkList(ctx, `${name}[${i}].linkTo`, src.linkTo, refPowerable);
+    }
+  }
+  checkPlateWeights(ctx, level);
+
+  checkLogicGates(ctx, level, ids);
+  checkRelays(ctx, level, refPowerable);
+}
+
+/** Plates no one in the level is heavy enough to hold down, all together. */
+function checkPlateWeights(ctx, level) {
+  const { WEIGHTS } = PRESSURE_PLATE;
+  const total = WEIGHTS.player +
+    (level.pushBlocks || []).length * WEIGHTS.pushBlock +
+    (level.heavyBlocks || []).length * WEIGHTS.heavyBlock +
+    (level.enemies || []).length * WEIGHTS.enemy;
+  for (const [i, pp] of (level.pressurePlates || []).entries()) {
+    if (isObject(pp) && isFiniteNumber(pp.minWeight) && pp.minWeight > total) {
+      ctx.warn(`pressurePlates[${i}].minWeight`,
+        `needs ${pp.minWeight}, but everything in the level together weighs ${total} — it can never be held down`);
+    }
+  }
+}
+
+/**
+ * Relay / capacitor outputs, and no relay holding itself on through others.
+ * A loop may run through logic gates too (a gate's output linked to a relay
+ * that drives one of its inputs): PowerNetwork would never settle on one.
+ * Loops of gates alone are checkLogicGates' to report.
+ */
+function checkRelays(ctx, level, refPowerable) {
+  const feeds = new Map();
+  for (const name of RELAY_COLLECTIONS) {
+    for (const [i, r] of (level[name] || []).entries()) {
+      if (!isObject(r)) continue;
+      if (!Array.isArray(r.linkTo) || r.linkTo.length === 0) {
+        ctx.error(`${name}[${i}].linkTo`, 'must be a non-empty array of links');
+        continue;
+      }
+      checkLinkList(ctx, `${name}[${i}].linkTo`, r.linkTo, refPowerable);
+      feeds.set(r.id, { path: `${name}[${i}].linkTo`, ids: parseLinks(r.linkTo).map(l => l.id) });
+    }
+  }
+  if (feeds.size === 0) return;
+
+  // A gate feeds what it links to, and each of its inputs feeds the gate
+  const gateFeeds = new Map();
+  const gateIds = new Set((level.logicGates || []).filter(isObject).map(lg => lg.id));
+  const addFeed = (from, to) => {
+    if (!gateFeeds.has(from)) gateFeeds.set(from, []);
+    gateFeeds.get(from).push(to);
+  };
+  for (const lg of (level.logicGates || []).filter(isObject)) {
+    for (const id of Array.isArray(lg.linkTo) ? lg.linkTo : []) addFeed(lg.id, id);
+    for (const id of Array.isArray(lg.inputs) ? lg.inputs : []) addFeed(id, lg.id);
+  }
+  const next = (id) => [...(feeds.get(id)?.ids ?? []), ...(gateFeeds.get(id) ?? [])];
+
+  // Once on, a relay that feeds itself would never let go
+  for (const [id, { path }] of feeds) {
+    const seen = new Set();
+    const stack = next(id);
+    while (stack.length) {
+      const el = stack.pop();
+      if (el === id) {
+        const via = [...seen].some(s => gateIds.has(s)) ? ' through logic gates' : [...seen].some(s => feeds.has(s)) ? ' through other relays' : '';
+        ctx.error(path, `'${id}' feeds itself${via} and would never switch off (loops are not allowed)`);
+        break;
+      }
+      if (seen.has(el)) continue;
+      seen.add(el);
+      stack.push(...next(el));
+    }
+  }
+}
+
+/** Gate type, input count and ids, outputs, and no gate reading its own output. */
+function checkLogicGates(ctx, level, ids) {
+  const gates = (level.logicGates || []).filter(isObject);
+  for (const [i, lg] of (level.logicGates || []).entries()) {
+    if (!isObject(lg)) continue;
+    const path = `logicGates[${i}]`;
+    if (lg.type === undefined) ctx.error(`${path}.type`, `is required (one of ${GATE_TYPES.join(', ')})`);
+
+    if (!Array.isArray(lg.inputs) || lg.inputs.length === 0) {
+      ctx.error(`${path}.inputs`, 'must be a non-empty array of element ids');
+    } else {
+      const [min, max] = GATE_INPUTS[lg.type] ?? [1, Infinity];
+      if (lg.inputs.length < min || lg.inputs.length > max) {
+        ctx.error(`${path}.inputs`, `a '${lg.type}' gate takes ${min === max ? min : `${min}–${max}`} input(s), got ${lg.inputs.length}`);
+      }
+      for (const [j, id] of lg.inputs.entries()) {
+        if (!ids.all.has(id)) {
+          ctx.error(`${path}.inputs[${j}]`, `references unknown element '${id}'`);
+        } else if (!SIGNAL_COLLECTIONS.includes(ids.all.get(id))) {
+          ctx.error(`${path}.inputs[${j}]`, `'${id}' is a ${ids.all.get(id)} entry and gives no signal`);
+        }
+      }
+    }
+
+    if (lg.linkTo !== undefined && !Array.isArray(lg.linkTo)) {
+      ctx.error(`${path}.linkTo`, 'must be an array of element ids');
+    }
+    for (const [j, id] of (Array.isArray(lg.linkTo) ? lg.linkTo : []).entries()) {
+      if (!ids.all.has(id)) {
+        ctx.error(`${path}.linkTo[${j}]`, `references unknown element '${id}'`);
+      } else if (!ids.powerable.has(id)) {
+        ctx.error(`${path}.linkTo[${j}]`, `'${id}' is a ${ids.all.get(id)} entry and cannot be powered`);
+      }
+    }
+  }
+
+  // Gates in a loop, and the ones reading it, are left out of the game
+  const { cycle } = orderGates(gates);
+  if (cycle) {
+    const inputsOf = new Map(gates.filter(g => cycle.includes(g.id)).map(g => [g.id, g.inputs || []]));
+    const loops = [];
+    for (const [i, lg] of (level.logicGates || []).entries()) {
+      if (!inputsOf.has(lg?.id)) continue;
+      const seen = new Set();
+      const stack = [...inputsOf.get(lg.id)];
+      while (stack.length) {
+        const id = stack.pop();
+        if (seen.has(id) || !inputsOf.has(id)) continue;
+        seen.add(id);
+        stack.push(...inputsOf.get(id));
+      }
+      if (!seen.has(lg.id)) continue;
+      loops.push(lg.id);
+      seen.delete(lg.id);
+      const via = seen.size ? ` through ${[...seen].map(id => `'${id}'`).join(', ')}` : '';
+      ctx.error(`logicGates[${i}].inputs`, `'${lg.id}' reads its own output${via} (loops are not allowed; use a latch to remember state)`);
+    }
+    const fedByLoop = cycle.filter(id => !loops.includes(id));
+    if (fedByLoop.length) {
+      const list = fedByLoop.map(id => `'${id}'`).join(', ');
+      ctx.error('logicGates', fedByLoop.length > 1 ? `gates ${list} read a gate loop and would never switch` : `gate ${list} reads a gate loop and would never switch`);
+    }
+  }
+}
+
+/**
+ * A terminal / power strip `linkTo` list: each entry an element id or
+ * `{ id, invert }` (utils/powerLinks.js), no element linked twice.
+ */
+function checkLinkList(ctx, path, links, refPowerable) {
+  const seen = new Set();
+  for (const [j, entry] of links.entries()) {
+    const id = isObject(entry) ? entry.id : entry;
+    if (typeof id !== 'string') {
+      ctx.error(`${path}[${j}]`, 'must be an element id or { id, invert }');
+      continue;
+    }
+    if (isObject(entry) && entry.invert !== undefined && typeof entry.invert !== 'boolean') {
+      ctx.error(`${path}[${j}].invert`, 'must be a boolean');
+    }
+    if (seen.has(id)) ctx.error(`${path}[${j}]`, `links '${id}' twice`);
+    seen.add(id);
+    refPowerable(`${path}[${j}]`, id);
+  }
+}
+
+/**
+ * Design rule 3.1: every terminal, power strip and junction box within
+ * CORD.MAX_LENGTH of the player's generator or of a junction box that is
+ * itself in reach, measured along the shortest cord route around the
+ * platforms, conveyors and fan housings.
+ */
+function checkCordRange(ctx, level) {
+  const gen = (level.generators || []).find(g => g?.id === level.player?.generatorId);
+  if (!gen || !isFiniteNumber(gen.x) || !isFiniteNumber(gen.y)) return;
+
+  const rects = [
+    ...(level.platforms || []),
+    ...(level.conveyors || []).map(c => ({ ...c, width: c?.width ?? CONVEYOR.WIDTH, height: CONVEYOR.HEIGHT })),
+    ...(level.fans || []).map(f => ({ ...f, width: f?.width ?? FAN.WIDTH, height: FAN.HEIGHT })),
+  ]
+    .filter(p => ['x', 'y', 'width', 'height'].every(k => isFiniteNumber(p?.[k])))
+    .map(p => ({ left: p.x - p.width / 2, top: p.y - p.height / 2, right: p.x + p.width / 2, bottom: p.y + p.height / 2 }));
+  const bounds = isObject(level.world)
+    ? { left: 0, top: 0, right: level.world.width, bottom: level.world.height }
+    : null;
+
+  const plugs = PLUG_COLLECTIONS.flatMap(name => (level[name] || []).map((item, i) => ({
+    item, path: `${name}[${i}]`, relays: name === 'junctionBoxes',
+  }))).filter(({ item }) => isFiniteNumber(item?.x) && isFiniteNumber(item?.y));
+
+  // Power spreads from the generator through every junction box a cord reaches
+  const sources = [gen];
+  const reached = new Set();
+  for (let s = 0; s < sources.length; s++) {
+    for (const plug of plugs) {
+      if (reached.has(plug) || plug.item === sources[s]) continue;
+      if (shortestCordLength(sources[s], plug.item, rects, { bounds, maxLength: CORD.MAX_LENGTH }) > CORD.MAX_LENGTH) continue;
+      reached.add(plug);
+      if (plug.relays) sources.push(plug.item);
+    }
+  }
+
+  const from = sources.length > 1
+    ? `generator '${gen.id}' and the junction boxes it reaches`
+    : `generator '${gen.id}'`;
+  for (const plug of plugs) {
+    if (reached.has(plug)) continue;
+    const { item, path } = plug;
+    const straight = Math.round(Math.min(...sources.map(s => Math.hypot(item.x - s.x, item.y - s.y))));
+    ctx.warn(path, straight > CORD.MAX_LENGTH
+      ? `'${item.id}' is ${straight}px from ${from} (cord reaches ${CORD.MAX_LENGTH}px)`
+      : `'${item.id}' is out of cord reach from ${from} once the cord goes around the platforms (cord reaches ${CORD.MAX_LENGTH}px)`);
+  }
+}
+
+/**
+ * Warn about elements that draw more on their own than the breaker of a
+ * generator that can power them carries — powering them always trips it.
+ * The player's generator powers every terminal and power strip link; a
+ * secondary generator its `autoActivateIds`. Relays pass power on.
+ */
+function checkBreakers(ctx, level) {
+  const loads = new Map();
+  for (const [name, fallback] of Object.entries(LOADS)) {
+    for (const el of level[name] || []) if (isObject(el)) loads.set(el.id, el.load ?? fallback);
+  }
+  const relays = new Map([...(level.relays || []), ...(level.capacitors || [])]
+    .filter(isObject).map(r => [r.id, r.linkTo]));
+  const reach = (linkTo, out) => {
+    for (const { id, invert } of parseLinks(linkTo)) {
+      if (invert || out.has(id)) continue;
+      out.add(id);
+      if (relays.has(id)) reach(relays.get(id), out);
+    }
+    return out;
+  };
+
+  for (const [i, g] of (level.generators || []).entries()) {
+    if (!isObject(g) || !isFiniteNumber(g.capacity)) continue;
+    const fed = new Set();
+    if (g.id === level.player?.generatorId) {
+      for (const p of [...(level.terminals || []), ...(level.powerStrips || [])]) if (isObject(p)) reach(p.linkTo, fed);
+    }
+    if (g.isPrimary === false) reach(g.autoActivateIds, fed);
+    for (const id of fed) {
+      if (loads.get(id) > g.capacity) {
+        ctx.warn(`generators[${i}].capacity`,
+          `'${id}' alone draws ${loads.get(id)} W, more than '${g.id}' carries (${g.capacity} W) — powering it always trips the breaker`);
+      }
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+function requireNumber(ctx, obj, path, field) {
+  if (!isFiniteNumber(obj[field])) ctx.error(`${path}.${field}`, 'must be a finite number');
+}
+
+function checkPositive(ctx, item, path) {
+  for (const f of POSITIVE_NUMBERS) {
+    if (item[f] === undefined) continue;
+    if (!isFiniteNumber(item[f]) || item[f] <= 0) ctx.error(`${path}.${f}`, 'must be a positive number');
+  }
+}
+
+function checkNonNegative(ctx, item, path) {
+  for (const f of NON_NEGATIVE_NUMBERS) {
+    if (item[f] === undefined) continue;
+    if (!isFiniteNumber(item[f]) || item[f] < 0) ctx.error(`${path}.${f}`, 'must be zero or a positive number');
+  }
+}
+
+function checkEnums(ctx, collection, item, path) {
+  const spec = ENUMS[collection];
+  if (!spec) return;
+  for (const [field, allowed] of Object.entries(spec)) {
+    if (item[field] !== undefined && !allowed.includes(item[field])) {
+      ctx.error(`${path}.${field}`, `must be one of ${allowed.join(', ')} (got '${item[field]}')`);
+    }
+  }
+}
+
+function checkBounds(ctx, level, item, path) {
+  const w = level.world?.width;
+  const h = level.world?.height;
+  if (!isFiniteNumber(w) || !isFiniteNumber(h)) return;
+
+  for (const f of X_FIELDS) {
+    const v = item[f];
+    if (isFiniteNumber(v) && (v < -BOUNDS_SLACK || v > w + BOUNDS_SLACK)) {
+      ctx.warn(`${path}.${f}`, `${v} is outside the world (0–${w})`);
+    }
+  }
+  for (const f of Y_FIELDS) {
+    const v = item[f];
+    if (isFiniteNumber(v) && (v < -BOUNDS_SLACK || v > h + BOUNDS_SLACK)) {
+      ctx.warn(`${path}.${f}`, `${v} is outside the world (0–${h})`);
+    }
+  }
+}
+
+function isObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function isFiniteNumber(v) {
+  return typeof v === 'number' && Number.isFinite(v);
+}
@@ -0,0 +1,506 @@
+/**
+ * TiledLevelLoader — converts a Tiled JSON map into a level data object.
+ *
+ * The result has the same shape as the hand-written levels (see the schema
+ * at the top of LevelRegistry.js), so GameScene._buildLevel, LevelValidator
+ * and LevelSolver treat Tiled levels exactly like Level01.js & co.
+ *
+ * Pure data module — no Phaser import — so it runs in plain Node too.
+ *
+ * AUTHORING A MAP IN TILED
+ * ========================
+ * Orientation orthogonal, fixed size (not infinite), layer format CSV or
+ * uncompressed Base64. Export as JSON into src/levels/maps/ — every file
+ * there is picked up by LevelRegistry. A map plays in pack order: list its
+ * id in a pack manifest, or leave it out to join the automatic "Tiled Maps"
+ * pack, ordered by file name (src/levels/maps/tiled_01.json is a sample).
+ *
+ * Map properties:
+ *   id         string   Level id (default: the file name without .json)
+ *   name       string   Display name (default: the id)
+ *   bgColor    string   Camera background (default: the map's background colour)
+ *
+ * Tile layers → platforms. Solid tiles are merged into as few rectangles as
+ * possible. Layer properties:
+ *   collides   bool     false = decoration only, no platforms (default: true)
+ *   style      string   Platform style for every rectangle (e.g. 'dumpster')
+ *
+ * Object layers → everything else. The object's class (Tiled 1.9+) or type
+ * picks the collection; its name becomes the element id (default:
+ * `<Class>_<objectId>`). Custom properties are copied onto the element, so
+ * any field from the schema can be set (label, speed, direction, …).
+ * Properties of type "object" resolve to the referenced object's id, which
+ * makes `linkTo` / `generatorId` / `triggersGenerator` point-and-click.
+ *
+ *   Player         point/rect  Spawn. Needs `generatorId`; `cords` (default 1).
+ *   Goal           point/rect  Level-complete zone.
+ *   Generator      point/rect  `isPrimary`, `autoActivateIds` (comma list),
+ *                              `capacity` (W; gives it a breaker).
+ *   Terminal       point/rect  Needs `linkTo` (one object, or a comma list;
+ *                              '!door2' links door2 inverted).
+ *   PowerStrip     point/rect  Needs `linkTo` (as Terminal).
+ *   JunctionBox    point/rect  `reel` (default true).
+ *   Door           rect        Closed position and size. Doors, elevators and
+ *                              drawbridges take a `load` (W).
+ *   Elevator       rect        Resting platform. `endY` (centre) or `travel`
+ *                              (px upward from rest) sets the far stop.
+ *   MovingPlatform polyline    The route: one vertex per waypoint (platform
+ *                              centre); a polygon runs it as a loop. `mode`,
+ *                              `width`, `height`, `speed`, `pause`; `speeds` /
+ *                              `pauses` (comma lists, one per waypoint).
+ *   Conveyor       rect        The belt: rect width = length (height is fixed,
+ *                              the rect's top is the surface). `direction`,
+ *                              `speed`, `reversed`.
+ *   Fan            rect        The housing sits on the bottom edge, rect width
+ *                              = width; the rest of the rect above it is the
+ *                              updraft (sets `height`). `strength`.
+ *   PushBlock      point/rect  Centre.
+ *   HeavyBlock     rect        Position and size.
+ *   Drawbridge     rect        The plank lying flat: top edge is the hinge height,
+ *                              `direction` ('right' default) picks the hinge side,
+ *                              'both' hinges a leaf at each end. `style`
+ *                              ('lift' rises to a wall), `restAngle`, `openAngle`.
+ *   Spikes         rect        The spike strip.
+ *   WaterPool      rect        The water (sitting on the surface below it).
+ *   Enemy          rect        Patrol range (left/right edges) standing on
+ *                              the rect's bottom. `startX` (default: centre).
+ *   TriggerZone    rect        `triggersIds` (comma list), `triggersGenerator`.
+ *   LogicGate      point/rect  Needs `type` ('and', 'or', 'not', 'xor', 'latch')
+ *                              and `inputs` (comma list, or one object); `linkTo` (comma list,
+ *                              or one object).
+ *   Relay          point/rect  `holdTime` (ms); `linkTo` (as Terminal).
+ *   Capacitor      point/rect  `capacity`, `chargeTime` (ms); `linkTo` (as Terminal).
+ *   PressurePlate  point/rect  Sits on the bottom edge, rect width = plate width.
+ *                              `minWeight`; `linkTo` (as Terminal).
+ *   Lever          point/rect  Sits on the bottom edge. `mode` ('toggle',
+ *                              'once', 'timed'), `returnTime` (ms); `linkTo` (as Terminal).
+ *   Switch         point/rect  A wall switch: a Lever with `style: 'switch'`, at the centre.
+ *   TutorialPopup  rect        `title`, `speakerName`, `portraitKey`,
+ *                              `lines` (one per line of a multi-line string).
+ *
+ * Rectangle objects are converted from Tiled's top-left origin (bottom-left
+ * for tile objects) to the centre coordinates the schema uses.
+ */
+
+import { ENEMY, CONVEYOR, FAN, PRESSURE_PLATE, LEVER } from '../config.js';
+import { formatLinks, parseLinkText } from '../utils/powerLinks.js';
+
+/** Tiled stores flip flags in the top bits of a gid. */
+const GID_MASK = 0x1fffffff;
+
+/** Properties holding a comma-separated id list. */
+const ID_LIST_PROPS = ['autoActivateIds', 'triggersIds', 'inputs'];
+
+/** Properties holding one entry per line. */
+const LINE_LIST_PROPS = ['lines'];
+
+/** Collections that are created empty so every Tiled level has the full shape. */
+const COLLECTIONS = [
+  'platforms', 'generators', 'terminals', 'powerStrips', 'junctionBoxes', 'doors', 'elevators', 'movingPlatforms',
+  'conveyors', 'fans', 'pushBlocks', 'heavyBlocks', 'drawbridges', 'spikes', 'waterPools', 'enemies', 'triggerZones', 'tutorialPopups',
+  'logicGates', 'relays', 'capacitors', 'pressurePlates', 'levers',
+];
+
+/**
+ * Object class → builder. Each receives the object's rectangle (centre and
+ * edges, in px), its converted properties and its id, and returns the level
+ * data entry; `collection` names the array it goes into (single objects such
+ * as the player are assigned instead).
+ */
+const OBJECT_TYPES = {
+  Player: {
+    single: 'player',
+    build: (r, props) => ({ ...props, x: r.cx, y: r.cy }),
+  },
+  Goal: {
+    single: 'goal',
+    build: (r, props) => ({ ...props, x: r.cx, y: r.cy }),
+  },
+  Generator: {
+    collection: 'generators',
+    build: (r, props, id) => ({ label: id, ...props, id, x: r.cx, y: r.cy }),
+  },
+  Terminal: {
+    collection: 'terminals',
+    build: (r, props, id) => ({
+      ...props, id, x: r.cx, y: r.cy,
+      ...(typeof props.linkTo === 'string' && { linkTo: formatLinks(parseLinkText(props.linkTo)) }),
+    }),
+  },
+  PowerStrip: {
+    collection: 'powerStrips',
+    build: (r, props, id) => ({ ...props, id, x: r.cx, y: r.cy, linkTo: linkList(props.linkTo) }),
+  },
+  JunctionBox: {
+    collection: 'junctionBoxes',
+    build: (r, props, id) => ({ ...props, id, x: r.cx, y: r.cy }),
+  },
+  Door: {
+    collection: 'doors',
+    build: (r, props, id) => ({ ...props, id, x: r.cx, y: r.cy, ...size(r) }),
+  },
+  Elevator: {
+    collection: 'elevators',
+    build: (r, props, id) => {
+      const { travel, ...rest } = props;
+      return {
+        ...rest,
+        id,
+        x: r.cx,
+        startY: r.cy,
+        endY: props.endY ?? r.cy - (travel ?? 0),
+        ...size(r),
+      };
+    },
+  },
+  MovingPlatform: {
+    collection: 'movingPlatforms',
+    build: (r, props, id) => {
+      const { speeds, pauses, ...rest } = props;
+      const speedList = numberList(speeds);
+      const pauseList = numberList(pauses);
+      return {
+        route: r.closed ? 'loop' : 'pingpong',
+        ...rest,
+        id,
+        points: (r.points ?? [{ x: r.cx, y: r.cy }]).map((pt, i) => ({
+          ...pt,
+          ...(speedList[i] !== undefined && { speed: speedList[i] }),
+          ...(pauseList[i] !== undefined && { pause: pauseList[i] }),
+        })),
+      };
+    },
+  },
+  Conveyor: {
+    collection: 'conveyors',
+    build: (r, props, id) => ({
+      ...props, id, x: r.cx, y: r.top + CONVEYOR.HEIGHT / 2,
+      ...(r.width > 0 ? { width: r.width } : {}),
+    }),
+  },
+  Fan: {
+    collection: 'fans',
+    build: (r, props, id) => ({
+      ...props, id, x: r.cx, y: r.bottom - FAN.HEIGHT / 2,
+      ...(r.width > 0 ? { width: r.width } : {}),
+      ...(r.height > FAN.HEIGHT ? { height: r.height - FAN.HEIGHT } : {}),
+    }),
+  },
+  PushBlock: {
+    collection: 'pushBlocks',
+    build: (r, props, id) => ({ ...props, id, x: r.cx, y: r.cy }),
+  },
+  HeavyBlock: {
+    collection: 'heavyBlocks',
+    build: (r, props, id) => ({ ...props, id, x: r.cx, y: r.cy, ...size(r) }),
+  },
+  Drawbridge: {
+    collection: 'drawbridges',
+    build: (r, props, id) => {
+      const direction = props.direction ?? 'right';
+      return {
+        ...props,
+        id,
+        direction,
+        pivotX: direction === 'left' ? r.right : r.left, // 'both': the span's left end
+        pivotY: r.top,
+        ...(r.width > 0 ? { width: r.width } : {}),
+      };
+    },
+  },
+  Spikes: {
+    collection: 'spikes',
+    build: (r, props, id) => ({ ...props, id, x: r.cx, y: r.cy, ...size(r) }),
+  },
+  WaterPool: {
+    collection: 'waterPools',
+    build: (r, props, id) => ({ ...props, id, x: r.cx, y: r.cy, ...size(r) }),
+  },
+  Enemy: {
+    collection: 'enemies',
+    build: (r, props, id) => {
+      const { startX, ...rest } = props;
+      return {
+        ...rest,
+        id,
+        x: startX ?? r.cx,
+        y: r.bottom - (props.height ?? ENEMY.HEIGHT) / 2,
+        rangeLeft: props.rangeLeft ?? r.left,
+        rangeRight: props.rangeRight ?? r.right,
+      };
+    },
+  },
+  TriggerZone: {
+    collection: 'triggerZones',
+    build: (r, props, id) => ({ ...props, id, x: r.cx, y: r.cy, width: r.width, height: r.height }),
+  },
+  LogicGate: {
+    collection: 'logicGates',
+    build: (r, props, id) => ({
+      ...props, id, x: r.cx, y: r.cy, inputs: idList(props.inputs), linkTo: idList(props.linkTo),
+    }),
+  },
+  Relay: {
+    collection: 'relays',
+    build: (r, props, id) => ({ ...props, id, x: r.cx, y: r.cy, linkTo: linkList(props.linkTo) }),
+  },
+  Capacitor: {
+    collection: 'capacitors',
+    build: (r, props, id) => ({ ...props, id, x: r.cx, y: r.cy, linkTo: linkList(props.linkTo) }),
+  },
+  PressurePlate: {
+    collection: 'pressurePlates',
+    build: (r, props, id) => ({
+      ...props, id, x: r.cx, y: r.bottom - PRESSURE_PLATE.HEIGHT / 2,
+      ...(r.width > 0 ? { width: r.width } : {}),
+      ...(props.linkTo !== undefined && { linkTo: linkList(props.linkTo) }),
+    }),
+  },
+  Lever: {
+    collection: 'levers',
+    build: (r, props, id) => ({
+      ...props, id, x: r.cx, y: r.bottom - LEVER.HEIGHT / 2,
+      ...(props.linkTo !== undefined && { linkTo: linkList(props.linkTo) }),
+    }),
+  },
+  Switch: {
+    collection: 'levers',
+    build: (r, props, id) => ({
+      ...props, id, style: 'switch', x: r.cx, y: r.cy,
+      ...(props.linkTo !== undefined && { linkTo: linkList(props.linkTo) }),
+    }),
+  },
+  TutorialPopup: {
+    collection: 'tutorialPopups',
+    build: (r, props, id) => ({ lines: [], ...props, id, x: r.cx, y: r.cy, width: r.width, height: r.height }),
+  },
+};
+
+/** Older maps call the door a SlideDoor. */
+OBJECT_TYPES.SlideDoor = OBJECT_TYPES.Door;
+
+// ═══════════════════════════════════════════════════════════════
+//  PUBLIC API
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Convert a Tiled JSON map into a level data object.
+ * @param {object} map - Parsed Tiled JSON.
+ * @param {object} [opts]
+ * @param {string} [opts.id] - Fallback level id when the map has no `id` property.
+ * @returns {object} Level data (see LevelRegistry.js).
+ */
+export function tiledMapToLevel(map, opts = {}) {
+  if (!map || !Array.isArray(map.layers)) {
+    throw new Error('TiledLevelLoader: not a Tiled map (missing layers)');
+  }
+  if (map.infinite) {
+    throw new Error('TiledLevelLoader: infinite maps are not supported — set a fixed map size');
+  }
+  if (map.orientation && map.orientation !== 'orthogonal') {
+    throw new Error(`TiledLevelLoader: unsupported orientation "${map.orientation}"`);
+  }
+
+  const mapProps = readProperties(map.properties);
+  const id = mapProps.id ?? opts.id;
+  if (!id) throw new Error('TiledLevelLoader: map has no "id" property and no fallback id was given');
+
+  const level = {
+    id,
+    name: mapProps.name ?? id,
+    world: { width: map.width * map.tilewidth, height: map.height * map.tileheight },
+    bgColor: mapProps.bgColor ?? map.backgroundcolor ?? '#1a1a2e',
+  };
+  for (const key of COLLECTIONS) level[key] = [];
+
+  const layers = flattenLayers(map.layers);
+  const objects = layers.filter(l => l.type === 'objectgroup').flatMap(l =>
+    l.objects.map(obj => ({ obj, dx: l.offsetx || 0, dy: l.offsety || 0 })));
+
+  // Ids are needed up front so "object" properties can reference any object
+  const idsByObject = new Map(objects.map(({ obj }) => [obj.id, objectId(obj)]));
+
+  for (const layer of layers) {
+    if (layer.type === 'tilelayer') {
+      level.platforms.push(...tileLayerToPlatforms(layer, map.tilewidth, map.tileheight));
+    }
+  }
+
+  // Objects of an unknown class are listed for LevelValidator to report
+  const unknown = [];
+  for (const { obj, dx, dy } of objects) {
+    const type = OBJECT_TYPES[objectClass(obj)];
+    if (!type) {
+      unknown.push({ object: obj.id, class: objectClass(obj) });
+      continue;
+    }
+    const props = readProperties(obj.properties, idsByObject);
+    const entry = type.build(objectRect(obj, dx, dy), props, idsByObject.get(obj.id));
+    if (type.single) level[type.single] = entry;
+    else level[type.collection].push(entry);
+  }
+  if (unknown.length > 0) level.unknownObjects = unknown;
+
+  return level;
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  TILE LAYERS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Merge the solid tiles of a layer into platform rectangles: horizontal runs
+ * per row first, then identical runs on consecutive rows are stacked.
+ */
+function tileLayerToPlatforms(layer, tileW, tileH) {
+  const props = readProperties(layer.properties);
+  if (props.collides === false) return [];
+
+  const data = decodeTileData(layer);
+  const { width, height } = layer;
+
+  /** @type {Map<string, {col: number, row: number, w: number, h: number}>} open rectangles by "col,w" */
+  let open = new Map();
+  const rects = [];
+
+  for (let row = 0; row < height; row++) {
+    const next = new Map();
+    let col = 0;
+    while (col < width) {
+      if (!(data[row * width + col] & GID_MASK)) { col++; continue; }
+      let run = 1;
+      while (col + run < width && (data[row * width + col + run] & GID_MASK)) run++;
+
+      const key = `${col},${run}`;
+      const rect = open.get(key);
+      if (rect) {
+        rect.h++;
+        open.delete(key);
+        next.set(key, rect);
+      } else {
+        const fresh = { col, row, w: run, h: 1 };
+        rects.push(fresh);
+        next.set(key, fresh);
+      }
+      col += run;
+    }
+    open = next;
+  }
+
+  const ox = (layer.offsetx || 0) + (layer.x || 0) * tileW;
+  const oy = (layer.offsety || 0) + (layer.y || 0) * tileH;
+  return rects.map(r => ({
+    x: ox + (r.col + r.w / 2) * tileW,
+    y: oy + (r.row + r.h / 2) * tileH,
+    width: r.w * tileW,
+    height: r.h * tileH,
+    ...(props.style ? { style: props.style } : {}),
+  }));
+}
+
+/** Tile gids of a layer as a flat array (CSV/JSON or uncompressed Base64). */
+function decodeTileData(layer) {
+  if (layer.encoding !== 'base64') return layer.data;
+  if (layer.compression) {
+    throw new Error(`TiledLevelLoader: layer "${layer.name}" uses ${layer.compression} compression — export uncompressed`);
+  }
+  const bytes = Uint8Array.from(atob(layer.data), c => c.charCodeAt(0));
+  const view = new DataView(bytes.buffer);
+  const out = new Array(bytes.length / 4);
+  for (let i = 0; i < out.length; i++) out[i] = view.getUint32(i * 4, true);
+  return out;
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  OBJECT LAYERS
+// ═══════════════════════════════════════════════════════════════
+
+/** Layers inside group layers, in draw order, with group offsets applied. */
+function flattenLayers(layers, dx = 0, dy = 0) {
+  const out = [];
+  for (const layer of layers) {
+    const ox = dx + (layer.offsetx || 0);
+    const oy = dy + (layer.offsety || 0);
+    if (layer.type === 'group') out.push(...flattenLayers(layer.layers || [], ox, oy));
+    else out.push({ ...layer, offsetx: ox, offsety: oy });
+  }
+  return out;
+}
+
+/** Tiled 1.9+ uses `class`; older versions use `type`. */
+function objectClass(obj) {
+  return obj.class || obj.type || '';
+}
+
+function objectId(obj) {
+  return obj.name || `${objectClass(obj)}_${obj.id}`;
+}
+
+/**
+ * Object bounds in level pixels, whatever Tiled's origin for that object
+ * kind; a polyline / polygon's vertices too (`points`, `closed`).
+ */
+function objectRect(obj, dx, dy) {
+  const width = obj.width || 0;
+  const height = obj.height || 0;
+  const left = obj.x + dx;
+  // Tile objects are anchored at their bottom-left corner
+  const top = (obj.gid ? obj.y - height : obj.y) + dy;
+  return {
+    left, top, width, height,
+    right: left + width,
+    bottom: top + height,
+    cx: left + width / 2,
+    cy: top + height / 2,
+    ...((obj.polyline || obj.polygon) && {
+      points: (obj.polyline || obj.polygon).map(p => ({ x: left + p.x, y: top + p.y })),
+      closed: !!obj.polygon,
+    }),
+  };
+}
+
+/** Width/height fields, only for objects drawn as rectangles. */
+function size(r) {
+  return r.width > 0 && r.height > 0 ? { width: r.width, height: r.height } : {};
+}
+
+/**
+ * Flatten a Tiled properties array into a plain object, resolving object
+ * references to ids and list properties to arrays.
+ */
+function readProperties(properties, idsByObject = new Map()) {
+  const out = {};
+  for (const p of properties || []) {
+    let value = p.value;
+    if (p.type === 'object') {
+      value = idsByObject.get(value) ?? null;
+    } else if (ID_LIST_PROPS.includes(p.name) && typeof value === 'string') {
+      value = idList(value);
+    } else if (LINE_LIST_PROPS.includes(p.name) && typeof value === 'string') {
+      value = value.split('\n');
+    }
+    out[p.name] = value;
+  }
+  return out;
+}
+
+/** 'd1, !d2' → ['d1', { id: 'd2', invert: true }]; a single id (an object property) → [id]. */
+function linkList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string') return [];
+  return formatLinks(parseLinkText(value), { list: true });
+}
+
+/** '80, , 120' → [80, undefined, 120] (blank entries keep the default). */
+function numberList(value) {
+  if (typeof value === 'number') return [value];
+  if (typeof value !== 'string') return [];
+  return value.split(',').map(s => (s.trim() === '' ? undefined : Number(s)));
+}
+
+/** 'd1, d2' → ['d1', 'd2']; a single id (an object property) → [id]. */
+function idList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string') return [];
+  return value.split(',').map(s => s.trim()).filter(Boolean);
+}
@@ -0,0 +1,22 @@
+import { LEVEL_01 } from '../Level01.js';
+import { LEVEL_02 } from '../Level02.js';
+import { LEVEL_03 } from '../Level03.js';
+import { LEVEL_04 } from '../Level04.js';
+import { LEVEL_06 } from '../Level06.js';
+
+/**
+ * Campaign pack — the main game, ending with The Gauntlet.
+ */
+export const CAMPAIGN_PACK = {
+  id: 'campaign',
+  title: 'Campaign',
+  levels: [
+    LEVEL_01,
+    LEVEL_02,
+    LEVEL_03,
+    LEVEL_04,
+    LEVEL_06,
+  ],
+  unlock: { type: 'always' },
+  theme: { color: '#44ddaa' },
+};
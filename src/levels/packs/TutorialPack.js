@@ -0,0 +1,22 @@
+import {
+  TUT_01, TUT_02, TUT_03, TUT_04,
+  TUT_05, TUT_06, TUT_07, TUT_08,
+} from '../LevelTutorial.js';
+
+/**
+ * Tutorial pack — the eight one-mechanic mini-rooms.
+ * START GAME plays this pack until it has been finished once; finishing it
+ * continues into the campaign.
+ */
+export const TUTORIAL_PACK = {
+  id: 'tutorial',
+  title: 'Tutorial',
+  levels: [
+    TUT_01, TUT_02, TUT_03, TUT_04,
+    TUT_05, TUT_06, TUT_07, TUT_08,
+  ],
+  unlock: { type: 'always' },
+  nextPack: 'campaign',
+  tutorial: true,
+  theme: { color: '#88aaff' },
+};
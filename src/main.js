@@ -5,6 +5,7 @@ import { PreloadScene } from './scenes/PreloadScene.js';
 import { MenuScene } from './scenes/MenuScene.js';
 import { GameScene } from './scenes/GameScene.js';
 import { UIScene } from './scenes/UIScene.js';
+import { EditorScene } from './scenes/EditorScene.js';
 import { isMobile } from './utils/mobile.js';
 
 const mobile = isMobile();
@@ -31,7 +32,7 @@ const config = {
       debug: false,
     },
   },
-  scene: [BootScene, PreloadScene, MenuScene, GameScene, UIScene],
+  scene: [BootScene, PreloadScene, MenuScene, GameScene, UIScene, EditorScene],
 };
 
 const game = new Phaser.Game(config);
@@ -0,0 +1,44 @@
+import { CAPACITOR } from '../config.js';
+import { Relay } from './Relay.js';
+
+/**
+ * Capacitor — a relay that has to be charged.
+ *
+ * While its input is powered it passes the power on and charges, from
+ * empty to full in `chargeTime` ms. Once the input is cut its outputs run
+ * off the charge: a full capacitor holds them on for `capacity` ms, a half
+ * charged one for half that. So the player has to leave the cord plugged
+ * in long enough before taking it elsewhere.
+ *
+ * Drawn as an upright can with a charge meter (see Relay for the LED).
+ *
+ * Constructor options:
+ * @param {Phaser.Scene} scene
+ * @param {object} opts
+ * @param {number} opts.x            - Center X. Required.
+ * @param {number} opts.y            - Center Y. Required.
+ * @param {number} [opts.capacity]   - ms of output a full charge lasts (default: CAPACITOR.CAPACITY).
+ * @param {number} [opts.chargeTime] - ms of power to charge fully (default: CAPACITOR.CHARGE_TIME).
+ */
+export class Capacitor extends Relay {
+  constructor(scene, opts) {
+    super(scene, { x: opts.x, y: opts.y, holdTime: opts.capacity ?? CAPACITOR.CAPACITY }, CAPACITOR_STYLE);
+    this.chargeTime = opts.chargeTime ?? CAPACITOR.CHARGE_TIME;
+  }
+
+  /** Input powered: output on; the charge builds up in update(). */
+  activate() {
+    this.powered = true;
+    this._setOutput(true);
+  }
+
+  _charge(delta) {
+    this.charge = Math.min(this.holdTime, this.charge + delta * this.holdTime / this.chargeTime);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+const CAPACITOR_STYLE = { ...CAPACITOR, vertical: true };
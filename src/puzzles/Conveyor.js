@@ -0,0 +1,94 @@
+import Phaser from 'phaser';
+import { CONVEYOR } from '../config.js';
+
+/**
+ * Conveyor — a belt that carries whatever stands on it while powered.
+ *
+ * Behavior:
+ *   - **Activated (powered):** The belt runs at `speed` px/s towards
+ *     `direction`; the player, push blocks, heavy blocks and enemies on top
+ *     move with it (GameScene rider handling, shared with elevators).
+ *   - **Deactivated (unpowered):** The belt stops. It is a plain platform.
+ *
+ * `reversed` wires the motor with reverse polarity: the belt runs the other
+ * way from `direction`, so two belts can share an input and run apart.
+ *
+ * Constructor options object (all optional — defaults from config.js):
+ * @param {Phaser.Scene} scene
+ * @param {object} opts
+ * @param {number} opts.x            - Horizontal center (px). Required.
+ * @param {number} opts.y            - Vertical center (px). Required.
+ * @param {number} [opts.width]      - Belt length (default: CONVEYOR.WIDTH).
+ * @param {string} [opts.direction]  - 'right' (default) or 'left'.
+ * @param {number} [opts.speed]      - Belt speed in px/s (default: CONVEYOR.SPEED).
+ * @param {boolean} [opts.reversed]  - Reverse polarity: run against `direction`.
+ * @param {number} [opts.load]       - W drawn from its generator while powered (default: CONVEYOR.LOAD).
+ *
+ * The belt is a TileSprite of the tread texture with a static physics body;
+ * running scrolls the tread and turns the end rollers.
+ */
+export class Conveyor extends Phaser.GameObjects.TileSprite {
+  constructor(scene, opts) {
+    const w = opts.width ?? CONVEYOR.WIDTH;
+    const h = CONVEYOR.HEIGHT;
+    super(scene, opts.x, opts.y, w, h, 'conveyor_tread');
+    scene.add.existing(this);
+    scene.physics.add.existing(this, true); // static body
+
+    /** @type {string} Unique ID assigned by GameScene */
+    this.elementId = 'conveyor';
+
+    this.speed = opts.speed ?? CONVEYOR.SPEED;
+    this.load = opts.load ?? CONVEYOR.LOAD;
+
+    /** +1 runs right, −1 left (reverse polarity included). */
+    this.direction = ((opts.direction ?? 'right') === 'right' ? 1 : -1) * (opts.reversed ? -1 : 1);
+
+    /** How far the belt moved this frame (px, signed) — what riders are carried. */
+    this.deltaX = 0;
+
+    /** Configurable dimensions */
+    this._w = w;
+    this._h = h;
+    this._isActive = false;
+
+    // End rollers, turning with the belt
+    const r = (h - 2) / 2;
+    this._rollers = [-1, 1].map(side =>
+      scene.add.image(opts.x + side * (w / 2 - r), opts.y, 'conveyor_roller').setDepth(this.depth + 1));
+  }
+
+  /** @returns {boolean} Whether the belt is running. */
+  get isActive() {
+    return this._isActive;
+  }
+
+  /** Power on — the belt starts running. */
+  activate() {
+    this._isActive = true;
+  }
+
+  /** Power off — the belt stops. */
+  deactivate() {
+    this._isActive = false;
+  }
+
+  /**
+   * Run the belt for a frame: scroll the tread, turn the rollers and set
+   * `deltaX` for the rider handling. Call every frame (GameScene.update).
+   * @param {number} delta - ms since the last frame.
+   */
+  update(delta) {
+    this.deltaX = this._isActive ? this.direction * this.speed * delta / 1000 : 0;
+    if (this.deltaX === 0) return;
+    this.tilePositionX -= this.deltaX;
+    const turn = Phaser.Math.RadToDeg(this.deltaX / ((this._h - 2) / 2));
+    for (const roller of this._rollers) roller.angle += turn;
+  }
+
+  destroy(fromScene) {
+    for (const roller of this._rollers ?? []) roller.destroy();
+    this._rollers = null;
+    super.destroy(fromScene);
+  }
+}
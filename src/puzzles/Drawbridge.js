@@ -1,84 +1,71 @@
 import Phaser from 'phaser';
 import { DRAWBRIDGE } from '../config.js';
+import { bridgeAngles, bridgeLeaves, leafTopAt } from '../utils/bridgeGeometry.js';
 
 /**
- * Drawbridge — a bridge plank that rotates from vertical (closed) to horizontal (open).
+ * Drawbridge — a bridge plank (or two) that rotates about its hinge when powered.
  *
- * Behavior:
+ * Behavior (default `style: 'drawbridge'`):
  *   - **Closed (unpowered):** The plank hangs vertically downward from its pivot.
  *     No walkable surface — anything below is exposed (e.g. spikes).
  *   - **Open (powered):** The plank rotates up to horizontal, creating a bridge
  *     the player can walk across.
  *
+ * Variants (angles as in utils/bridgeGeometry.js — 0 flat, 90 up, −90 down):
+ *   - `style: 'lift'` lies flat (walkable) and rises into a wall when powered.
+ *   - `direction: 'both'` is a double-leaf bridge: two half-length leaves
+ *     hinged at either end of the span, meeting in the middle.
+ *   - `openAngle` / `restAngle` stop the plank part-way; up to
+ *     DRAWBRIDGE.MAX_SLOPE it is a ramp that can be walked up.
+ *
  * Implementation notes:
- *   Arcade physics bodies don't rotate, so we use two objects:
- *     1. `this` — a sprite whose `angle` is tweened for the visual rotation.
- *        Its origin is set to (0, 0.5) so it pivots at its left-center.
- *     2. `this.bridgeBody` — a thin invisible static body that matches the
- *        bridge's horizontal footprint. Enabled only when the bridge is fully open.
+ *   Arcade physics bodies don't rotate, so each leaf has two objects:
+ *     1. a sprite whose `angle` follows `elevation` for the visual rotation
+ *        (`this` is the first leaf). Its origin is at the hinge end.
+ *     2. a thin invisible static body in `bridgeBodies` — the leaf's
+ *        footprint when it settles flat, or a wall when it settles upright.
+ *        Disabled while moving and in any other pose.
+ *   While a plank is moving or settled at a slope, update() holds up the
+ *   player, push blocks, heavy blocks and enemies standing on its line, so
+ *   they ride it until it is too steep and they slide off.
  *
  * Constructor options:
  * @param {Phaser.Scene} scene
  * @param {object} opts
  * @param {number} opts.pivotX     - X of the pivot / hinge point. Required.
+ *                                   ('both': the left end of the span.)
  * @param {number} opts.pivotY     - Y of the pivot / hinge point. Required.
- * @param {number} [opts.width]    - Length of the bridge plank (default: DRAWBRIDGE.WIDTH).
+ * @param {number} [opts.width]    - Length of the bridge plank (default: DRAWBRIDGE.WIDTH);
+ *                                   the whole span for 'both'.
  * @param {number} [opts.height]   - Thickness (default: DRAWBRIDGE.HEIGHT).
  * @param {number} [opts.speed]    - Rotation speed in deg/s (default: DRAWBRIDGE.SPEED).
- * @param {string} [opts.direction] - Which direction the bridge extends when open:
- *                                    'right' (default) or 'left'.
+ * @param {string} [opts.direction] - Which direction the bridge extends:
+ *                                    'right' (default), 'left' or 'both'.
+ * @param {string} [opts.style]    - 'drawbridge' (default) or 'lift'.
+ * @param {number} [opts.restAngle] - Elevation while unpowered (default: by style).
+ * @param {number} [opts.openAngle] - Elevation while powered (default: by style).
  * @param {string} [opts.label]    - Debug label (default: 'DB').
+ * @param {number} [opts.load]     - W drawn from its generator while powered (default: DRAWBRIDGE.LOAD).
  */
 export class Drawbridge extends Phaser.GameObjects.Sprite {
   constructor(scene, opts) {
-    const w     = opts.width    ?? DRAWBRIDGE.WIDTH;
     const h     = opts.height   ?? DRAWBRIDGE.HEIGHT;
     const speed = opts.speed    ?? DRAWBRIDGE.SPEED;
-    const dir   = opts.direction ?? 'right';
-    // labels removed
-
-    // Generate a wooden plank texture with metal reinforcements
-    const key = `drawbridge_${w}x${h}`;
-    if (!scene.textures.exists(key)) {
-      const g = scene.add.graphics();
-      // Wood base
-      g.fillStyle(0x8B6914, 1);
-      g.fillRect(0, 0, w, h);
-      // Wood grain
-      g.lineStyle(1, 0x6B4910, 0.4);
-      for (let y = 2; y < h; y += 4) g.lineBetween(0, y, w, y);
-      // Darker edges
-      g.lineStyle(1, 0x5C3D0F, 0.6);
-      g.strokeRect(0, 0, w, h);
-      // Metal reinforcement bands
-      const bands = Math.max(2, Math.floor(w / 50));
-      for (let i = 0; i < bands; i++) {
-        const bx = (w / (bands + 1)) * (i + 1) - 3;
-        g.fillStyle(0x666666, 0.8);
-        g.fillRect(bx, 0, 6, h);
-      }
-      // Metal corner brackets
-      g.fillStyle(0x555555, 1);
-      g.fillRect(0, 0, 4, 4);
-      g.fillRect(w - 4, 0, 4, 4);
-      g.fillRect(0, h - 4, 4, 4);
-      g.fillRect(w - 4, h - 4, 4, 4);
-      g.generateTexture(key, w, h);
-      g.destroy();
-    }
+    const leaves = bridgeLeaves(opts);
+    const { rest, open } = bridgeAngles(opts);
 
     // Position the sprite so the origin (pivot) is at pivotX, pivotY.
-    super(scene, opts.pivotX, opts.pivotY, key);
+    super(scene, leaves[0].x, leaves[0].y, plankTexture(scene, leaves[0].length, h));
     scene.add.existing(this);
 
     this.elementId = 'drawbridge';
 
     /** Dimensions */
-    this._w = w;
+    this._w = opts.width ?? DRAWBRIDGE.WIDTH;
     this._h = h;
 
     /** Direction the bridge extends when horizontal */
-    this._dir = dir;
+    this._dir = opts.direction ?? 'right';
 
     /** Speed in degrees/second */
     this._speed = speed;
@@ -87,82 +74,202 @@ export class Drawbridge extends Phaser.GameObjects.Sprite {
     this.pivotX = opts.pivotX;
     this.pivotY = opts.pivotY;
 
+    /** Elevations (deg) unpowered / powered, and the current one. */
+    this.restAngle = rest;
+    this.openAngle = open;
+    this.elevation = rest;
+
+    /** W drawn from its generator while powered (breakers). */
+    this.load = opts.load ?? DRAWBRIDGE.LOAD;
+
     /** States */
     this._isActive = false;
+    this._moving = false;
 
-    // Set origin so pivot is at the correct edge
-    if (dir === 'right') {
-      this.setOrigin(0, 0.5);
-      this.setAngle(90);   // starts hanging DOWN from pivot
-    } else {
-      this.setOrigin(1, 0.5);
-      this.setAngle(-90);  // starts hanging DOWN from pivot (mirrored)
-    }
+    /** Riders held up by a plank last frame, and its elevation then. */
+    this._riding = new Set();
+    this._lastElevation = rest;
 
-    // ── Bridge collision body ──
-    // An invisible static body enabled only when the bridge is horizontal.
-    // We make it tall enough to block the player from walking through the side.
-    // The top of the body is flush with pivotY (the ground/platform surface).
-    const bodyH = Math.max(h, 64); // tall enough to block sideways entry
-    const bodyX = dir === 'right'
-      ? opts.pivotX + w / 2
-      : opts.pivotX - w / 2;
-    const bodyY = opts.pivotY + bodyH / 2; // positions top of body at pivotY
-
-    this.bridgeBody = scene.add.rectangle(bodyX, bodyY, w, bodyH, 0x000000, 0);
-    scene.physics.add.existing(this.bridgeBody, true); // static
-    this.bridgeBody.body.enable = false; // start disabled (bridge is down)
-
-    this.setDepth(5);
+    // One sprite + static body per leaf; the first leaf's sprite is `this`
+    this._leaves = leaves.map((leaf, i) => {
+      const sprite = i === 0 ? this : scene.add.sprite(leaf.x, leaf.y, plankTexture(scene, leaf.length, h));
+      // Set origin so pivot is at the correct edge
+      sprite.setOrigin(leaf.dir > 0 ? 0 : 1, 0.5);
+      sprite.setDepth(5);
+      const body = scene.add.rectangle(leaf.x, leaf.y, leaf.length, h, 0x000000, 0);
+      scene.physics.add.existing(body, true); // static
+      return { ...leaf, sprite, body };
+    });
+
+    /** The leaves' collision bodies (GameScene adds the colliders). */
+    this.bridgeBodies = this._leaves.map(l => l.body);
+
+    this._applyElevation();
+    this._settleBodies();
   }
 
   // ───── Public API ─────
 
   get isActive() { return this._isActive; }
 
-  /** Power on → rotate bridge to horizontal. */
+  /** Power on → rotate to the open angle. */
   activate() {
     if (this._isActive) return;
     this._isActive = true;
+    this._rotateTo(this.openAngle);
+  }
+
+  /** Power off → rotate back to the rest angle. */
+  deactivate() {
+    if (!this._isActive) return;
+    this._isActive = false;
+    this._rotateTo(this.restAngle);
+  }
+
+  /**
+   * Whether a body stands on one of the planks' lines (sloped or moving —
+   * a settled flat plank's static body reports blocked.down itself).
+   * @param {Phaser.Physics.Arcade.Body} body
+   */
+  supports(body) {
+    return this._leaves.some(leaf => {
+      const top = leafTopAt(leaf, this.elevation, body.center.x);
+      return top !== null && Math.abs(body.bottom - top) <= 3;
+    });
+  }
+
+  /**
+   * Hold up whatever stands on a moving or sloped plank. Call every frame
+   * (GameScene.update).
+   * @param {Phaser.GameObjects.GameObject[]} riders
+   */
+  update(riders) {
+    const riding = new Set();
+    if (this._moving || !this.bridgeBodies.some(b => b.body.enable)) {
+      for (const obj of riders) {
+        const body = obj.body;
+        if (!body || !obj.active) continue;
+        // Rising riders are jumping off; ones already riding follow the plank
+        // however far it swung this frame
+        if (body.velocity.y < 0) continue;
+        const held = this._riding.has(obj);
+        for (const leaf of this._leaves) {
+          const top = leafTopAt(leaf, this.elevation, body.center.x);
+          if (top === null) continue;
+          const swung = held ? Math.abs((leafTopAt(leaf, this._lastElevation, body.center.x) ?? top) - top) : 0;
+          const gap = body.bottom - top;
+          if (gap < -(held ? DRAWBRIDGE.SNAP + swung : 1) || gap > DRAWBRIDGE.SNAP + swung) continue;
+          obj.y -= gap;
+          body.position.y -= gap;
+          body.prev.y -= gap;
+          if (body.velocity.y > 0) body.velocity.y = 0;
+          obj.syncPosition?.();
+          riding.add(obj);
+          break;
+        }
+      }
+    }
+    this._riding = riding;
+    this._lastElevation = this.elevation;
+  }
 
+  destroy(fromScene) {
+    for (const leaf of this._leaves ?? []) {
+      leaf.body.destroy();
+      if (leaf.sprite !== this) leaf.sprite.destroy();
+    }
+    this._leaves = [];
+    super.destroy(fromScene);
+  }
+
+  // ───── Internal helpers ─────
+
+  /** Tween `elevation` to an angle; the bodies switch off until it settles. */
+  _rotateTo(targetAngle) {
     this.scene.tweens.killTweensOf(this);
+    this._moving = true;
+    // Immediately disable the bodies
+    for (const b of this.bridgeBodies) b.body.enable = false;
 
-    const targetAngle = 0; // horizontal
-    const currentAngle = this.angle;
-    const angleDist = Math.abs(targetAngle - currentAngle);
+    const angleDist = Math.abs(targetAngle - this.elevation);
     const duration = (angleDist / this._speed) * 1000;
 
     this.scene.tweens.add({
       targets: this,
-      angle: targetAngle,
+      elevation: targetAngle,
       duration: Math.max(duration, 100),
       ease: 'Power2',
+      onUpdate: () => this._applyElevation(),
       onComplete: () => {
-        // Enable the walkable body now that bridge is horizontal
-        this.bridgeBody.body.enable = true;
+        this._moving = false;
+        this.elevation = targetAngle;
+        this._applyElevation();
+        this._settleBodies();
       },
     });
   }
 
-  /** Power off → rotate bridge back to vertical (down). */
-  deactivate() {
-    if (!this._isActive) return;
-    this._isActive = false;
-
-    // Immediately disable the walkable body
-    this.bridgeBody.body.enable = false;
+  /** Turn each leaf's sprite to the current elevation. */
+  _applyElevation() {
+    for (const leaf of this._leaves) leaf.sprite.setAngle(-leaf.dir * this.elevation);
+  }
 
-    this.scene.tweens.killTweensOf(this);
+  /**
+   * Fit each leaf's body to its settled pose: the footprint when flat — tall
+   * enough to block the player from walking through the side, top flush with
+   * the hinge — a wall when upright, nothing otherwise.
+   */
+  _settleBodies() {
+    for (const leaf of this._leaves) {
+      const rect = leaf.body;
+      if (this.elevation === 0) {
+        const bodyH = Math.max(this._h, 64);
+        rect.setPosition(leaf.x + leaf.dir * leaf.length / 2, leaf.y + bodyH / 2).setSize(leaf.length, bodyH);
+      } else if (this.elevation === 90) {
+        rect.setPosition(leaf.x, leaf.y - leaf.length / 2).setSize(this._h, leaf.length);
+      } else {
+        rect.body.enable = false;
+        continue;
+      }
+      rect.body.updateFromGameObject();
+      rect.body.enable = true;
+    }
+  }
+}
 
-    const targetAngle = this._dir === 'right' ? 90 : -90;
-    const angleDist = Math.abs(targetAngle - this.angle);
-    const duration = (angleDist / this._speed) * 1000;
+// ═══════════════════════════════════════════════════════════════
+//  HELPERS
+// ═══════════════════════════════════════════════════════════════
 
-    this.scene.tweens.add({
-      targets: this,
-      angle: targetAngle,
-      duration: Math.max(duration, 100),
-      ease: 'Power2',
-    });
+/** A wooden plank texture with metal reinforcements, per size. @returns {string} its key */
+function plankTexture(scene, w, h) {
+  const key = `drawbridge_${w}x${h}`;
+  if (!scene.textures.exists(key)) {
+    const g = scene.add.graphics();
+    // Wood base
+    g.fillStyle(0x8B6914, 1);
+    g.fillRect(0, 0, w, h);
+    // Wood grain
+    g.lineStyle(1, 0x6B4910, 0.4);
+    for (let y = 2; y < h; y += 4) g.lineBetween(0, y, w, y);
+    // Darker edges
+    g.lineStyle(1, 0x5C3D0F, 0.6);
+    g.strokeRect(0, 0, w, h);
+    // Metal reinforcement bands
+    const bands = Math.max(2, Math.floor(w / 50));
+    for (let i = 0; i < bands; i++) {
+      const bx = (w / (bands + 1)) * (i + 1) - 3;
+      g.fillStyle(0x666666, 0.8);
+      g.fillRect(bx, 0, 6, h);
+    }
+    // Metal corner brackets
+    g.fillStyle(0x555555, 1);
+    g.fillRect(0, 0, 4, 4);
+    g.fillRect(w - 4, 0, 4, 4);
+    g.fillRect(0, h - 4, 4, 4);
+    g.fillRect(w - 4, h - 4, 4, 4);
+    g.generateTexture(key, w, h);
+    g.destroy();
   }
+  return key;
 }
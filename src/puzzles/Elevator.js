@@ -21,6 +21,7 @@ import { ELEVATOR } from '../config.js';
  * @param {number} [opts.speed]    - Travel speed in px/s (default: ELEVATOR.SPEED).
  * @param {number} [opts.pauseDuration] - Pause at each stop in ms (default: ELEVATOR.PAUSE_DURATION).
  * @param {string} [opts.label]    - Debug label drawn above (default: 'E').
+ * @param {number} [opts.load]     - W drawn from its generator while powered (default: ELEVATOR.LOAD).
  *
  * The elevator uses a static physics body. Movement is done via tweens with
  * `refreshBody()` so the static body tracks the visual position.
@@ -91,6 +92,9 @@ export class Elevator extends Phaser.Physics.Arcade.Sprite {
     /** Pause duration at each stop (ms) */
     this.pauseDuration = opts.pauseDuration ?? ELEVATOR.PAUSE_DURATION;
 
+    /** W drawn from its generator while powered (breakers). */
+    this.load = opts.load ?? ELEVATOR.LOAD;
+
     /** @private Current travel direction: -1 toward endY (up), 1 toward startY */
     this._goingToEnd = true;
 
@@ -111,6 +115,9 @@ export class Elevator extends Phaser.Physics.Arcade.Sprite {
   /** Returns the Y movement delta since last frame (for carrying riders). */
   get deltaY() { return this._deltaY; }
 
+  /** Elevators only travel vertically (riders are carried by deltaX too). */
+  get deltaX() { return 0; }
+
   /** Call each frame (from GameScene.update) to track movement delta. */
   trackMovement() {
     this._deltaY = this.y - this._prevY;
@@ -128,7 +135,6 @@ export class Elevator extends Phaser.Physics.Arcade.Sprite {
 
   /** Power off → return to startY and stop. */
   deactivate() {
-    if (this._permanentlyPowered) return; // generator-linked: stays on permanently
     if (!this._isActive) return;
     this._isActive = false;
     this.setTexture(this._keyOff);
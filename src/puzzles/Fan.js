@@ -0,0 +1,190 @@
+import Phaser from 'phaser';
+import { FAN } from '../config.js';
+
+/**
+ * Fan — a floor vent whose fan blows an updraft while powered.
+ *
+ * Behavior:
+ *   - **Activated (powered):** The blades spin up and a column of air
+ *     `width` wide rises `height` px above the housing. The player and push
+ *     blocks inside it are pushed up by `strength` px/s² (gravity pulls 900)
+ *     up to FAN.MAX_RISE px/s, so they float near the top of the column and
+ *     can steer out of it sideways. Heavy blocks are too heavy to lift; a
+ *     block the player is holding stays in their hands.
+ *   - **Deactivated (unpowered):** The blades spin down and the air stops.
+ *     The housing is a plain (low) platform.
+ *
+ * Constructor options object (all optional — defaults from config.js):
+ * @param {Phaser.Scene} scene
+ * @param {object} opts
+ * @param {number} opts.x           - Horizontal center (px). Required.
+ * @param {number} opts.y           - Vertical center of the housing (px). Required.
+ * @param {number} [opts.width]     - Housing / column width (default: FAN.WIDTH).
+ * @param {number} [opts.height]    - Column height above the housing (default: FAN.LIFT_HEIGHT).
+ * @param {number} [opts.strength]  - Upward acceleration in px/s² (default: FAN.STRENGTH).
+ * @param {number} [opts.load]      - W drawn from its generator while powered (default: FAN.LOAD).
+ *
+ * The housing is a sprite with a static body. The blades and the airflow
+ * streaks are redrawn on Graphics each frame.
+ */
+export class Fan extends Phaser.Physics.Arcade.Sprite {
+  constructor(scene, opts) {
+    const w = opts.width ?? FAN.WIDTH;
+    const h = FAN.HEIGHT;
+
+    // Per-width housing texture: a grille over a dark intake
+    const key = `fan_housing_${w}`;
+    if (!scene.textures.exists(key)) {
+      const g = scene.add.graphics();
+      g.fillStyle(0x2a3038, 1);
+      g.fillRect(0, 0, w, h);
+      g.fillStyle(FAN.COLOR, 1);
+      g.fillRect(0, 0, 4, h);
+      g.fillRect(w - 4, 0, 4, h);
+      g.fillRect(0, h - 4, w, 4);
+      // Grille bars across the top
+      g.fillStyle(0x8898a8, 1);
+      g.fillRect(0, 0, w, 2);
+      for (let x = 6; x < w - 4; x += 5) g.fillRect(x, 0, 1, h - 4);
+      g.generateTexture(key, w, h);
+      g.destroy();
+    }
+
+    super(scene, opts.x, opts.y, key);
+    scene.add.existing(this);
+    scene.physics.add.existing(this, true); // static body
+
+    /** @type {string} Unique ID assigned by GameScene */
+    this.elementId = 'fan';
+
+    this.liftHeight = opts.height ?? FAN.LIFT_HEIGHT;
+    this.strength = opts.strength ?? FAN.STRENGTH;
+    this.load = opts.load ?? FAN.LOAD;
+
+    /** Configurable dimensions */
+    this._w = w;
+    this._h = h;
+    this._isActive = false;
+
+    /** Blade phase (rad) and spin (0 stopped … 1 full speed). */
+    this._phase = 0;
+    this._spin = 0;
+
+    /** Airflow streaks: { x, y, vy, len, life } */
+    this._streaks = [];
+    this._spawn = 0;
+
+    this._blades = scene.add.graphics().setDepth(1);
+    this._air = scene.add.graphics().setDepth(0);
+    this._drawBlades();
+  }
+
+  /** @returns {boolean} Whether the fan is blowing. */
+  get isActive() {
+    return this._isActive;
+  }
+
+  /** Y of the housing top, where the column of air starts. */
+  get top() {
+    return this.y - this._h / 2;
+  }
+
+  /** Power on — the fan spins up and the updraft starts. */
+  activate() {
+    this._isActive = true;
+  }
+
+  /** Power off — the air stops; the blades spin down. */
+  deactivate() {
+    this._isActive = false;
+  }
+
+  /**
+   * Whether a body is inside the column of air: overlapping it across,
+   * with its bottom between the housing top and the top of the column.
+   * @param {Phaser.Physics.Arcade.Body} body
+   */
+  inColumn(body) {
+    const half = this._w / 2;
+    if (body.right <= this.x - half || body.left >= this.x + half) return false;
+    return body.bottom <= this.top + 2 && body.bottom > this.top - this.liftHeight;
+  }
+
+  /**
+   * Blow for a frame: push the bodies in the column up, spin the blades
+   * and move the airflow streaks. Call every frame (GameScene.update).
+   * @param {number} delta - ms since the last frame.
+   * @param {Phaser.GameObjects.GameObject[]} riders - Objects the air can lift.
+   */
+  update(delta, riders) {
+    const dt = delta / 1000;
+    if (this._isActive) {
+      for (const obj of riders) {
+        const body = obj.body;
+        if (!body || !obj.active || obj.isGrabbed || !this.inColumn(body)) continue;
+        body.setVelocityY(Math.max(body.velocity.y - this.strength * dt, -FAN.MAX_RISE));
+      }
+    }
+
+    // Spin up quickly, spin down slowly
+    const target = this._isActive ? 1 : 0;
+    const rate = this._isActive ? 2 : 0.6;
+    this._spin = Phaser.Math.Clamp(this._spin + Math.sign(target - this._spin) * rate * dt, 0, 1);
+    this._phase += this._spin * 30 * dt;
+    this._drawBlades();
+    this._updateAir(delta);
+  }
+
+  /** Blades seen edge-on through the grille: slats that widen and narrow as they turn. */
+  _drawBlades() {
+    const g = this._blades;
+    g.clear();
+    const half = this._w / 2 - 6;
+    const y = this.top + 3;
+    g.fillStyle(0x9aa4ae, 0.9);
+    for (let i = 0; i < 4; i++) {
+      const a = this._phase + (i * Math.PI) / 2;
+      const bx = this.x + Math.sin(a) * half * 0.6;
+      const bw = 3 + Math.abs(Math.cos(a)) * 8;
+      g.fillRect(bx - bw / 2, y, bw, 3);
+    }
+  }
+
+  /** Spawn streaks while blowing and drift them up the column, fading with height. */
+  _updateAir(delta) {
+    const dt = delta / 1000;
+    if (this._isActive) {
+      this._spawn += delta;
+      while (this._spawn >= 40) {
+        this._spawn -= 40;
+        this._streaks.push({
+          x: this.x + (Math.random() - 0.5) * (this._w - 8),
+          y: this.top - 2,
+          vy: -(120 + Math.random() * 120),
+          len: 6 + Math.random() * 10,
+          life: 1,
+        });
+      }
+    }
+
+    const g = this._air;
+    g.clear();
+    this._streaks = this._streaks.filter(s => {
+      s.y += s.vy * dt;
+      s.x += Math.sin((s.y + s.len) * 0.08) * 10 * dt;
+      s.life = 1 - (this.top - s.y) / this.liftHeight;
+      if (s.life <= 0) return false;
+      g.lineStyle(1.5, 0xccddee, 0.45 * s.life);
+      g.lineBetween(s.x, s.y, s.x, s.y + s.len);
+      return true;
+    });
+  }
+
+  destroy(fromScene) {
+    this._blades?.destroy();
+    this._air?.destroy();
+    this._blades = null;
+    this._air = null;
+    super.destroy(fromScene);
+  }
+}
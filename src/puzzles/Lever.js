@@ -0,0 +1,196 @@
+import Phaser from 'phaser';
+import { LEVER } from '../config.js';
+
+/**
+ * Lever — a floor lever or wall switch the player flips with the interact
+ * key (F / 🔧), powering its `linkTo` elements while it is on.
+ *
+ *   toggle  each use flips it (default)
+ *   once    the first use flips it on for good
+ *   timed   a use flips it on; it springs back off after `returnTime` ms
+ *
+ * In the PowerNetwork it is a source, like a terminal: while on it powers
+ * its links (inverted links while off). Logic gates can read it. Every flip
+ * emits 'lever-flipped' on the scene (GameScene plays the sound), including
+ * a timed lever springing back.
+ *
+ * Style 'lever' is a handle on a floor base that swings over; 'switch' is a
+ * toggle on a wall plate that snaps up. An LED shows on / off, and blinks
+ * faster and faster while a timed lever runs out.
+ *
+ * Constructor options:
+ * @param {Phaser.Scene} scene
+ * @param {object} opts
+ * @param {number} opts.x             - Center X. Required.
+ * @param {number} opts.y             - Center Y. Required.
+ * @param {string} [opts.style]       - 'lever' (default) or 'switch'.
+ * @param {string} [opts.mode]        - 'toggle' (default), 'once' or 'timed'.
+ * @param {number} [opts.returnTime]  - ms a timed lever stays on (default: LEVER.RETURN_TIME).
+ */
+export class Lever extends Phaser.GameObjects.Container {
+  constructor(scene, opts) {
+    super(scene, opts.x, opts.y);
+    scene.add.existing(this);
+    this.setDepth(0); // same depth as gameplay
+
+    this.elementId = null;
+    this.network = null; // set by GameScene
+    this.style = opts.style ?? 'lever';
+    this.mode = opts.mode ?? 'toggle';
+    this.returnTime = opts.returnTime ?? LEVER.RETURN_TIME;
+
+    /** Elements driven while on: [{ element, invert }]. */
+    this.links = [];
+
+    /** A 'once' lever has been used and is locked. */
+    this.used = false;
+
+    /** ms left before a timed lever springs back. */
+    this.remaining = 0;
+
+    this._isActive = false;
+    this._clock = 0;
+
+    this._base = scene.add.graphics();
+    this._handle = scene.add.graphics();
+    this._led = scene.add.graphics();
+    this.add([this._base, this._handle, this._led]);
+    if (this.style === 'switch') this._drawSwitch();
+    else this._drawLever();
+    this._placeHandle(false);
+    this._drawLed();
+  }
+
+  /** @returns {boolean} Whether the lever is on. */
+  get isActive() {
+    return this._isActive;
+  }
+
+  /**
+   * Link the elements the lever drives in the PowerNetwork.
+   * @param {{ element: object, invert: boolean }[]} links
+   */
+  linkTo(links) {
+    this.links = links;
+    for (const { element, invert } of links) this.network?.connect(this, element, { invert });
+  }
+
+  /** Whether the player is close enough to flip it. */
+  isPlayerInRange(player) {
+    return Phaser.Math.Distance.Between(this.x, this.y, player.x, player.y) <= LEVER.INTERACT_RANGE;
+  }
+
+  /** Whether it can flip now: a used 'once' lever and a timed lever that is still on can't. */
+  get canFlip() {
+    if (this.mode === 'once' && this.used) return false;
+    return !(this.mode === 'timed' && this._isActive);
+  }
+
+  /**
+   * Flip the lever (interact key), if it can.
+   * @returns {boolean} Whether it flipped.
+   */
+  use() {
+    if (!this.canFlip) return false;
+    this.used = true;
+    if (this.mode === 'timed') this.remaining = this.returnTime;
+    this._set(!this._isActive);
+    return true;
+  }
+
+  /**
+   * Count a timed lever down and spring it back, redraw the LED. Call every
+   * frame (GameScene.update).
+   * @param {number} delta - ms since the last frame.
+   */
+  update(delta) {
+    this._clock += delta;
+    if (this.mode === 'timed' && this._isActive) {
+      this.remaining = Math.max(0, this.remaining - delta);
+      if (this.remaining === 0) this._set(false);
+    }
+    this._drawLed();
+  }
+
+  _set(on) {
+    this._isActive = on;
+    this.scene.tweens.killTweensOf(this._handle);
+    this.scene.tweens.add({
+      targets: this._handle,
+      ...this._handlePose(on),
+      duration: LEVER.FLIP_TIME,
+      ease: on ? 'Back.easeOut' : 'Quad.easeOut',
+    });
+    this.network?.setSource(this, on);
+    this.scene.events.emit('lever-flipped', this);
+  }
+
+  /** Handle angle (lever) or toggle offset (switch) for on / off. */
+  _handlePose(on) {
+    return this.style === 'switch' ? { y: on ? -4 : 4 } : { angle: on ? 35 : -35 };
+  }
+
+  _placeHandle(on) {
+    const pose = this._handlePose(on);
+    if (pose.angle !== undefined) this._handle.setAngle(pose.angle);
+    if (pose.y !== undefined) this._handle.setY(pose.y);
+  }
+
+  _drawLever() {
+    const w = LEVER.WIDTH;
+    const h = LEVER.HEIGHT;
+    // Base with a slot for the handle
+    const b = this._base;
+    b.fillStyle(LEVER.COLOR, 1);
+    b.fillRoundedRect(-w / 2, h / 2 - 10, w, 10, 2);
+    b.lineStyle(1, 0x221a11, 1);
+    b.strokeRoundedRect(-w / 2, h / 2 - 10, w, 10, 2);
+    b.fillStyle(0x221a11, 1);
+    b.fillRect(-w / 2 + 4, h / 2 - 10, w - 8, 2);
+
+    // Handle swings about its pivot in the slot
+    const g = this._handle;
+    g.setPosition(0, h / 2 - 8);
+    g.fillStyle(0x888899, 1);
+    g.fillRect(-1.5, -h + 12, 3, h - 12);
+    g.fillStyle(0xcc3322, 1);
+    g.fillCircle(0, -h + 12, 4);
+  }
+
+  _drawSwitch() {
+    const w = LEVER.SWITCH_WIDTH;
+    const h = LEVER.SWITCH_HEIGHT;
+    // Wall plate with two screws
+    const b = this._base;
+    b.fillStyle(LEVER.SWITCH_COLOR, 1);
+    b.fillRoundedRect(-w / 2, -h / 2, w, h, 2);
+    b.lineStyle(1, 0x555550, 1);
+    b.strokeRoundedRect(-w / 2, -h / 2, w, h, 2);
+    b.fillStyle(0x555550, 1);
+    b.fillCircle(0, -h / 2 + 3, 1);
+    b.fillCircle(0, h / 2 - 3, 1);
+    b.fillStyle(0x333333, 1);
+    b.fillRect(-3, -7, 6, 14);
+
+    // Toggle slides up (on) and down (off) in its slot
+    const g = this._handle;
+    g.fillStyle(0xeeeeee, 1);
+    g.fillRect(-2.5, -3, 5, 6);
+  }
+
+  /** LED: green while on (blinking as a timed lever runs out), red while off. */
+  _drawLed() {
+    let lit = this._isActive;
+    if (lit && this.mode === 'timed') {
+      const period = 120 + 480 * (this.remaining / this.returnTime);
+      lit = this._clock % period < period / 2;
+    }
+    const [x, y] = this.style === 'switch'
+      ? [LEVER.SWITCH_WIDTH / 2 - 3, -LEVER.SWITCH_HEIGHT / 2 + 3]
+      : [LEVER.WIDTH / 2 - 4, LEVER.HEIGHT / 2 - 5];
+    const g = this._led;
+    g.clear();
+    g.fillStyle(lit ? 0x00ff88 : this._isActive ? 0x224433 : 0x882222, 1);
+    g.fillCircle(x, y, 1.5);
+  }
+}
@@ -0,0 +1,124 @@
+import Phaser from 'phaser';
+import { LOGIC_GATE } from '../config.js';
+import { gateOutput } from '../utils/gateLogic.js';
+
+/**
+ * LogicGate — combines the signals of its inputs and powers its outputs.
+ *
+ * Inputs are terminals (powered), trigger zones, generators (activated)
+ * or other gates; outputs are doors, elevators and drawbridges. The gate
+ * reads its inputs every frame (GameScene.update, in gateLogic.orderGates
+ * order) and is a PowerNetwork source for its outputs while its own output
+ * is on. See utils/gateLogic.js for what each type computes.
+ *
+ * In the world it is a small box labelled with its type, with an LED for
+ * its output, and wires from each input and to each output that light up
+ * while they carry a signal — so the player can read the circuit.
+ *
+ * Constructor options:
+ * @param {Phaser.Scene} scene
+ * @param {object} opts
+ * @param {number} opts.x     - Center X. Required.
+ * @param {number} opts.y     - Center Y. Required.
+ * @param {string} opts.type  - 'and' | 'or' | 'not' | 'xor' | 'latch'. Required.
+ * @param {string} [opts.label] - Text on the box (default: the type, upper case).
+ */
+export class LogicGate extends Phaser.GameObjects.Container {
+  constructor(scene, opts) {
+    super(scene, opts.x, opts.y);
+    scene.add.existing(this);
+    this.setDepth(0); // same depth as gameplay
+
+    this.elementId = null;
+    this.network = null; // set by GameScene
+    this.type = opts.type;
+
+    /** Signal sources, in level-data order. */
+    this.inputs = [];
+
+    /** Elements driven by the output. */
+    this.outputs = [];
+
+    /** Current output (and a latch's memory). */
+    this._isActive = false;
+
+    /** Input signals as of the last update. */
+    this._signals = [];
+
+    this._body = scene.add.graphics();
+    this._text = scene.add.text(0, -1, opts.label ?? opts.type.toUpperCase(), {
+      fontSize: '10px', fontFamily: 'monospace', color: '#ccffee',
+    }).setOrigin(0.5);
+    this.add([this._body, this._text]);
+
+    /** Wires live in world space, behind gameplay. */
+    this._wires = scene.add.graphics();
+    this._wires.setDepth(-1);
+
+    this._drawBody();
+  }
+
+  /** @returns {boolean} Whether the output is on. */
+  get isActive() {
+    return this._isActive;
+  }
+
+  /**
+   * Wire up the gate (and link its outputs to it in the PowerNetwork).
+   * @param {object[]} inputs - Signal sources (see header).
+   * @param {object[]} outputs - Elements with activate() / deactivate().
+   */
+  connect(inputs, outputs) {
+    this.inputs = inputs;
+    this.outputs = outputs;
+    for (const el of outputs) this.network?.connect(this, el);
+  }
+
+  /**
+   * Read the inputs, power the outputs if the result changed, redraw.
+   * @param {(source: object) => boolean} signalOf - Whether a source is on.
+   */
+  update(signalOf) {
+    this._signals = this.inputs.map(signalOf);
+    const next = gateOutput(this.type, this._signals, this._isActive);
+    if (next !== this._isActive) {
+      this._isActive = next;
+      this.network?.setSource(this, next);
+      this._drawBody();
+    }
+    this._drawWires();
+  }
+
+  destroy(fromScene) {
+    this._wires?.destroy();
+    super.destroy(fromScene);
+  }
+
+  _drawBody() {
+    const w = LOGIC_GATE.WIDTH;
+    const h = LOGIC_GATE.HEIGHT;
+    const g = this._body;
+    g.clear();
+    g.fillStyle(LOGIC_GATE.COLOR, 1);
+    g.fillRoundedRect(-w / 2, -h / 2, w, h, 4);
+    g.lineStyle(1, this._isActive ? LOGIC_GATE.WIRE_ON : 0x223833, 1);
+    g.strokeRoundedRect(-w / 2, -h / 2, w, h, 4);
+    // Output LED on the right edge
+    g.fillStyle(this._isActive ? 0x00ff88 : 0x224433, 1);
+    g.fillCircle(w / 2 - 4, 0, 2);
+  }
+
+  /** Straight wires: each input → left edge, right edge → each output (outputs may move). */
+  _drawWires() {
+    const w = LOGIC_GATE.WIDTH;
+    const g = this._wires;
+    g.clear();
+    this.inputs.forEach((src, i) => {
+      const y = this.y + (i - (this.inputs.length - 1) / 2) * 6;
+      g.lineStyle(2, this._signals[i] ? LOGIC_GATE.WIRE_ON : LOGIC_GATE.WIRE_OFF, 0.8);
+      g.lineBetween(src.x, src.y, this.x - w / 2, y);
+    });
+    g.lineStyle(2, this._isActive ? LOGIC_GATE.WIRE_ON : LOGIC_GATE.WIRE_OFF, 0.8);
+    for (const out of this.outputs) g.lineBetween(this.x + w / 2, this.y, out.x, out.y);
+  }
+}
@@ -0,0 +1,248 @@
+import Phaser from 'phaser';
+import { MOVING_PLATFORM } from '../config.js';
+
+/**
+ * MovingPlatform — a platform that travels a route of waypoints.
+ *
+ * The route is `points`, the platform's centre at each stop. It runs
+ * either as a `'loop'` (0 → 1 → … → last → 0) or `'pingpong'` (0 → … →
+ * last → … → 0), in straight segments, so it can travel sideways and
+ * diagonally as well as up and down. A waypoint's `speed` is the speed on
+ * the segment from it to the next waypoint (either way; default `speed`);
+ * its `pause` is how long the platform waits on arriving there.
+ *
+ * Behavior by `mode`:
+ *   - **'powered'** (default): runs its route while powered, pausing at
+ *     each stop. Unpowered, it heads back along the route to the first
+ *     waypoint without pausing and stops there, like an elevator.
+ *   - **'step'**: each time power comes on it travels to the next stop and
+ *     stays there, even once power goes off again. A pulse that arrives
+ *     while it is still moving is queued.
+ *
+ * The player, push blocks, heavy blocks and enemies standing on it move
+ * with it (GameScene rider handling, shared with elevators and conveyors).
+ *
+ * Constructor options object (all optional — defaults from config.js):
+ * @param {Phaser.Scene} scene
+ * @param {object} opts
+ * @param {{ x: number, y: number, speed?: number, pause?: number }[]} opts.points
+ *                                 - Waypoints, at least two. Required.
+ * @param {string} [opts.route]    - 'pingpong' (default) or 'loop'.
+ * @param {string} [opts.mode]     - 'powered' (default) or 'step'.
+ * @param {number} [opts.width]    - Platform width  (default: MOVING_PLATFORM.WIDTH).
+ * @param {number} [opts.height]   - Platform height (default: MOVING_PLATFORM.HEIGHT).
+ * @param {number} [opts.speed]    - Default segment speed in px/s (default: MOVING_PLATFORM.SPEED).
+ * @param {number} [opts.pause]    - Default pause at a waypoint in ms (default: MOVING_PLATFORM.PAUSE).
+ * @param {number} [opts.load]     - W drawn from its generator while powered (default: MOVING_PLATFORM.LOAD).
+ *
+ * The platform uses a static physics body moved each frame in update()
+ * with `refreshBody()`; `deltaX` / `deltaY` are how far it went, for the
+ * riders. The route is drawn as a faint dotted track behind it.
+ */
+export class MovingPlatform extends Phaser.Physics.Arcade.Sprite {
+  constructor(scene, opts) {
+    const w = opts.width  ?? MOVING_PLATFORM.WIDTH;
+    const h = opts.height ?? MOVING_PLATFORM.HEIGHT;
+
+    // Per-size textures: a girder deck with lit (on) or dark (off) trim
+    const keyOn  = `moving_platform_on_${w}x${h}`;
+    const keyOff = `moving_platform_off_${w}x${h}`;
+    for (const [key, trim] of [[keyOn, MOVING_PLATFORM.COLOR], [keyOff, 0x2f4a40]]) {
+      if (scene.textures.exists(key)) continue;
+      const g = scene.add.graphics();
+      g.fillStyle(0x3a4450, 1);
+      g.fillRect(0, 0, w, h);
+      g.fillStyle(trim, 1);
+      g.fillRect(0, 0, w, 3); // top trim
+      g.fillRect(0, h - 3, w, 3); // bottom trim
+      // Cross bracing
+      g.lineStyle(1, 0x59636e, 0.8);
+      for (let x = 0; x < w; x += h) {
+        g.lineBetween(x, 3, x + h, h - 3);
+        g.lineBetween(x + h, 3, x, h - 3);
+      }
+      g.generateTexture(key, w, h);
+      g.destroy();
+    }
+
+    const speed = opts.speed ?? MOVING_PLATFORM.SPEED;
+    const pause = opts.pause ?? MOVING_PLATFORM.PAUSE;
+    const points = opts.points.map(p => ({
+      x: p.x, y: p.y, speed: p.speed ?? speed, pause: p.pause ?? pause,
+    }));
+
+    super(scene, points[0].x, points[0].y, keyOff);
+    scene.add.existing(this);
+    scene.physics.add.existing(this, true); // static body
+
+    /** @type {string} Unique ID assigned by GameScene */
+    this.elementId = 'platform';
+
+    this.points = points;
+    this.route = opts.route ?? 'pingpong';
+    this.mode = opts.mode ?? 'powered';
+
+    /** W drawn from its generator while powered (breakers). */
+    this.load = opts.load ?? MOVING_PLATFORM.LOAD;
+
+    /** How far the platform moved this frame (px) — what riders are carried. */
+    this.deltaX = 0;
+    this.deltaY = 0;
+
+    /** Configurable dimensions */
+    this._w = w;
+    this._h = h;
+    this._keyOn  = keyOn;
+    this._keyOff = keyOff;
+    this._isActive = false;
+
+    /** @private Stop it is at (-1 while moving), and the segment it travels. */
+    this._at = 0;
+    this._from = 0;
+    this._to = 0;
+    /** @private Ping-pong direction through the waypoints (+1 / -1). */
+    this._dir = 1;
+    /** @private ms left of the pause at the current stop. */
+    this._wait = 0;
+    /** @private 'powered' mode: heading back to the first waypoint. */
+    this._homing = false;
+    /** @private 'step' mode: power pulses not yet travelled. */
+    this._queued = 0;
+
+    this._track = scene.add.graphics().setDepth(-1);
+    this._drawTrack();
+  }
+
+  /** @returns {boolean} Whether the platform is powered. */
+  get isActive() {
+    return this._isActive;
+  }
+
+  /** Power on — start the route, or (step mode) head for the next stop. */
+  activate() {
+    if (this._isActive) return;
+    this._isActive = true;
+    this.setTexture(this._keyOn);
+    if (this.mode === 'step') {
+      this._queued++;
+      return;
+    }
+    this._homing = false;
+    this._dir = 1;
+  }
+
+  /** Power off — head home ('powered' mode) or stay put ('step' mode). */
+  deactivate() {
+    if (!this._isActive) return;
+    this._isActive = false;
+    this.setTexture(this._keyOff);
+    if (this.mode === 'step') return;
+
+    this._homing = true;
+    this._wait = 0;
+    // Mid-segment, turn back unless it is already heading home-wards
+    if (this._at < 0 && this._to !== 0 && this._to > this._from) {
+      [this._from, this._to] = [this._to, this._from];
+    }
+  }
+
+  /**
+   * Travel for a frame and set `deltaX` / `deltaY` for the rider handling.
+   * Call every frame (GameScene.update).
+   * @param {number} delta - ms since the last frame.
+   */
+  update(delta) {
+    const x0 = this.x;
+    const y0 = this.y;
+    this._travel(delta);
+    this.deltaX = this.x - x0;
+    this.deltaY = this.y - y0;
+    if (this.deltaX !== 0 || this.deltaY !== 0) this.refreshBody();
+  }
+
+  // ───── Internal helpers ─────
+
+  /** Wait out a pause, pick the next stop when at one, and move along the segment. */
+  _travel(delta) {
+    if (this._wait > 0) {
+      this._wait -= delta;
+      if (this._wait > 0) return;
+      this._wait = 0;
+    }
+    if (this._at >= 0) {
+      const next = this._nextStop();
+      if (next === null) return;
+      this._from = this._at;
+      this._to = next;
+      this._at = -1;
+    }
+
+    const target = this.points[this._to];
+    const dx = target.x - this.x;
+    const dy = target.y - this.y;
+    const dist = Math.hypot(dx, dy);
+    const step = this._segmentSpeed() * delta / 1000;
+    if (dist <= step) {
+      this.setPosition(target.x, target.y);
+      this._arrive(this._to);
+    } else {
+      this.setPosition(this.x + dx / dist * step, this.y + dy / dist * step);
+    }
+  }
+
+  /** Stop at waypoint `i`: pause there unless heading home. */
+  _arrive(i) {
+    this._at = i;
+    this._wait = this._homing ? 0 : this.points[i].pause;
+  }
+
+  /** The stop to leave for from the current one, or null to stay. */
+  _nextStop() {
+    if (this.mode === 'step') {
+      if (this._queued === 0) return null;
+      this._queued--;
+      return this._following(this._at);
+    }
+    if (this._homing) return this._at === 0 ? null : this._at - 1;
+    return this._isActive ? this._following(this._at) : null;
+  }
+
+  /** The next stop along the route from stop `i`. */
+  _following(i) {
+    const n = this.points.length;
+    if (this.route === 'loop') return (i + 1) % n;
+    if (i + this._dir < 0 || i + this._dir >= n) this._dir = -this._dir;
+    return i + this._dir;
+  }
+
+  /** Speed of the current segment: set by its lower waypoint (the last one for the loop's closing leg). */
+  _segmentSpeed() {
+    const last = this.points.length - 1;
+    const wraps = (this._from === last && this._to === 0) || (this._from === 0 && this._to === last);
+    return this.points[wraps ? last : Math.min(this._from, this._to)].speed;
+  }
+
+  /** Dotted route behind the platform, with a ring at each stop. */
+  _drawTrack() {
+    const g = this._track;
+    const pts = this.points;
+    const legs = this.route === 'loop' ? pts.length : pts.length - 1;
+    g.fillStyle(0x8899aa, 0.35);
+    for (let i = 0; i < legs; i++) {
+      const a = pts[i];
+      const b = pts[(i + 1) % pts.length];
+      const len = Math.hypot(b.x - a.x, b.y - a.y);
+      for (let d = 0; d < len; d += 10) {
+        g.fillCircle(a.x + (b.x - a.x) * d / len, a.y + (b.y - a.y) * d / len, 1.5);
+      }
+    }
+    g.lineStyle(1, 0x8899aa, 0.5);
+    for (const p of pts) g.strokeCircle(p.x, p.y, 4);
+  }
+
+  destroy(fromScene) {
+    this._track?.destroy();
+    this._track = null;
+    super.destroy(fromScene);
+  }
+}
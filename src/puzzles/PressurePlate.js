@@ -0,0 +1,122 @@
+import Phaser from 'phaser';
+import { PRESSURE_PLATE } from '../config.js';
+
+/**
+ * PressurePlate — a plate in the floor that powers its `linkTo` elements
+ * while enough weight rests on it.
+ *
+ * The player, enemies, push blocks and heavy blocks all press it, each with
+ * its weight from PRESSURE_PLATE.WEIGHTS (added up when several stand on it).
+ * The plate is down while the total reaches `minWeight`, so a plate with
+ * `minWeight: 5` only a heavy block can hold down. Only what rests on the
+ * plate itself counts — not the player standing on a block on it.
+ *
+ * In the PowerNetwork it is a source, like a terminal: while pressed it
+ * powers its links (inverted links while it is up). Logic gates can read it.
+ * Drawn raised with hazard stripes, and flush with a green light when down.
+ * It has no body: things stand on the floor under it.
+ *
+ * Constructor options:
+ * @param {Phaser.Scene} scene
+ * @param {object} opts
+ * @param {number} opts.x            - Center X. Required.
+ * @param {number} opts.y            - Center Y (the floor minus half its height). Required.
+ * @param {number} [opts.width]      - Plate width (default: PRESSURE_PLATE.WIDTH).
+ * @param {number} [opts.minWeight]  - Weight that holds it down (default: PRESSURE_PLATE.MIN_WEIGHT).
+ */
+export class PressurePlate extends Phaser.GameObjects.Sprite {
+  constructor(scene, opts) {
+    const w = opts.width ?? PRESSURE_PLATE.WIDTH;
+    const textures = { up: plateTexture(scene, w, false), down: plateTexture(scene, w, true) };
+    super(scene, opts.x, opts.y, textures.up);
+    scene.add.existing(this);
+    this.setDepth(0); // same depth as gameplay
+
+    this.elementId = null;
+    this.network = null; // set by GameScene
+    this.minWeight = opts.minWeight ?? PRESSURE_PLATE.MIN_WEIGHT;
+
+    /** Elements driven while pressed: [{ element, invert }]. */
+    this.links = [];
+
+    /** Weight resting on the plate this frame. */
+    this.weight = 0;
+
+    this._w = w;
+    this._textures = textures;
+    this._isActive = false;
+  }
+
+  /** @returns {boolean} Whether the plate is held down. */
+  get isActive() {
+    return this._isActive;
+  }
+
+  /**
+   * Link the elements the plate drives in the PowerNetwork.
+   * @param {{ element: object, invert: boolean }[]} links
+   */
+  linkTo(links) {
+    this.links = links;
+    for (const { element, invert } of links) this.network?.connect(this, element, { invert });
+  }
+
+  /** Whether an Arcade body rests on the plate (its bottom at the plate's base, overlapping it). */
+  isUnder(body) {
+    const base = this.y + PRESSURE_PLATE.HEIGHT / 2;
+    return body.right > this.x - this._w / 2 && body.left < this.x + this._w / 2 &&
+      Math.abs(body.bottom - base) <= PRESSURE_PLATE.TOLERANCE;
+  }
+
+  /**
+   * Weigh what rests on the plate and go down / come up. Call every frame
+   * (GameScene.update).
+   * @param {{ body: Phaser.Physics.Arcade.Body, weight: number }[]} loads - Everything that can press it.
+   */
+  update(loads) {
+    this.weight = 0;
+    for (const { body, weight } of loads) if (this.isUnder(body)) this.weight += weight;
+    const pressed = this.weight >= this.minWeight;
+    if (pressed === this._isActive) return;
+    this._isActive = pressed;
+    this.setTexture(pressed ? this._textures.down : this._textures.up);
+    this.network?.setSource(this, pressed);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+/** Plate texture of a width, up (raised, striped edge) or down (flush, lit). */
+function plateTexture(scene, w, pressed) {
+  const key = `pressure_plate_${w}_${pressed ? 'down' : 'up'}`;
+  if (scene.textures.exists(key)) return key;
+
+  const h = PRESSURE_PLATE.HEIGHT;
+  const g = scene.add.graphics();
+  // Steel frame set into the floor
+  g.fillStyle(0x3a3a44, 1);
+  g.fillRect(0, h - 3, w, 3);
+  g.fillStyle(0x22222a, 1);
+  g.fillRect(0, h - 1, w, 1);
+
+  // Pad: raised to the top when up, sunk into the frame when down
+  const top = pressed ? h - 4 : 0;
+  g.fillStyle(PRESSURE_PLATE.COLOR, 1);
+  g.fillRect(3, top, w - 6, h - 3 - top + 1);
+  g.fillStyle(0xccbb66, 1);
+  g.fillRect(3, top, w - 6, 1);
+  if (pressed) {
+    // Indicator strip lit while held down
+    g.fillStyle(0x44ff88, 1);
+    g.fillRect(w / 2 - 6, top + 1, 12, 1);
+  } else {
+    // Hazard stripes along the raised edge
+    g.fillStyle(0x111111, 1);
+    for (let x = 5; x < w - 6; x += 6) g.fillRect(x, 2, 3, h - 5);
+  }
+  g.generateTexture(key, w, h);
+  g.destroy();
+  return key;
+}
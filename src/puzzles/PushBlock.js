@@ -127,7 +127,7 @@ export class PushBlock extends Phaser.Physics.Arcade.Sprite {
     this.body.prev.x = bodyX;
     this.x = targetX;
     
-    // Check if block is now overlapping with any obstacle (door, elevator, drawbridge)
+    // Check if block is now overlapping with any obstacle (door, elevator, moving platform, drawbridge)
     const scene = this.scene;
     let blocked = false;
     
@@ -141,10 +141,10 @@ export class PushBlock extends Phaser.Physics.Arcade.Sprite {
       }
     }
     
-    // Check elevators
-    if (!blocked && scene._elevators) {
-      for (const elev of scene._elevators) {
-        if (scene.physics.overlap(this, elev)) {
+    // Check elevators and moving platforms
+    if (!blocked && scene._movers) {
+      for (const mover of scene._movers) {
+        if (scene.physics.overlap(this, mover)) {
           blocked = true;
           break;
         }
@@ -154,7 +154,7 @@ export class PushBlock extends Phaser.Physics.Arcade.Sprite {
     // Check drawbridges
     if (!blocked && scene._drawbridges) {
       for (const bridge of scene._drawbridges) {
-        if (bridge.bridgeBody.body.enable && scene.physics.overlap(this, bridge.bridgeBody)) {
+        if (bridge.bridgeBodies.some(b => b.body.enable && scene.physics.overlap(this, b))) {
           blocked = true;
           break;
         }
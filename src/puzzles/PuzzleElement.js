@@ -7,7 +7,8 @@ import Phaser from 'phaser';
  * extends this class and implements activate() / deactivate().
  *
  * The ConnectionSystem uses this interface to wire elements together
- * without caring about the concrete type.
+ * without caring about the concrete type — like every other sink, they
+ * are switched by the PowerNetwork it links them into.
  */
 export class PuzzleElement extends Phaser.Physics.Arcade.Sprite {
   /**
@@ -0,0 +1,149 @@
+import Phaser from 'phaser';
+import { RELAY } from '../config.js';
+
+/**
+ * Relay — keeps power on for a while after it is cut.
+ *
+ * Link a terminal (or a gate, zone, generator …) to the relay and the relay
+ * to doors and elevators (`linkTo`). While its input is powered the relay
+ * passes the power on; when the input goes off it holds its outputs on for
+ * `holdTime` more ms, so a puzzle can say "power the door, then run through
+ * before it closes". Power coming back during the countdown refills it.
+ *
+ * In the PowerNetwork the relay is a sink of its input (activate() /
+ * deactivate()) and a source for its outputs while it is on. In the world
+ * it is a small box with a meter that drains during the countdown and an
+ * LED that is steady while powered and blinks, faster and faster, while
+ * holding.
+ *
+ * Capacitor extends it with a charge that builds up while powered.
+ *
+ * Constructor options:
+ * @param {Phaser.Scene} scene
+ * @param {object} opts
+ * @param {number} opts.x           - Center X. Required.
+ * @param {number} opts.y           - Center Y. Required.
+ * @param {number} [opts.holdTime]  - ms outputs stay on after the input is cut (default: RELAY.HOLD_TIME).
+ * @param {object} [style]          - Body size and colours (Capacitor passes its own).
+ */
+export class Relay extends Phaser.GameObjects.Container {
+  constructor(scene, opts, style = RELAY_STYLE) {
+    super(scene, opts.x, opts.y);
+    scene.add.existing(this);
+    this.setDepth(0); // same depth as gameplay
+
+    this.elementId = null;
+    this.network = null; // set by GameScene
+    this.holdTime = opts.holdTime ?? RELAY.HOLD_TIME;
+
+    /** Elements driven by the output: [{ element, invert }]. */
+    this.links = [];
+
+    /** Whether the input is powered. */
+    this.powered = false;
+
+    /** ms of output left once the input is cut. */
+    this.charge = 0;
+
+    /** Output on. */
+    this._isActive = false;
+
+    /** Running time for the LED blink (ms). */
+    this._clock = 0;
+
+    this._style = style;
+    this._gfx = scene.add.graphics();
+    this.add(this._gfx);
+    this._draw();
+  }
+
+  /** @returns {boolean} Whether the output is on. */
+  get isActive() {
+    return this._isActive;
+  }
+
+  /**
+   * Link the elements the output drives in the PowerNetwork.
+   * @param {{ element: object, invert: boolean }[]} links
+   */
+  linkTo(links) {
+    this.links = links;
+    for (const { element, invert } of links) this.network?.connect(this, element, { invert });
+  }
+
+  /** Input powered (PowerNetwork): output on, hold refilled. */
+  activate() {
+    this.powered = true;
+    this.charge = this.holdTime;
+    this._setOutput(true);
+  }
+
+  /** Input cut (PowerNetwork): the countdown runs in update(). */
+  deactivate() {
+    this.powered = false;
+  }
+
+  /**
+   * Charge or drain, switch the output off once the hold runs out, redraw.
+   * Call every frame (GameScene.update).
+   * @param {number} delta - ms since the last frame.
+   */
+  update(delta) {
+    this._clock += delta;
+    if (this.powered) this._charge(delta);
+    else this.charge = Math.max(0, this.charge - delta);
+    this._setOutput(this.powered || this.charge > 0);
+    this._draw();
+  }
+
+  /** While powered a relay stays full. */
+  _charge() {
+    this.charge = this.holdTime;
+  }
+
+  _setOutput(on) {
+    if (on === this._isActive) return;
+    this._isActive = on;
+    this.network?.setSource(this, on);
+  }
+
+  _draw() {
+    const { WIDTH: w, HEIGHT: h, COLOR, METER_COLOR, vertical } = this._style;
+    const g = this._gfx;
+    g.clear();
+    g.fillStyle(COLOR, 1);
+    g.fillRoundedRect(-w / 2, -h / 2, w, h, 3);
+    g.lineStyle(1, this._isActive ? METER_COLOR : 0x222222, 1);
+    g.strokeRoundedRect(-w / 2, -h / 2, w, h, 3);
+
+    // Meter: the hold (or charge) left, filling up / rightwards
+    const fill = this.holdTime > 0 ? this.charge / this.holdTime : 0;
+    g.fillStyle(0x111111, 1);
+    if (vertical) {
+      const mh = h - 16;
+      g.fillRect(-4, -h / 2 + 12, 8, mh);
+      g.fillStyle(METER_COLOR, 1);
+      g.fillRect(-4, -h / 2 + 12 + mh * (1 - fill), 8, mh * fill);
+    } else {
+      const mw = w - 8;
+      g.fillRect(-mw / 2, h / 2 - 8, mw, 4);
+      g.fillStyle(METER_COLOR, 1);
+      g.fillRect(-mw / 2, h / 2 - 8, mw * fill, 4);
+    }
+
+    // LED: steady while powered, blinking faster as a hold runs out
+    let lit = this.powered;
+    if (!this.powered && this._isActive) {
+      const period = 120 + 480 * fill;
+      lit = this._clock % period < period / 2;
+    }
+    g.fillStyle(lit ? 0x00ff88 : 0x224433, 1);
+    g.fillCircle(w / 2 - 5, -h / 2 + 5, 2);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+const RELAY_STYLE = { ...RELAY, vertical: false };
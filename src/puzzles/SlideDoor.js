@@ -21,6 +21,7 @@ import { DOOR } from '../config.js';
  * @param {string} [opts.direction]  - 'up' | 'down' | 'left' | 'right' (default: 'up').
  * @param {number} [opts.range]   - How far the door slides in px (default: opts.height).
  * @param {string} [opts.label]   - Debug label (default: 'D').
+ * @param {number} [opts.load]    - W drawn from its generator while powered (default: DOOR.LOAD).
  *
  * Uses a static physics body. Movement via tweens + `refreshBody()`.
  */
@@ -96,6 +97,9 @@ export class SlideDoor extends Phaser.Physics.Arcade.Sprite {
     /** Total range in pixels (for duration calc) */
     this._range = range;
 
+    /** W drawn from its generator while powered (breakers). */
+    this.load = opts.load ?? DOOR.LOAD;
+
   }
 
   // ───── Public API ─────
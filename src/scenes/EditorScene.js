@@ -0,0 +1,1156 @@
+import Phaser from 'phaser';
+import {
+  SCENES, EDITOR, GAME_WIDTH, GAME_HEIGHT, PLAYER, CORD, GENERATOR, TERMINAL,
+  POWER_STRIP, JUNCTION_BOX, LOGIC_GATE, RELAY, CAPACITOR, PRESSURE_PLATE, LEVER, CONVEYOR, FAN, DOOR, PUSH_BLOCK, ELEVATOR, MOVING_PLATFORM, DRAWBRIDGE, SPIKES, WATER_POOL, ENEMY, HEAVY_BLOCK,
+} from '../config.js';
+import { getAllLevelIds, getLevelById } from '../levels/LevelRegistry.js';
+import { validateLevel, hasErrors } from '../levels/LevelValidator.js';
+import { levelToJson, levelToModule } from '../levels/LevelExporter.js';
+import { music } from '../audio/ProceduralMusic.js';
+import { download } from '../utils/download.js';
+import { bridgeAngles, bridgeLeaves, leafEnd } from '../utils/bridgeGeometry.js';
+import { parseLinks, formatLinks, parseLinkText, linkText } from '../utils/powerLinks.js';
+
+// ═══════════════════════════════════════════════════════════════
+//  ELEMENT TYPES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Everything the editor knows about each kind of level object, keyed by
+ * the level-data collection it lives in.
+ *
+ *   label    toolbar / panel name
+ *   color    fill colour on the canvas
+ *   fields   options shown in the properties panel (dot paths allowed)
+ *   bounds   (o) → { x, y, w, h } centre-based box used for drawing & picking
+ *   move     (o, dx, dy) shifts every coordinate field
+ *   resize   (o, w, h) — only for types with a size the designer controls
+ *   handles  (o) → extra draggable points, e.g. an elevator's far stop
+ *   create   (x, y, id) → a new entry with sensible defaults
+ *   single   the collection is one object (player, goal), not an array
+ */
+const TYPES = {
+  platforms: {
+    label: 'Platform', color: 0x4a4a5a,
+    fields: ['x', 'y', 'width', 'height', 'style'],
+    bounds: p => ({ x: p.x, y: p.y, w: p.width, h: p.height }),
+    resize: (p, w, h) => { p.width = w; p.height = h; },
+    create: (x, y) => ({ x, y, width: 128, height: 32 }),
+  },
+  triggerZones: {
+    label: 'Zone', color: 0x44ddff, outline: true, idPrefix: 'zone',
+    fields: ['id', 'x', 'y', 'width', 'height', 'triggersIds', 'triggersGenerator', 'onceOnly'],
+    bounds: z => ({ x: z.x, y: z.y, w: z.width, h: z.height }),
+    resize: (z, w, h) => { z.width = w; z.height = h; },
+    create: (x, y, id) => ({ id, x, y, width: 96, height: 96, triggersIds: [] }),
+  },
+  tutorialPopups: {
+    label: 'Popup', color: 0xaaaaff, outline: true,
+    fields: ['id', 'x', 'y', 'width', 'height', 'title', 'speakerName', 'portraitKey', 'lines'],
+    bounds: t => ({ x: t.x, y: t.y, w: t.width, h: t.height }),
+    resize: (t, w, h) => { t.width = w; t.height = h; },
+  },
+  spikes: {
+    label: 'Spikes', color: SPIKES.COLOR, idPrefix: 'spikes',
+    fields: ['id', 'x', 'y', 'width', 'height', 'label'],
+    bounds: s => ({ x: s.x, y: s.y, w: s.width, h: s.height ?? SPIKES.HEIGHT }),
+    resize: (s, w, h) => { s.width = w; s.height = h; },
+    create: (x, y, id) => ({ id, x, y, width: 96 }),
+  },
+  waterPools: {
+    label: 'Pool', color: WATER_POOL.COLOR, idPrefix: 'pool',
+    fields: ['id', 'x', 'y', 'width', 'height'],
+    bounds: p => ({ x: p.x, y: p.y, w: p.width, h: p.height ?? WATER_POOL.HEIGHT }),
+    resize: (p, w, h) => { p.width = w; p.height = h; },
+    create: (x, y, id) => ({ id, x, y, width: 96 }),
+  },
+  pressurePlates: {
+    label: 'Plate', color: PRESSURE_PLATE.COLOR, idPrefix: 'plate',
+    fields: ['id', 'x', 'y', 'width', 'minWeight', 'linkTo'],
+    bounds: p => ({ x: p.x, y: p.y, w: p.width ?? PRESSURE_PLATE.WIDTH, h: PRESSURE_PLATE.HEIGHT }),
+    resize: (p, w) => { p.width = w; },
+    create: (x, y, id) => ({ id, x, y, linkTo: [] }),
+  },
+  levers: {
+    label: 'Lever', color: LEVER.COLOR, idPrefix: 'lever',
+    fields: ['id', 'x', 'y', 'style', 'mode', 'returnTime', 'linkTo'],
+    bounds: l => (l.style === 'switch'
+      ? { x: l.x, y: l.y, w: LEVER.SWITCH_WIDTH, h: LEVER.SWITCH_HEIGHT }
+      : { x: l.x, y: l.y, w: LEVER.WIDTH, h: LEVER.HEIGHT }),
+    create: (x, y, id) => ({ id, x, y, linkTo: [] }),
+  },
+  drawbridges: {
+    label: 'Bridge', color: DRAWBRIDGE.COLOR, idPrefix: 'bridge',
+    fields: ['id', 'pivotX', 'pivotY', 'width', 'height', 'direction', 'style', 'restAngle', 'openAngle', 'speed', 'load', 'label'],
+    bounds: (d) => {
+      const w = d.width ?? DRAWBRIDGE.WIDTH;
+      const h = d.height ?? DRAWBRIDGE.HEIGHT;
+      const dir = d.direction === 'left' ? -1 : 1;
+      return { x: d.pivotX + dir * w / 2, y: d.pivotY + h / 2, w, h };
+    },
+    move: (d, dx, dy) => { d.pivotX += dx; d.pivotY += dy; },
+    resize: (d, w) => { d.width = w; },
+    create: (x, y, id) => ({ id, pivotX: x, pivotY: y, width: DRAWBRIDGE.WIDTH, direction: 'right' }),
+  },
+  elevators: {
+    label: 'Elevator', color: ELEVATOR.COLOR, idPrefix: 'elev',
+    fields: ['id', 'x', 'startY', 'endY', 'width', 'height', 'speed', 'pauseDuration', 'load', 'label'],
+    bounds: e => ({ x: e.x, y: e.startY, w: e.width ?? ELEVATOR.WIDTH, h: e.height ?? ELEVATOR.HEIGHT }),
+    move: (e, dx, dy) => { e.x += dx; e.startY += dy; e.endY += dy; },
+    resize: (e, w, h) => { e.width = w; e.height = h; },
+    handles: e => [{ x: e.x, y: e.endY, set: (o, x, y) => { o.endY = y; } }],
+    create: (x, y, id) => ({ id, x, startY: y, endY: y - 160 }),
+  },
+  movingPlatforms: {
+    label: 'Mover', color: MOVING_PLATFORM.COLOR, idPrefix: 'mover',
+    fields: ['id', 'points', 'route', 'mode', 'width', 'height', 'speed', 'pause', 'load'],
+    bounds: m => ({
+      x: m.points[0].x, y: m.points[0].y,
+      w: m.width ?? MOVING_PLATFORM.WIDTH, h: m.height ?? MOVING_PLATFORM.HEIGHT,
+    }),
+    move: (m, dx, dy) => { for (const p of m.points) { p.x += dx; p.y += dy; } },
+    resize: (m, w, h) => { m.width = w; m.height = h; },
+    handles: m => m.points.slice(1).map((p, i) => ({
+      x: p.x, y: p.y, set: (o, x, y) => { o.points[i + 1].x = x; o.points[i + 1].y = y; },
+    })),
+    create: (x, y, id) => ({ id, points: [{ x, y }, { x: x + 192, y }] }),
+  },
+  conveyors: {
+    label: 'Belt', color: CONVEYOR.COLOR, idPrefix: 'belt',
+    fields: ['id', 'x', 'y', 'width', 'direction', 'speed', 'reversed', 'load'],
+    bounds: c => ({ x: c.x, y: c.y, w: c.width ?? CONVEYOR.WIDTH, h: CONVEYOR.HEIGHT }),
+    resize: (c, w) => { c.width = w; },
+    create: (x, y, id) => ({ id, x, y }),
+  },
+  fans: {
+    label: 'Fan', color: FAN.COLOR, idPrefix: 'fan',
+    fields: ['id', 'x', 'y', 'width', 'height', 'strength', 'load'],
+    bounds: f => ({ x: f.x, y: f.y, w: f.width ?? FAN.WIDTH, h: FAN.HEIGHT }),
+    resize: (f, w) => { f.width = w; },
+    create: (x, y, id) => ({ id, x, y }),
+  },
+  doors: {
+    label: 'Door', color: DOOR.COLOR, idPrefix: 'door',
+    fields: ['id', 'x', 'y', 'width', 'height', 'direction', 'range', 'slideSpeed', 'load', 'label'],
+    bounds: d => ({ x: d.x, y: d.y, w: d.width ?? DOOR.WIDTH, h: d.height ?? DOOR.HEIGHT }),
+    resize: (d, w, h) => { d.width = w; d.height = h; },
+    create: (x, y, id) => ({ id, x, y }),
+  },
+  heavyBlocks: {
+    label: 'Heavy', color: HEAVY_BLOCK.COLOR, idPrefix: 'heavy',
+    fields: ['id', 'x', 'y', 'width', 'height'],
+    bounds: h => ({ x: h.x, y: h.y, w: h.width ?? HEAVY_BLOCK.WIDTH, h: h.height ?? HEAVY_BLOCK.HEIGHT }),
+    resize: (o, w, h) => { o.width = w; o.height = h; },
+    create: (x, y, id) => ({ id, x, y }),
+  },
+  pushBlocks: {
+    label: 'Block', color: PUSH_BLOCK.COLOR_FG, idPrefix: 'block',
+    fields: ['id', 'x', 'y'],
+    bounds: b => ({ x: b.x, y: b.y, w: PUSH_BLOCK.SIZE, h: PUSH_BLOCK.SIZE }),
+    create: (x, y, id) => ({ id, x, y }),
+  },
+  generators: {
+    label: 'Gen', color: GENERATOR.COLOR, idPrefix: 'g',
+    fields: ['id', 'x', 'y', 'label', 'isPrimary', 'isActivated', 'autoActivateIds', 'capacity'],
+    bounds: g => ({ x: g.x, y: g.y, w: GENERATOR.WIDTH, h: GENERATOR.HEIGHT }),
+    create: (x, y, id) => ({ id, x, y, label: id.toUpperCase(), isPrimary: false, autoActivateIds: [] }),
+  },
+  terminals: {
+    label: 'Term', color: TERMINAL.COLOR, idPrefix: 't',
+    fields: ['id', 'x', 'y', 'linkTo'],
+    bounds: t => ({ x: t.x, y: t.y, w: TERMINAL.WIDTH, h: TERMINAL.HEIGHT }),
+    create: (x, y, id) => ({ id, x, y, linkTo: [] }),
+  },
+  powerStrips: {
+    label: 'Strip', color: POWER_STRIP.COLOR, idPrefix: 'strip',
+    fields: ['id', 'x', 'y', 'linkTo'],
+    bounds: t => ({ x: t.x, y: t.y, w: POWER_STRIP.WIDTH, h: POWER_STRIP.HEIGHT }),
+    create: (x, y, id) => ({ id, x, y, linkTo: [] }),
+  },
+  junctionBoxes: {
+    label: 'JBox', color: JUNCTION_BOX.COLOR, idPrefix: 'jb',
+    fields: ['id', 'x', 'y', 'reel'],
+    bounds: b => ({ x: b.x, y: b.y, w: JUNCTION_BOX.WIDTH, h: JUNCTION_BOX.HEIGHT }),
+    create: (x, y, id) => ({ id, x, y }),
+  },
+  logicGates: {
+    label: 'Gate', color: LOGIC_GATE.COLOR, idPrefix: 'gate',
+    fields: ['id', 'x', 'y', 'type', 'inputs', 'linkTo', 'label'],
+    bounds: lg => ({ x: lg.x, y: lg.y, w: LOGIC_GATE.WIDTH, h: LOGIC_GATE.HEIGHT }),
+    create: (x, y, id) => ({ id, x, y, type: 'and', inputs: [], linkTo: [] }),
+  },
+  relays: {
+    label: 'Relay', color: RELAY.COLOR, idPrefix: 'relay',
+    fields: ['id', 'x', 'y', 'holdTime', 'linkTo'],
+    bounds: r => ({ x: r.x, y: r.y, w: RELAY.WIDTH, h: RELAY.HEIGHT }),
+    create: (x, y, id) => ({ id, x, y, linkTo: [] }),
+  },
+  capacitors: {
+    label: 'Cap', color: CAPACITOR.COLOR, idPrefix: 'cap',
+    fields: ['id', 'x', 'y', 'capacity', 'chargeTime', 'linkTo'],
+    bounds: c => ({ x: c.x, y: c.y, w: CAPACITOR.WIDTH, h: CAPACITOR.HEIGHT }),
+    create: (x, y, id) => ({ id, x, y, linkTo: [] }),
+  },
+  enemies: {
+    label: 'Enemy', color: ENEMY.COLOR, idPrefix: 'enemy',
+    fields: ['id', 'x', 'y', 'rangeLeft', 'rangeRight', 'direction', 'speed', 'label'],
+    bounds: e => ({ x: e.x, y: e.y, w: e.width ?? ENEMY.WIDTH, h: e.height ?? ENEMY.HEIGHT }),
+    move: (e, dx, dy) => { e.x += dx; e.y += dy; e.rangeLeft += dx; e.rangeRight += dx; },
+    handles: e => [
+      { x: e.rangeLeft, y: e.y, set: (o, x) => { o.rangeLeft = Math.min(x, o.x); } },
+      { x: e.rangeRight, y: e.y, set: (o, x) => { o.rangeRight = Math.max(x, o.x); } },
+    ],
+    create: (x, y, id) => ({ id, x, y, rangeLeft: x - 80, rangeRight: x + 80, direction: 'right' }),
+  },
+  goal: {
+    label: 'Goal', color: 0x00ff88, single: true,
+    fields: ['x', 'y'],
+    bounds: g => ({ x: g.x, y: g.y, w: 50, h: 50 }),
+  },
+  player: {
+    label: 'Player', color: 0x44ff44, single: true,
+    fields: ['x', 'y', 'generatorId', 'cords'],
+    bounds: p => ({ x: p.x, y: p.y, w: PLAYER.WIDTH, h: PLAYER.HEIGHT }),
+  },
+};
+
+/** Back-to-front draw order; picking walks it front-to-back. */
+const DRAW_ORDER = Object.keys(TYPES);
+
+/** Level-wide options shown when nothing is selected. */
+const LEVEL_FIELDS = ['id', 'name', 'nextLevel', 'bgColor', 'world.width', 'world.height'];
+
+/** Field holding a moving platform's waypoints, edited as "x y, x y, …". */
+const ROUTE_FIELD = 'points';
+
+/** Fields edited as comma-separated lists. */
+const LIST_FIELDS = ['autoActivateIds', 'triggersIds', 'inputs'];
+
+/** Field whose entries are separated by " | " in the edit prompt. */
+const LINE_FIELDS = ['lines'];
+
+/** Collections whose `linkTo` takes inverted links, typed as 'd1, !d2' (utils/powerLinks.js). */
+const POWER_LINK_TYPES = ['terminals', 'powerStrips', 'relays', 'capacitors', 'pressurePlates', 'levers'];
+
+/** Left-to-right toolbar. `key` is a TYPES collection for placement tools. */
+const TOOLS = [
+  { key: 'select', hotkey: 'V', label: 'Select' },
+  { key: 'platforms', hotkey: 'P', label: 'Plat' },
+  { key: 'generators', hotkey: 'G' },
+  { key: 'terminals', hotkey: 'T' },
+  { key: 'powerStrips', hotkey: 'O' },
+  { key: 'junctionBoxes', hotkey: 'J' },
+  { key: 'doors', hotkey: 'D' },
+  { key: 'elevators', hotkey: 'E', label: 'Elev' },
+  { key: 'movingPlatforms', hotkey: 'X' },
+  { key: 'conveyors', hotkey: 'U' },
+  { key: 'fans', hotkey: 'F' },
+  { key: 'drawbridges', hotkey: 'B' },
+  { key: 'pushBlocks', hotkey: 'K' },
+  { key: 'heavyBlocks', hotkey: 'H' },
+  { key: 'spikes', hotkey: 'S' },
+  { key: 'waterPools', hotkey: 'I' },
+  { key: 'enemies', hotkey: 'N' },
+  { key: 'triggerZones', hotkey: 'Z' },
+  { key: 'logicGates', hotkey: 'A' },
+  { key: 'relays', hotkey: 'R' },
+  { key: 'capacitors', hotkey: 'Q' },
+  { key: 'pressurePlates', hotkey: 'M' },
+  { key: 'levers', hotkey: 'W' },
+  { key: 'link', hotkey: 'L', label: 'Link' },
+];
+
+/** Colours of connection lines by source collection. */
+const LINK_COLORS = {
+  terminals: 0xffdd44,
+  powerStrips: 0xffaa44,
+  generators: 0x44ddff,
+  triggerZones: 0xff88ff,
+  logicGates: 0x66ffcc,
+  relays: 0xffaa33,
+  capacitors: 0x44ccff,
+  pressurePlates: 0xccbb66,
+  levers: 0xdd8844,
+};
+
+const UI_FONT = { fontSize: '11px', fontFamily: 'monospace' };
+const TOOLBAR_H = 42;   // two rows of buttons
+const TOOL_ROW_H = 18;
+const STATUS_H = 20;
+
+/**
+ * EditorScene — in-game level editor.
+ *
+ * Opens on a blank room, or on `{ levelData }` passed in scene data (how
+ * GameScene hands the level back after a play-test). Designers place, drag
+ * and resize elements, draw power connections with the Link tool (linking
+ * into a logic gate makes the source one of its inputs), edit any
+ * option in the properties panel, play-test through GameScene (ENTER) and
+ * export the result as a level module or JSON.
+ *
+ * Controls:
+ *   V/P/G/T/O/J/D/E/B/K/H/S/N/Z/A/L  pick a tool (see toolbar)
+ *   drag                      move · drag the corner square to resize
+ *   right-click               delete          DEL  delete selection
+ *   C                         duplicate       SHIFT  ignore the grid
+ *   arrows / wheel            pan the view    ENTER  play-test
+ *   ESC                       cancel / back to the menu
+ */
+export class EditorScene extends Phaser.Scene {
+  constructor() {
+    super({ key: SCENES.EDITOR });
+  }
+
+  create(sceneData) {
+    music.stop();
+
+    this._level = clone(sceneData?.levelData || blankLevel());
+    this._tool = 'select';
+    /** @type {{ type: string, obj: object } | null} */
+    this._selected = null;
+    /** Active pointer gesture: move / resize / handle / draw / link. */
+    this._drag = null;
+    this._linkSource = null;
+    this._message = sceneData?.levelData ? 'Back from play-test.' : 'New level — pick a tool to start placing.';
+    this._issues = [];
+
+    this.cameras.main.setBackgroundColor('#101018');
+    this._gfx = this.add.graphics();
+    this._labels = [];
+    this._panelItems = [];
+
+    this._buildToolbar();
+    this._buildStatusBar();
+    this._bindInput();
+    this._changed();
+  }
+
+  update(time, delta) {
+    const cam = this.cameras.main;
+    const step = EDITOR.SCROLL_SPEED * delta / 1000;
+    if (this._cursors.left.isDown) cam.scrollX -= step;
+    if (this._cursors.right.isDown) cam.scrollX += step;
+    if (this._cursors.up.isDown) cam.scrollY -= step;
+    if (this._cursors.down.isDown) cam.scrollY += step;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  INPUT
+  // ═══════════════════════════════════════════════════════════════
+
+  _bindInput() {
+    this.input.mouse?.disableContextMenu();
+    this._cursors = this.input.keyboard.createCursorKeys();
+    this._shift = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SHIFT);
+
+    this.input.on('pointerdown', this._onPointerDown, this);
+    this.input.on('pointermove', this._onPointerMove, this);
+    this.input.on('pointerup', this._onPointerUp, this);
+    this.input.on('wheel', (pointer, over, dx, dy) => {
+      const cam = this.cameras.main;
+      if (dx) cam.scrollX += dx;
+      if (this._level.world.height > this.scale.height) cam.scrollY += dy;
+      else cam.scrollX += dy;
+    });
+
+    for (const tool of TOOLS) {
+      this.input.keyboard.on(`keydown-${tool.hotkey}`, () => this._setTool(tool.key));
+    }
+    this.input.keyboard.on('keydown-DELETE', () => this._deleteSelected());
+    this.input.keyboard.on('keydown-BACKSPACE', () => this._deleteSelected());
+    this.input.keyboard.on('keydown-C', () => this._duplicateSelected());
+    this.input.keyboard.on('keydown-ENTER', () => this._playTest());
+    this.input.keyboard.on('keydown-ESC', () => {
+      if (this._linkSource || this._selected) {
+        this._linkSource = null;
+        this._select(null);
+      } else {
+        this.scene.start(SCENES.MENU);
+      }
+    });
+
+    this.cameras.main.setBounds(-200, -200,
+      this._level.world.width + 400 + EDITOR.PANEL_WIDTH, this._level.world.height + 400);
+  }
+
+  _onPointerDown(pointer, over) {
+    // Toolbar / panel buttons handle their own clicks
+    if (over.length > 0 || this._isOverUi(pointer)) return;
+
+    const x = pointer.worldX;
+    const y = pointer.worldY;
+
+    if (pointer.rightButtonDown()) {
+      const hit = this._pick(x, y);
+      if (hit) { this._select(hit); this._deleteSelected(); }
+      return;
+    }
+
+    if (this._tool === 'select') {
+      const handle = this._pickHandle(x, y);
+      if (handle) {
+        this._drag = { ...handle, orig: clone(this._selected.obj) };
+        return;
+      }
+      const hit = this._pick(x, y);
+      this._select(hit);
+      if (hit) this._drag = { mode: 'move', startX: x, startY: y, orig: clone(hit.obj) };
+      return;
+    }
+
+    if (this._tool === 'link') {
+      this._linkClick(x, y);
+      return;
+    }
+
+    if (this._tool === 'platforms') {
+      this._drag = { mode: 'draw', startX: this._snap(x), startY: this._snap(y), x, y };
+      return;
+    }
+
+    this._place(this._tool, this._snap(x), this._snap(y));
+  }
+
+  _onPointerMove(pointer) {
+    const x = pointer.worldX;
+    const y = pointer.worldY;
+
+    if (this._linkSource) {
+      this._linkPointer = { x, y };
+      this._redraw();
+    }
+
+    const drag = this._drag;
+    if (!drag || !pointer.isDown) return;
+    const sel = this._selected;
+
+    if (drag.mode === 'move') {
+      const type = TYPES[sel.type];
+      restore(sel.obj, drag.orig);
+      const b = type.bounds(drag.orig);
+      const left = b.x - b.w / 2;
+      const top = b.y - b.h / 2;
+      const dx = this._snap(left + x - drag.startX) - left;
+      const dy = this._snap(top + y - drag.startY) - top;
+      moveBy(type, sel.obj, dx, dy);
+    } else if (drag.mode === 'resize') {
+      const type = TYPES[sel.type];
+      restore(sel.obj, drag.orig);
+      const b = type.bounds(drag.orig);
+      const left = b.x - b.w / 2;
+      const top = b.y - b.h / 2;
+      const w = Math.max(EDITOR.GRID, this._snap(x) - left);
+      const h = Math.max(EDITOR.GRID, this._snap(y) - top);
+      type.resize(sel.obj, w, h);
+      // Keep the top-left corner where it was
+      const nb = type.bounds(sel.obj);
+      moveBy(type, sel.obj, left - (nb.x - nb.w / 2), top - (nb.y - nb.h / 2));
+    } else if (drag.mode === 'handle') {
+      restore(sel.obj, drag.orig);
+      drag.set(sel.obj, this._snap(x), this._snap(y));
+    } else if (drag.mode === 'draw') {
+      drag.x = x;
+      drag.y = y;
+    }
+    this._redraw();
+  }
+
+  _onPointerUp() {
+    const drag = this._drag;
+    this._drag = null;
+    if (!drag) return;
+
+    if (drag.mode === 'draw') {
+      const x1 = this._snap(drag.x);
+      const y1 = this._snap(drag.y);
+      const w = Math.abs(x1 - drag.startX);
+      const h = Math.abs(y1 - drag.startY);
+      if (w >= EDITOR.GRID && h >= EDITOR.GRID) {
+        const p = { x: Math.min(x1, drag.startX) + w / 2, y: Math.min(y1, drag.startY) + h / 2, width: w, height: h };
+        this._level.platforms.push(p);
+        this._select({ type: 'platforms', obj: p });
+      } else {
+        this._place('platforms', drag.startX, drag.startY);
+        return;
+      }
+    }
+    this._changed();
+  }
+
+  _isOverUi(pointer) {
+    return pointer.y < TOOLBAR_H ||
+      pointer.y > this.scale.height - STATUS_H ||
+      pointer.x > this.scale.width - EDITOR.PANEL_WIDTH;
+  }
+
+  /** Snap to the grid unless SHIFT is held. */
+  _snap(v) {
+    if (this._shift?.isDown) return Math.round(v);
+    return Math.round(v / EDITOR.GRID) * EDITOR.GRID;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  EDITING
+  // ═══════════════════════════════════════════════════════════════
+
+  _setTool(key) {
+    this._tool = key;
+    this._linkSource = null;
+    if (key === 'link') this._message = 'Link: click a terminal, power strip, generator or zone, then the element it powers.';
+    else if (key !== 'select') this._message = `Click to place ${TYPES[key].label}${key === 'platforms' ? ' (drag to draw)' : ''}.`;
+    this._refreshToolbar();
+    this._changed();
+  }
+
+  _place(type, x, y) {
+    const def = TYPES[type];
+    const obj = def.create(x, y, this._uniqueId(def.idPrefix));
+    this._level[type] = this._level[type] || [];
+    this._level[type].push(obj);
+    this._select({ type, obj });
+    this._changed();
+  }
+
+  _select(hit) {
+    this._selected = hit;
+    this._buildPanel();
+    this._redraw();
+  }
+
+  _deleteSelected() {
+    const sel = this._selected;
+    if (!sel || TYPES[sel.type].single) return;
+    const list = this._level[sel.type];
+    list.splice(list.indexOf(sel.obj), 1);
+    this._message = `Deleted ${sel.obj.id || TYPES[sel.type].label}.`;
+    this._select(null);
+    this._changed();
+  }
+
+  _duplicateSelected() {
+    const sel = this._selected;
+    if (!sel || TYPES[sel.type].single) return;
+    const copy = clone(sel.obj);
+    if ('id' in copy) copy.id = this._uniqueId(TYPES[sel.type].idPrefix || sel.type);
+    moveBy(TYPES[sel.type], copy, EDITOR.GRID * 4, 0);
+    this._level[sel.type].push(copy);
+    this._select({ type: sel.type, obj: copy });
+    this._changed();
+  }
+
+  _linkClick(x, y) {
+    const hit = this._pick(x, y);
+    if (!this._linkSource) {
+      if (hit && LINK_COLORS[hit.type]) {
+        this._linkSource = hit;
+        this._select(hit);
+        this._message = `Linking from ${hit.obj.id} — click the target (ESC cancels).`;
+      } else {
+        this._message = 'Start a link on a terminal, power strip, generator, trigger zone, logic gate, relay, plate or lever.';
+      }
+      this._refreshStatus();
+      return;
+    }
+
+    const src = this._linkSource;
+    this._linkSource = null;
+    if (!hit || !hit.obj.id || hit.obj === src.obj) {
+      this._message = 'Link cancelled.';
+      this._changed();
+      return;
+    }
+
+    const id = hit.obj.id;
+    if (hit.type === 'logicGates') {
+      const inputs = hit.obj.inputs || [];
+      const srcId = src.obj.id;
+      hit.obj.inputs = inputs.includes(srcId) ? inputs.filter(l => l !== srcId) : [...inputs, srcId];
+      this._message = `${srcId} ${hit.obj.inputs.includes(srcId) ? 'now feeds' : 'no longer feeds'} gate ${id}.`;
+    } else if (POWER_LINK_TYPES.includes(src.type)) {
+      // Linking the same element again inverts the link, a third time removes it
+      const links = parseLinks(src.obj.linkTo);
+      const link = links.find(l => l.id === id);
+      if (!link) {
+        links.push({ id, invert: false });
+        this._message = `${src.obj.id} now powers ${id}.`;
+      } else if (!link.invert) {
+        link.invert = true;
+        this._message = `${src.obj.id} now powers ${id} while it is off (inverted).`;
+      } else {
+        links.splice(links.indexOf(link), 1);
+        this._message = `${src.obj.id} no longer powers ${id}.`;
+      }
+      src.obj.linkTo = formatLinks(links, { list: src.type !== 'terminals' });
+    } else if (src.type === 'triggerZones' && hit.type === 'generators') {
+      src.obj.triggersGenerator = src.obj.triggersGenerator === id ? undefined : id;
+      this._message = `${src.obj.id} ${src.obj.triggersGenerator ? 'activates' : 'no longer activates'} ${id}.`;
+    } else {
+      const field = { generators: 'autoActivateIds', logicGates: 'linkTo' }[src.type] ?? 'triggersIds';
+      const list = src.obj[field] || [];
+      src.obj[field] = list.includes(id) ? list.filter(l => l !== id) : [...list, id];
+      this._message = `${src.obj.id} ${src.obj[field].includes(id) ? 'now powers' : 'no longer powers'} ${id}.`;
+    }
+    this._select(src);
+    this._changed();
+  }
+
+  /** Prompt for a new value of one field of the selection (or of the level). */
+  _editField(target, field) {
+    const current = getPath(target, field);
+    const linkField = field === 'linkTo' && POWER_LINK_TYPES.includes(this._selected?.type);
+    const routeField = field === ROUTE_FIELD && this._selected?.type === 'movingPlatforms';
+    const shown = linkField ? linkText(current)
+      : routeField ? routeText(current)
+        : Array.isArray(current) ? current.join(LINE_FIELDS.includes(field) ? ' | ' : ', ')
+          : (current ?? '');
+    const hint = linkField ? ' — !id = inverted' : routeField ? ' — x y per waypoint' : '';
+    const input = window.prompt(`${field} (empty = remove / default${hint})`, String(shown));
+    if (input === null) return;
+
+    const oldId = field === 'id' ? current : null;
+    const value = linkField && input.trim() !== ''
+      ? formatLinks(parseLinkText(input), { list: this._selected.type !== 'terminals' })
+      : routeField ? parseRouteText(input, current)
+        : parseField(field, input, current);
+    setPath(target, field, value);
+
+    if (oldId && target.id && oldId !== target.id) renameReferences(this._level, oldId, target.id);
+    if (field.startsWith('world.')) {
+      this.cameras.main.setBounds(-200, -200,
+        this._level.world.width + 400 + EDITOR.PANEL_WIDTH, this._level.world.height + 400);
+    }
+    this._buildPanel();
+    this._changed();
+  }
+
+  _uniqueId(prefix) {
+    const taken = new Set();
+    for (const type of DRAW_ORDER) {
+      if (TYPES[type].single) continue;
+      for (const o of this._level[type] || []) if (o.id) taken.add(o.id);
+    }
+    let n = 1;
+    while (taken.has(`${prefix}${n}`)) n++;
+    return `${prefix}${n}`;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  PLAY-TEST / EXPORT
+  // ═══════════════════════════════════════════════════════════════
+
+  _playTest() {
+    if (hasErrors(this._issues)) {
+      const first = this._issues.find(i => i.severity === 'error');
+      this._message = `Can't play-test: ${first.path} ${first.message}`;
+      this._refreshStatus();
+      return;
+    }
+    this.scene.start(SCENES.GAME, { levelData: clone(this._level), returnScene: SCENES.EDITOR });
+  }
+
+  _export(format) {
+    const text = format === 'json' ? levelToJson(this._level) : levelToModule(this._level);
+    const filename = `${this._level.id}.${format === 'json' ? 'json' : 'js'}`;
+    download(filename, text, format === 'json' ? 'application/json' : 'text/javascript');
+    navigator.clipboard?.writeText(text).catch(() => {});
+    this._message = `Exported ${filename} (also copied to the clipboard).`;
+    this._refreshStatus();
+  }
+
+  _load() {
+    const ids = getAllLevelIds();
+    const id = window.prompt(`Open which level?\n${ids.join(', ')}`, this._level.id);
+    if (id === null) return;
+    const level = getLevelById(id.trim());
+    if (!level) {
+      this._message = `No level with id "${id}".`;
+      this._refreshStatus();
+      return;
+    }
+    this.scene.restart({ levelData: level });
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  PICKING
+  // ═══════════════════════════════════════════════════════════════
+
+  /** Front-most element under a world point. */
+  _pick(x, y) {
+    for (let i = DRAW_ORDER.length - 1; i >= 0; i--) {
+      const type = DRAW_ORDER[i];
+      const objs = this._objectsOf(type);
+      for (let j = objs.length - 1; j >= 0; j--) {
+        const b = TYPES[type].bounds(objs[j]);
+        if (Math.abs(x - b.x) <= b.w / 2 + 2 && Math.abs(y - b.y) <= b.h / 2 + 2) {
+          return { type, obj: objs[j] };
+        }
+      }
+    }
+    return null;
+  }
+
+  /** Resize corner or extra handle of the selection under a world point. */
+  _pickHandle(x, y) {
+    const sel = this._selected;
+    if (!sel) return null;
+    const type = TYPES[sel.type];
+    const r = EDITOR.HANDLE_SIZE;
+
+    for (const h of type.handles?.(sel.obj) || []) {
+      if (Math.abs(x - h.x) <= r && Math.abs(y - h.y) <= r) return { mode: 'handle', set: h.set };
+    }
+    if (type.resize) {
+      const b = type.bounds(sel.obj);
+      if (Math.abs(x - (b.x + b.w / 2)) <= r && Math.abs(y - (b.y + b.h / 2)) <= r) return { mode: 'resize' };
+    }
+    return null;
+  }
+
+  _objectsOf(type) {
+    if (TYPES[type].single) return this._level[type] ? [this._level[type]] : [];
+    return this._level[type] || [];
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  DRAWING
+  // ═══════════════════════════════════════════════════════════════
+
+  /** Re-validate and redraw after any edit to the level data. */
+  _changed() {
+    this._issues = validateLevel(this._level);
+    this._redraw();
+    this._refreshStatus();
+  }
+
+  _redraw() {
+    const g = this._gfx;
+    const level = this._level;
+    const { width: W, height: H } = level.world;
+    g.clear();
+    for (const l of this._labels) l.destroy();
+    this._labels = [];
+
+    // World bounds + grid
+    g.fillStyle(Phaser.Display.Color.HexStringToColor(level.bgColor || '#1a1a2e').color, 1);
+    g.fillRect(0, 0, W, H);
+    g.lineStyle(1, 0xffffff, 0.05);
+    for (let x = 0; x <= W; x += 32) g.lineBetween(x, 0, x, H);
+    for (let y = 0; y <= H; y += 32) g.lineBetween(0, y, W, y);
+    g.lineStyle(1, 0x8888aa, 0.6);
+    g.strokeRect(0, 0, W, H);
+
+    // Straight-line cord reach from the player's generator and every junction box
+    // (the validator checks the route around platforms)
+    const home = (level.generators || []).find(gen => gen.id === level.player?.generatorId);
+    g.lineStyle(1, CORD.COLOR, 0.25);
+    for (const source of [...(home ? [home] : []), ...(level.junctionBoxes || [])]) {
+      g.strokeCircle(source.x, source.y, CORD.MAX_LENGTH);
+    }
+
+    for (const type of DRAW_ORDER) {
+      for (const obj of this._objectsOf(type)) this._drawObject(type, obj);
+    }
+    this._drawLinks();
+
+    // Selection outline + handles
+    const sel = this._selected;
+    if (sel) {
+      const type = TYPES[sel.type];
+      const b = type.bounds(sel.obj);
+      const r = EDITOR.HANDLE_SIZE;
+      g.lineStyle(2, 0xffff00, 1);
+      g.strokeRect(b.x - b.w / 2 - 2, b.y - b.h / 2 - 2, b.w + 4, b.h + 4);
+      g.fillStyle(0xffff00, 1);
+      if (type.resize) g.fillRect(b.x + b.w / 2 - r / 2, b.y + b.h / 2 - r / 2, r, r);
+      for (const h of type.handles?.(sel.obj) || []) g.fillRect(h.x - r / 2, h.y - r / 2, r, r);
+    }
+
+    // Platform being drawn
+    const drag = this._drag;
+    if (drag?.mode === 'draw') {
+      const x1 = this._snap(drag.x);
+      const y1 = this._snap(drag.y);
+      g.lineStyle(1, 0xffff00, 1);
+      g.strokeRect(Math.min(x1, drag.startX), Math.min(y1, drag.startY),
+        Math.abs(x1 - drag.startX), Math.abs(y1 - drag.startY));
+    }
+
+    // Rubber band while linking
+    if (this._linkSource && this._linkPointer) {
+      const b = TYPES[this._linkSource.type].bounds(this._linkSource.obj);
+      g.lineStyle(2, LINK_COLORS[this._linkSource.type], 0.8);
+      g.lineBetween(b.x, b.y, this._linkPointer.x, this._linkPointer.y);
+    }
+  }
+
+  _drawObject(type, obj) {
+    const g = this._gfx;
+    const def = TYPES[type];
+    const b = def.bounds(obj);
+    const left = b.x - b.w / 2;
+    const top = b.y - b.h / 2;
+
+    if (def.outline) {
+      g.lineStyle(1, def.color, 0.7);
+      g.strokeRect(left, top, b.w, b.h);
+    } else {
+      g.fillStyle(def.color, 0.75);
+      g.fillRect(left, top, b.w, b.h);
+      g.lineStyle(1, 0xffffff, 0.3);
+      g.strokeRect(left, top, b.w, b.h);
+    }
+
+    if (type === 'elevators') {
+      // Far stop as a ghost platform
+      g.lineStyle(1, def.color, 0.5);
+      g.strokeRect(left, obj.endY - b.h / 2, b.w, b.h);
+      g.lineBetween(b.x, Math.min(b.y, obj.endY), b.x, Math.max(b.y, obj.endY));
+    } else if (type === 'movingPlatforms') {
+      // Route through the waypoints, the other stops as ghost platforms
+      const pts = obj.points;
+      g.lineStyle(1, def.color, 0.6);
+      for (let i = 1; i < pts.length; i++) g.lineBetween(pts[i - 1].x, pts[i - 1].y, pts[i].x, pts[i].y);
+      if (obj.route === 'loop') g.lineBetween(pts[pts.length - 1].x, pts[pts.length - 1].y, pts[0].x, pts[0].y);
+      g.lineStyle(1, def.color, 0.4);
+      for (const p of pts.slice(1)) g.strokeRect(p.x - b.w / 2, p.y - b.h / 2, b.w, b.h);
+    } else if (type === 'drawbridges') {
+      // Hinges, and each leaf at its powered angle as a ghost line
+      const { open } = bridgeAngles(obj);
+      for (const leaf of bridgeLeaves(obj)) {
+        const end = leafEnd(leaf, open);
+        g.fillStyle(0xffffff, 0.8);
+        g.fillCircle(leaf.x, leaf.y, 3);
+        g.lineStyle(2, def.color, 0.5);
+        g.lineBetween(leaf.x, leaf.y, end.x, end.y);
+      }
+    } else if (type === 'conveyors') {
+      // Arrow the way the belt runs when powered
+      const dir = ((obj.direction ?? 'right') === 'right' ? 1 : -1) * (obj.reversed ? -1 : 1);
+      g.fillStyle(0xffffff, 0.8);
+      g.fillTriangle(b.x + dir * 8, b.y, b.x - dir * 4, b.y - 5, b.x - dir * 4, b.y + 5);
+    } else if (type === 'fans') {
+      // Updraft column as a ghost outline
+      const lift = obj.height ?? FAN.LIFT_HEIGHT;
+      g.lineStyle(1, def.color, 0.5);
+      g.strokeRect(left, top - lift, b.w, lift);
+    } else if (type === 'enemies') {
+      g.lineStyle(1, def.color, 0.8);
+      g.lineBetween(obj.rangeLeft, b.y, obj.rangeRight, b.y);
+      g.lineBetween(obj.rangeLeft, b.y - 6, obj.rangeLeft, b.y + 6);
+      g.lineBetween(obj.rangeRight, b.y - 6, obj.rangeRight, b.y + 6);
+    }
+
+    const text = obj.id || (type === 'platforms' ? obj.style || '' : def.label);
+    if (text) {
+      this._labels.push(this.add.text(b.x, top - 2, text, {
+        ...UI_FONT, fontSize: '10px', color: '#ffffff',
+      }).setOrigin(0.5, 1).setAlpha(0.8));
+    }
+  }
+
+  _drawLinks() {
+    const g = this._gfx;
+    const byId = new Map();
+    for (const type of DRAW_ORDER) {
+      for (const obj of this._objectsOf(type)) if (obj.id) byId.set(obj.id, TYPES[type].bounds(obj));
+    }
+    // Inverted links end in a ring instead of a dot
+    const line = (from, toId, color, invert = false) => {
+      const to = byId.get(toId);
+      if (!to) return;
+      g.lineStyle(2, color, 0.7);
+      g.lineBetween(from.x, from.y, to.x, to.y);
+      if (invert) {
+        g.strokeCircle(to.x, to.y, 6);
+      } else {
+        g.fillStyle(color, 0.9);
+        g.fillCircle(to.x, to.y, 4);
+      }
+    };
+
+    for (const type of POWER_LINK_TYPES) {
+      for (const t of this._level[type] || []) {
+        for (const { id, invert } of parseLinks(t.linkTo)) line(t, id, LINK_COLORS[type], invert);
+      }
+    }
+    for (const gen of this._level.generators || []) {
+      for (const id of gen.autoActivateIds || []) line(gen, id, LINK_COLORS.generators);
+    }
+    for (const z of this._level.triggerZones || []) {
+      for (const id of z.triggersIds || []) line(z, id, LINK_COLORS.triggerZones);
+      if (z.triggersGenerator) line(z, z.triggersGenerator, LINK_COLORS.triggerZones);
+    }
+    for (const lg of this._level.logicGates || []) {
+      for (const id of lg.linkTo || []) line(lg, id, LINK_COLORS.logicGates);
+      for (const id of lg.inputs || []) {
+        if (byId.has(id)) line(byId.get(id), lg.id, LINK_COLORS.logicGates);
+      }
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //  UI — toolbar, properties panel, status bar
+  // ═══════════════════════════════════════════════════════════════
+
+  _buildToolbar() {
+    const bg = this.add.rectangle(0, 0, this.scale.width, TOOLBAR_H, 0x000000, 0.85)
+      .setOrigin(0).setScrollFactor(0).setDepth(1000);
+    bg.setInteractive(); // swallow clicks between buttons
+
+    const actions = [
+      ['▶ PLAY', () => this._playTest()],
+      ['JS', () => this._export('js')],
+      ['JSON', () => this._export('json')],
+      ['OPEN', () => this._load()],
+      ['NEW', () => this.scene.restart({})],
+      ['MENU', () => this.scene.start(SCENES.MENU)],
+    ];
+    let right = this.scale.width - 6;
+    for (const [label, fn] of actions.reverse()) {
+      const btn = this._button(right, 6, label, fn).setOrigin(1, 0);
+      right -= btn.width + 6;
+    }
+
+    // Tools flow left to right, wrapping under the first row when it is full
+    this._toolButtons = [];
+    let x = 6;
+    let y = 6;
+    let limit = right - 6;
+    for (const tool of TOOLS) {
+      const label = `${tool.hotkey}:${tool.label || TYPES[tool.key].label}`;
+      const btn = this._button(x, y, label, () => this._setTool(tool.key));
+      if (x + btn.width > limit && x > 6) {
+        x = 6;
+        y += TOOL_ROW_H;
+        limit = this.scale.width - 6;
+        btn.setPosition(x, y);
+      }
+      btn.toolKey = tool.key;
+      this._toolButtons.push(btn);
+      x += btn.width + 6;
+    }
+    this._refreshToolbar();
+  }
+
+  _refreshToolbar() {
+    for (const btn of this._toolButtons) {
+      btn.setColor(btn.toolKey === this._tool ? '#ffff44' : '#88aacc');
+    }
+  }
+
+  _button(x, y, label, onClick) {
+    const btn = this.add.text(x, y, label, { ...UI_FONT, color: '#88aacc' })
+      .setScrollFactor(0).setDepth(1001).setInteractive({ useHandCursor: true });
+    btn.on('pointerup', onClick);
+    btn.on('pointerover', () => btn.setAlpha(0.7));
+    btn.on('pointerout', () => btn.setAlpha(1));
+    return btn;
+  }
+
+  _buildStatusBar() {
+    const y = this.scale.height - STATUS_H;
+    this.add.rectangle(0, y, this.scale.width, STATUS_H, 0x000000, 0.85)
+      .setOrigin(0).setScrollFactor(0).setDepth(1000).setInteractive();
+    this._statusText = this.add.text(6, y + 4, '', { ...UI_FONT, color: '#cccccc' })
+      .setScrollFactor(0).setDepth(1001);
+
+    const px = this.scale.width - EDITOR.PANEL_WIDTH;
+    this.add.rectangle(px, TOOLBAR_H, EDITOR.PANEL_WIDTH, this.scale.height - TOOLBAR_H - STATUS_H, 0x000000, 0.75)
+      .setOrigin(0).setScrollFactor(0).setDepth(1000).setInteractive();
+  }
+
+  _refreshStatus() {
+    const errors = this._issues.filter(i => i.severity === 'error').length;
+    const warnings = this._issues.length - errors;
+    const check = errors ? `✖ ${errors} error(s)` : warnings ? `⚠ ${warnings} warning(s)` : '✔ valid';
+    this._statusText.setText(`${check}  |  ${this._message}`);
+    this._statusText.setColor(errors ? '#ff8888' : '#cccccc');
+    this._buildPanel();
+  }
+
+  _buildPanel() {
+    for (const item of this._panelItems) item.destroy();
+    this._panelItems = [];
+
+    const sel = this._selected;
+    const target = sel ? sel.obj : this._level;
+    const fields = sel ? TYPES[sel.type].fields : LEVEL_FIELDS;
+    const title = sel ? `${TYPES[sel.type].label}${sel.obj.id ? ` "${sel.obj.id}"` : ''}` : 'Level';
+
+    const x = this.scale.width - EDITOR.PANEL_WIDTH + 8;
+    let y = TOOLBAR_H + 8;
+    const add = (text, style, onClick) => {
+      const t = this.add.text(x, y, text, { ...UI_FONT, ...style, wordWrap: { width: EDITOR.PANEL_WIDTH - 16 } })
+        .setScrollFactor(0).setDepth(1001);
+      if (onClick) {
+        t.setInteractive({ useHandCursor: true });
+        t.on('pointerup', onClick);
+        t.on('pointerover', () => t.setColor('#ffffff'));
+        t.on('pointerout', () => t.setColor(style.color));
+      }
+      this._panelItems.push(t);
+      y += t.height + 4;
+    };
+
+    add(title, { fontSize: '13px', color: '#ffdd44' });
+    for (const field of fields) {
+      const value = getPath(target, field);
+      const shown = value === undefined ? '—'
+        : field === 'linkTo' && POWER_LINK_TYPES.includes(sel.type) ? linkText(value) || '[]'
+          : field === ROUTE_FIELD && sel.type === 'movingPlatforms' ? routeText(value)
+            : JSON.stringify(value);
+      add(`${field}: ${truncate(shown, 24)}`, { color: value === undefined ? '#667788' : '#aaccee' },
+        () => this._editField(target, field));
+    }
+
+    // Validation issues for this element (or the whole level)
+    const prefix = sel && !TYPES[sel.type].single
+      ? `${sel.type}[${this._level[sel.type].indexOf(sel.obj)}]`
+      : sel ? sel.type : '';
+    const issues = this._issues.filter(i => !prefix || i.path.startsWith(prefix));
+    if (issues.length) {
+      y += 6;
+      for (const issue of issues.slice(0, 8)) {
+        add(`${issue.severity === 'error' ? '✖' : '⚠'} ${issue.path}: ${issue.message}`,
+          { color: issue.severity === 'error' ? '#ff8888' : '#ffcc66' });
+      }
+    }
+
+    y += 6;
+    add(sel ? 'Click a value to edit.\nDEL delete · C duplicate' : 'Click a value to edit.\nENTER play-test', { color: '#667788' });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+/** A minimal playable room: floor, walls, ceiling, one generator, a goal. */
+function blankLevel() {
+  const W = GAME_WIDTH;
+  const H = GAME_HEIGHT;
+  const floorY = H - 128;
+  return {
+    id: 'custom_level',
+    name: 'Custom Level',
+    nextLevel: null,
+    world: { width: W, height: H },
+    bgColor: '#1a1a2e',
+    platforms: [
+      { x: W / 2, y: floorY + 16, width: W - 32, height: 32 },
+      { x: 8, y: H / 2, width: 16, height: H },
+      { x: W - 8, y: H / 2, width: 16, height: H },
+      { x: W / 2, y: 8, width: W, height: 16 },
+    ],
+    player: { x: 160, y: floorY - 40, generatorId: 'g1' },
+    generators: [{ id: 'g1', x: 80, y: floorY - GENERATOR.HEIGHT / 2, label: 'G1', isPrimary: true }],
+    terminals: [],
+    powerStrips: [],
+    junctionBoxes: [],
+    doors: [],
+    elevators: [],
+    movingPlatforms: [],
+    conveyors: [],
+    fans: [],
+    pushBlocks: [],
+    heavyBlocks: [],
+    drawbridges: [],
+    spikes: [],
+    waterPools: [],
+    enemies: [],
+    triggerZones: [],
+    logicGates: [],
+    relays: [],
+    pressurePlates: [],
+    levers: [],
+    capacitors: [],
+    goal: { x: W - 100, y: floorY - 20 },
+  };
+}
+
+function clone(obj) {
+  return JSON.parse(JSON.stringify(obj));
+}
+
+/** Put a drag's starting snapshot back into the live object (keeps references intact). */
+function restore(obj, snapshot) {
+  for (const key of Object.keys(obj)) delete obj[key];
+  Object.assign(obj, clone(snapshot));
+}
+
+function moveBy(type, obj, dx, dy) {
+  if (type.move) type.move(obj, dx, dy);
+  else { obj.x += dx; obj.y += dy; }
+}
+
+function getPath(obj, path) {
+  return path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((o, k) => o[k], obj);
+  if (value === undefined) delete parent[last];
+  else parent[last] = value;
+}
+
+/**
+ * Turn prompt text into a field value: numbers, booleans, lists, null or plain text.
+ * A field that holds a list now (a logic gate's linkTo) stays a list.
+ */
+function parseField(field, input, current) {
+  const text = input.trim();
+  if (text === '') return undefined;
+  if (LIST_FIELDS.includes(field) || Array.isArray(current)) return text.split(',').map(s => s.trim()).filter(Boolean);
+  if (LINE_FIELDS.includes(field)) return text.split('|').map(s => s.trim());
+  if (text === 'true' || text === 'false') return text === 'true';
+  if (text === 'null') return null;
+  const n = Number(text);
+  return Number.isFinite(n) ? n : text;
+}
+
+/** Waypoints as prompt text: "100 300, 292 300". */
+function routeText(points) {
+  return (points || []).map(p => `${p.x} ${p.y}`).join(', ');
+}
+
+/**
+ * Prompt text back into waypoints, keeping each one's speed / pause. Text
+ * that doesn't read as two or more "x y" pairs leaves the route as it was.
+ */
+function parseRouteText(input, current) {
+  const points = input.split(',').map(s => s.trim().split(/\s+/).map(Number));
+  if (points.length < 2 || points.some(p => p.length !== 2 || !p.every(Number.isFinite))) return current;
+  return points.map(([x, y], i) => ({ ...current?.[i], x, y }));
+}
+
+/** After an id changes, repoint every reference to it. */
+function renameReferences(level, oldId, newId) {
+  const swap = id => (id === oldId ? newId : id);
+  if (level.player?.generatorId === oldId) level.player.generatorId = newId;
+  const swapLinks = (linkTo, list) => formatLinks(parseLinks(linkTo).map(l => ({ ...l, id: swap(l.id) })), { list });
+  for (const t of level.terminals || []) {
+    if (t.linkTo !== undefined) t.linkTo = swapLinks(t.linkTo, Array.isArray(t.linkTo));
+  }
+  for (const type of ['powerStrips', 'relays', 'capacitors', 'pressurePlates', 'levers']) {
+    for (const o of level[type] || []) if (o.linkTo !== undefined) o.linkTo = swapLinks(o.linkTo, true);
+  }
+  for (const g of level.generators || []) g.autoActivateIds = (g.autoActivateIds || []).map(swap);
+  for (const z of level.triggerZones || []) {
+    z.triggersIds = (z.triggersIds || []).map(swap);
+    if (z.triggersGenerator) z.triggersGenerator = swap(z.triggersGenerator);
+  }
+  for (const lg of level.logicGates || []) {
+    lg.inputs = (lg.inputs || []).map(swap);
+    lg.linkTo = (lg.linkTo || []).map(swap);
+  }
+  for (const link of level.generatorLinks || []) {
+    link.generatorId = swap(link.generatorId);
+    link.linkedElements = (link.linkedElements || []).map(swap);
+  }
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
@@ -1,20 +1,40 @@
 import Phaser from 'phaser';
-import { SCENES, DOOR, PUSH_BLOCK } from '../config.js';
+import { SCENES, DOOR, PUSH_BLOCK, REPLAY, GENERATOR, PRESSURE_PLATE } from '../config.js';
 import { Player } from '../entities/Player.js';
 import { Generator } from '../entities/Generator.js';
 import { Terminal } from '../entities/Terminal.js';
+import { PowerStrip } from '../entities/PowerStrip.js';
+import { JunctionBox } from '../entities/JunctionBox.js';
 import { ExtensionCord } from '../entities/ExtensionCord.js';
 import { Spikes } from '../entities/Spikes.js';
+import { WaterPool } from '../entities/WaterPool.js';
 import { Enemy } from '../entities/Enemy.js';
 import { SlideDoor } from '../puzzles/SlideDoor.js';
 import { PushBlock } from '../puzzles/PushBlock.js';
 import { HeavyBlock } from '../entities/HeavyBlock.js';
 import { Elevator } from '../puzzles/Elevator.js';
+import { MovingPlatform } from '../puzzles/MovingPlatform.js';
 import { Drawbridge } from '../puzzles/Drawbridge.js';
-import { getLevelById, getFirstLevel, getNextLevel } from '../levels/LevelRegistry.js';
+import { Conveyor } from '../puzzles/Conveyor.js';
+import { Fan } from '../puzzles/Fan.js';
+import { LogicGate } from '../puzzles/LogicGate.js';
+import { Relay } from '../puzzles/Relay.js';
+import { Capacitor } from '../puzzles/Capacitor.js';
+import { PressurePlate } from '../puzzles/PressurePlate.js';
+import { Lever } from '../puzzles/Lever.js';
+import { Ghost } from '../entities/Ghost.js';
+import { getLevelById, getFirstLevel, getNextLevel, getLevelPack } from '../levels/LevelRegistry.js';
 import { GeneratorSystem } from '../systems/GeneratorSystem.js';
+import { PowerNetwork } from '../systems/PowerNetwork.js';
+import { ReplaySystem } from '../systems/ReplaySystem.js';
+import { getBestRun, saveRunIfBest, isGhostEnabled } from '../systems/ReplayStore.js';
+import { recordLevelStarted, recordLevelComplete } from '../systems/SaveData.js';
+import { RunStats } from '../systems/RunStats.js';
 import { music } from '../audio/ProceduralMusic.js';
 import { isMobile } from '../utils/mobile.js';
+import { orderGates } from '../utils/gateLogic.js';
+import { parseLinks } from '../utils/powerLinks.js';
+import { download } from '../utils/download.js';
 import {
   generateDumpsterPlatform,
   generateChimneyPlatform,
@@ -47,7 +67,13 @@ const STYLE_MIN_HEIGHTS = {
 /**
  * GameScene — data-driven level builder.
  *
- * Receives `{ levelId }` via scene data.  If none provided, loads the first level.
+ * Receives `{ levelId, packId }` via scene data.  If none provided, loads the first level.
+ * `packId` picks which pack to continue in when a level belongs to several.
+ * The level editor passes `{ levelData, returnScene }` instead to play-test an
+ * unsaved level; ESC or finishing it returns to `returnScene`.
+ * `{ replay }` plays a ReplaySystem recording back (ESC returns to the menu).
+ * Every other run is recorded; completed runs feed the best-run ghost.
+ * Pack levels played from the menu write progress to SaveData.
  * Reads a declarative level data object from LevelRegistry and instantiates
  * all platforms, entities, and puzzle elements.
  */
@@ -59,11 +85,43 @@ export class GameScene extends Phaser.Scene {
   create(sceneData) {
     try {
       // Resolve level data
-      const levelId = sceneData?.levelId;
-      this._levelData = levelId ? getLevelById(levelId) : getFirstLevel();
+      const replay = sceneData?.replay || null;
+      const levelId = sceneData?.levelId ?? replay?.levelId;
+      this._levelData = sceneData?.levelData || (levelId ? getLevelById(levelId) : getFirstLevel());
       if (!this._levelData) throw new Error(`Level not found: ${levelId}`);
+      // Pack being played — decides the next level, music and theme (null for custom imports)
+      this._pack = getLevelPack(this._levelData.id, sceneData?.packId ?? replay?.packId);
+
+      // Play-test from the editor / watching a replay: ESC / level complete go back
+      this._returnScene = sceneData?.returnScene || (replay ? SCENES.MENU : null);
+      if (this._returnScene) {
+        this.input.keyboard.once('keydown-ESC', () => this._exitToReturnScene());
+      }
 
       this._buildLevel(this._levelData);
+      this._progressSaved = false;
+      this._newBests = null;
+      if (this._tracksProgress()) recordLevelStarted(this._levelData.id, this._pack.id);
+
+      // Record this run, or play the recording back — same frame timing either way
+      this._replay = new ReplaySystem(this, {
+        levelId: this._levelData.id,
+        packId: this._pack?.id ?? null,
+        replay,
+      });
+      this._replay.attach();
+      this._replayEndedText = null;
+      this.input.keyboard.on(`keydown-${REPLAY.DOWNLOAD_KEY}`, () => this._downloadReplay());
+
+      // Race the best run so far (normal play only)
+      const best = this._returnScene || !isGhostEnabled() ? null : getBestRun(this._levelData.id);
+      this._ghost = best?.ghost?.length ? new Ghost(this, best) : null;
+
+      if (replay) {
+        this.add.text(12, 12, '▶ REPLAY  —  ESC for menu', {
+          fontSize: '14px', fontFamily: 'monospace', color: '#44ddff',
+        }).setScrollFactor(0).setDepth(100);
+      }
     } catch (e) {
       this.add.text(20, 20, 'ERROR: ' + e.message + '\n' + e.stack, {
         fontSize: '12px', fontFamily: 'monospace', color: '#ff0000',
@@ -82,6 +140,10 @@ export class GameScene extends Phaser.Scene {
       this._generatorHintText.destroy();
       this._generatorHintText = null;
     }
+    if (this._breakerHintText) {
+      this._breakerHintText.destroy();
+      this._breakerHintText = null;
+    }
 
     // Remove any lingering event handlers from a previous level (scene.restart)
     this.events.off('player-action', this._handleAction, this);
@@ -89,9 +151,13 @@ export class GameScene extends Phaser.Scene {
     this.events.off('player-attack-strike', this._handleAttackStrike, this);
     this.events.off('door-closing-tick', this._handleDoorClosing, this);
     this.events.off('trigger-zone-activated', this._handleTriggerZone, this);
+    this.events.off('player-died', this._handlePlayerDied, this);
+    this.events.off('breaker-tripped', this._handleBreakerTripped, this);
+    this.events.off('lever-flipped', this._handleLeverFlipped, this);
 
-    this.cameras.main.setBackgroundColor(data.bgColor || '#1a1a2e');
+    this.cameras.main.setBackgroundColor(data.bgColor || this._pack?.theme?.bgColor || '#1a1a2e');
     this._levelComplete = false;
+    this._stats = new RunStats();
 
     // ── Dark City Backdrop ──
     this._drawCityBackdrop(data.world.width, data.world.height);
@@ -111,6 +177,9 @@ export class GameScene extends Phaser.Scene {
     // Create GeneratorSystem
     this._generatorSystem = new GeneratorSystem(this);
 
+    // Every power link in the level (terminals, generators, zones, gates → elements)
+    this._power = new PowerNetwork();
+
     // ── Platforms ──
     this.platforms = this.physics.add.staticGroup();
     for (const p of data.platforms) {
@@ -146,10 +215,11 @@ export class GameScene extends Phaser.Scene {
       const gen = new Generator(this, g.x, g.y, {
         isPrimary: g.isPrimary !== false,
         isActivated: g.isActivated,
-        autoActivateIds: g.autoActivateIds || [],
+        capacity: g.capacity,
       });
       // Overhead labels removed
       gen.elementId = g.id;
+      gen.network = this._power;
       this._generators[g.id] = gen;
       this._elementsById[g.id] = gen;
       this._generatorSystem.registerGenerator(g.id, gen);
@@ -173,8 +243,20 @@ export class GameScene extends Phaser.Scene {
       }
     }
 
+    // Breaker hint: shown near a tripped generator
+    if (Object.values(this._generators).some(gen => gen.hasBreaker)) {
+      this._breakerHintText = this.add.text(0, 0,
+        isMobile() ? 'Tap ⚡ to reset the breaker' : "Press 'D' to reset the breaker", {
+          fontSize: '14px',
+          fontFamily: 'monospace',
+          color: '#ff6655',
+          align: 'center',
+        },
+      ).setOrigin(0.5, 1).setDepth(200).setVisible(false);
+    }
+
     // ── Player ──
-    this.player = new Player(this, data.player.x, data.player.y);
+    this.player = new Player(this, data.player.x, data.player.y, data.player.cords ?? 1);
     this.player.generator = this._generators[data.player.generatorId];
 
     // ── Doors ──
@@ -184,7 +266,7 @@ export class GameScene extends Phaser.Scene {
         x: d.x, y: d.y,
         width: d.width, height: d.height,
         slideSpeed: d.slideSpeed, direction: d.direction,
-        range: d.range, label: d.label,
+        range: d.range, label: d.label, load: d.load,
       });
       door.elementId = d.id;
       this._elementsById[d.id] = door;
@@ -198,13 +280,53 @@ export class GameScene extends Phaser.Scene {
         x: e.x, startY: e.startY, endY: e.endY,
         width: e.width, height: e.height,
         speed: e.speed, pauseDuration: e.pauseDuration,
-        label: e.label,
+        label: e.label, load: e.load,
       });
       elev.elementId = e.id;
       this._elementsById[e.id] = elev;
       this._elevators.push(elev);
     }
 
+    // ── Moving Platforms ──
+    this._movingPlatforms = [];
+    for (const m of (data.movingPlatforms || [])) {
+      const plat = new MovingPlatform(this, {
+        points: m.points, route: m.route, mode: m.mode,
+        width: m.width, height: m.height,
+        speed: m.speed, pause: m.pause, load: m.load,
+      });
+      plat.elementId = m.id;
+      this._elementsById[m.id] = plat;
+      this._movingPlatforms.push(plat);
+    }
+
+    /** Surfaces whose static bodies travel: what stands on them is carried (and supported, Player.isSupported). */
+    this._movers = [...this._elevators, ...this._movingPlatforms];
+
+    // ── Conveyors ──
+    this._conveyors = [];
+    for (const c of (data.conveyors || [])) {
+      const belt = new Conveyor(this, {
+        x: c.x, y: c.y, width: c.width,
+        direction: c.direction, speed: c.speed, reversed: c.reversed, load: c.load,
+      });
+      belt.elementId = c.id;
+      this._elementsById[c.id] = belt;
+      this._conveyors.push(belt);
+    }
+
+    // ── Fans ──
+    this._fans = [];
+    for (const f of (data.fans || [])) {
+      const fan = new Fan(this, {
+        x: f.x, y: f.y, width: f.width,
+        height: f.height, strength: f.strength, load: f.load,
+      });
+      fan.elementId = f.id;
+      this._elementsById[f.id] = fan;
+      this._fans.push(fan);
+    }
+
     // ── Push Blocks ──
     this._pushBlocks = [];
     for (const b of (data.pushBlocks || [])) {
@@ -230,7 +352,8 @@ export class GameScene extends Phaser.Scene {
         pivotX: db.pivotX, pivotY: db.pivotY,
         width: db.width, height: db.height,
         speed: db.speed, direction: db.direction,
-        label: db.label,
+        style: db.style, restAngle: db.restAngle, openAngle: db.openAngle,
+        label: db.label, load: db.load,
       });
       bridge.elementId = db.id;
       this._elementsById[db.id] = bridge;
@@ -247,7 +370,15 @@ export class GameScene extends Phaser.Scene {
       spike.elementId = s.id;
       this._elementsById[s.id] = spike;
       this._spikes.push(spike);
-      this._generatorSystem.registerElement(s.id, spike);
+    }
+
+    // ── Water Pools (plug points too — added to the terminals below) ──
+    this._waterPools = [];
+    for (const wp of (data.waterPools || [])) {
+      const pool = new WaterPool(this, { x: wp.x, y: wp.y, width: wp.width, height: wp.height });
+      pool.elementId = wp.id;
+      this._elementsById[wp.id] = pool;
+      this._waterPools.push(pool);
     }
 
     // ── Enemies ──
@@ -267,23 +398,56 @@ export class GameScene extends Phaser.Scene {
       this._enemies.push(enemy);
     }
 
-    // Register all puzzle elements with GeneratorSystem for auto-activation
-    for (const door of this._doors) {
-      this._generatorSystem.registerElement(door.elementId, door);
-    }
-    for (const elev of this._elevators) {
-      this._generatorSystem.registerElement(elev.elementId, elev);
-    }
-    for (const block of this._pushBlocks) {
-      this._generatorSystem.registerElement(block.elementId, block);
-    }
-    for (const bridge of this._drawbridges) {
-      this._generatorSystem.registerElement(bridge.elementId, bridge);
+    // ── Relays & Capacitors (hold power after their input is cut) ──
+    this._relays = [];
+    for (const r of (data.relays || [])) {
+      const relay = new Relay(this, { x: r.x, y: r.y, holdTime: r.holdTime });
+      relay.elementId = r.id;
+      relay.network = this._power;
+      this._elementsById[r.id] = relay;
+      this._relays.push(relay);
+    }
+    for (const c of (data.capacitors || [])) {
+      const cap = new Capacitor(this, { x: c.x, y: c.y, capacity: c.capacity, chargeTime: c.chargeTime });
+      cap.elementId = c.id;
+      cap.network = this._power;
+      this._elementsById[c.id] = cap;
+      this._relays.push(cap);
+    }
+    // Linked once all exist — a relay may feed another
+    for (const r of [...(data.relays || []), ...(data.capacitors || [])]) {
+      this._elementsById[r.id].linkTo(this._resolveLinks(r.linkTo));
+    }
+
+    // ── Pressure Plates (on while weighed down) ──
+    this._pressurePlates = [];
+    for (const pp of (data.pressurePlates || [])) {
+      const plate = new PressurePlate(this, { x: pp.x, y: pp.y, width: pp.width, minWeight: pp.minWeight });
+      plate.elementId = pp.id;
+      plate.network = this._power;
+      plate.linkTo(this._resolveLinks(pp.linkTo));
+      this._elementsById[pp.id] = plate;
+      this._pressurePlates.push(plate);
+    }
+
+    // ── Levers & Switches (flipped with the interact key) ──
+    this._levers = [];
+    for (const lv of (data.levers || [])) {
+      const lever = new Lever(this, { x: lv.x, y: lv.y, style: lv.style, mode: lv.mode, returnTime: lv.returnTime });
+      lever.elementId = lv.id;
+      lever.network = this._power;
+      lever.linkTo(this._resolveLinks(lv.linkTo));
+      this._elementsById[lv.id] = lever;
+      this._levers.push(lever);
+    }
+
+    // Generator power links (secondary generators are sources once activated).
+    // Legacy `generatorLinks` entries power nothing — levels are tuned without them.
+    for (const g of data.generators) {
+      for (const id of (g.autoActivateIds || [])) this._power.connect(this._generators[g.id], this._elementsById[id]);
     }
-
-    // Set up generator links from level data
-    for (const link of (data.generatorLinks || [])) {
-      this._generatorSystem.linkElementsToGenerator(link.generatorId, link.linkedElements);
+    for (const gen of Object.values(this._generators)) {
+      if (!gen.isPrimary) this._power.setSource(gen, gen.isActivated);
     }
 
     // ── Terminals ──
@@ -291,11 +455,38 @@ export class GameScene extends Phaser.Scene {
     for (const t of (data.terminals || [])) {
       const term = new Terminal(this, t.x, t.y);
       term.elementId = t.id;
-      const linked = this._elementsById[t.linkTo];
-      if (linked) term.linkTo(linked);
+      term.network = this._power;
+      term.linkTo(this._resolveLinks(t.linkTo));
       this.terminals.push(term);
     }
 
+    // ── Power Strips (one plug, several linked elements) ──
+    this._powerStrips = [];
+    for (const ps of (data.powerStrips || [])) {
+      const strip = new PowerStrip(this, ps.x, ps.y);
+      strip.elementId = ps.id;
+      strip.network = this._power;
+      strip.linkTo(this._resolveLinks(ps.linkTo));
+      this._powerStrips.push(strip);
+      this.terminals.push(strip);
+    }
+
+    // ── Junction Boxes (plug a cord in, run another out) ──
+    this._junctionBoxes = [];
+    for (const jb of (data.junctionBoxes || [])) {
+      const box = new JunctionBox(this, jb.x, jb.y, { reel: jb.reel !== false });
+      box.elementId = jb.id;
+      box.network = this._power;
+      this._junctionBoxes.push(box);
+      this.terminals.push(box);
+    }
+
+    // A live cord can be dropped into a water pool like into a terminal
+    for (const pool of this._waterPools) {
+      pool.network = this._power;
+      this.terminals.push(pool);
+    }
+
     // ── Trigger Zones ──
     this._triggerZones = [];
     for (const tz of (data.triggerZones || [])) {
@@ -306,11 +497,39 @@ export class GameScene extends Phaser.Scene {
       zone.triggersIds = tz.triggersIds || [];
       zone.onceOnly = tz.onceOnly || false;
       zone.hasTriggered = false;
+      for (const id of zone.triggersIds) this._power.connect(zone, this._elementsById[id]);
       this._triggerZones.push(zone);
     }
 
-    // ── Extension Cord ──
-    this.extensionCord = new ExtensionCord(this, this.player.generator);
+    // ── Logic Gates (inputs before the gates reading them; gates in a loop are left out) ──
+    this._logicGates = [];
+    const signalSources = { ...this._generators };
+    for (const t of this.terminals) if (!(t instanceof WaterPool)) signalSources[t.elementId] = t;
+    for (const zone of this._triggerZones) signalSources[zone.elementId] = zone;
+    for (const plate of this._pressurePlates) signalSources[plate.elementId] = plate;
+    for (const lever of this._levers) signalSources[lever.elementId] = lever;
+    const { order: gateOrder, cycle: gateLoop } = orderGates(data.logicGates || []);
+    if (gateLoop) console.warn(`Logic gates ${gateLoop.join(', ')} feed back into themselves — left out`);
+    for (const lg of gateOrder) {
+      const gate = new LogicGate(this, { x: lg.x, y: lg.y, type: lg.type, label: lg.label });
+      gate.elementId = lg.id;
+      gate.network = this._power;
+      for (const id of lg.inputs || []) {
+        if (!signalSources[id]) console.warn(`Logic gate '${lg.id}': input '${id}' gives no signal — ignored`);
+      }
+      gate.connect(
+        (lg.inputs || []).map(id => signalSources[id]).filter(Boolean),
+        (lg.linkTo || []).map(id => this._elementsById[id]).filter(Boolean),
+      );
+      this._elementsById[lg.id] = gate;
+      signalSources[lg.id] = gate;
+      this._logicGates.push(gate);
+    }
+
+    // ── Extension Cords (one visual per cord the player carries) ──
+    this.extensionCords = this.player.cordTerminals.map(
+      (_, i) => new ExtensionCord(this, this.player.generator, i),
+    );
 
     // ── Goal zone ──
     if (data.goal) {
@@ -352,8 +571,20 @@ export class GameScene extends Phaser.Scene {
       this.physics.add.collider(this.player, elev);
     }
 
+    for (const plat of this._movingPlatforms) {
+      this.physics.add.collider(this.player, plat);
+    }
+
+    for (const belt of this._conveyors) {
+      this.physics.add.collider(this.player, belt);
+    }
+
+    for (const fan of this._fans) {
+      this.physics.add.collider(this.player, fan);
+    }
+
     for (const bridge of this._drawbridges) {
-      this.physics.add.collider(this.player, bridge.bridgeBody);
+      this.physics.add.collider(this.player, bridge.bridgeBodies);
     }
 
     for (const block of this._pushBlocks) {
@@ -378,9 +609,24 @@ export class GameScene extends Phaser.Scene {
         this.physics.add.collider(block, elev);
       }
 
+      // Block rides moving platforms
+      for (const plat of this._movingPlatforms) {
+        this.physics.add.collider(block, plat);
+      }
+
+      // Block rides conveyors
+      for (const belt of this._conveyors) {
+        this.physics.add.collider(block, belt);
+      }
+
+      // Block rests on fan housings
+      for (const fan of this._fans) {
+        this.physics.add.collider(block, fan);
+      }
+
       // Block collides with drawbridge bodies
       for (const bridge of this._drawbridges) {
-        this.physics.add.collider(block, bridge.bridgeBody);
+        this.physics.add.collider(block, bridge.bridgeBodies);
       }
     }
 
@@ -412,6 +658,26 @@ export class GameScene extends Phaser.Scene {
       for (const elev of this._elevators) {
         this.physics.add.collider(heavy, elev);
       }
+
+      // Heavy block rides moving platforms
+      for (const plat of this._movingPlatforms) {
+        this.physics.add.collider(heavy, plat);
+      }
+
+      // Heavy block rides conveyors
+      for (const belt of this._conveyors) {
+        this.physics.add.collider(heavy, belt);
+      }
+
+      // Heavy block rests on fan housings
+      for (const fan of this._fans) {
+        this.physics.add.collider(heavy, fan);
+      }
+
+      // Heavy block collides with drawbridge bodies
+      for (const bridge of this._drawbridges) {
+        this.physics.add.collider(heavy, bridge.bridgeBodies);
+      }
     }
 
     // Spike overlaps — kill player on contact
@@ -421,6 +687,13 @@ export class GameScene extends Phaser.Scene {
       }, null, this);
     }
 
+    // Electrified water overlaps — kill the player standing in it
+    for (const pool of this._waterPools) {
+      this.physics.add.overlap(this.player, pool, () => {
+        if (pool.isElectrified) this.player.die();
+      }, null, this);
+    }
+
     // Enemy collisions
     for (const enemy of this._enemies) {
       // Enemies collide with platforms so they walk on ground
@@ -431,6 +704,31 @@ export class GameScene extends Phaser.Scene {
         this.physics.add.collider(enemy, door);
       }
 
+      // Enemies ride conveyors and moving platforms
+      for (const belt of this._conveyors) {
+        this.physics.add.collider(enemy, belt);
+      }
+      for (const plat of this._movingPlatforms) {
+        this.physics.add.collider(enemy, plat);
+      }
+
+      // Enemies walk over fan housings
+      for (const fan of this._fans) {
+        this.physics.add.collider(enemy, fan);
+      }
+
+      // Enemies cross open drawbridges and turn at raised ones
+      for (const bridge of this._drawbridges) {
+        this.physics.add.collider(enemy, bridge.bridgeBodies);
+      }
+
+      // Electrified water zaps enemies that walk into it
+      for (const pool of this._waterPools) {
+        this.physics.add.overlap(enemy, pool, () => {
+          if (pool.isElectrified && enemy.isDangerous) this._zapEnemyInWater(enemy);
+        }, null, this);
+      }
+
       // Player overlaps enemy → die (if enemy is alive and player not attacking)
       this.physics.add.overlap(this.player, enemy, () => {
         if (enemy.isDangerous && !this.player._isAttacking) this.player.die();
@@ -442,15 +740,8 @@ export class GameScene extends Phaser.Scene {
       this.physics.add.overlap(this.player, zone, () => {
         if (!zone.hasTriggered || !zone.onceOnly) {
           zone.hasTriggered = true;
-          // Activate via triggersIds (direct element activation)
-          if (zone.triggersIds && zone.triggersIds.length > 0) {
-            for (const elementId of zone.triggersIds) {
-              const element = this._elementsById[elementId];
-              if (element && typeof element.activate === 'function') {
-                element.activate();
-              }
-            }
-          }
+          // Power the triggersIds elements (for good, like a generator)
+          this._power.setSource(zone, true);
           // Activate via triggersGenerator (GeneratorSystem)
           if (zone.triggersGenerator && this._generatorSystem) {
             this._generatorSystem.activateGenerator(zone.triggersGenerator);
@@ -479,27 +770,33 @@ export class GameScene extends Phaser.Scene {
     this.events.on('player-attack-strike', this._handleAttackStrike, this);
     this.events.on('door-closing-tick', this._handleDoorClosing, this);
     this.events.on('trigger-zone-activated', this._handleTriggerZone, this);
+    this.events.on('player-died', this._handlePlayerDied, this);
+    this.events.on('breaker-tripped', this._handleBreakerTripped, this);
+    this.events.on('lever-flipped', this._handleLeverFlipped, this);
 
     // ── Camera ──
     this.cameras.main.setBounds(0, 0, data.world.width, data.world.height);
     this.cameras.main.startFollow(this.player, true, 0.1, 0.1);
     this.physics.world.setBounds(0, 0, data.world.width, data.world.height);
 
-    // ── Launch UI ──
-    this.scene.launch(SCENES.UI);
+    // ── Launch UI ── (the touch cord selector only where there is a cord to switch to)
+    const multiCord = this.extensionCords.length > 1 || this._junctionBoxes.some(box => box.reel);
+    this.scene.launch(SCENES.UI, { multiCord });
 
     // ── Level name / controls hint ──
+    const grab = this._levers.length ? 'grab / flip' : 'grab';
     const hudText = isMobile()
-      ? `${data.name}  |  ⚡ = cord  |  🔧 = grab  |  D-pad = move`
-      : `${data.name}  |  D = cord  |  F = grab  |  Arrows = move  |  Space = jump`;
+      ? `${data.name}  |  ⚡ = cord${multiCord ? '  |  🔌 = next cord' : ''}  |  🔧 = ${grab}  |  D-pad = move`
+      : `${data.name}  |  D = cord${multiCord ? '  |  C = next cord' : ''}  |  F = ${grab}  |  Arrows = move  |  Space = jump`;
     this.add.text(this.scale.width / 2, 20, hudText, {
       fontSize: '13px', fontFamily: 'monospace', color: '#888',
     }).setOrigin(0.5).setScrollFactor(0).setDepth(100);
+    this._buildCordHud();
 
     // ── Music ──
     music.init();
-    // Extract level number from level ID (e.g., 'level_01' -> 1, 'level_02' -> 2)
-    const levelNum = parseInt(data.id.replace(/\D/g, '')) || 1;
+    // Pack track if it sets one, else the level number from the ID ('level_02' -> 2)
+    const levelNum = this._pack?.music?.track ?? (parseInt(data.id.replace(/\D/g, '')) || 1);
     music.playLevel(levelNum);
   }
 
@@ -529,8 +826,28 @@ export class GameScene extends Phaser.Scene {
       }
     }
 
-    if (this.player) this.player.update();
-    if (this.extensionCord) this.extensionCord.update(this.player);
+    if (this.player) {
+      const input = this._replay.readInput(this.player);
+      this.player.update(input);
+      this._replay.record(input, this.player);
+    }
+    if (this._ghost) this._ghost.follow(this._replay.time);
+    if (this._replay?.ended && !this._levelComplete && !this._replayEndedText) this._showReplayEnded();
+    if (this._pressurePlates?.length) {
+      const loads = this._plateLoads();
+      for (const plate of this._pressurePlates) plate.update(loads);
+    }
+    for (const lever of this._levers ?? []) lever.update(delta);
+    for (const gate of this._logicGates ?? []) gate.update(source => this._signalOf(source));
+    for (const relay of this._relays ?? []) relay.update(delta);
+    if (this.player) this._updateBreakers();
+    if (this.player) for (const t of this.terminals ?? []) t.updateLinkHint(this.player);
+    if (this.extensionCords) {
+      // Reeled cords go back to their junction boxes when the player dies
+      if (this.extensionCords.length !== this.player.cordTerminals.length) this._syncExtensionCords();
+      for (const cord of this.extensionCords) cord.update(this.player);
+      if (this._cordHud) this._updateCordHud();
+    }
 
     // Show/hide the Power Climb generator hint when the player approaches G2.
     if (this._generatorHintText && this.player && this._levelData?.id === 'level_04') {
@@ -550,42 +867,38 @@ export class GameScene extends Phaser.Scene {
       if (enemy.active) enemy.update();
     }
 
-    // Elevator rider logic — carry the player along with moving elevators
-    for (const elev of this._elevators) {
-      elev.trackMovement();
-      if (elev.deltaY !== 0 && this.player) {
-        // Check if player is standing on this elevator
-        const px = this.player.x;
-        const py = this.player.y + this.player.body.halfHeight;
-        const ex = elev.x;
-        const ey = elev.y - elev._h / 2;
-        const onTop = Math.abs(px - ex) < elev._w / 2 + 4 &&
-                       Math.abs(py - ey) < 8;
-        if (onTop) {
-          this.player.y += elev.deltaY;
-
-          // If the player is holding a push block and it's riding this elevator,
-          // carry it along too. Grabbed blocks are kinematic (body.moves=false),
-          // so they won't be pushed by the moving elevator unless we do this.
-          const grabbed = this.player.grabbedBlock;
-          if (grabbed && grabbed.isGrabbed) {
-            const bx = grabbed.x;
-            const by = grabbed.y + PUSH_BLOCK.SIZE / 2;
-            const blockOnTop = Math.abs(bx - ex) < elev._w / 2 + PUSH_BLOCK.SIZE / 2 + 4 &&
-                               Math.abs(by - ey) < 12;
-            if (blockOnTop) {
-              grabbed.y += elev.deltaY;
-              if (grabbed.body) {
-                grabbed.body.position.y += elev.deltaY;
-                grabbed.body.prev.y += elev.deltaY;
-              }
-              grabbed.syncPosition();
-            }
-          }
-        }
+    // Moving surfaces — carry what stands on elevators (the player; blocks
+    // ride their colliders) and moving platforms (anything, as conveyors)
+    for (const elev of this._elevators) elev.trackMovement();
+    for (const plat of this._movingPlatforms) plat.update(delta);
+    for (const mover of this._movers) {
+      if ((mover.deltaX === 0 && mover.deltaY === 0) || !this.player) continue;
+      const riders = mover instanceof MovingPlatform
+        ? [this.player, ...this._pushBlocks, ...this._heavyBlocks, ...this._enemies.filter(e => e.active)]
+        : [this.player];
+      this._carryRiders({ x: mover.x, top: mover.y - mover._h / 2, halfWidth: mover._w / 2 }, mover.deltaX, mover.deltaY, riders);
+    }
+
+    // Drawbridges — hold up what stands on a swinging or ramped plank
+    if (this.player) {
+      const riders = [this.player, ...this._pushBlocks, ...this._heavyBlocks, ...this._enemies.filter(e => e.active)];
+      for (const bridge of this._drawbridges) bridge.update(riders);
+    }
+
+    // Conveyor riders — the player, blocks and enemies move with a running belt
+    for (const belt of this._conveyors) {
+      belt.update(delta);
+      if (belt.deltaX !== 0 && this.player) {
+        const riders = [this.player, ...this._pushBlocks, ...this._heavyBlocks, ...this._enemies.filter(e => e.active)];
+        this._carryRiders({ x: belt.x, top: belt.y - belt._h / 2, halfWidth: belt._w / 2 }, belt.deltaX, 0, riders);
       }
     }
 
+    // Fans — the updraft lifts the player and push blocks in its column
+    for (const fan of this._fans) {
+      fan.update(delta, [this.player, ...this._pushBlocks].filter(Boolean));
+    }
+
     // Sync push block top-platforms with their dynamic bodies
     for (const block of this._pushBlocks) {
       block.syncPosition();
@@ -596,6 +909,8 @@ export class GameScene extends Phaser.Scene {
       heavy.syncPosition();
     }
 
+    for (const pool of this._waterPools) pool.update(delta);
+
     // Check if any block has landed on spikes → neutralise them
     for (const spike of this._spikes) {
       if (!spike.isDangerous) continue;
@@ -618,6 +933,47 @@ export class GameScene extends Phaser.Scene {
     }
   }
 
+  /**
+   * Move whatever stands on a moving surface (an elevator, a moving
+   * platform, a conveyor) along with it. The player counts while their
+   * centre is over it; anything else while any of it is. A push block the player holds is kinematic
+   * (body.moves=false), so it is carried with them when it stands on the
+   * surface too — nothing else would move it.
+   * @param {{ x: number, top: number, halfWidth: number }} surface
+   * @param {number} dx - px moved this frame.
+   * @param {number} dy
+   * @param {Phaser.Physics.Arcade.Sprite[]} riders
+   */
+  _carryRiders(surface, dx, dy, riders) {
+    const onTop = (obj, halfW, tolerance) =>
+      Math.abs(obj.x - surface.x) < surface.halfWidth + halfW + 4 &&
+      Math.abs(obj.y + obj.body.halfHeight - surface.top) < tolerance;
+
+    for (const rider of riders) {
+      if (rider === this.player) {
+        if (!onTop(rider, 0, 8)) continue;
+        rider.x += dx;
+        rider.y += dy;
+        const grabbed = rider.grabbedBlock;
+        if (grabbed && grabbed.isGrabbed && onTop(grabbed, PUSH_BLOCK.SIZE / 2, 12)) {
+          grabbed.x += dx;
+          grabbed.y += dy;
+          if (grabbed.body) {
+            grabbed.body.position.x += dx;
+            grabbed.body.position.y += dy;
+            grabbed.body.prev.x += dx;
+            grabbed.body.prev.y += dy;
+          }
+          grabbed.syncPosition();
+        }
+      } else if (!rider.isGrabbed && onTop(rider, rider.body.halfWidth, 8)) {
+        rider.x += dx;
+        rider.y += dy;
+        rider.syncPosition?.();
+      }
+    }
+  }
+
   /** Check if a block is resting on top of / covering a spike zone. */
   _isBlockCoveringSpikes(block, spike) {
     const overlapX = Math.abs(block.x - spike.x) < (PUSH_BLOCK.SIZE / 2 + spike._w / 2);
@@ -1244,6 +1600,16 @@ export class GameScene extends Phaser.Scene {
   }
 
   _handleAction(player) {
+    // Reset a tripped breaker at its generator
+    for (const gen of Object.values(this._generators)) {
+      if (gen.tripped && Phaser.Math.Distance.Between(gen.x, gen.y, player.x, player.y) <= GENERATOR.RESET_RANGE) {
+        gen.resetBreaker();
+        if (gen === player.generator) player.refreshCordPower();
+        music.playPowerUp(0.4);
+        return;
+      }
+    }
+
     // Try to activate nearby inactive secondary generator (press E)
     // This works regardless of cord state — generators don't need the cord
     for (const [id, gen] of Object.entries(this._generators)) {
@@ -1257,31 +1623,51 @@ export class GameScene extends Phaser.Scene {
       }
     }
 
-    // If already connected, only allow disconnecting at the same terminal
+    // At a live junction box with its reel still there: take the reel. This
+    // comes before unplugging, so a lone cord plugged into the box (still
+    // selected — there is no free one) doesn't just come out again
+    const box = this._junctionBoxes.find(b => b.powered && b.isPlayerInRange(player));
+    if (box && box.reel && !player.hasCordFrom(box)) {
+      player.selectedCord = player.addCord(box);
+      this._syncExtensionCords();
+      this._cordChanged();
+      return;
+    }
+
+    // If the selected cord is connected, only allow disconnecting it at its terminal
     if (player.cordConnectedTerminal) {
       const ct = player.cordConnectedTerminal;
       if (ct.isPlayerInRange(player)) {
         player.disconnectCord();
-        music.playElectricZap();
-        this.events.emit('cord-changed', null);
+        this._cordChanged();
       }
-      // Cord is in use — must unplug first before connecting elsewhere
+      // Cord is in use — must unplug first (or select a free cord) before connecting elsewhere
       return;
     }
 
-    // Try to connect to nearest in-range terminal
+    // Try to connect to nearest in-range terminal (or power strip / junction
+    // box) no other cord is plugged into — never the box feeding this cord
+    const origin = player.cordOrigin();
     let best = null;
     let bestDist = Infinity;
     for (const t of this.terminals) {
-      if (t.isPlayerInRange(player) && this.extensionCord.isInRange(t)) {
+      if (player.cordTerminals.includes(t) || t === origin) continue;
+      if (t.isPlayerInRange(player) && this.extensionCords[player.selectedCord].isInRange(t)) {
         const d = Phaser.Math.Distance.Between(t.x, t.y, player.x, player.y);
         if (d < bestDist) { bestDist = d; best = t; }
       }
     }
     if (best) {
       player.connectTo(best);
-      music.playElectricZap();
-      this.events.emit('cord-changed', best);
+      player.selectNextFreeCord();
+      this._cordChanged(best);
+      return;
+    }
+
+    // At a live junction box: feed the free cord from it
+    if (box && box !== origin) {
+      player.feedCordFrom(box);
+      this._cordChanged();
       return;
     }
 
@@ -1291,6 +1677,129 @@ export class GameScene extends Phaser.Scene {
     }
   }
 
+  /**
+   * A cord was plugged in, unplugged, taken from a junction box's reel or
+   * fed from a box: count it, zap, and tell the UI.
+   * @param {object} [terminal] - What the cord was plugged into, if anything.
+   */
+  _cordChanged(terminal = null) {
+    this._stats.cordToggles++;
+    music.playElectricZap();
+    this.events.emit('cord-changed', terminal);
+  }
+
+  /**
+   * Weigh generator loads (tripping overloaded breakers) and show the reset
+   * hint while the player is near a tripped generator.
+   */
+  _updateBreakers() {
+    this._generatorSystem.updateBreakers(this.terminals.filter(t => t.powered), this.player.generator);
+    if (!this._breakerHintText) return;
+    const gen = Object.values(this._generators).find(g => g.tripped &&
+      Phaser.Math.Distance.Between(g.x, g.y, this.player.x, this.player.y) <= 90);
+    this._breakerHintText.setVisible(!!gen);
+    if (gen) this._breakerHintText.setPosition(gen.x, gen.y - 70);
+  }
+
+  /** A breaker tripped: the generator's power is cut, with a spark and a bang. */
+  _handleBreakerTripped({ generatorId }) {
+    const gen = this._generators[generatorId];
+    if (!gen) return;
+    if (gen === this.player.generator) this.player.refreshCordPower();
+    this._playSpark(gen.x, gen.y - GENERATOR.HEIGHT / 2);
+    this.cameras.main.shake(120, 0.004);
+    music.playBreakerTrip();
+  }
+
+  /** A lever or switch flipped (by the player or a timed one springing back). */
+  _handleLeverFlipped(lever) {
+    music.playLeverFlip(lever.style, lever.isActive);
+  }
+
+  /** A terminal / power strip / relay / plate / lever `linkTo` as [{ element, invert }] (unknown ids dropped). */
+  _resolveLinks(linkTo) {
+    return parseLinks(linkTo)
+      .map(({ id, invert }) => ({ element: this._elementsById[id], invert }))
+      .filter(link => link.element);
+  }
+
+  /** Everything that can hold a pressure plate down, with its weight. */
+  _plateLoads() {
+    const { WEIGHTS } = PRESSURE_PLATE;
+    const loads = [{ body: this.player.body, weight: WEIGHTS.player }];
+    for (const block of this._pushBlocks) loads.push({ body: block.body, weight: WEIGHTS.pushBlock });
+    for (const heavy of this._heavyBlocks) loads.push({ body: heavy.body, weight: WEIGHTS.heavyBlock });
+    for (const enemy of this._enemies) if (enemy.active) loads.push({ body: enemy.body, weight: WEIGHTS.enemy });
+    return loads;
+  }
+
+  /**
+   * Whether a logic gate input is on: a powered terminal (power strip,
+   * junction box), an activated generator whose breaker holds, a gate's
+   * output, a pressed pressure plate, a lever that is on, or a trigger
+   * zone the player stands in (a onceOnly zone stays on once it has
+   * fired). Anything else gives no signal — the gates are only handed
+   * these (LevelValidator rejects other inputs).
+   */
+  _signalOf(source) {
+    if (source instanceof LogicGate || source instanceof PressurePlate || source instanceof Lever) return source.isActive;
+    if (source instanceof Terminal) return source.powered;
+    if (source instanceof Generator) return source.supplying;
+    if (this._triggerZones.includes(source)) {
+      if (source.onceOnly) return source.hasTriggered;
+      const body = this.player.body;
+      return Math.abs(this.player.x - source.x) < source.width / 2 + body.halfWidth &&
+        Math.abs(this.player.y - source.y) < source.height / 2 + body.halfHeight;
+    }
+    return false;
+  }
+
+  /** One ExtensionCord per cord the player carries (reels add and remove cords). */
+  _syncExtensionCords() {
+    const count = this.player.cordTerminals.length;
+    while (this.extensionCords.length > count) this.extensionCords.pop().destroy();
+    while (this.extensionCords.length < count) {
+      this.extensionCords.push(new ExtensionCord(this, this.player.generator, this.extensionCords.length));
+    }
+    for (const label of this._cordHud ?? []) label.destroy();
+    this._buildCordHud();
+  }
+
+  /**
+   * Cord selector HUD under the controls hint — one label per cord in its
+   * colour, the selected one highlighted, ⚡ when plugged in. Single-cord
+   * levels don't get one.
+   */
+  _buildCordHud() {
+    this._cordHud = [];
+    this._cordHudKey = null;
+    const count = this.extensionCords.length;
+    if (count < 2) return;
+
+    const spacing = 56;
+    const left = this.scale.width / 2 - (spacing * (count - 1)) / 2;
+    this._cordHud = this.extensionCords.map((cord, i) => this.add.text(left + i * spacing, 42, '', {
+      fontSize: '13px', fontFamily: 'monospace',
+      color: `#${cord.color.toString(16).padStart(6, '0')}`,
+      padding: { x: 4, y: 2 },
+    }).setOrigin(0.5).setScrollFactor(0).setDepth(100));
+  }
+
+  _updateCordHud() {
+    // Restyling re-renders the text, so only do it when something changed
+    const { selectedCord, cordTerminals } = this.player;
+    const key = `${selectedCord}:${cordTerminals.map(t => (t ? 1 : 0)).join('')}`;
+    if (key === this._cordHudKey) return;
+    this._cordHudKey = key;
+
+    this._cordHud.forEach((label, i) => {
+      const selected = i === selectedCord;
+      label.setText(`${i + 1} ${cordTerminals[i] ? '⚡' : '○'}`);
+      label.setBackgroundColor(selected ? '#333333' : '');
+      label.setAlpha(selected ? 1 : 0.6);
+    });
+  }
+
   /** Handle the attack strike moment — check for nearby enemies and kill them. */
   _handleAttackStrike(player) {
     const ATTACK_RANGE = 100; // pixels in front of the player
@@ -1317,10 +1826,19 @@ export class GameScene extends Phaser.Scene {
         // Spark burst at the enemy position
         this._playSpark(enemy.x, enemy.y);
         enemy.kill();
+        this._stats.enemiesZapped++;
       }
     }
   }
 
+  /** An enemy walked into electrified water (or the water went live under it). */
+  _zapEnemyInWater(enemy) {
+    music.playElectricBlast();
+    this._playSpark(enemy.x, enemy.y);
+    enemy.kill();
+    this._stats.enemiesZapped++;
+  }
+
   /**
    * Play an electric spark arc from the player's hand toward a target.
    * Multiple sparks shoot in a directed stream with slight scatter.
@@ -1526,12 +2044,20 @@ export class GameScene extends Phaser.Scene {
       player.releaseBlock();
       return;
     }
-    // Try to grab any nearby block
-    for (const block of this._pushBlocks) {
-      if (block.isPlayerInRange(player)) {
-        player.grabBlock(block);
-        return;
-      }
+    // Grab a nearby block or flip a nearby lever, whichever is closer (a
+    // lever that can't flip now doesn't get in the way of the block)
+    const dist = obj => Phaser.Math.Distance.Between(obj.x, obj.y, player.x, player.y);
+    const block = this._pushBlocks.filter(b => b.isPlayerInRange(player))
+      .reduce((best, b) => (!best || dist(b) < dist(best) ? b : best), null);
+    const lever = this._levers.filter(l => l.canFlip && l.isPlayerInRange(player))
+      .reduce((best, l) => (!best || dist(l) < dist(best) ? l : best), null);
+    if (lever && (!block || dist(lever) < dist(block))) {
+      lever.use();
+      return;
+    }
+    if (block) {
+      player.grabBlock(block);
+      this._stats.blockGrabs++;
     }
   }
 
@@ -1557,10 +2083,19 @@ export class GameScene extends Phaser.Scene {
     }
   }
 
+  /** Count deaths for the run stats. */
+  _handlePlayerDied() {
+    this._stats.deaths++;
+  }
+
   _onReachGoal() {
     if (this._levelComplete) return;
     this._levelComplete = true;
 
+    this._stats.time = Math.round(this._replay.time);
+    const run = this._replay.finish(true);
+    if (!this._returnScene) saveRunIfBest(run);
+
     // Freeze player movement but keep physics for animation
     this.player.setVelocity(0, 0);
     this.player.body.setAllowGravity(false);
@@ -1744,6 +2279,7 @@ export class GameScene extends Phaser.Scene {
    * Show the "To Be Continued" title card with music.
    */
   _showToBeContinued() {
+    this._saveProgress();
     // Dim the screen
     const cx = this.cameras.main.scrollX + this.scale.width / 2;
     const cy = this.cameras.main.scrollY + this.scale.height / 2;
@@ -1770,8 +2306,11 @@ export class GameScene extends Phaser.Scene {
       align: 'center',
     }).setOrigin(0.5).setScrollFactor(0).setDepth(601).setAlpha(0);
 
+    // The run's stats below it, over the dimmed screen like the title
+    const stats = this._showRunStats(cx, cy + 50).setScrollFactor(0).setDepth(601).setAlpha(0);
+
     this.tweens.add({
-      targets: tbcText,
+      targets: [tbcText, stats],
       alpha: 1,
       duration: 2000,
       delay: 800,
@@ -1823,6 +2362,7 @@ export class GameScene extends Phaser.Scene {
 
   /** Show victory message and play victory music. */
   _showVictory() {
+    this._saveProgress();
     this.physics.pause();
 
     // --- Floodlights power-up sequence ---
@@ -1865,29 +2405,87 @@ export class GameScene extends Phaser.Scene {
 
   /** Show the "Level Complete" / "You Win" text and wire up ENTER/tap to advance. */
   _showLevelComplete() {
+    this._saveProgress();
     const cx = this.cameras.main.scrollX + this.scale.width / 2;
     const cy = this.cameras.main.scrollY + this.scale.height / 2;
 
-    const next = this._levelData.nextLevel;
+    this._showRunStats(cx, cy + 10);
+
+    if (this._returnScene) {
+      const where = this._returnScene === SCENES.EDITOR ? 'the editor' : 'the menu';
+      this.add.text(cx, cy - 70, `Level Complete!\nPress ENTER to return to ${where}`, {
+        fontSize: '32px', fontFamily: 'monospace', color: '#0f0', align: 'center',
+      }).setOrigin(0.5).setDepth(200);
+      this.input.keyboard.once('keydown-ENTER', () => this._exitToReturnScene());
+      return;
+    }
+
+    const next = getNextLevel(this._levelData.id, this._pack?.id);
     const mobile = isMobile();
     const msg = next
       ? (mobile ? 'Level Complete!\nTap for next level' : 'Level Complete!\nPress ENTER for next level')
       : 'Generator Fixed!\nYou Win!';
 
-    this.add.text(cx, cy, msg, {
+    this.add.text(cx, cy - 70, msg, {
       fontSize: '32px', fontFamily: 'monospace', color: '#0f0', align: 'center',
     }).setOrigin(0.5).setDepth(200);
 
     if (next) {
       const advance = () => {
         this.scene.stop(SCENES.UI);
-        this.scene.restart({ levelId: next });
+        this.scene.restart({ levelId: next.id, packId: getLevelPack(next.id, this._pack?.id)?.id });
       };
       this.input.keyboard.once('keydown-ENTER', advance);
       this.input.once('pointerdown', advance);
     }
   }
 
+  /**
+   * List the run's stats below the level complete message, marking new personal bests.
+   * @returns {Phaser.GameObjects.Text}
+   */
+  _showRunStats(cx, top) {
+    const lines = this._stats.rows().map(({ key, label, value }) =>
+      `${label.padEnd(22)}${String(value).padStart(7)}${this._newBests?.[key] ? '  ★ best' : '        '}`);
+    return this.add.text(cx, top, lines.join('\n'), {
+      fontSize: '16px', fontFamily: 'monospace', color: '#ccffcc', lineSpacing: 4,
+      backgroundColor: '#00000099', padding: { x: 14, y: 10 },
+    }).setOrigin(0.5, 0).setDepth(200);
+  }
+
+  /** Pack levels played for real (not play-tests, replays or custom imports) count toward progress. */
+  _tracksProgress() {
+    return !this._returnScene && !!this._pack;
+  }
+
+  /** Write the level's completion to the save (once per run). */
+  _saveProgress() {
+    if (this._progressSaved || !this._tracksProgress()) return;
+    this._progressSaved = true;
+    this._newBests = recordLevelComplete(this._levelData.id, this._pack.id, this._stats);
+  }
+
+  /** Leave a play-test or replay, handing the level data back (the editor reopens it). */
+  _exitToReturnScene() {
+    this.scene.stop(SCENES.UI);
+    music.stop();
+    this.scene.start(this._returnScene, { levelData: this._levelData });
+  }
+
+  /** A replay ran out of recorded input before reaching the goal. */
+  _showReplayEnded() {
+    this._replayEndedText = this.add.text(this.scale.width / 2, this.scale.height / 2, 'Replay ended\nPress ESC for the menu', {
+      fontSize: '28px', fontFamily: 'monospace', color: '#44ddff', align: 'center',
+    }).setOrigin(0.5).setScrollFactor(0).setDepth(200);
+  }
+
+  /** Save the run so far as a replay file — attach it to bug reports. */
+  _downloadReplay() {
+    const run = this._replay.getRecording();
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    download(`${run.levelId}_${stamp}.replay.json`, JSON.stringify(run), 'application/json');
+  }
+
   /**
    * Spawn floodlight beams that shine upward from the bottom of the map.
    * Each beam is a triangle that fades in during the power-up duration.
@@ -1,7 +1,17 @@
 import Phaser from 'phaser';
 import { SCENES } from '../config.js';
-import { getAllLevels } from '../levels/LevelRegistry.js';
+import {
+  getAllPacks, getPackLevels, getLevelPack, getFirstLevel, getLevelById,
+  isPackUnlocked, isLevelUnlocked, describeUnlockRule,
+} from '../levels/LevelRegistry.js';
 import { music } from '../audio/ProceduralMusic.js';
+import { isMobile } from '../utils/mobile.js';
+import { importLevelFile, importLevelFromParam, takeLevelQueryParam } from '../levels/CustomLevelLoader.js';
+import { formatReport } from '../levels/LevelValidator.js';
+import { isReplay } from '../systems/ReplaySystem.js';
+import { isGhostEnabled, setGhostEnabled } from '../systems/ReplayStore.js';
+import { getSave, getContinueLevel, getPersonalBest } from '../systems/SaveData.js';
+import { formatTime } from '../systems/RunStats.js';
 
 /**
  * MenuScene — title screen / main menu.
@@ -138,44 +148,116 @@ export class MenuScene extends Phaser.Scene {
     startBtn.on('pointerover', () => { startBtn.setColor('#ffffff'); startBtn.setScale(1.1); });
     startBtn.on('pointerout', () => { startBtn.setColor('#44ff44'); startBtn.setScale(1.0); });
 
-    // ── Level Select heading ──
-    this.add.text(btnX, btnBaseY + 48, '— LEVELS —', {
+    // ── Continue button (once a level has been played) ──
+    this._continue = getContinueLevel();
+    if (this._continue) {
+      const name = getLevelById(this._continue.levelId)?.name ?? this._continue.levelId;
+      const continueBtn = this.add.text(btnX, btnBaseY - 40, `▶  CONTINUE: ${name}`, {
+        fontSize: '20px',
+        fontFamily: cartoonFont,
+        color: '#ffdd00',
+        fontStyle: 'bold',
+        stroke: '#553300',
+        strokeThickness: 3,
+      }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+
+      continueBtn.on('pointerup', () => this._continueGame());
+      continueBtn.on('pointerover', () => { continueBtn.setColor('#ffffff'); continueBtn.setScale(1.05); });
+      continueBtn.on('pointerout', () => { continueBtn.setColor('#ffdd00'); continueBtn.setScale(1.0); });
+    }
+
+    // ── Pack selector (◀ title ▶, or LEFT / RIGHT) ──
+    this._packs = getAllPacks();
+    // Saved progress decides which packs and levels are open
+    this._save = getSave();
+    this._completedLevelIds = this._save.completedLevels;
+    this._cartoonFont = cartoonFont;
+    this._levelListX = btnX;
+    this._levelListY = btnBaseY + 75;
+    this._levelButtons = [];
+
+    this._packTitle = this.add.text(btnX, btnBaseY + 48, '', {
       fontSize: '16px',
       fontFamily: cartoonFont,
       color: '#8888cc',
       fontStyle: 'bold',
     }).setOrigin(0.5);
 
-    // ── Level buttons ──
-    const levels = getAllLevels();
-    const startY = btnBaseY + 75;
-    const spacing = 32;
+    if (this._packs.length > 1) {
+      for (const [dir, label] of [[-1, '◀'], [1, '▶']]) {
+        const arrow = this.add.text(btnX + dir * 130, btnBaseY + 48, label, {
+          fontSize: '16px',
+          fontFamily: cartoonFont,
+          color: '#8888cc',
+        }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+        arrow.on('pointerup', () => this._showPack(this._packIndex + dir));
+        arrow.on('pointerover', () => arrow.setColor('#ffffff'));
+        arrow.on('pointerout', () => arrow.setColor('#8888cc'));
+      }
+      this.input.keyboard.on('keydown-LEFT', () => this._showPack(this._packIndex - 1));
+      this.input.keyboard.on('keydown-RIGHT', () => this._showPack(this._packIndex + 1));
+    }
 
-    levels.forEach((lvl, i) => {
-      const label = `${lvl.index}. ${lvl.name}`;
-      const btn = this.add.text(btnX, startY + i * spacing, label, {
-        fontSize: '17px',
-        fontFamily: cartoonFont,
-        color: '#44ddaa',
-        stroke: '#003322',
-        strokeThickness: 1,
-      }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+    // Open on the pack the default level lives in (the campaign)
+    this._showPack(Math.max(0, this._packs.indexOf(getLevelPack(getFirstLevel().id))));
 
-      btn.on('pointerup', () => this._startLevel(lvl.id));
-      btn.on('pointerover', () => { btn.setColor('#ffffff'); btn.setScale(1.05); });
-      btn.on('pointerout', () => { btn.setColor('#44ddaa'); btn.setScale(1.0); });
+    // Also allow Enter/Space to continue, or start from the first pack
+    const startOrContinue = () => (this._continue ? this._continueGame() : this._startGame());
+    this.input.keyboard.on('keydown-ENTER', startOrContinue);
+    this.input.keyboard.on('keydown-SPACE', startOrContinue);
+
+    // Number keys 1-9 as shortcuts for levels of the shown pack
+    this.input.keyboard.on('keydown', (event) => {
+      const n = Number(event.key);
+      if (!Number.isInteger(n) || n < 1) return;
+      const lvl = this._packLevels[n - 1];
+      const packId = this._packs[this._packIndex].id;
+      if (lvl && this._isUnlocked(lvl.id, packId)) this._startLevel(lvl.id, packId);
     });
 
-    // Also allow Enter/Space to start from level 1
-    this.input.keyboard.on('keydown-ENTER', () => this._startGame());
-    this.input.keyboard.on('keydown-SPACE', () => this._startGame());
+    // ── Level editor (desktop only — needs mouse + keyboard) ──
+    if (!isMobile()) {
+      const editorBtn = this.add.text(16, 16, '✎ LEVEL EDITOR (E)', {
+        fontSize: '13px',
+        fontFamily: cartoonFont,
+        color: '#8888cc',
+      }).setInteractive({ useHandCursor: true });
 
-    // Number keys 1-9 as shortcuts for levels
-    levels.forEach((lvl) => {
-      if (lvl.index <= 9) {
-        this.input.keyboard.on(`keydown-${lvl.index}`, () => this._startLevel(lvl.id));
-      }
-    });
+      editorBtn.on('pointerup', () => this._openEditor());
+      editorBtn.on('pointerover', () => editorBtn.setColor('#ffffff'));
+      editorBtn.on('pointerout', () => editorBtn.setColor('#8888cc'));
+      this.input.keyboard.on('keydown-E', () => this._openEditor());
+    }
+
+    // ── Best-run ghost toggle ──
+    const ghostLabel = () => `👻 GHOST RUNS: ${isGhostEnabled() ? 'ON' : 'OFF'}${isMobile() ? '' : ' (G)'}`;
+    const ghostBtn = this.add.text(16, isMobile() ? 16 : 36, ghostLabel(), {
+      fontSize: '13px',
+      fontFamily: cartoonFont,
+      color: '#8888cc',
+    }).setInteractive({ useHandCursor: true });
+    const toggleGhost = () => {
+      setGhostEnabled(!isGhostEnabled());
+      ghostBtn.setText(ghostLabel());
+    };
+    ghostBtn.on('pointerup', toggleGhost);
+    ghostBtn.on('pointerover', () => ghostBtn.setColor('#ffffff'));
+    ghostBtn.on('pointerout', () => ghostBtn.setColor('#8888cc'));
+    this.input.keyboard.on('keydown-G', toggleGhost);
+
+    // ── Custom levels / replays: drop a .json file on the page, or ?level= in the URL ──
+    this._customLevelText = this.add.text(cx, this.scale.height - 14,
+      isMobile() ? '' : 'Drop a level or replay .json here to play it', {
+        fontSize: '11px',
+        fontFamily: 'monospace',
+        color: '#666688',
+        align: 'center',
+        wordWrap: { width: this.scale.width - 40 },
+      }).setOrigin(0.5, 1);
+    this._bindLevelDrop();
+
+    const levelParam = takeLevelQueryParam();
+    if (levelParam) this._playCustomLevel(importLevelFromParam(levelParam));
 
     // Start menu music on first interaction
     this.input.once('pointerdown', () => {
@@ -229,13 +311,155 @@ export class MenuScene extends Phaser.Scene {
     }
   }
 
+  /** Show one pack's level buttons (or its unlock requirement) under the selector. */
+  _showPack(index) {
+    const count = this._packs.length;
+    this._packIndex = (index + count) % count;
+    const pack = this._packs[this._packIndex];
+    const color = pack.theme?.color || '#44ddaa';
+
+    for (const b of this._levelButtons) b.destroy();
+    this._levelButtons = [];
+    this._packTitle.setText(`— ${pack.title.toUpperCase()} —`);
+    this._packLevels = getPackLevels(pack.id);
+    this._packUnlocked = isPackUnlocked(pack.id, this._completedLevelIds);
+
+    if (!this._packUnlocked) {
+      this._levelButtons.push(this.add.text(this._levelListX, this._levelListY,
+        `🔒 ${describeUnlockRule(pack.id)} to unlock`, {
+          fontSize: '15px',
+          fontFamily: this._cartoonFont,
+          color: '#666688',
+        }).setOrigin(0.5));
+      return;
+    }
+
+    // Up to five per column; longer packs spread into side-by-side columns
+    const rows = 5;
+    const spacing = 32;
+    const columns = Math.ceil(this._packLevels.length / rows);
+    const columnWidth = 230;
+
+    // Locked: greyed out with a padlock · unlocked: pack colour · completed: ✓
+    this._packLevels.forEach((lvl, i) => {
+      const col = Math.floor(i / rows);
+      const x = this._levelListX + (col - (columns - 1) / 2) * columnWidth;
+      const y = this._levelListY + (i % rows) * spacing;
+      const unlocked = this._isUnlocked(lvl.id, pack.id);
+      const completed = this._completedLevelIds.includes(lvl.id);
+      const mark = !unlocked ? '🔒 ' : completed ? '✓ ' : '';
+      const btnColor = unlocked ? color : '#555566';
+      const btn = this.add.text(x, y, `${mark}${lvl.index}. ${lvl.name}`, {
+        fontSize: columns > 1 ? '14px' : '17px',
+        fontFamily: this._cartoonFont,
+        color: btnColor,
+        stroke: '#003322',
+        strokeThickness: 1,
+      }).setOrigin(0.5);
+      this._levelButtons.push(btn);
+
+      // Personal bests under the name
+      const best = getPersonalBest(lvl.id);
+      if (best) {
+        this._levelButtons.push(this.add.text(x, y + 14, `⏱ ${formatTime(best.time)}   ☠ ${best.deaths}`, {
+          fontSize: '10px',
+          fontFamily: 'monospace',
+          color: '#8888aa',
+        }).setOrigin(0.5));
+      }
+      if (!unlocked) return;
+
+      btn.setInteractive({ useHandCursor: true });
+      btn.on('pointerup', () => this._startLevel(lvl.id, pack.id));
+      btn.on('pointerover', () => { btn.setColor('#ffffff'); btn.setScale(1.05); });
+      btn.on('pointerout', () => { btn.setColor(btnColor); btn.setScale(1.0); });
+    });
+  }
+
+  /** @returns {boolean} Whether saved progress lets the level be played. */
+  _isUnlocked(levelId, packId) {
+    return isLevelUnlocked(levelId, packId, this._completedLevelIds, this._save.unlockedLevels);
+  }
+
+  /** Start the first pack — or its `nextPack` once a tutorial pack has been finished. */
   _startGame() {
+    const first = this._packs[0];
+    const skipTutorial = this._save.tutorialComplete && first.tutorial;
+    const pack = (skipTutorial && this._packs.find(p => p.id === first.nextPack)) || first;
+    this._startLevel(pack.levels[0].id, pack.id);
+  }
+
+  _continueGame() {
+    this._startLevel(this._continue.levelId, this._continue.packId);
+  }
+
+  _startLevel(levelId, packId) {
+    music.stop();
+    this.scene.start(SCENES.GAME, { levelId, packId });
+  }
+
+  _openEditor() {
     music.stop();
-    this.scene.start(SCENES.GAME, { levelId: 'tut_1' });
+    this.scene.start(SCENES.EDITOR);
+  }
+
+  /** Accept level and replay .json files dropped anywhere on the page while the menu is up. */
+  _bindLevelDrop() {
+    const onDragOver = (e) => e.preventDefault();
+    const onDrop = async (e) => {
+      e.preventDefault();
+      const file = e.dataTransfer?.files?.[0];
+      if (!file) return;
+      const replay = await readReplay(file);
+      if (replay) this._watchReplay(replay);
+      else this._playCustomLevel(importLevelFile(file));
+    };
+    window.addEventListener('dragover', onDragOver);
+    window.addEventListener('drop', onDrop);
+    this.events.once('shutdown', () => {
+      window.removeEventListener('dragover', onDragOver);
+      window.removeEventListener('drop', onDrop);
+    });
   }
 
-  _startLevel(levelId) {
+  /**
+   * Start an imported level once it has loaded and validated; on failure
+   * the reason stays on the menu.
+   * @param {Promise<{ level: object, warnings: object[] }>} pending
+   */
+  async _playCustomLevel(pending) {
+    this._customLevelText.setColor('#aaaacc').setText('Loading custom level…');
+    try {
+      const { level, warnings } = await pending;
+      if (!this.sys.isActive()) return; // player left the menu meanwhile
+      if (warnings.length) console.warn(formatReport(warnings));
+      this._startLevel(level.id);
+    } catch (e) {
+      console.error(e);
+      if (!this.sys.isActive()) return;
+      this._customLevelText.setColor('#ff6666').setText(e.message.split('\n').slice(0, 4).join('\n'));
+    }
+  }
+
+  /** Play a recorded run back; its level must be built in or already imported. */
+  _watchReplay(replay) {
+    if (!this.sys.isActive()) return;
+    if (!getLevelById(replay.levelId)) {
+      this._customLevelText.setColor('#ff6666')
+        .setText(`Replay needs level '${replay.levelId}' — drop that level first, then the replay`);
+      return;
+    }
     music.stop();
-    this.scene.start(SCENES.GAME, { levelId });
+    this.scene.start(SCENES.GAME, { replay });
+  }
+}
+
+/** A dropped file's recording, or null if it isn't a replay (e.g. a level). */
+async function readReplay(file) {
+  try {
+    const data = JSON.parse(await file.text());
+    return isReplay(data) ? data : null;
+  } catch {
+    return null;
   }
 }
@@ -1,7 +1,10 @@
 import Phaser from 'phaser';
 import { SCENES, PLAYER, GENERATOR, TERMINAL, DOOR, PUSH_BLOCK, ELEVATOR, ENEMY } from '../config.js';
 import { generateSparkySprite } from '../assets/SparkySprite.js';
-import { generateOutlet, generatePlug, generateWoodenCrate } from '../assets/AssetTextures.js';
+import {
+  generateOutlet, generateJunctionBox, generatePowerStrip, generatePlug, generateWoodenCrate,
+  generateConveyorTread, generateConveyorRoller,
+} from '../assets/AssetTextures.js';
 import { generateLamppost, generateLamppostGlow } from '../assets/EnvironmentTextures.js';
 import { generateWorkerSprite } from '../assets/WorkerSprite.js';
 import { generateMentorFace } from '../assets/MentorFace.js';
@@ -91,11 +94,19 @@ export class PreloadScene extends Phaser.Scene {
     // Outlet-style terminals (2-prong)
     generateOutlet(this, false);   // 'outlet_off'
     generateOutlet(this, true);    // 'outlet_on'
+    generateJunctionBox(this, false); // 'junction_box_off'
+    generateJunctionBox(this, true);  // 'junction_box_on'
+    generatePowerStrip(this, false);  // 'power_strip_off'
+    generatePowerStrip(this, true);   // 'power_strip_on'
     generatePlug(this);            // 'plug_2prong'
 
     // Wooden crate for push blocks
     generateWoodenCrate(this, PUSH_BLOCK.SIZE); // 'crate_48_8B6914'
 
+    // Conveyor belt parts
+    generateConveyorTread(this);      // 'conveyor_tread'
+    generateConveyorRoller(this);     // 'conveyor_roller'
+
     // --- Environment decorations ---
     generateLamppost(this);           // 'lamppost'
     generateLamppostGlow(this);       // 'lamppost_glow'
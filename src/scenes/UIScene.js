@@ -15,9 +15,13 @@ export class UIScene extends Phaser.Scene {
     this.touchControls = null;
   }
 
-  create() {
+  /**
+   * @param {object} [data]
+   * @param {boolean} [data.multiCord] - The level has more than one cord (or a reel to take): show the cord selector.
+   */
+  create(data = {}) {
     if (isMobile()) {
-      this.touchControls = new TouchControls(this);
+      this.touchControls = new TouchControls(this, { cordSelector: !!data.multiCord });
     }
   }
 
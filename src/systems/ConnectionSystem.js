@@ -1,17 +1,24 @@
+import { PowerNetwork } from './PowerNetwork.js';
+
 /**
- * ConnectionSystem — the heart of "Everything is connected".
+ * ConnectionSystem — wires PuzzleManager triggers to their targets.
  *
- * Maintains a map of trigger → target element IDs and propagates
- * activation / deactivation signals through the puzzle network.
+ * A thin adapter onto PowerNetwork: each trigger is a source linked to the
+ * elements in its `connectedTo`, and its activate / deactivate events
+ * switch that source. The network does the propagating, so a target fed by
+ * several triggers stays on until the last of them goes off.
  */
 export class ConnectionSystem {
   /**
    * @param {Phaser.Scene} scene
    * @param {import('./PuzzleManager.js').PuzzleManager} puzzleManager
+   * @param {PowerNetwork} [network] - The network to link into (default: a
+   *   network of its own).
    */
-  constructor(scene, puzzleManager) {
+  constructor(scene, puzzleManager, network = new PowerNetwork()) {
     this.scene = scene;
     this.puzzleManager = puzzleManager;
+    this.network = network;
 
     /** @type {Map<string, string[]>} triggerId → [targetId, …] */
     this.connections = new Map();
@@ -23,12 +30,18 @@ export class ConnectionSystem {
 
   /**
    * Register a connection from a trigger to one or more target elements.
+   * Both ends must already be registered with the PuzzleManager.
    * @param {string} triggerId
    * @param {string[]} targetIds
    */
   connect(triggerId, targetIds) {
     const existing = this.connections.get(triggerId) || [];
     this.connections.set(triggerId, [...existing, ...targetIds]);
+
+    const trigger = this.puzzleManager.getElementById(triggerId);
+    for (const id of targetIds) {
+      this.network.connect(trigger, this.puzzleManager.getElementById(id));
+    }
   }
 
   /**
@@ -45,28 +58,16 @@ export class ConnectionSystem {
 
   /** @private */
   _onTriggerActivated(trigger) {
-    const targetIds = this.connections.get(trigger.elementId);
-    if (!targetIds) return;
-    for (const id of targetIds) {
-      const element = this.puzzleManager.getElementById(id);
-      if (element) element.activate();
-    }
+    this.network.setSource(trigger, true);
   }
 
   /** @private */
   _onTriggerDeactivated(trigger) {
-    const targetIds = this.connections.get(trigger.elementId);
-    if (!targetIds) return;
-    for (const id of targetIds) {
-      const element = this.puzzleManager.getElementById(id);
-      if (element) element.deactivate();
-    }
+    this.network.setSource(trigger, false);
   }
 
-  /** Per-frame update (reserved for future chain-reaction logic). */
-  update(time, delta) {
-    // Future: tick-based propagation, animation sequencing, etc.
-  }
+  /** Per-frame update (the network propagates on every change). */
+  update(time, delta) {}
 
   /** Clean up listeners. */
   destroy() {
@@ -1,8 +1,9 @@
 /**
- * GeneratorSystem — manages all generators and their linked elements.
+ * GeneratorSystem — manages all generators.
  *
- * Tracks primary and secondary generators, handles activation chains,
- * and coordinates auto-activation of puzzle elements.
+ * Tracks primary and secondary generators and activates them by id. The
+ * elements a generator powers are linked to it in the PowerNetwork.
+ * Weighs their loads each frame and trips overloaded breakers.
  */
 export class GeneratorSystem {
   /**
@@ -13,12 +14,6 @@ export class GeneratorSystem {
 
     /** @type {Map<string, import('../entities/Generator.js').Generator>} */
     this.generators = new Map();
-
-    /** @type {Map<string, string[]>} generatorId → [elementId, …] */
-    this.generatorLinks = new Map();
-
-    /** @type {Object.<string, Phaser.Physics.Arcade.Sprite>} elementId → element */
-    this.elementsById = {};
   }
 
   /**
@@ -30,25 +25,6 @@ export class GeneratorSystem {
     this.generators.set(generatorId, generator);
   }
 
-  /**
-   * Register an element that can be controlled by generators
-   * @param {string} elementId
-   * @param {Phaser.Physics.Arcade.Sprite} element
-   */
-  registerElement(elementId, element) {
-    this.elementsById[elementId] = element;
-  }
-
-  /**
-   * Define which elements are linked to a generator
-   * @param {string} generatorId
-   * @param {string[]} linkedElementIds
-   */
-  linkElementsToGenerator(generatorId, linkedElementIds) {
-    const existing = this.generatorLinks.get(generatorId) || [];
-    this.generatorLinks.set(generatorId, [...existing, ...linkedElementIds]);
-  }
-
   /**
    * Activate a generator and trigger all its linked elements
    * @param {string} generatorId
@@ -64,8 +40,7 @@ export class GeneratorSystem {
     // Skip if already activated
     if (gen.isActivated) return false;
 
-    // Activate generator and all linked elements
-    gen.activate(this.elementsById);
+    gen.activate();
     return true;
   }
 
@@ -84,8 +59,7 @@ export class GeneratorSystem {
     // Skip if already deactivated
     if (!gen.isActivated) return false;
 
-    // Deactivate generator and all linked elements
-    gen.deactivate(this.elementsById);
+    gen.deactivate();
     return true;
   }
 
@@ -101,10 +75,31 @@ export class GeneratorSystem {
       return false;
     }
 
-    gen.toggle(this.elementsById);
+    gen.toggle();
     return gen.isActivated;
   }
 
+  /**
+   * Weigh each generator's load — the `load` of every powered element
+   * downstream of it in the PowerNetwork — and trip the breaker of any that
+   * is over capacity. An element two generators power counts on both.
+   * Call every frame (GameScene.update).
+   * @param {Iterable<object>} plugs - Plug points the player's live cords power.
+   * @param {import('../entities/Generator.js').Generator | null} tethered - The player's generator (feeds `plugs`).
+   */
+  updateBreakers(plugs, tethered) {
+    for (const gen of this.generators.values()) {
+      if (!gen.hasBreaker || !gen.network) continue;
+      const roots = gen === tethered ? [...plugs] : gen.isPrimary || !gen.supplying ? [] : [gen];
+      let load = 0;
+      for (const node of gen.network.downstream(roots)) {
+        if (gen.network.isPowered(node)) load += node.load ?? 0;
+      }
+      gen.setLoad(load);
+      if (load > gen.capacity) gen.trip();
+    }
+  }
+
   /**
    * Get status of a generator
    * @param {string} generatorId
@@ -119,7 +114,7 @@ export class GeneratorSystem {
     const gen = this.generators.get(generatorId);
     if (!gen) return null;
 
-    const linkedIds = this.generatorLinks.get(generatorId) || [];
+    const linkedIds = (gen.network?.linksFrom(gen) ?? []).map(el => el.elementId);
     return {
       activated: gen.isActivated,
       isPrimary: gen.isPrimary,
@@ -161,7 +156,5 @@ export class GeneratorSystem {
    */
   destroy() {
     this.generators.clear();
-    this.generatorLinks.clear();
-    this.elementsById = {};
   }
 }
@@ -0,0 +1,188 @@
+/**
+ * PowerNetwork — the one path power takes from where it comes from to the
+ * puzzle elements it runs.
+ *
+ *   sources     nodes switched on and off by play: terminals (a live cord
+ *               plugged in), secondary generators (activated), trigger
+ *               zones (fired), logic gates (output on), relays and
+ *               capacitors (holding), pressure plates (pressed), levers (on)
+ *   conductors  the links from level data — terminal / power strip /
+ *               logic gate / relay / plate / lever `linkTo`, generator `autoActivateIds`,
+ *               trigger zone `triggersIds`
+ *   sinks       doors, elevators, drawbridges, relays: anything with
+ *               activate() / deactivate()
+ *
+ * A node is powered while it is a source that is on, or while any node
+ * linked into it is powered. Whenever a source changes, every node's state
+ * is recomputed and sinks whose feed flipped are activated or deactivated.
+ * A sink hears about its feed only — power reaching it through a link —
+ * so a relay, which is both, is activated by its input and not by its own
+ * output. So an element with several sources stays on until the last
+ * of them goes off: unplugging one terminal no longer switches off an
+ * elevator a generator is still running.
+ *
+ * An inverted link (a terminal's `{ id, invert: true }`) carries power
+ * while its source is OFF: the door behind it stands open until the
+ * terminal is plugged in. It reads the source's own on/off state, so it
+ * only makes sense from a source.
+ */
+export class PowerNetwork {
+  constructor() {
+    /** @type {Map<object, Set<object>>} node → nodes it feeds */
+    this._links = new Map();
+
+    /** @type {Map<object, Set<object>>} source → nodes it feeds while off */
+    this._inverted = new Map();
+
+    /** Sources currently on. */
+    this._live = new Set();
+
+    /** Nodes currently powered (live sources included). */
+    this._powered = new Set();
+
+    /** Nodes power reaches through a link (what sinks are switched by). */
+    this._fed = new Set();
+
+    /** A sink switched during a recompute changed a source: go again. */
+    this._recomputing = false;
+    this._stale = false;
+  }
+
+  /**
+   * Link two nodes: `to` is powered whenever `from` is (or, inverted,
+   * whenever source `from` is off).
+   * @param {object} from - A source or a node fed by one.
+   * @param {object} to - Usually a sink; may feed further nodes itself.
+   * @param {object} [opts]
+   * @param {boolean} [opts.invert=false]
+   */
+  connect(from, to, { invert = false } = {}) {
+    if (!from || !to) return;
+    const links = invert ? this._inverted : this._links;
+    if (!links.has(from)) links.set(from, new Set());
+    links.get(from).add(to);
+    this._recompute();
+  }
+
+  /**
+   * Switch a source on or off; recomputes the network if it changed.
+   * @param {object} source
+   * @param {boolean} on
+   */
+  setSource(source, on) {
+    if (this._live.has(source) === on) return;
+    if (on) this._live.add(source);
+    else this._live.delete(source);
+    this._recompute();
+  }
+
+  /** @returns {boolean} Whether a node receives power (or is a live source). */
+  isPowered(node) {
+    return this._powered.has(node);
+  }
+
+  /** @returns {object[]} The nodes a node feeds directly (inverted links included). */
+  linksFrom(node) {
+    return [...(this._links.get(node) ?? []), ...(this._inverted.get(node) ?? [])];
+  }
+
+  /**
+   * Every node power from `roots` reaches through (non-inverted) links,
+   * relays and their outputs included — what a generator's breaker carries.
+   * @param {Iterable<object>} roots
+   * @returns {Set<object>} The nodes reached (roots not included unless fed back).
+   */
+  downstream(roots) {
+    const reached = new Set();
+    const stack = [...roots];
+    while (stack.length) {
+      for (const next of this._links.get(stack.pop()) ?? []) {
+        if (reached.has(next)) continue;
+        reached.add(next);
+        stack.push(next);
+      }
+    }
+    return reached;
+  }
+
+  /** @returns {boolean} Whether `from` feeds `to` through an inverted link. */
+  isInverted(from, to) {
+    return this._inverted.get(from)?.has(to) ?? false;
+  }
+
+  /** Forget every node (scene shutdown). Sinks are not switched off. */
+  destroy() {
+    this._links.clear();
+    this._inverted.clear();
+    this._live.clear();
+    this._powered.clear();
+    this._fed.clear();
+  }
+
+  /**
+   * Recompute until nothing changes: a sink switched along the way may
+   * switch a source itself (a relay starting to hold). A feedback loop —
+   * an element whose output switches its own input — never settles, so
+   * the passes are capped at one per node (plus one); the last state
+   * stands with a warning. LevelValidator rejects such loops.
+   */
+  _recompute() {
+    if (this._recomputing) {
+      this._stale = true;
+      return;
+    }
+    this._recomputing = true;
+    try {
+      const maxPasses = this._nodeCount() + 1;
+      let passes = 0;
+      do {
+        this._stale = false;
+        this._flood();
+      } while (this._stale && ++passes < maxPasses);
+      if (this._stale) {
+        this._stale = false;
+        console.warn(`PowerNetwork: power did not settle after ${maxPasses} passes — a feedback loop? Keeping the last state`);
+      }
+    } finally {
+      this._recomputing = false;
+    }
+  }
+
+  /** How many nodes the network knows (sources, links and their targets). */
+  _nodeCount() {
+    const nodes = new Set(this._live);
+    for (const links of [this._links, this._inverted]) {
+      for (const [from, to] of links) {
+        nodes.add(from);
+        for (const node of to) nodes.add(node);
+      }
+    }
+    return nodes.size;
+  }
+
+  /** Flood power out from the live sources and switch the sinks whose feed changed. */
+  _flood() {
+    const fed = new Set();
+    for (const [source, nodes] of this._inverted) {
+      if (!this._live.has(source)) for (const node of nodes) fed.add(node);
+    }
+    const stack = [...this._live, ...fed];
+    while (stack.length) {
+      for (const next of this._links.get(stack.pop()) ?? []) {
+        if (fed.has(next)) continue;
+        fed.add(next);
+        stack.push(next);
+      }
+    }
+
+    const before = this._fed;
+    this._fed = fed;
+    this._powered = new Set([...this._live, ...fed]);
+    for (const node of before) {
+      if (!fed.has(node)) node.deactivate?.();
+    }
+    for (const node of fed) {
+      if (!before.has(node)) node.activate?.();
+    }
+  }
+}
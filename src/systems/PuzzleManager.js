@@ -9,7 +9,8 @@ import { Trigger } from '../puzzles/Trigger.js';
  *
  * Reads the "Objects" layer from a Tiled JSON tilemap and instantiates
  * the appropriate class for each object, then registers it by ID so
- * the ConnectionSystem can look it up.
+ * the ConnectionSystem can link it into a PowerNetwork. (The game's own
+ * levels load through TiledLevelLoader instead.)
  */
 
 /** Map of Tiled object type strings to constructors. */
@@ -0,0 +1,73 @@
+/**
+ * ReplayStore — keeps the best recorded run per level in localStorage, for
+ * ghost runs, plus the ghost on/off setting.
+ *
+ * "Best" is the completed run with the shortest game time. Storage failures
+ * (private browsing, quota, no localStorage in Node) are ignored — ghosts are
+ * a nicety, never a reason to interrupt play.
+ */
+
+import { isReplay } from './ReplaySystem.js';
+
+const BEST_RUNS_KEY = 'everything-is-connected.bestRuns';
+const GHOST_KEY = 'everything-is-connected.ghost';
+
+// ═══════════════════════════════════════════════════════════════
+//  PUBLIC API
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * @param {string} levelId
+ * @returns {object|null} The best completed recording for the level.
+ */
+export function getBestRun(levelId) {
+  const run = readJson(BEST_RUNS_KEY)?.[levelId];
+  return isReplay(run) ? run : null;
+}
+
+/**
+ * Keep a recording if it completed the level faster than the stored best.
+ * @param {object} recording - From ReplaySystem.finish().
+ * @returns {boolean} true if it is the new best run.
+ */
+export function saveRunIfBest(recording) {
+  if (!recording.completed) return false;
+  const best = getBestRun(recording.levelId);
+  if (best && best.duration <= recording.duration) return false;
+
+  const runs = readJson(BEST_RUNS_KEY) || {};
+  runs[recording.levelId] = recording;
+  return writeJson(BEST_RUNS_KEY, runs);
+}
+
+/** Whether the best-run ghost is shown while playing (on by default). */
+export function isGhostEnabled() {
+  return readJson(GHOST_KEY) !== false;
+}
+
+/** @param {boolean} enabled */
+export function setGhostEnabled(enabled) {
+  writeJson(GHOST_KEY, enabled);
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+function readJson(key) {
+  try {
+    const text = globalThis.localStorage?.getItem(key);
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeJson(key, value) {
+  try {
+    globalThis.localStorage?.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
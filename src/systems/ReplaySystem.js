@@ -0,0 +1,229 @@
+/**
+ * ReplaySystem — records a run as the inputs Player.update reads, and plays
+ * recordings back frame for frame.
+ *
+ * Every GameScene frame is driven by one frame delta, rounded to 0.1 ms. The
+ * delta is stored while recording and substituted on playback, for the whole
+ * scene step (Arcade physics, the scene clock behind delayedCall, animations)
+ * and for the scene's tweens (which would otherwise read the wall clock). The
+ * same deltas and inputs reproduce the same run on any machine and frame rate.
+ *
+ * Recording format (plain JSON, see `isReplay`):
+ *   {
+ *     type: 'replay', version: 1,
+ *     levelId, packId, recordedAt,
+ *     completed,                   // ended by reaching the goal
+ *     frames, duration,            // frame count, ms of game time
+ *     deltas: [[ms, count], …],    // frame deltas, run-length encoded
+ *     inputs: [[frame, ms, bits], …],  // input changes (INPUT_BITS), time-stamped
+ *     ghost: [[ms, x, y, flipX, anim], …],  // player pose every GHOST_SAMPLE_MS
+ *   }
+ */
+
+export const REPLAY_VERSION = 1;
+
+/** Player input field → bit in a recording's `inputs` stream. */
+export const INPUT_BITS = {
+  left: 1,
+  right: 2,
+  jump: 4,          // up arrow, Space or the touch ▲
+  action: 8,        // D / ⚡ held
+  interact: 16,     // F / 🔧 held
+  actionTap: 32,    // touch ⚡ "just pressed" edge
+  interactTap: 64,  // touch 🔧 "just pressed" edge
+  cycleCord: 128,   // C / touch 🔌 held (cord selector)
+};
+
+/** How often the ghost pose is sampled (ms of game time). */
+const GHOST_SAMPLE_MS = 50;
+
+/** Frame deltas are quantised so recordings stay small and exact. */
+const quantise = delta => Math.round(delta * 10) / 10;
+
+// ═══════════════════════════════════════════════════════════════
+//  PUBLIC API
+// ═══════════════════════════════════════════════════════════════
+
+/** @returns {number} Bit mask for a Player input object. */
+export function encodeInput(input) {
+  let bits = 0;
+  for (const [name, bit] of Object.entries(INPUT_BITS)) {
+    if (input[name]) bits |= bit;
+  }
+  return bits;
+}
+
+/** @returns {object} Player input object for a bit mask. */
+export function decodeInput(bits) {
+  const input = {};
+  for (const [name, bit] of Object.entries(INPUT_BITS)) input[name] = (bits & bit) !== 0;
+  return input;
+}
+
+/** True if parsed JSON looks like a recording this version can play. */
+export function isReplay(data) {
+  return data?.type === 'replay' && data.version === REPLAY_VERSION &&
+    typeof data.levelId === 'string' && Array.isArray(data.deltas) && Array.isArray(data.inputs);
+}
+
+export class ReplaySystem {
+  /**
+   * @param {Phaser.Scene} scene - The GameScene being played.
+   * @param {object} opts
+   * @param {string} opts.levelId
+   * @param {string|null} [opts.packId]
+   * @param {object|null} [opts.replay] - Recording to play back; records when null.
+   */
+  constructor(scene, { levelId, packId = null, replay = null }) {
+    this.scene = scene;
+    this.levelId = levelId;
+    this.packId = packId;
+
+    /** The recording being played back, or null while recording. */
+    this.replay = replay;
+
+    /** Frames stepped since the level started. */
+    this.frame = 0;
+
+    /** Game time since the level started (ms). */
+    this.time = 0;
+
+    /** Delta of the frame being stepped. */
+    this._delta = 0;
+
+    // Recording
+    this._deltas = [];
+    this._inputs = [];
+    this._ghost = [];
+    this._lastBits = -1;
+    this._nextSample = 0;
+    this._finished = null;
+
+    // Playback cursors
+    this._deltaRun = 0;
+    this._deltaUsed = 0;
+    this._inputIndex = 0;
+    this._bits = 0;
+  }
+
+  /** True when playing a recording back. */
+  get isPlaying() {
+    return this.replay !== null;
+  }
+
+  /** True once playback has used up every recorded frame. */
+  get ended() {
+    return this.isPlaying && this.frame >= this.replay.frames;
+  }
+
+  /**
+   * Take over the scene's frame timing until it shuts down. Call from create().
+   */
+  attach() {
+    const { sys, tweens, events } = this.scene;
+    const step = sys.step;
+    sys.step = (time, delta) => step.call(sys, time, this._beginFrame(delta));
+    tweens.getDelta = () => this._delta;
+    events.once('shutdown', () => {
+      delete sys.step;
+      delete tweens.getDelta;
+    });
+  }
+
+  /**
+   * The input for this frame: the recorded one on playback (nothing held once
+   * it ends), else the live keyboard/touch state.
+   * @param {import('../entities/Player.js').Player} player
+   */
+  readInput(player) {
+    return this.isPlaying ? decodeInput(this._bits) : player.readInput();
+  }
+
+  /**
+   * Store this frame's input and, every GHOST_SAMPLE_MS, the player's pose.
+   * Call once per frame after Player.update.
+   */
+  record(input, player) {
+    if (this.isPlaying || this._finished) return;
+
+    const bits = encodeInput(input);
+    if (bits !== this._lastBits) {
+      this._inputs.push([this.frame, Math.round(this.time), bits]);
+      this._lastBits = bits;
+    }
+
+    if (this.time >= this._nextSample) {
+      this._ghost.push([
+        Math.round(this.time), Math.round(player.x), Math.round(player.y),
+        player.flipX ? 1 : 0, player._currentAnimation,
+      ]);
+      this._nextSample += GHOST_SAMPLE_MS;
+    }
+  }
+
+  /**
+   * Stop recording (later frames are ignored) and return the recording.
+   * @param {boolean} completed - The run reached the goal.
+   */
+  finish(completed) {
+    if (!this._finished) this._finished = this.getRecording(completed);
+    return this._finished;
+  }
+
+  /**
+   * The recording so far (e.g. for a bug report mid-run).
+   * @param {boolean} [completed]
+   */
+  getRecording(completed = false) {
+    if (this._finished) return this._finished;
+    if (this.isPlaying) return this.replay;
+    return {
+      type: 'replay',
+      version: REPLAY_VERSION,
+      levelId: this.levelId,
+      packId: this.packId,
+      recordedAt: new Date().toISOString(),
+      completed,
+      frames: this.frame,
+      duration: Math.round(this.time),
+      deltas: this._deltas.map(run => [...run]),
+      inputs: this._inputs.map(change => [...change]),
+      ghost: this._ghost.map(sample => [...sample]),
+    };
+  }
+
+  // ───── Internals ─────
+
+  /** Pick the delta for the next frame and advance the input cursor. */
+  _beginFrame(delta) {
+    this.frame++;
+    if (this.isPlaying) {
+      this._delta = this._nextRecordedDelta() ?? quantise(delta);
+      const inputs = this.replay.inputs;
+      while (this._inputIndex < inputs.length && inputs[this._inputIndex][0] <= this.frame) {
+        this._bits = inputs[this._inputIndex++][2];
+      }
+      if (this.frame > this.replay.frames) this._bits = 0;
+    } else {
+      this._delta = quantise(delta);
+      if (!this._finished) {
+        const last = this._deltas[this._deltas.length - 1];
+        if (last && last[0] === this._delta) last[1]++;
+        else this._deltas.push([this._delta, 1]);
+      }
+    }
+    this.time += this._delta;
+    return this._delta;
+  }
+
+  _nextRecordedDelta() {
+    const runs = this.replay.deltas;
+    while (this._deltaRun < runs.length && this._deltaUsed >= runs[this._deltaRun][1]) {
+      this._deltaRun++;
+      this._deltaUsed = 0;
+    }
+    if (this._deltaRun >= runs.length) return null;
+    this._deltaUsed++;
+    return runs[this._deltaRun][0];
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * RunStats — what happened during one attempt at a level.
+ *
+ * GameScene counts into it while the level is played and stops the clock
+ * when the goal is reached; the level complete screen lists it and SaveData
+ * keeps the personal bests (fastest time, fewest deaths) per level.
+ */
+export class RunStats {
+  constructor() {
+    /** Game time from level start to reaching the goal (ms), 0 until then. */
+    this.time = 0;
+
+    /** Player.die calls. */
+    this.deaths = 0;
+
+    /** Cord plug-ins, unplugs, reels taken and cords fed from junction boxes. */
+    this.cordToggles = 0;
+
+    /** Enemies killed with the plug attack. */
+    this.enemiesZapped = 0;
+
+    /** Push blocks grabbed. */
+    this.blockGrabs = 0;
+  }
+
+  /** Rows for display, in a fixed order; `key` is the stat's field name. */
+  rows() {
+    return [
+      { key: 'time', label: 'Time', value: formatTime(this.time) },
+      { key: 'deaths', label: 'Deaths', value: this.deaths },
+      { key: 'cordToggles', label: 'Cord plugs / unplugs', value: this.cordToggles },
+      { key: 'enemiesZapped', label: 'Enemies zapped', value: this.enemiesZapped },
+      { key: 'blockGrabs', label: 'Blocks grabbed', value: this.blockGrabs },
+    ];
+  }
+}
+
+/**
+ * 83456 → '1:23.4'
+ * @param {number} ms
+ */
+export function formatTime(ms) {
+  const tenths = Math.floor(ms / 100);
+  const minutes = Math.floor(tenths / 600);
+  const seconds = Math.floor(tenths / 10) % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}.${tenths % 10}`;
+}
@@ -0,0 +1,204 @@
+/**
+ * SaveData — player progress, kept in localStorage.
+ *
+ * SAVE SCHEMA (version 2)
+ * =======================
+ * {
+ *   version:          2,
+ *   completedLevels:  string[],   // level ids finished at least once
+ *   unlockedLevels:   string[],   // level ids opened by finishing the level before
+ *   lastLevel:        { levelId: string, packId: string | null } | null,
+ *   tutorialComplete: boolean,    // every level of a `tutorial` pack finished
+ *   bests: {                      // personal bests per level id (each kept
+ *     [levelId]: { time: number, deaths: number },  // separately: ms, count)
+ *   },
+ * }
+ *
+ * First levels of unlocked packs need no entry in `unlockedLevels`; see
+ * LevelRegistry.isLevelUnlocked for the full rule.
+ *
+ * Changing the schema: bump SAVE_VERSION and add a MIGRATIONS step from the
+ * previous version. Old saves run through every step up to the current
+ * version when they are loaded. A save from a newer build than this one is
+ * left untouched in storage and the game runs on a blank save.
+ */
+
+import { getNextLevel, getLevelPack } from '../levels/LevelRegistry.js';
+
+const SAVE_KEY = 'everything-is-connected.save';
+
+export const SAVE_VERSION = 2;
+
+/** version → function upgrading a save of that version to version + 1. */
+const MIGRATIONS = {
+  // v2: personal bests
+  1: save => ({ ...save, version: 2, bests: {} }),
+};
+
+/** Loaded save, or null until first use. */
+let save = null;
+
+/** False when storage holds a save from a newer build (never overwritten). */
+let writable = true;
+
+// ═══════════════════════════════════════════════════════════════
+//  PUBLIC API
+// ═══════════════════════════════════════════════════════════════
+
+/** The current save (loaded on first call). Treat as read-only. */
+export function getSave() {
+  if (!save) save = load();
+  return save;
+}
+
+/** @returns {boolean} true if the level has been finished at least once. */
+export function isLevelCompleted(levelId) {
+  return getSave().completedLevels.includes(levelId);
+}
+
+/**
+ * Remember the level being played, for the menu's Continue button.
+ * @param {string} levelId
+ * @param {string|null} packId
+ */
+export function recordLevelStarted(levelId, packId) {
+  getSave().lastLevel = { levelId, packId };
+  persist();
+}
+
+/** @returns {{ time: number, deaths: number }|null} The level's personal bests. */
+export function getPersonalBest(levelId) {
+  return getSave().bests[levelId] ?? null;
+}
+
+/**
+ * Mark a level finished: unlocks the level after it (in the pack being
+ * played, or the next pack's first level), notes tutorial completion and
+ * updates the personal bests.
+ * @param {string} levelId
+ * @param {string|null} packId
+ * @param {import('./RunStats.js').RunStats} stats - The finished run.
+ * @returns {{ time: boolean, deaths: boolean }} Which personal bests the run set.
+ */
+export function recordLevelComplete(levelId, packId, stats) {
+  const data = getSave();
+  addUnique(data.completedLevels, levelId);
+
+  const best = data.bests[levelId];
+  const improved = {
+    time: !best || stats.time < best.time,
+    deaths: !best || stats.deaths < best.deaths,
+  };
+  data.bests[levelId] = {
+    time: improved.time ? stats.time : best.time,
+    deaths: improved.deaths ? stats.deaths : best.deaths,
+  };
+
+  const next = getNextLevel(levelId, packId);
+  if (next) addUnique(data.unlockedLevels, next.id);
+
+  const pack = getLevelPack(levelId, packId);
+  if (pack?.tutorial && pack.levels.every(l => data.completedLevels.includes(l.id))) {
+    data.tutorialComplete = true;
+  }
+  data.lastLevel = { levelId, packId };
+  persist();
+  return improved;
+}
+
+/**
+ * Where Continue picks up: the last level played, or the level after it if
+ * that one was finished (the last level played again when nothing follows).
+ * @returns {{ levelId: string, packId: string|null }|null}
+ */
+export function getContinueLevel() {
+  const last = getSave().lastLevel;
+  if (!last || !getLevelPack(last.levelId, last.packId)) return null;
+  if (!isLevelCompleted(last.levelId)) return last;
+
+  const next = getNextLevel(last.levelId, last.packId);
+  if (!next) return last;
+  return { levelId: next.id, packId: getLevelPack(next.id, last.packId)?.id ?? null };
+}
+
+/** Forget all progress. */
+export function resetSave() {
+  save = blankSave();
+  writable = true;
+  persist();
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+function blankSave() {
+  return {
+    version: SAVE_VERSION,
+    completedLevels: [],
+    unlockedLevels: [],
+    lastLevel: null,
+    tutorialComplete: false,
+    bests: {},
+  };
+}
+
+/** Read, migrate and sanity-check the stored save; a blank save if there is none. */
+function load() {
+  let data;
+  try {
+    const text = globalThis.localStorage?.getItem(SAVE_KEY);
+    data = text ? JSON.parse(text) : null;
+  } catch (e) {
+    console.warn('SaveData: unreadable save, starting fresh', e);
+    data = null;
+  }
+  if (!data || typeof data !== 'object') return blankSave();
+
+  let version = Number.isInteger(data.version) ? data.version : 0;
+  if (version > SAVE_VERSION) {
+    console.warn(`SaveData: save version ${version} is newer than this build (${SAVE_VERSION}); not touching it`);
+    writable = false;
+    return blankSave();
+  }
+  while (version < SAVE_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      console.warn(`SaveData: no migration from save version ${version}, starting fresh`);
+      return blankSave();
+    }
+    data = migrate(data);
+    version = data.version;
+  }
+  return normalise(data);
+}
+
+/** Drop malformed fields so a hand-edited save can't break the menu. */
+function normalise(data) {
+  const ids = value => (Array.isArray(value) ? value.filter(id => typeof id === 'string') : []);
+  const last = data.lastLevel;
+  return {
+    version: SAVE_VERSION,
+    completedLevels: ids(data.completedLevels),
+    unlockedLevels: ids(data.unlockedLevels),
+    lastLevel: typeof last?.levelId === 'string'
+      ? { levelId: last.levelId, packId: typeof last.packId === 'string' ? last.packId : null }
+      : null,
+    tutorialComplete: data.tutorialComplete === true,
+    bests: Object.fromEntries(Object.entries(data.bests ?? {}).filter(([, best]) =>
+      Number.isFinite(best?.time) && Number.isFinite(best?.deaths))),
+  };
+}
+
+function persist() {
+  if (!writable) return;
+  try {
+    globalThis.localStorage?.setItem(SAVE_KEY, JSON.stringify(getSave()));
+  } catch (e) {
+    console.warn('SaveData: could not write save', e);
+  }
+}
+
+function addUnique(list, id) {
+  if (!list.includes(id)) list.push(id);
+}
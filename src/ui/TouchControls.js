@@ -5,10 +5,12 @@ import Phaser from 'phaser';
  *
  * Layout (landscape phone):
  *   Left side  — D-pad: ◀ ▶ (horizontal movement only)
- *   Right side — three round buttons: ▲ Jump  ⚡ Action (D)  🔧 Interact (F)
+ *   Right side — three round buttons: ▲ Jump  ⚡ Action (D)  🔧 Interact (F),
+ *                plus a small 🔌 cord selector (C) above them in levels with
+ *                more than one cord
  *
  * Exposes a state object that Player reads every frame:
- *   touchControls.state.left / right / up / action / interact
+ *   touchControls.state.left / right / up / action / interact / cycleCord
  *
  * All positions are in *screen* coordinates (fixed to camera) so the
  * controls stay pinned while the game world scrolls.
@@ -16,9 +18,12 @@ import Phaser from 'phaser';
 export class TouchControls {
   /**
    * @param {Phaser.Scene} scene — the UI overlay scene
+   * @param {object} [opts]
+   * @param {boolean} [opts.cordSelector=false] — show the 🔌 cord selector button
    */
-  constructor(scene) {
+  constructor(scene, { cordSelector = false } = {}) {
     this.scene = scene;
+    this._cordSelector = cordSelector;
 
     /** Current virtual-button state — mirrors keyboard cursors. */
     this.state = {
@@ -27,6 +32,7 @@ export class TouchControls {
       up: false,
       action: false,       // D key equivalent
       interact: false,     // F key equivalent
+      cycleCord: false,    // C key equivalent
       actionJustPressed: false,
       interactJustPressed: false,
     };
@@ -89,6 +95,14 @@ export class TouchControls {
       actionX, height - MARGIN - BTN_RADIUS,
       BTN_RADIUS, '🔧', 'interact', ALPHA, ALPHA_PRESSED, 0x44aaff,
     );
+
+    // Cord selector ("C" key) — small, up in the corner clear of the jump button
+    if (this._cordSelector) {
+      this._makeButton(
+        actionX + BTN_RADIUS * 0.2, height - MARGIN - BTN_RADIUS * 4.4,
+        Math.round(BTN_RADIUS * 0.7), '🔌', 'cycleCord', ALPHA, ALPHA_PRESSED, 0xff8800,
+      );
+    }
   }
 
   /**
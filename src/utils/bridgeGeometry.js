@@ -0,0 +1,80 @@
+/**
+ * Bridge geometry — the leaves of a drawbridge and where their planks lie.
+ *
+ * A drawbridge entry (see LevelRegistry.js) spans `width` px from its hinge
+ * at (pivotX, pivotY) toward `direction`. 'both' splits it into two leaves
+ * of half the width, hinged at either end of the span [pivotX, pivotX +
+ * width] and meeting in the middle.
+ *
+ * Angles are elevations in degrees, measured at the hinge from the way the
+ * leaf extends: 0 is flat, +90 standing up, −90 hanging down. `style` picks
+ * the rest (unpowered) and open (powered) angles; `restAngle` / `openAngle`
+ * override them, so a bridge can stop part-way as a ramp:
+ *
+ *   'drawbridge'  hangs down, swings up flat      (−90 → 0)
+ *   'lift'        lies flat, rises into a wall    (0 → 90)
+ *
+ * A plank's walkable line is its centre line, which is flush with the hinge
+ * height when flat. Up to MAX_SLOPE it can be walked on as a ramp.
+ *
+ * Pure functions, no Phaser import: Drawbridge, LevelValidator and
+ * LevelSolver all read bridges through these.
+ */
+
+import { DRAWBRIDGE } from '../config.js';
+
+/** Rest and open angles of each style. */
+export const BRIDGE_STYLES = {
+  drawbridge: { rest: -90, open: 0 },
+  lift: { rest: 0, open: 90 },
+};
+
+/** Steepest plank (deg) the player, blocks and enemies can stand on. */
+export const MAX_SLOPE = DRAWBRIDGE.MAX_SLOPE;
+
+/**
+ * The rest and open angles of a bridge.
+ * @returns {{ rest: number, open: number }}
+ */
+export function bridgeAngles(db) {
+  const style = BRIDGE_STYLES[db.style] ?? BRIDGE_STYLES.drawbridge;
+  return { rest: db.restAngle ?? style.rest, open: db.openAngle ?? style.open };
+}
+
+/**
+ * The leaves of a bridge: hinge, the way each extends (+1 right, −1 left)
+ * and its length.
+ * @returns {{ x: number, y: number, dir: number, length: number }[]}
+ */
+export function bridgeLeaves(db) {
+  const w = db.width ?? DRAWBRIDGE.WIDTH;
+  const direction = db.direction ?? 'right';
+  if (direction === 'both') {
+    return [
+      { x: db.pivotX, y: db.pivotY, dir: 1, length: w / 2 },
+      { x: db.pivotX + w, y: db.pivotY, dir: -1, length: w / 2 },
+    ];
+  }
+  const dir = direction === 'left' ? -1 : 1;
+  return [{ x: db.pivotX, y: db.pivotY, dir, length: w }];
+}
+
+/** The free end of a leaf's plank line at `angle`. */
+export function leafEnd(leaf, angle) {
+  const rad = angle * Math.PI / 180;
+  return {
+    x: leaf.x + leaf.dir * leaf.length * Math.cos(rad),
+    y: leaf.y - leaf.length * Math.sin(rad),
+  };
+}
+
+/**
+ * Height of a leaf's plank line above x at `angle`, or null where the
+ * plank isn't (or is too steep to stand on).
+ */
+export function leafTopAt(leaf, angle, x) {
+  if (Math.abs(angle) > MAX_SLOPE) return null;
+  const end = leafEnd(leaf, angle);
+  if (x < Math.min(leaf.x, end.x) || x > Math.max(leaf.x, end.x)) return null;
+  return leaf.y - Math.tan(angle * Math.PI / 180) * (x - leaf.x) * leaf.dir;
+}
@@ -0,0 +1,123 @@
+/**
+ * Cord geometry — segments, rectangle corners and cord lengths for an
+ * extension cord that bends around solid rectangles.
+ *
+ * Pure functions, no Phaser import: ExtensionCord wraps the in-game cord
+ * with them, LevelValidator / LevelSolver measure the shortest possible
+ * cord route around a level's platforms in plain Node.
+ *
+ * Rects are { left, top, right, bottom } in world px.
+ */
+
+/** Corners sit this far outside their rect so a cord resting on one clears it. */
+export const CORNER_PAD = 1;
+
+/**
+ * True if the segment a→b passes through the inside of the rect (running
+ * along an edge or touching a corner doesn't count).
+ */
+export function segmentHitsRect(ax, ay, bx, by, rect) {
+  // Liang–Barsky clip of the segment against the rect
+  let t0 = 0;
+  let t1 = 1;
+  const dx = bx - ax;
+  const dy = by - ay;
+  const edges = [
+    [-dx, ax - rect.left],
+    [dx, rect.right - ax],
+    [-dy, ay - rect.top],
+    [dy, rect.bottom - ay],
+  ];
+  for (const [p, q] of edges) {
+    if (p === 0) {
+      if (q <= 0) return false;
+      continue;
+    }
+    const t = q / p;
+    if (p < 0) t0 = Math.max(t0, t);
+    else t1 = Math.min(t1, t);
+    if (t0 >= t1) return false;
+  }
+  return (t1 - t0) * Math.hypot(dx, dy) > 1e-6;
+}
+
+/** True if the point is inside the rect (edges included). */
+export function rectContains(rect, x, y) {
+  return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+}
+
+/**
+ * The four corner points of a rect, pushed CORNER_PAD outwards.
+ * `sx` / `sy` are -1 for the left / top side, +1 for right / bottom.
+ * @returns {{ x: number, y: number, sx: number, sy: number }[]}
+ */
+export function rectCorners(rect) {
+  const out = [];
+  for (const sx of [-1, 1]) {
+    for (const sy of [-1, 1]) {
+      out.push({ ...cornerPoint(rect, sx, sy), sx, sy });
+    }
+  }
+  return out;
+}
+
+/** One padded corner of a rect (see rectCorners). */
+export function cornerPoint(rect, sx, sy) {
+  return {
+    x: (sx < 0 ? rect.left : rect.right) + sx * CORNER_PAD,
+    y: (sy < 0 ? rect.top : rect.bottom) + sy * CORNER_PAD,
+  };
+}
+
+/** Total length of a polyline of { x, y } points. */
+export function pathLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+  }
+  return length;
+}
+
+/**
+ * Length of the shortest cord from `from` to `to` that bends around the
+ * rects (a taut cord only ever bends at rect corners). Rects containing
+ * either end are ignored, corners outside `bounds` are never used.
+ * @param {{ x: number, y: number }} from
+ * @param {{ x: number, y: number }} to
+ * @param {object[]} rects
+ * @param {object} [opts]
+ * @param {object} [opts.bounds] - Rect the cord must stay inside (the world).
+ * @param {number} [opts.maxLength=Infinity] - Stop searching past this length.
+ * @returns {number} The length, or Infinity if there is no route within maxLength.
+ */
+export function shortestCordLength(from, to, rects, { bounds = null, maxLength = Infinity } = {}) {
+  const solid = rects.filter(r => !rectContains(r, from.x, from.y) && !rectContains(r, to.x, to.y));
+  const clear = (a, b) => !solid.some(r => segmentHitsRect(a.x, a.y, b.x, b.y, r));
+
+  // Visibility graph: the two ends plus every usable corner; Dijkstra over it
+  const nodes = [from, to];
+  for (const r of solid) {
+    for (const c of rectCorners(r)) {
+      if (bounds && !rectContains(bounds, c.x, c.y)) continue;
+      if (solid.some(other => rectContains(other, c.x, c.y))) continue;
+      nodes.push(c);
+    }
+  }
+  const dist = nodes.map(() => Infinity);
+  const done = nodes.map(() => false);
+  dist[0] = 0;
+  for (;;) {
+    let i = -1;
+    for (let n = 0; n < nodes.length; n++) {
+      if (!done[n] && (i < 0 || dist[n] < dist[i])) i = n;
+    }
+    if (i < 0 || dist[i] > maxLength) return Infinity;
+    if (i === 1) return dist[1];
+    done[i] = true;
+    for (let n = 0; n < nodes.length; n++) {
+      if (done[n]) continue;
+      const d = dist[i] + Math.hypot(nodes[n].x - nodes[i].x, nodes[n].y - nodes[i].y);
+      if (d < dist[n] && clear(nodes[i], nodes[n])) dist[n] = d;
+    }
+  }
+}
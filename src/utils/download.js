@@ -0,0 +1,18 @@
+/**
+ * Browser file download helper.
+ */
+
+/**
+ * Offer text as a file download.
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} type - MIME type
+ */
+export function download(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
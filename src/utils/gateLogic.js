@@ -0,0 +1,77 @@
+/**
+ * Gate logic — what a logic gate outputs and which order to evaluate a
+ * level's gates in.
+ *
+ * Pure functions, no Phaser import: LogicGate runs the in-game gates with
+ * them, LevelValidator / LevelSolver check and model `logicGates` in
+ * plain Node.
+ */
+
+/** Gate types, as written in level data (`logicGates[].type`). */
+export const GATE_TYPES = ['and', 'or', 'not', 'xor', 'latch'];
+
+/** How many inputs each gate type takes: [min, max]. */
+export const GATE_INPUTS = {
+  and:   [1, Infinity],
+  or:    [1, Infinity],
+  not:   [1, 1],
+  xor:   [1, Infinity],
+  latch: [1, 2],        // [set, reset]
+};
+
+/**
+ * A gate's output for its current inputs.
+ *   and   — every input on
+ *   or    — any input on
+ *   not   — its input off
+ *   xor   — an odd number of inputs on
+ *   latch — turns on when `set` (input 0) is on, off when `reset`
+ *           (input 1) is on (reset wins), otherwise keeps `latched`
+ * @param {string} type
+ * @param {boolean[]} inputs
+ * @param {boolean} [latched=false] - The latch's output so far.
+ * @returns {boolean}
+ */
+export function gateOutput(type, inputs, latched = false) {
+  switch (type) {
+    case 'and': return inputs.length > 0 && inputs.every(Boolean);
+    case 'or': return inputs.some(Boolean);
+    case 'not': return !inputs[0];
+    case 'xor': return inputs.filter(Boolean).length % 2 === 1;
+    case 'latch':
+      if (inputs[1]) return false;
+      return inputs[0] ? true : latched;
+    default: return false;
+  }
+}
+
+/**
+ * Order gates so every gate comes after the gates it reads, which lets one
+ * pass settle a whole circuit.
+ * @param {{ id: string, inputs?: string[] }[]} gates
+ * @returns {{ order: object[], cycle: string[] | null }} `cycle` lists the ids
+ *   of gates in (or fed by) a loop of gates — left out of `order` — or null.
+ */
+export function orderGates(gates) {
+  const byId = new Map(gates.map(g => [g.id, g]));
+  const order = [];
+  const mark = new Map(); // id → 'visiting' | 'ok' | 'loop'
+
+  const visit = (gate) => {
+    const seen = mark.get(gate.id);
+    if (seen) return seen === 'ok';
+    mark.set(gate.id, 'visiting');
+    let ok = true;
+    for (const id of gate.inputs || []) {
+      const input = byId.get(id);
+      if (input && !visit(input)) ok = false;
+    }
+    mark.set(gate.id, ok ? 'ok' : 'loop');
+    if (ok) order.push(gate);
+    return ok;
+  };
+  for (const gate of gates) visit(gate);
+
+  const cycle = gates.filter(g => mark.get(g.id) === 'loop').map(g => g.id);
+  return { order, cycle: cycle.length ? cycle : null };
+}
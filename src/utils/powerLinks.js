@@ -0,0 +1,54 @@
+/**
+ * Power links — the `linkTo` of terminals and power strips.
+ *
+ * A `linkTo` is one element id, or a list whose entries are element ids or
+ * `{ id, invert: true }` objects. An inverted link powers its element while
+ * the plug is NOT powered, so one plug can open door A and close door B:
+ *
+ *   linkTo: ['doorA', { id: 'doorB', invert: true }]
+ *
+ * Where links are typed as text (editor prompt, Tiled property) an inverted
+ * link is written with a leading '!': 'doorA, !doorB'.
+ *
+ * Pure functions, no Phaser import: GameScene, LevelValidator, LevelSolver,
+ * the Tiled loader and the editor all read links through these.
+ */
+
+/**
+ * Normalise a `linkTo` value.
+ * @param {string | (string | { id: string, invert?: boolean })[] | undefined} linkTo
+ * @returns {{ id: string, invert: boolean }[]}
+ */
+export function parseLinks(linkTo) {
+  if (linkTo === undefined || linkTo === null || linkTo === '') return [];
+  const entries = Array.isArray(linkTo) ? linkTo : [linkTo];
+  return entries.map(entry => (typeof entry === 'string'
+    ? { id: entry, invert: false }
+    : { id: entry?.id, invert: entry?.invert === true }));
+}
+
+/**
+ * Links back to level data, in the shortest form: a lone plain link stays a
+ * string (unless `list` — power strips always take a list), otherwise a list
+ * with `{ id, invert: true }` for inverted links.
+ * @param {{ id: string, invert: boolean }[]} links
+ * @param {object} [opts]
+ * @param {boolean} [opts.list=false]
+ * @returns {string | (string | { id: string, invert: true })[]}
+ */
+export function formatLinks(links, { list = false } = {}) {
+  if (!list && links.length === 1 && !links[0].invert) return links[0].id;
+  return links.map(l => (l.invert ? { id: l.id, invert: true } : l.id));
+}
+
+/** 'doorA, !doorB' → [{ id: 'doorA', invert: false }, { id: 'doorB', invert: true }] */
+export function parseLinkText(text) {
+  return text.split(',').map(s => s.trim()).filter(Boolean).map(s => (s.startsWith('!')
+    ? { id: s.slice(1).trim(), invert: true }
+    : { id: s, invert: false }));
+}
+
+/** A `linkTo` as text, inverted links marked with '!' (see parseLinkText). */
+export function linkText(linkTo) {
+  return parseLinks(linkTo).map(l => `${l.invert ? '!' : ''}${l.id}`).join(', ');
+}
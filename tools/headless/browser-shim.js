@@ -0,0 +1,161 @@
+/**
+ * browser-shim.js
+ * Just enough of window / document / canvas for Phaser to boot in plain Node
+ * with the HEADLESS renderer. Every canvas gets a 2D context whose drawing
+ * calls do nothing — textures exist with the right sizes but stay blank.
+ *
+ * Imported for its side effects by simulation.js, before Phaser loads.
+ */
+
+const noop = () => {};
+
+/** 2D context stand-in: stores assigned properties, every unknown method is a no-op. */
+function createContext2d(canvas) {
+  const methods = {
+    canvas,
+    measureText: text => ({
+      width: String(text).length * 7,
+      actualBoundingBoxAscent: 10,
+      actualBoundingBoxDescent: 3,
+    }),
+    getImageData: (x, y, w, h) => createImageData(w, h),
+    createImageData: (w, h) => (typeof w === 'object' ? createImageData(w.width, w.height) : createImageData(w, h)),
+    createLinearGradient: () => ({ addColorStop: noop }),
+    createRadialGradient: () => ({ addColorStop: noop }),
+    createPattern: () => ({}),
+    getTransform: () => ({ a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 }),
+    isPointInPath: () => false,
+  };
+  return new Proxy({}, {
+    get: (props, key) => (key in props ? props[key] : key in methods ? methods[key] : noop),
+    set: (props, key, value) => { props[key] = value; return true; },
+  });
+}
+
+function createImageData(w = 1, h = 1) {
+  return { width: w, height: h, data: new Uint8ClampedArray(Math.max(1, w * h * 4)) };
+}
+
+class FakeElement {
+  constructor(tagName) {
+    this.tagName = tagName.toUpperCase();
+    this.style = {};
+    this.dataset = {};
+    this.children = [];
+    this.parentNode = null;
+  }
+
+  appendChild(child) { this.children.push(child); child.parentNode = this; return child; }
+  removeChild(child) { this.children = this.children.filter(c => c !== child); return child; }
+  addEventListener() {}
+  removeEventListener() {}
+  setAttribute() {}
+  getAttribute() { return null; }
+  focus() {}
+  blur() {}
+  getBoundingClientRect() { return { left: 0, top: 0, x: 0, y: 0, width: 1024, height: 768 }; }
+}
+
+class FakeCanvas extends FakeElement {
+  constructor() {
+    super('canvas');
+    this.width = 1;
+    this.height = 1;
+    this._context = null;
+  }
+
+  getContext(type) {
+    if (type !== '2d') return null; // no WebGL — Phaser stays on HEADLESS
+    this._context ||= createContext2d(this);
+    return this._context;
+  }
+
+  toDataURL() { return 'data:,'; }
+}
+
+/** Images "load" on the next tick with a 1×1 size (Phaser's built-in textures). */
+class FakeImage extends FakeElement {
+  constructor() {
+    super('img');
+    this.width = 1;
+    this.height = 1;
+    this.onload = null;
+    this.onerror = null;
+    this._src = '';
+  }
+
+  set src(value) {
+    this._src = value;
+    setTimeout(() => this.onload?.(), 0);
+  }
+
+  get src() { return this._src; }
+}
+
+/** Every request fails, so loader files (PNGs) fall back the way a 404 would. */
+class FailingXMLHttpRequest {
+  open() {}
+  setRequestHeader() {}
+  overrideMimeType() {}
+  send() { setTimeout(() => this.onerror?.({ target: this }), 0); }
+  abort() {}
+}
+
+/** In-memory Storage — best runs and save data last for the process. */
+class MemoryStorage {
+  #items = new Map();
+  get length() { return this.#items.size; }
+  key(i) { return [...this.#items.keys()][i] ?? null; }
+  getItem(key) { return this.#items.get(String(key)) ?? null; }
+  setItem(key, value) { this.#items.set(String(key), String(value)); }
+  removeItem(key) { this.#items.delete(String(key)); }
+  clear() { this.#items.clear(); }
+}
+
+function createElement(tagName) {
+  const tag = String(tagName).toLowerCase();
+  if (tag === 'canvas') return new FakeCanvas();
+  if (tag === 'img') return new FakeImage();
+  return new FakeElement(tag);
+}
+
+const documentElement = new FakeElement('html');
+const body = documentElement.appendChild(new FakeElement('body'));
+
+const globals = {
+  window: globalThis,
+  document: {
+    readyState: 'complete',
+    hidden: false,
+    visibilityState: 'visible',
+    documentElement,
+    body,
+    createElement,
+    createElementNS: (ns, tagName) => createElement(tagName),
+    getElementById: () => null,
+    addEventListener: noop,
+    removeEventListener: noop,
+  },
+  navigator: { userAgent: 'node', platform: 'node', maxTouchPoints: 0, language: 'en' },
+  screen: { width: 1024, height: 768, orientation: {} },
+  location: { href: 'http://localhost/', origin: 'http://localhost', search: '', hash: '' },
+  localStorage: new MemoryStorage(),
+  Image: FakeImage,
+  HTMLCanvasElement: FakeCanvas,
+  HTMLImageElement: FakeImage,
+  HTMLVideoElement: class extends FakeElement {},
+  XMLHttpRequest: FailingXMLHttpRequest,
+  innerWidth: 1024,
+  innerHeight: 768,
+  devicePixelRatio: 1,
+  addEventListener: noop,
+  removeEventListener: noop,
+  focus: noop,
+  // The simulation drives frames itself — Phaser's own loop never ticks
+  requestAnimationFrame: () => 0,
+  cancelAnimationFrame: noop,
+};
+
+for (const [key, value] of Object.entries(globals)) {
+  Object.defineProperty(globalThis, key, { value, configurable: true, writable: true });
+}
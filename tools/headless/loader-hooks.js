@@ -0,0 +1,27 @@
+/**
+ * loader-hooks.js
+ * Node module hooks for running game code outside Vite:
+ *   - `phaser` resolves to the prebuilt bundle (the package's `main` points at
+ *     raw sources that need Phaser's own webpack build)
+ *   - image imports become a placeholder URL string, like Vite's asset imports
+ *
+ * Registered by simulation.js via module.register().
+ */
+
+const ASSET = /\.(png|jpe?g|gif|svg|mp3|ogg|wav)$/i;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === 'phaser') return nextResolve('phaser/dist/phaser.js', context);
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (ASSET.test(url)) {
+    return {
+      format: 'module',
+      shortCircuit: true,
+      source: `export default ${JSON.stringify(url)};`,
+    };
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,354 @@
+/**
+ * simulation.js
+ * Headless simulation harness for GameScene logic — no browser needed.
+ *
+ * Boots Phaser with the HEADLESS renderer in plain Node, runs the real
+ * PreloadScene (sprite sheets, animations) and builds the level through the
+ * real GameScene.create → _buildLevel path. Each frame steps Arcade physics
+ * and GameScene.update at a fixed 60 Hz while scripted inputs are held.
+ *
+ *   const sim = await createSimulation({ levelId: 'level_01' });
+ *   sim.run([
+ *     { hold: ['right'], until: { x: 300 } },
+ *     { press: 'action' },                   // D — plug the cord in
+ *     { wait: 30 },
+ *   ]);
+ *   sim.isActive('D1');   // → true once the door opens
+ *   sim.goalReached;
+ *   sim.destroy();
+ *
+ * Recordings (ReplaySystem, e.g. saved with F8 in the game) play back with
+ * `createSimulation({ replay })` + `sim.playReplay()`; `sim.recording` is the
+ * simulated run in the same format.
+ *
+ * Stubbed out: drawing (browser-shim.js canvas contexts do nothing),
+ * Graphics.generateTexture (blank textures of the requested size), music and
+ * sound effects (no-ops), PNG loads (fail, so the game's own fallbacks run).
+ * Date.now() follows simulated time, so tweens advance one frame per step.
+ *
+ * Inputs: left, right, up, jump (Space), action (D — cord), interact (F — grab).
+ */
+import { register } from 'node:module';
+import './browser-shim.js';
+
+register('./loader-hooks.js', import.meta.url);
+
+const Phaser = (await import('phaser')).default;
+const { SCENES, GAME_WIDTH, GAME_HEIGHT, GRAVITY } = await import('../../src/config.js');
+const { PreloadScene } = await import('../../src/scenes/PreloadScene.js');
+const { GameScene } = await import('../../src/scenes/GameScene.js');
+const { UIScene } = await import('../../src/scenes/UIScene.js');
+const { music } = await import('../../src/audio/ProceduralMusic.js');
+
+/** One frame at the game's 60 Hz — Arcade physics steps exactly once per frame. */
+export const FRAME_MS = 1000 / 60;
+
+/** Input name → the Phaser Key the Player reads. */
+const INPUTS = {
+  left: player => player.cursors.left,
+  right: player => player.cursors.right,
+  up: player => player.cursors.up,
+  jump: player => player.keys.jump,
+  action: player => player.keys.action,
+  interact: player => player.keys.interact,
+  cycleCord: player => player.keys.cycleCord,
+};
+
+/** Upper bound for `until` steps without an explicit `max`. */
+const DEFAULT_UNTIL_FRAMES = 600;
+
+/** How many event-loop turns to wait for boot / preload before giving up. */
+const BOOT_TIMEOUT_TICKS = 500;
+
+// ═══════════════════════════════════════════════════════════════
+//  STUBS
+// ═══════════════════════════════════════════════════════════════
+
+// Procedural textures: register a blank canvas texture instead of drawing
+// (the canvas renderer path needs a real renderer).
+Phaser.GameObjects.Graphics.prototype.generateTexture = function (key, width, height) {
+  const textures = this.scene.sys.textures;
+  if (typeof key === 'string' && !textures.exists(key)) {
+    textures.createCanvas(key, Math.max(1, width || 1), Math.max(1, height || 1));
+  }
+  return this;
+};
+
+// Audio: there is no Web Audio in Node
+for (const name of Object.getOwnPropertyNames(Object.getPrototypeOf(music))) {
+  if (name !== 'constructor' && typeof music[name] === 'function') music[name] = () => {};
+}
+
+// Time: TweenManager measures Date.now() (wall clock). Simulated time instead
+// keeps a frame at 1/60 s however fast Node steps — tweened doors and
+// bridges move exactly as they would in the browser.
+let simulatedNow = Date.now();
+Date.now = () => simulatedNow;
+
+/** Stands in for MenuScene, which PreloadScene starts once textures exist. */
+class PreloadDoneScene extends Phaser.Scene {
+  constructor() {
+    super({ key: SCENES.MENU });
+  }
+
+  create() {
+    this.game.registry.set('headlessPreloaded', true);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  PUBLIC API
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Boot a headless game and build one level.
+ * @param {object} opts
+ * @param {string} [opts.levelId] - Registered level id.
+ * @param {object} [opts.levelData] - Level data object (e.g. not in the registry).
+ * @param {string} [opts.packId] - Pack the level is played in.
+ * @param {object} [opts.replay] - Recording to play back instead of scripted input.
+ * @returns {Promise<Simulation>}
+ */
+export async function createSimulation(opts = {}) {
+  const game = new Phaser.Game({
+    type: Phaser.HEADLESS,
+    width: GAME_WIDTH,
+    height: GAME_HEIGHT,
+    banner: false,
+    audio: { noAudio: true },
+    input: { keyboard: true, mouse: false, touch: false, gamepad: false },
+    physics: {
+      default: 'arcade',
+      arcade: { gravity: { y: GRAVITY }, debug: false },
+    },
+    scene: [PreloadScene, PreloadDoneScene, GameScene, UIScene],
+  });
+
+  const sim = new Simulation(game);
+  await sim._pumpUntil(() => game.isRunning, 'game boot');
+  await sim._pumpUntil(() => game.registry.get('headlessPreloaded'), 'PreloadScene');
+
+  game.scene.stop(SCENES.MENU);
+  game.scene.start(SCENES.GAME, {
+    levelId: opts.levelId,
+    levelData: opts.levelData,
+    packId: opts.packId,
+    replay: opts.replay,
+  });
+  sim.step(); // processes the scene queue → GameScene.create → _buildLevel
+
+  const scene = game.scene.getScene(SCENES.GAME);
+  if (!scene.player) {
+    // GameScene.create catches build errors and prints them on screen
+    const error = scene.children.list.find(o => o.type === 'Text' && o.text.startsWith('ERROR:'));
+    sim.destroy();
+    throw new Error(`simulation: level failed to build\n${error?.text ?? '(no error text)'}`);
+  }
+  sim.scene = scene;
+  return sim;
+}
+
+export class Simulation {
+  /** @param {Phaser.Game} game */
+  constructor(game) {
+    this.game = game;
+    /** @type {GameScene|null} */
+    this.scene = null;
+    /** Frames stepped since boot. */
+    this.frame = 0;
+    this._time = 0;
+    this._held = new Set();
+  }
+
+  // ───── Stepping ─────
+
+  /**
+   * Advance the game by `frames` frames with exactly the given inputs held.
+   * @param {number} [frames]
+   * @param {string[]} [hold] - Input names held down during these frames.
+   */
+  step(frames = 1, hold = []) {
+    this._setHeld(hold);
+    for (let i = 0; i < frames; i++) {
+      this._time += FRAME_MS;
+      simulatedNow += FRAME_MS;
+      this.frame++;
+      this.game.headlessStep(this._time, FRAME_MS);
+    }
+    return this;
+  }
+
+  /** Tap an input: down for one frame, then up for one frame. */
+  press(input) {
+    this.step(1, [input]);
+    return this.step(1, []);
+  }
+
+  /**
+   * Run a script of steps, in order:
+   *   { wait: n }                         n frames, nothing held
+   *   { hold: [...], frames: n }          n frames with inputs held
+   *   { press: 'action' }                 tap one input
+   *   { hold: [...], until, max }         hold until the condition holds (at most `max` frames)
+   *
+   * `until` is a function `(sim) => boolean`, `{ x: n }` / `{ y: n }` (player
+   * passes x / y, in either direction), 'grounded', 'goal', or an element id
+   * that must become active.
+   * @param {object[]} script
+   * @returns {Array<{ step: object, frames: number, ok: boolean }>} What each step did.
+   */
+  run(script) {
+    const log = [];
+    for (const step of script) {
+      const start = this.frame;
+      let ok = true;
+      if (step.press) {
+        this.press(step.press);
+      } else if (step.until !== undefined) {
+        ok = this.runUntil(this._condition(step.until), step.hold || [], step.max ?? DEFAULT_UNTIL_FRAMES);
+      } else {
+        this.step(step.wait ?? step.frames ?? 1, step.hold || []);
+      }
+      log.push({ step, frames: this.frame - start, ok });
+    }
+    this._setHeld([]);
+    return log;
+  }
+
+  /**
+   * Step with inputs held until `condition(sim)` is true.
+   * @returns {boolean} false if `maxFrames` ran out first.
+   */
+  runUntil(condition, hold = [], maxFrames = DEFAULT_UNTIL_FRAMES) {
+    for (let i = 0; i < maxFrames; i++) {
+      if (condition(this)) return true;
+      this.step(1, hold);
+    }
+    return condition(this);
+  }
+
+  /**
+   * Play the recording the simulation was created with to its end (or the goal).
+   * @returns {boolean} Whether the goal was reached.
+   */
+  playReplay() {
+    const replay = this.scene._replay;
+    if (!replay.isPlaying) throw new Error('simulation: created without a replay');
+    this.runUntil(sim => replay.ended || sim.goalReached, [], replay.replay.frames + 1);
+    return this.goalReached;
+  }
+
+  // ───── Queries ─────
+
+  /** Player position and state. */
+  get player() {
+    const p = this.scene.player;
+    return {
+      x: round(p.x),
+      y: round(p.y),
+      onGround: p.isSupported(),
+      dead: p._isDead,
+      cordTerminal: p.cordConnectedTerminal?.elementId ?? null,
+      cordTerminals: p.cordTerminals.map(t => t?.elementId ?? null),
+      selectedCord: p.selectedCord,
+      cordOrigins: p.cordOrigins.map(o => o?.elementId ?? null),
+      grabbedBlock: p.grabbedBlock?.elementId ?? null,
+    };
+  }
+
+  /** True once the player has reached the goal (level-complete sequence started). */
+  get goalReached() {
+    return this.scene._levelComplete;
+  }
+
+  /** The run so far as a ReplaySystem recording. */
+  get recording() {
+    return this.scene._replay.getRecording(this.goalReached);
+  }
+
+  /** A built element by level-data id (doors, elevators, blocks, generators, terminals, …). */
+  element(id) {
+    return this.scene._elementsById[id] ||
+      this.scene.terminals.find(t => t.elementId === id) || null;
+  }
+
+  /**
+   * Whether an element is on: doors open, elevators running, bridges lowered,
+   * generators activated, terminals / strips / junction boxes powered.
+   * Throws for unknown ids so typos don't read as "off".
+   */
+  isActive(id) {
+    const el = this.element(id);
+    if (!el) throw new Error(`simulation: no element '${id}' in ${this.scene._levelData.id}`);
+    return !!(el.isActivated ?? el.isActive ?? el.powered);
+  }
+
+  /** Plain-object summary of the level state, for logs and CLI output. */
+  snapshot() {
+    const elements = {};
+    for (const [id, el] of Object.entries(this.scene._elementsById)) {
+      elements[id] = {
+        x: round(el.x),
+        y: round(el.y),
+        ...((el.isActivated ?? el.isActive) !== undefined && { active: !!(el.isActivated ?? el.isActive) }),
+      };
+    }
+    return {
+      level: this.scene._levelData.id,
+      frame: this.frame,
+      player: this.player,
+      goalReached: this.goalReached,
+      elements,
+    };
+  }
+
+  /** Shut the game down (frees scenes; the process can exit afterwards). */
+  destroy() {
+    this.game.destroy(false);
+    this.game.headlessStep(this._time + FRAME_MS, FRAME_MS); // runs the pending destroy
+  }
+
+  // ───── Internals ─────
+
+  _setHeld(hold) {
+    for (const name of hold) {
+      if (!INPUTS[name]) throw new Error(`simulation: unknown input '${name}' (use ${Object.keys(INPUTS).join(', ')})`);
+    }
+    this._held = new Set(hold);
+    const player = this.scene?.player;
+    if (!player) return;
+    for (const [name, key] of Object.entries(INPUTS)) {
+      key(player).isDown = this._held.has(name);
+    }
+  }
+
+  _condition(until) {
+    if (typeof until === 'function') return until;
+    if (until === 'grounded') return sim => sim.player.onGround;
+    if (until === 'goal') return sim => sim.goalReached;
+    if (typeof until === 'string') return sim => sim.isActive(until);
+    if (typeof until?.x === 'number') {
+      const startX = this.scene.player.x;
+      return sim => (until.x >= startX ? sim.scene.player.x >= until.x : sim.scene.player.x <= until.x);
+    }
+    if (typeof until?.y === 'number') {
+      const startY = this.scene.player.y;
+      return sim => (until.y >= startY ? sim.scene.player.y >= until.y : sim.scene.player.y <= until.y);
+    }
+    throw new Error(`simulation: unsupported until condition ${JSON.stringify(until)}`);
+  }
+
+  /** Step the game and yield to the event loop (image loads, XHR failures) until ready. */
+  async _pumpUntil(ready, what) {
+    for (let i = 0; i < BOOT_TIMEOUT_TICKS; i++) {
+      if (ready()) return;
+      if (this.game.isRunning) this.step();
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    throw new Error(`simulation: timed out waiting for ${what}`);
+  }
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
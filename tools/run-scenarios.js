@@ -0,0 +1,48 @@
+/**
+ * run-scenarios.js
+ * Runs every headless scenario in tools/headless/scripts/ through
+ * simulate-level.js — one process each, so every game boots clean — and
+ * prints a line per scenario. Pass names (without .json) to run only those.
+ * Exits with code 1 if any scenario fails its expectations.
+ *
+ *   npm test
+ *   npm test -- terminal-door relay-hold
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const TOOLS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const SCRIPTS_DIR = path.join(TOOLS_DIR, 'headless/scripts');
+
+/** Longest a single scenario may run (ms) before it counts as failed. */
+const SCENARIO_TIMEOUT = 60000;
+
+const names = process.argv.slice(2);
+const files = fs.readdirSync(SCRIPTS_DIR)
+  .filter(f => f.endsWith('.json'))
+  .filter(f => names.length === 0 || names.includes(path.basename(f, '.json')))
+  .sort();
+
+const unknown = names.filter(n => !files.includes(`${n}.json`));
+for (const name of unknown) console.error(`Unknown scenario: ${name}`);
+
+let failed = 0;
+for (const file of files) {
+  const run = spawnSync(process.execPath, [path.join(TOOLS_DIR, 'simulate-level.js'), path.join(SCRIPTS_DIR, file)], {
+    encoding: 'utf8',
+    timeout: SCENARIO_TIMEOUT,
+  });
+  if (run.status === 0) {
+    console.log(`✓ ${path.basename(file, '.json')}`);
+    continue;
+  }
+  failed++;
+  console.log(`✗ ${path.basename(file, '.json')}`);
+  const output = `${run.stdout ?? ''}${run.stderr ?? ''}`.trim() || String(run.error ?? 'no output');
+  console.log(output.split('\n').map(line => `    ${line}`).join('\n'));
+}
+
+console.log(`\n${files.length - failed} passed, ${failed} failed`);
+process.exit(failed > 0 || unknown.length > 0 ? 1 : 0);
@@ -0,0 +1,93 @@
+/**
+ * simulate-level.js
+ * Plays a level headlessly (tools/headless/simulation.js) with a scripted
+ * input sequence and checks the outcome — no browser needed.
+ * Exits with code 1 if the script's expectations fail.
+ *
+ *   npm run simulate -- level_01                      (build, settle 60 frames, print state)
+ *   npm run simulate -- path/to/script.json
+ *   npm run simulate -- path/to/run.replay.json      (a recording saved with F8)
+ *
+ * Script file:
+ *   {
+ *     "level": "level_01",
+ *     "steps": [
+ *       { "hold": ["right"], "until": { "x": 270 } },
+ *       { "press": "action" },
+ *       { "wait": 30 }
+ *     ],
+ *     "expect": { "active": ["door1"], "inactive": ["elev1"], "goal": false }
+ *   }
+ * Steps are described in Simulation.run(); inputs are left, right, up, jump,
+ * action (D), interact (F) and cycleCord (C). `add` appends elements to the
+ * level's collections (e.g. { "junctionBoxes": [...] }), to try a mechanic
+ * in an existing level; `expect.player` compares fields of the player
+ * snapshot (e.g. { "cordTerminals": ["jb1", null] }) and `expect.stats`
+ * the run's RunStats counters (e.g. { "deaths": 1 }). Scripts live in
+ * tools/headless/scripts/ — `npm test` runs them all (tools/run-scenarios.js). A replay file plays back as recorded and is
+ * expected to reach the goal if the recorded run did.
+ */
+import { readFileSync } from 'node:fs';
+import { loadAllLevels } from './tiled-levels.js';
+import { createSimulation } from './headless/simulation.js';
+import { isReplay } from '../src/systems/ReplaySystem.js';
+
+const arg = process.argv[2];
+if (!arg) {
+  console.error('Usage: npm run simulate -- <levelId | script.json | run.replay.json>');
+  process.exit(1);
+}
+
+const data = arg.endsWith('.json') ? JSON.parse(readFileSync(arg, 'utf8')) : null;
+const replay = isReplay(data) ? data : null;
+const script = replay
+  ? { level: replay.levelId, pack: replay.packId, expect: { goal: replay.completed } }
+  : data || { level: arg, steps: [{ wait: 60 }] };
+
+// Tiled maps aren't in LevelRegistry outside Vite — hand the data over directly
+const baseLevel = loadAllLevels().find(l => l.id === script.level);
+if (!baseLevel) {
+  console.error(`Unknown level id: ${script.level}`);
+  process.exit(1);
+}
+const levelData = { ...baseLevel };
+for (const [collection, items] of Object.entries(script.add || {})) {
+  levelData[collection] = [...(levelData[collection] || []), ...items];
+}
+
+const sim = await createSimulation({ levelData, packId: script.pack, replay });
+if (replay) sim.playReplay();
+const log = sim.run(script.steps || []);
+
+for (const { step, frames, ok } of log) {
+  console.log(`${ok ? '  ' : '✗ '}${JSON.stringify(step)} — ${frames} frames`);
+}
+const snapshot = sim.snapshot();
+console.log(JSON.stringify(snapshot, null, 2));
+
+const failures = log.filter(l => !l.ok).map(l => `step ${JSON.stringify(l.step)} ran out of frames`);
+const expect = script.expect || {};
+for (const id of expect.active || []) {
+  if (!sim.isActive(id)) failures.push(`expected '${id}' to be active`);
+}
+for (const id of expect.inactive || []) {
+  if (sim.isActive(id)) failures.push(`expected '${id}' to be inactive`);
+}
+for (const [field, value] of Object.entries(expect.player || {})) {
+  const actual = snapshot.player[field];
+  if (JSON.stringify(actual) !== JSON.stringify(value)) {
+    failures.push(`expected player ${field} ${JSON.stringify(value)}, got ${JSON.stringify(actual)}`);
+  }
+}
+for (const [field, value] of Object.entries(expect.stats || {})) {
+  const actual = sim.scene._stats[field];
+  if (actual !== value) failures.push(`expected ${field} ${value}, got ${actual}`);
+}
+if (expect.goal !== undefined && sim.goalReached !== expect.goal) {
+  failures.push(`expected goal ${expect.goal ? '' : 'not '}reached`);
+}
+sim.destroy();
+
+for (const failure of failures) console.error(`✗ ${failure}`);
+if (failures.length === 0) console.log('✓ simulation passed');
+process.exit(failures.length > 0 ? 1 : 0);
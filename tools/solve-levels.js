@@ -0,0 +1,26 @@
+/**
+ * solve-levels.js
+ * Runs LevelSolver over levels (JS and Tiled maps) and prints each solution.
+ * Pass level ids to check only those; with no arguments every level is solved.
+ * Exits with code 1 if any requested level has no solution.
+ *
+ *   npm run solve:levels
+ *   npm run solve:levels -- level_02 level_03
+ */
+import { loadAllLevels } from './tiled-levels.js';
+import { solveLevel, formatSolution } from '../src/levels/LevelSolver.js';
+
+const ids = process.argv.slice(2);
+const levels = loadAllLevels().filter(l => ids.length === 0 || ids.includes(l.id));
+
+const unknown = ids.filter(id => !levels.some(l => l.id === id));
+for (const id of unknown) console.error(`Unknown level id: ${id}`);
+
+let failed = unknown.length > 0;
+for (const level of levels) {
+  const result = solveLevel(level);
+  console.log(formatSolution(result));
+  console.log('');
+  if (!result.solvable) failed = true;
+}
+process.exit(failed ? 1 : 0);
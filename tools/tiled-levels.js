@@ -0,0 +1,30 @@
+/**
+ * tiled-levels.js
+ * Loads the Tiled maps in src/levels/maps/ from disk for the Node tools.
+ * In the game Vite bundles them (LevelRegistry's import.meta.glob), which
+ * plain Node cannot do — so getAllLevelData() only has the JS levels here.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { getAllLevelData } from '../src/levels/LevelRegistry.js';
+import { tiledMapToLevel } from '../src/levels/TiledLevelLoader.js';
+
+const MAPS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../src/levels/maps');
+
+/** Every Tiled map in src/levels/maps/, converted to level data, ordered by file name. */
+export function loadTiledLevels() {
+  if (!fs.existsSync(MAPS_DIR)) return [];
+  return fs.readdirSync(MAPS_DIR)
+    .filter(f => f.endsWith('.json'))
+    .sort()
+    .map(f => tiledMapToLevel(
+      JSON.parse(fs.readFileSync(path.join(MAPS_DIR, f), 'utf8')),
+      { id: path.basename(f, '.json') },
+    ));
+}
+
+/** JS levels followed by Tiled levels — the same list the game sees. */
+export function loadAllLevels() {
+  return getAllLevelData().concat(loadTiledLevels());
+}
@@ -0,0 +1,16 @@
+/**
+ * validate-levels.js
+ * Runs LevelValidator over every level (JS and Tiled maps) and the level pack
+ * manifests, and prints a report.
+ * Exits with code 1 if any level has errors (warnings alone pass).
+ *
+ *   npm run validate:levels
+ */
+import { loadAllLevels } from './tiled-levels.js';
+import { getPackManifests } from '../src/levels/LevelRegistry.js';
+import { validateLevels, validatePacks, formatReport, hasErrors } from '../src/levels/LevelValidator.js';
+
+const levels = loadAllLevels();
+const issues = [...validateLevels(levels), ...validatePacks(getPackManifests(), levels)];
+console.log(formatReport(issues));
+process.exit(hasErrors(issues) ? 1 : 0);